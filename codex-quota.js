@@ -16,20 +16,55 @@ import { PRIMARY_CMD, MULTI_ACCOUNT_PATHS, CODEX_CLI_AUTH_PATH, CLAUDE_MULTI_ACC
 import { GREEN, RED, YELLOW, setNoColorFlag, supportsColor, colorize, getPackageVersion } from "./lib/color.js";
 import { decodeJWT, extractAccountId, extractProfile } from "./lib/jwt.js";
 import {
-	printHelp, printHelpCodex, printHelpClaude,
-	printHelpAdd, printHelpCodexReauth, printHelpSwitch, printHelpCodexSync,
-	printHelpList, printHelpRemove, printHelpQuota,
-	printHelpClaudeAdd, printHelpClaudeReauth, printHelpClaudeSwitch, printHelpClaudeSync,
-	printHelpClaudeList, printHelpClaudeRemove, printHelpClaudeQuota,
+	printHelp, printHelpProvider,
+	printHelpHistory, printHelpAlert, printHelpServe, printHelpStatus, printHelpConfig, printHelpVault,
+	printHelpExport, printHelpImport, printHelpBackups, printHelpRestore, printHelpLog,
+	printHelpDoctor, printHelpCompletion, printHelpAutoswitch,
 } from "./lib/display.js";
-import { handleCodex, handleClaude, handleQuota } from "./lib/handlers.js";
+import {
+	handleProviderCommand, handleQuota, handleHistory, handleAlert, handleServe, handleStatus, handleConfig,
+	handleVault, ensureVaultUnlocked, handleExport, handleImport, handleBackups, handleRestore, handleLog,
+	handleDoctor, handleCompletion, handleComplete, handleAutoswitch,
+} from "./lib/handlers.js";
+import { getFlagValue, stripFlagValues, splitShortFlags, parseDuration } from "./lib/args.js";
+import { setUsageCachePolicy } from "./lib/cache.js";
+import { getConfigValue, setTimeoutOverride } from "./lib/config.js";
+import { parseConcurrency, setConcurrencyLimit } from "./lib/pool.js";
+import { registerProvider, getProvider } from "./lib/providers.js";
+import { codexProvider } from "./lib/codex-provider.js";
+import { claudeProvider } from "./lib/claude-provider.js";
+
+// Built-in providers; each registered provider is routed as a namespace ("codex-quota <name> ...")
+registerProvider(codexProvider);
+registerProvider(claudeProvider);
+
+// Flags that take a value ("--strategy weekly" or "--strategy=weekly")
+const VALUE_FLAGS = [
+	"--strategy", "--interval", "--since",
+	"--below", "--window", "--notify", "--webhook", "--command",
+	"--port", "--host", "--ttl", "--format", "--template", "--max-age",
+	"--key-file", "--out", "--labels", "--on-conflict", "--concurrency", "--timeout",
+	"--at", "--event", "--tag", "--note", "--display-name", "--order",
+];
+
+// Flags without a value (offered by shell completion along with VALUE_FLAGS)
+const BOOLEAN_FLAGS = [
+	"--json", "--local", "--dry-run", "--watch", "--metrics", "--no-cache", "--no-color",
+	"--no-browser", "--oauth", "--manual", "--codex", "--claude", "--once", "--refresh",
+];
 
 // ─── Main ────────────────────────────────────────────────────────────────────
 
 async function main() {
 	const args = process.argv.slice(2);
 
-	// Parse flags
+	// Completion scripts run this on every Tab, so answer before anything else
+	if (args[0] === "__complete") {
+		handleComplete(args.slice(1));
+		return;
+	}
+
+	// Parse flags (flags win over environment variables, which win over the config file)
 	const flags = {
 		json: args.includes("--json"),
 		noBrowser: args.includes("--no-browser"),
@@ -37,28 +72,95 @@ async function main() {
 		oauth: args.includes("--oauth"),
 		manual: args.includes("--manual"),
 		dryRun: args.includes("--dry-run"),
-		local: args.includes("--local"),
+		local: args.includes("--local") || getConfigValue("local") === true,
+		strategy: getFlagValue(args, "--strategy"),
+		watch: args.includes("--watch"),
+		interval: getFlagValue(args, "--interval"),
+		since: getFlagValue(args, "--since"),
+		below: getFlagValue(args, "--below"),
+		window: getFlagValue(args, "--window"),
+		notify: getFlagValue(args, "--notify"),
+		webhook: getFlagValue(args, "--webhook"),
+		command: getFlagValue(args, "--command"),
+		metrics: args.includes("--metrics"),
+		port: getFlagValue(args, "--port"),
+		host: getFlagValue(args, "--host"),
+		ttl: getFlagValue(args, "--ttl"),
+		format: getFlagValue(args, "--format"),
+		template: getFlagValue(args, "--template"),
+		noCache: args.includes("--no-cache"),
+		refresh: args.includes("--refresh"),
+		maxAge: getFlagValue(args, "--max-age"),
+		keyFile: getFlagValue(args, "--key-file"),
+		codex: args.includes("--codex"),
+		claude: args.includes("--claude"),
+		out: getFlagValue(args, "--out"),
+		labels: getFlagValue(args, "--labels"),
+		onConflict: getFlagValue(args, "--on-conflict"),
+		concurrency: getFlagValue(args, "--concurrency"),
+		timeout: getFlagValue(args, "--timeout"),
+		once: args.includes("--once"),
+		order: getFlagValue(args, "--order"),
+		at: getFlagValue(args, "--at"),
+		event: getFlagValue(args, "--event"),
+		tag: getFlagValue(args, "--tag"),
+		note: getFlagValue(args, "--note"),
+		displayName: getFlagValue(args, "--display-name"),
 	};
 
-	// Set global noColorFlag for supportsColor() function
-	setNoColorFlag(flags.noColor);
+	// Set global noColorFlag for supportsColor() function ("color": false in the config also disables it)
+	setNoColorFlag(flags.noColor || getConfigValue("color") === false);
 
-	const legacyFlagUsed = args.includes("--claude") || args.includes("--codex");
-	if (legacyFlagUsed) {
-		console.error(colorize("Error: --claude/--codex flags were replaced by namespaces.", RED));
-		console.error(`Use '${PRIMARY_CMD} claude' or '${PRIMARY_CMD} codex' instead.`);
-		process.exit(1);
+	// Set the global usage cache policy (--no-cache / --max-age)
+	if (flags.maxAge !== null) {
+		const maxAgeMs = parseDuration(flags.maxAge);
+		if (maxAgeMs === null) {
+			console.error(colorize(`Invalid --max-age "${flags.maxAge}". Use a duration like 0, 30s, or 5m.`, RED));
+			process.exit(1);
+		}
+		setUsageCachePolicy({ maxAgeMs });
+	}
+	if (flags.noCache) {
+		setUsageCachePolicy({ enabled: false });
+	}
+
+	// Set the shared fetch pool size and the per-request timeout (--concurrency / --timeout)
+	if (flags.concurrency !== null) {
+		const limit = parseConcurrency(flags.concurrency);
+		if (limit === null) {
+			console.error(colorize(`Invalid --concurrency "${flags.concurrency}". Use a positive integer.`, RED));
+			process.exit(1);
+		}
+		setConcurrencyLimit(limit);
+	}
+	if (flags.timeout !== null) {
+		const timeoutMs = parseDuration(flags.timeout);
+		if (!timeoutMs) {
+			console.error(colorize(`Invalid --timeout "${flags.timeout}". Use a duration like 10s or 1m.`, RED));
+			process.exit(1);
+		}
+		setTimeoutOverride("timeouts.usage", timeoutMs);
 	}
 
 	// Extract non-flag arguments
-	const nonFlagArgs = args.filter(a => !a.startsWith("--") && a !== "-h");
+	const positionalArgs = stripFlagValues(args, VALUE_FLAGS).filter(a => !a.startsWith("--"));
+	const { args: nonFlagArgs, shortFlags } = splitShortFlags(positionalArgs, word => Boolean(getProvider(word)));
 	const firstArg = nonFlagArgs[0];
-	const namespace = firstArg === "codex" || firstArg === "claude" ? firstArg : null;
+
+	// --codex/--claude only select providers for export, import, log, and autoswitch
+	const legacyFlagUsed = flags.claude || flags.codex;
+	if (legacyFlagUsed && !["export", "import", "log", "autoswitch"].includes(firstArg)) {
+		console.error(colorize("Error: --claude/--codex flags were replaced by namespaces.", RED));
+		console.error(`Use '${PRIMARY_CMD} claude' or '${PRIMARY_CMD} codex' instead.`);
+		process.exit(1);
+	}
+	const provider = getProvider(firstArg);
+	const namespace = provider ? firstArg : null;
 	const namespaceArgs = namespace ? nonFlagArgs.slice(1) : nonFlagArgs;
 	const subcommand = namespace ? namespaceArgs[0] : null;
 
 	// Handle --version flag
-	if (args.includes("--version") || args.includes("-v")) {
+	if (args.includes("--version") || shortFlags.includes("-v")) {
 		console.log(getPackageVersion());
 		return;
 	}
@@ -71,44 +173,131 @@ async function main() {
 	}
 
 	// Handle --help: show main help or subcommand-specific help
-	if (args.includes("--help") || args.includes("-h")) {
+	if (args.includes("--help") || shortFlags.includes("-h")) {
 		if (!namespace) {
-			printHelp();
-			return;
-		}
-		if (namespace === "codex") {
-			switch (subcommand) {
-				case "add": printHelpAdd(); break;
-				case "reauth": printHelpCodexReauth(); break;
-				case "switch": printHelpSwitch(); break;
-				case "sync": printHelpCodexSync(); break;
-				case "list": printHelpList(); break;
-				case "remove": printHelpRemove(); break;
-				case "quota": printHelpQuota(); break;
-				default: printHelpCodex(); break;
+			if (firstArg === "history") {
+				printHelpHistory();
+			} else if (firstArg === "alert") {
+				printHelpAlert();
+			} else if (firstArg === "serve") {
+				printHelpServe();
+			} else if (firstArg === "status") {
+				printHelpStatus();
+			} else if (firstArg === "config") {
+				printHelpConfig();
+			} else if (firstArg === "vault") {
+				printHelpVault();
+			} else if (firstArg === "export") {
+				printHelpExport();
+			} else if (firstArg === "import") {
+				printHelpImport();
+			} else if (firstArg === "backups") {
+				printHelpBackups();
+			} else if (firstArg === "restore") {
+				printHelpRestore();
+			} else if (firstArg === "log") {
+				printHelpLog();
+			} else if (firstArg === "doctor") {
+				printHelpDoctor();
+			} else if (firstArg === "completion") {
+				printHelpCompletion();
+			} else if (firstArg === "autoswitch") {
+				printHelpAutoswitch();
+			} else {
+				printHelp();
 			}
 			return;
 		}
-		switch (subcommand) {
-			case "add": printHelpClaudeAdd(); break;
-			case "reauth": printHelpClaudeReauth(); break;
-			case "switch": printHelpClaudeSwitch(); break;
-			case "sync": printHelpClaudeSync(); break;
-			case "list": printHelpClaudeList(); break;
-			case "remove": printHelpClaudeRemove(); break;
-			case "quota": printHelpClaudeQuota(); break;
-			default: printHelpClaude(); break;
+		if (provider.printHelp) {
+			provider.printHelp(subcommand);
+		} else {
+			printHelpProvider(provider);
 		}
 		return;
 	}
 
+	if (firstArg === "completion") {
+		handleCompletion(nonFlagArgs.slice(1), flags, { flags: [...BOOLEAN_FLAGS, ...VALUE_FLAGS], valueFlags: VALUE_FLAGS });
+		return;
+	}
+
+	if (firstArg === "config") {
+		await handleConfig(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "vault") {
+		await handleVault(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	// Backups are copied as stored (encrypted stores stay encrypted), so no passphrase is needed
+	if (firstArg === "backups") {
+		await handleBackups(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "restore") {
+		await handleRestore(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "log") {
+		await handleLog(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	// Statuslines redraw without a terminal to answer prompts, so status unlocks only when it fetches
+	if (firstArg === "status") {
+		await handleStatus(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	// Ask for the vault passphrase once, before any command reads the account stores
+	await ensureVaultUnlocked(flags);
+
 	// Route to appropriate handler based on subcommand
-	if (namespace === "codex") {
-		await handleCodex(namespaceArgs, flags);
+	if (provider) {
+		if (provider.handleCommand) {
+			await provider.handleCommand(namespaceArgs, flags);
+		} else {
+			await handleProviderCommand(provider, namespaceArgs, flags);
+		}
+		return;
+	}
+
+	if (firstArg === "export") {
+		await handleExport(nonFlagArgs.slice(1), flags);
 		return;
 	}
-	if (namespace === "claude") {
-		await handleClaude(namespaceArgs, flags);
+
+	if (firstArg === "import") {
+		await handleImport(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "doctor") {
+		await handleDoctor(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "autoswitch") {
+		await handleAutoswitch(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "history") {
+		await handleHistory(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "alert") {
+		await handleAlert(nonFlagArgs.slice(1), flags);
+		return;
+	}
+
+	if (firstArg === "serve") {
+		await handleServe(nonFlagArgs.slice(1), flags);
 		return;
 	}
 
@@ -229,6 +418,8 @@ export {
 	normalizePercentUsed,
 	parseClaudeUtilizationWindow,
 	drawBox,
+	buildAccountUsageLines,
+	formatProjectionLine,
 	printHelp,
 	printHelpAdd,
 	printHelpCodexReauth,
@@ -237,6 +428,8 @@ export {
 	printHelpClaudeReauth,
 	printHelpClaudeSync,
 	printHelpSwitch,
+	printHelpCodexPick,
+	printHelpClaudePick,
 	printHelpCodexSync,
 	printHelpList,
 	printHelpRemove,
@@ -252,10 +445,200 @@ export {
 	handleClaudeReauth,
 	handleClaudeSwitch,
 	handleClaudeRemove,
+	handleCodexRename,
+	handleClaudeRename,
+	handleCodexTag,
+	handleClaudeTag,
+	handlePick,
+	handleClaudePick,
+	handleHistory,
+	handleAlert,
+	handleServe,
+	handleQuota,
+	handleStatus,
+	handleList,
+	handleConfig,
+	handleVault,
+	handleBackups,
+	handleRestore,
+	handleLog,
+	handleDoctor,
+	handleCompletion,
+	handleComplete,
+	handleAutoswitch,
+	handleProviderCommand,
 } from "./lib/handlers.js";
 
+// Providers (for testing)
+export { registerProvider, unregisterProvider, getProvider, getProviders, getProviderTitle } from "./lib/providers.js";
+export { codexProvider, claudeProvider };
+
+// Account ranking (for testing)
+export { rankCandidates, scoreWindows, isExhausted, PICK_STRATEGIES } from "./lib/pick.js";
+export { getCodexWindows, getClaudeWindows } from "./lib/windows.js";
+export { getFlagValue, stripFlagValues, splitShortFlags, parseDuration } from "./lib/args.js";
+
+// Usage history (for testing)
+export { buildHistoryRecords, appendHistory, readHistoryRecords, renameHistoryLabel, summarizeHistory } from "./lib/history.js";
+export { projectWindowExhaustion, buildProjections } from "./lib/projection.js";
+
+// Threshold alerts (for testing)
+export {
+	parseThreshold,
+	findAlerts,
+	buildAlertPayload,
+	sendAlertNotifications,
+	ALERT_NOTIFIERS,
+} from "./lib/alerts.js";
+
+// Prometheus exporter (for testing)
+export { buildMetricsText, createCachedCollector, createMetricsServer } from "./lib/metrics.js";
+
+// Statusline output (for testing)
+export { formatStatusline } from "./lib/statusline.js";
+
+// Path resolution (for testing)
+export { getCodexCliAuthPath, getPiAuthPath, getClaudeCredentialsPath, getCodexQuotaHome } from "./lib/paths.js";
+
+// Config file (for testing)
+export {
+	CONFIG_KEYS,
+	getConfigPath,
+	getConfigValue,
+	parseConfigValue,
+	writeConfigValue,
+	applyLabelPreferences,
+	renameConfigLabel,
+	resetConfigCache,
+} from "./lib/config.js";
+
+// Multi-account containers (for testing)
+export { readMultiAccountContainer, writeMultiAccountContainer, updateMultiAccountContainer } from "./lib/container.js";
+
+// Encrypted account stores (for testing)
+export {
+	setVaultPassphrase,
+	createVaultKey,
+	encryptVaultPayload,
+	openVault,
+	isVaultPayload,
+	readVaultState,
+} from "./lib/vault.js";
+
+// Export bundles (for testing)
+export { buildBundle, encryptBundle, decryptBundle, mergeBundleAccounts, CONFLICT_MODES } from "./lib/bundle.js";
+
+// Harness targets (for testing)
+export {
+	getJsonPointer,
+	setJsonPointer,
+	parseCustomHarnessTarget,
+	listHarnessTargets,
+	findHarnessTarget,
+	readHarnessTarget,
+	writeHarnessTarget,
+	updateHarnessTarget,
+} from "./lib/harness.js";
+
+// Fetch pool (for testing)
+export {
+	mapInPool,
+	runInPool,
+	createSharedTasks,
+	parseConcurrency,
+	setConcurrencyLimit,
+	getConcurrencyLimit,
+	DEFAULT_CONCURRENCY,
+} from "./lib/pool.js";
+
+// Atomic file writes (for testing)
+export { writeFileAtomic, resolveWritePath } from "./lib/fs.js";
+
+// Audit log (for testing)
+export { recordAuditEvent, readAuditLog, filterAuditEntries, fingerprintToken, AUDIT_EVENTS } from "./lib/audit.js";
+
+// Shell completion (for testing)
+export { buildCompletionScript, COMPLETION_SHELLS, COMPLETION_COMMANDS } from "./lib/completion.js";
+
+// Interactive account picker (for testing)
+export { promptSelect, filterChoices } from "./lib/prompts.js";
+
+// Doctor checks (for testing)
+export {
+	checkFilePermissions,
+	checkJsonFiles,
+	checkDuplicateLabels,
+	checkTokenExpiry,
+	checkClaudeScopes,
+	checkCookieTools,
+	runDoctorChecks,
+} from "./lib/doctor.js";
+
+// Credential file backups (for testing)
+export {
+	backupFile,
+	listBackups,
+	findBackups,
+	selectSnapshot,
+	restoreBackup,
+	rewriteBackups,
+	getBackupName,
+	formatBackupId,
+	parseBackupId,
+} from "./lib/backups.js";
+
+// Advisory file locks (for testing)
+export {
+	getLockPath,
+	readLockOwner,
+	isLockStale,
+	acquireFileLock,
+	withFileLock,
+	LOCK_STALE_MS,
+} from "./lib/lock.js";
+
+// Formatted output (for testing)
+export { formatRows, renderTemplate, getPathValue, OUTPUT_FORMATS } from "./lib/format.js";
+
+// Usage cache (for testing)
+export {
+	fetchWithUsageCache,
+	readCachedUsage,
+	invalidateUsageCache,
+	readUsageCacheEntry,
+	writeUsageCacheEntry,
+	setUsageCachePolicy,
+	getUsageCachePolicy,
+	getUsageCacheKey,
+} from "./lib/cache.js";
+
+// Watch mode helpers (for testing)
+export { isRateLimitError, getWatchDelay, ageCodexUsagePayload } from "./lib/watch.js";
+
 // Color utilities
 export { supportsColor, colorize, setNoColorFlag } from "./lib/color.js";
 
 // Constants (for testing)
 export { MULTI_ACCOUNT_PATHS, CODEX_CLI_AUTH_PATH, PRIMARY_CMD, CLAUDE_MULTI_ACCOUNT_PATHS } from "./lib/constants.js";
+
+// Account metadata (for testing)
+export {
+	normalizeTags,
+	pickAccountMeta,
+	parseTagFilter,
+	filterAccountsByTags,
+	parseTagChanges,
+	applyTagChanges,
+} from "./lib/account-meta.js";
+
+// Autoswitch (for testing)
+export {
+	DEFAULT_AUTOSWITCH_FLOOR,
+	findLowWindows,
+	orderAutoswitchCandidates,
+	formatWindowSummary,
+	decideAutoswitch,
+	recordAutoswitchDecision,
+	isRepeatedAutoswitchDecision,
+	readLastAutoswitchDecisions,
+} from "./lib/autoswitch.js";
@@ -14,9 +14,14 @@ import {
 	lstatSync,
 	symlinkSync,
 	unlinkSync,
+	statSync,
+	chmodSync,
+	readdirSync,
 } from "node:fs";
+import { spawn } from "node:child_process";
+import { PassThrough } from "node:stream";
 import { join, dirname } from "node:path";
-import { tmpdir, homedir } from "node:os";
+import { tmpdir, homedir, hostname } from "node:os";
 
 import {
 	loadAccountsFromEnv,
@@ -80,6 +85,124 @@ import {
 	handleClaudeSwitch,
 	handleClaudeSync,
 	handleClaudeRemove,
+	handlePick,
+	rankCandidates,
+	getCodexWindows,
+	getClaudeWindows,
+	getFlagValue,
+	stripFlagValues,
+	splitShortFlags,
+	parseDuration,
+	isRateLimitError,
+	getWatchDelay,
+	ageCodexUsagePayload,
+	buildHistoryRecords,
+	appendHistory,
+	readHistoryRecords,
+	summarizeHistory,
+	projectWindowExhaustion,
+	buildProjections,
+	buildAccountUsageLines,
+	formatProjectionLine,
+	parseThreshold,
+	findAlerts,
+	buildAlertPayload,
+	sendAlertNotifications,
+	buildMetricsText,
+	createCachedCollector,
+	createMetricsServer,
+	formatStatusline,
+	handleStatus,
+	handleList,
+	handleConfig,
+	getConfigPath,
+	getConfigValue,
+	parseConfigValue,
+	writeConfigValue,
+	applyLabelPreferences,
+	resetConfigCache,
+	getCodexCliAuthPath,
+	readMultiAccountContainer,
+	writeMultiAccountContainer,
+	updateMultiAccountContainer,
+	getLockPath,
+	readLockOwner,
+	isLockStale,
+	acquireFileLock,
+	withFileLock,
+	LOCK_STALE_MS,
+	writeFileAtomic,
+	backupFile,
+	listBackups,
+	findBackups,
+	selectSnapshot,
+	restoreBackup,
+	getBackupName,
+	handleBackups,
+	handleRestore,
+	handleLog,
+	recordAuditEvent,
+	readAuditLog,
+	filterAuditEntries,
+	fingerprintToken,
+	checkFilePermissions,
+	checkJsonFiles,
+	checkDuplicateLabels,
+	checkTokenExpiry,
+	checkClaudeScopes,
+	checkCookieTools,
+	promptSelect,
+	filterChoices,
+	buildCompletionScript,
+	handleComplete,
+	handleCodexRename,
+	handleClaudeRename,
+	handleCodexTag,
+	handleClaudeTag,
+	parseTagChanges,
+	applyTagChanges,
+	parseTagFilter,
+	filterAccountsByTags,
+	handleAutoswitch,
+	handleAlert,
+	handleVault,
+	orderAutoswitchCandidates,
+	decideAutoswitch,
+	setVaultPassphrase,
+	createVaultKey,
+	openVault,
+	isVaultPayload,
+	buildBundle,
+	encryptBundle,
+	decryptBundle,
+	mergeBundleAccounts,
+	registerProvider,
+	unregisterProvider,
+	getProvider,
+	getProviders,
+	codexProvider,
+	handleProviderCommand,
+	handleQuota,
+	getJsonPointer,
+	setJsonPointer,
+	mapInPool,
+	runInPool,
+	createSharedTasks,
+	parseConcurrency,
+	setConcurrencyLimit,
+	DEFAULT_CONCURRENCY,
+	parseCustomHarnessTarget,
+	listHarnessTargets,
+	readHarnessTarget,
+	writeHarnessTarget,
+	formatRows,
+	renderTemplate,
+	fetchWithUsageCache,
+	invalidateUsageCache,
+	readUsageCacheEntry,
+	writeUsageCacheEntry,
+	setUsageCachePolicy,
+	getUsageCachePolicy,
 	MULTI_ACCOUNT_PATHS,
 	CODEX_CLI_AUTH_PATH,
 	PRIMARY_CMD,
@@ -98,9 +221,17 @@ import {
 const TEST_PI_AUTH_DIR = join(tmpdir(), "codex-quota-pi-auth-" + Date.now());
 const TEST_PI_AUTH_PATH = join(TEST_PI_AUTH_DIR, "auth.json");
 const ORIGINAL_PI_AUTH_PATH = process.env.PI_AUTH_PATH;
+// Keep history and other local state out of the real ~/.codex-quota
+const TEST_CODEX_QUOTA_HOME = join(tmpdir(), "codex-quota-home-" + Date.now());
+const ORIGINAL_CODEX_QUOTA_HOME = process.env.CODEX_QUOTA_HOME;
+// Never read the user's ~/.config/codex-quota/config.json
+const TEST_CONFIG_PATH = join(TEST_CODEX_QUOTA_HOME, "config.json");
+const ORIGINAL_CODEX_QUOTA_CONFIG = process.env.CODEX_QUOTA_CONFIG;
 
 beforeAll(() => {
 	process.env.PI_AUTH_PATH = TEST_PI_AUTH_PATH;
+	process.env.CODEX_QUOTA_HOME = TEST_CODEX_QUOTA_HOME;
+	process.env.CODEX_QUOTA_CONFIG = TEST_CONFIG_PATH;
 });
 
 afterAll(() => {
@@ -109,7 +240,18 @@ afterAll(() => {
 	} else {
 		process.env.PI_AUTH_PATH = ORIGINAL_PI_AUTH_PATH;
 	}
+	if (ORIGINAL_CODEX_QUOTA_HOME === undefined) {
+		delete process.env.CODEX_QUOTA_HOME;
+	} else {
+		process.env.CODEX_QUOTA_HOME = ORIGINAL_CODEX_QUOTA_HOME;
+	}
+	if (ORIGINAL_CODEX_QUOTA_CONFIG === undefined) {
+		delete process.env.CODEX_QUOTA_CONFIG;
+	} else {
+		process.env.CODEX_QUOTA_CONFIG = ORIGINAL_CODEX_QUOTA_CONFIG;
+	}
 	rmSync(TEST_PI_AUTH_DIR, { recursive: true, force: true });
+	rmSync(TEST_CODEX_QUOTA_HOME, { recursive: true, force: true });
 });
 
 function backupFileContents(filePath) {
@@ -991,6 +1133,30 @@ describe("fetchClaudeOAuthUsageForAccount", () => {
 		expect(account.refreshToken).toBe("sk-ant-ort-new");
 	});
 
+	test("gives up on a hanging token refresh at the deadline", async () => {
+		const requested = [];
+		globalThis.fetch = (url, options) => {
+			requested.push(url);
+			return new Promise((resolve, reject) => {
+				options.signal.addEventListener("abort", () => reject(new Error("aborted")));
+			});
+		};
+		const account = {
+			label: "hanging-refresh",
+			accessToken: "sk-ant-oat-hang",
+			refreshToken: "sk-ant-ort-hang",
+			expiresAt: Date.now() + 1000,
+			source: "test",
+		};
+
+		const startedAt = Date.now();
+		const result = await fetchClaudeOAuthUsageForAccount(account, { deadline: Date.now() + 50 });
+		expect(result.success).toBe(false);
+		expect(result.error).toContain("refresh failed");
+		expect(Date.now() - startedAt).toBeLessThan(2000);
+		expect(requested).toEqual(["https://console.anthropic.com/v1/oauth/token"]);
+	});
+
 	test("returns error when token is expired without refresh token", async () => {
 		const account = {
 			label: "expired-account",
@@ -1186,6 +1352,76 @@ describe("ensureFreshToken", () => {
 		expect(updatedAuth.tokens.account_id).toBe(MOCK_ACCOUNT_ID);
 		expect(updatedAuth.tokens.id_token).toBe("id-old");
 		expect(updatedAuth.tokens.expires_at).toBe(Math.floor(account.expires / 1000));
+
+		const refreshEvent = readAuditLog().filter(entry => entry.event === "refresh").pop();
+		expect(refreshEvent).toMatchObject({ provider: "codex", label: "codex-cli", fingerprint: fingerprintToken(newRefresh) });
+		expect(refreshEvent.paths).toContain(testAuthFile);
+		expect(readFileSync(join(TEST_CODEX_QUOTA_HOME, "audit.jsonl"), "utf-8")).not.toContain(newRefresh);
+	});
+
+	test("refreshes a shared refresh token once for concurrent accounts", async () => {
+		const sharedRefresh = "refresh-shared-" + Date.now();
+		const newAccess = createMockAccessToken(MOCK_ACCOUNT_ID, "new@example.com");
+		let tokenRequests = 0;
+		globalThis.fetch = async (url) => {
+			if (url === "https://auth.openai.com/oauth/token") {
+				tokenRequests++;
+				await new Promise(resolve => setTimeout(resolve, 10));
+				return new Response(JSON.stringify({ access_token: newAccess, refresh_token: "refresh-rotated", expires_in: 3600 }), {
+					status: 200,
+					headers: { "Content-Type": "application/json" },
+				});
+			}
+			return new Response("Not found", { status: 404 });
+		};
+		const accounts = ["shared-a", "shared-b"].map(label => ({
+			label,
+			accountId: MOCK_ACCOUNT_ID,
+			access: createMockAccessToken(MOCK_ACCOUNT_ID, "old@example.com"),
+			refresh: sharedRefresh,
+			expires: Date.now() - 1000,
+			source: "test",
+		}));
+
+		const results = await Promise.all(accounts.map(account => ensureFreshToken(account, accounts)));
+		expect(results).toEqual([true, true]);
+		expect(tokenRequests).toBe(1);
+		expect(accounts.map(account => account.refresh)).toEqual(["refresh-rotated", "refresh-rotated"]);
+
+		// A later account still holding the rotated-away token reuses the result too
+		const late = { ...accounts[0], label: "shared-c", refresh: sharedRefresh, expires: Date.now() - 1000 };
+		expect(await ensureFreshToken(late, [late])).toBe(true);
+		expect(tokenRequests).toBe(1);
+	});
+
+	test("adopts tokens another process already refreshed instead of refreshing", async () => {
+		const storedAccess = createMockAccessToken(MOCK_ACCOUNT_ID, "new@example.com");
+		writeFileSync(testAuthFile, JSON.stringify({
+			tokens: {
+				access_token: storedAccess,
+				refresh_token: "refresh-from-other-process",
+				account_id: MOCK_ACCOUNT_ID,
+				expires_at: Math.floor((Date.now() + 3600 * 1000) / 1000),
+			},
+		}, null, 2) + "\n", "utf-8");
+		let tokenRequests = 0;
+		globalThis.fetch = async () => {
+			tokenRequests++;
+			return new Response("invalid_grant", { status: 400 });
+		};
+		const account = {
+			label: "codex-cli",
+			accountId: MOCK_ACCOUNT_ID,
+			access: createMockAccessToken(MOCK_ACCOUNT_ID, "old@example.com"),
+			refresh: "refresh-stale-" + Date.now(),
+			expires: Date.now() - 1000,
+			source: testAuthFile,
+		};
+
+		expect(await ensureFreshToken(account, [account])).toBe(true);
+		expect(tokenRequests).toBe(0);
+		expect(account.access).toBe(storedAccess);
+		expect(account.refresh).toBe("refresh-from-other-process");
 	});
 });
 
@@ -2715,6 +2951,36 @@ describe("handleSwitch", () => {
 		expect(updatedAuth.openai.extra).toBe("keep");
 	});
 
+	test("updates custom harness targets from the config file", async () => {
+		const customAuthPath = join(testDir, "custom", "tokens.json");
+		writeJsonFile(customAuthPath, { auth: { token: "old_access", refresh: "old_refresh" }, other: 1 });
+		writeJsonFile(TEST_CONFIG_PATH, {
+			harnessTargets: [{
+				name: "custom-tool",
+				provider: "codex",
+				path: customAuthPath,
+				pointers: { access: "/auth/token", refresh: "/auth/refresh", expires: "/auth/expiresAt" },
+				expiresUnit: "s",
+			}],
+		});
+		resetConfigCache();
+		const expectedExpires = JSON.parse(process.env.CODEX_ACCOUNTS)[0].expires;
+
+		try {
+			await handleSwitch(["test-switch-account"], { json: true });
+		} finally {
+			rmSync(TEST_CONFIG_PATH, { force: true });
+			resetConfigCache();
+		}
+
+		const output = JSON.parse(consoleOutput.log.find(entry => entry.startsWith("{")));
+		expect(output.harnessTargets).toEqual([{ name: "custom-tool", path: customAuthPath, updated: true }]);
+		expect(JSON.parse(readFileSync(customAuthPath, "utf-8"))).toEqual({
+			auth: { token: MOCK_ACCESS_TOKEN, refresh: MOCK_REFRESH_TOKEN, expiresAt: Math.floor(expectedExpires / 1000) },
+			other: 1,
+		});
+	});
+
 	test("preserves symlinked OpenCode auth.json", async () => {
 		if (process.platform === "win32") {
 			return;
@@ -4338,3 +4604,2154 @@ describe("--local flag", () => {
 		expect(opencodeFromHarness?.source?.includes("opencode/auth.json") ?? false).toBe(false);
 	});
 });
+
+describe("getFlagValue", () => {
+	test("reads space-separated and equals-separated values", () => {
+		expect(getFlagValue(["codex", "pick", "--strategy", "weekly"], "--strategy")).toBe("weekly");
+		expect(getFlagValue(["codex", "pick", "--strategy=reset"], "--strategy")).toBe("reset");
+	});
+
+	test("returns null when flag is absent or has no value", () => {
+		expect(getFlagValue(["codex", "pick"], "--strategy")).toBeNull();
+		expect(getFlagValue(["codex", "pick", "--strategy", "--json"], "--strategy")).toBeNull();
+	});
+
+	test("stripFlagValues removes values so they are not treated as positional args", () => {
+		const args = stripFlagValues(["codex", "pick", "--strategy", "weekly", "--json"], ["--strategy"]);
+		expect(args).toEqual(["codex", "pick", "--strategy", "--json"]);
+	});
+
+	test("splitShortFlags keeps -h and -v after a tag label as tag edits", () => {
+		const isNamespace = word => ["codex", "claude"].includes(word);
+		expect(splitShortFlags(["codex", "quota", "-h"], isNamespace)).toEqual({ args: ["codex", "quota"], shortFlags: ["-h"] });
+		expect(splitShortFlags(["-v", "codex", "tag", "work"], isNamespace)).toEqual({ args: ["codex", "tag", "work"], shortFlags: ["-v"] });
+		expect(splitShortFlags(["codex", "tag", "-h"], isNamespace)).toEqual({ args: ["codex", "tag"], shortFlags: ["-h"] });
+		expect(splitShortFlags(["claude", "tag", "work", "-v", "+team", "-h"], isNamespace)).toEqual({
+			args: ["claude", "tag", "work", "-v", "+team", "-h"],
+			shortFlags: [],
+		});
+	});
+});
+
+describe("quota windows", () => {
+	test("getCodexWindows normalizes primary/secondary windows to remaining percent", () => {
+		const now = 1_000_000;
+		const windows = getCodexWindows({
+			rate_limit: {
+				primary_window: { used_percent: 25, reset_after_seconds: 60 },
+				secondary_window: { used_percent: 90, reset_at: 2_000 },
+			},
+		}, now);
+		expect(windows["5h"]).toEqual({ remaining: 75, resetsAt: now + 60_000 });
+		expect(windows.weekly).toEqual({ remaining: 10, resetsAt: 2_000_000 });
+	});
+
+	test("getCodexWindows returns no windows for error payloads", () => {
+		expect(getCodexWindows({ error: "HTTP 401" })).toEqual({});
+	});
+
+	test("getClaudeWindows reads utilization windows from OAuth usage", () => {
+		const windows = getClaudeWindows({
+			success: true,
+			usage: {
+				five_hour: { utilization: 40, resets_at: "2026-01-01T00:00:00Z" },
+				seven_day: { utilization: 10, resets_at: null },
+			},
+		});
+		expect(windows["5h"].remaining).toBe(60);
+		expect(windows["5h"].resetsAt).toBe(Date.parse("2026-01-01T00:00:00Z"));
+		expect(windows.weekly).toEqual({ remaining: 90, resetsAt: null });
+	});
+});
+
+describe("rankCandidates", () => {
+	const now = Date.now();
+	const candidates = [
+		{ label: "a", windows: { "5h": { remaining: 90, resetsAt: null }, weekly: { remaining: 20, resetsAt: now + 3600_000 } } },
+		{ label: "b", windows: { "5h": { remaining: 50, resetsAt: null }, weekly: { remaining: 60, resetsAt: now + 86400_000 } } },
+		{ label: "c", windows: { "5h": { remaining: 0, resetsAt: null }, weekly: { remaining: 100, resetsAt: now + 60_000 } } },
+		{ label: "d", windows: {}, error: "HTTP 401" },
+	];
+
+	test("balanced strategy prefers the highest tighter window", () => {
+		const ranked = rankCandidates(candidates, "balanced", now);
+		expect(ranked.map(c => c.label)).toEqual(["b", "a", "c", "d"]);
+		expect(ranked[0].eligible).toBe(true);
+	});
+
+	test("weekly and 5h strategies rank by the chosen window", () => {
+		expect(rankCandidates(candidates, "weekly", now)[0].label).toBe("b");
+		expect(rankCandidates(candidates, "5h", now)[0].label).toBe("a");
+	});
+
+	test("reset strategy prefers the soonest weekly reset among eligible accounts", () => {
+		expect(rankCandidates(candidates, "reset", now)[0].label).toBe("a");
+	});
+
+	test("exhausted and errored accounts are never eligible", () => {
+		const ranked = rankCandidates(candidates, "balanced", now);
+		expect(ranked.find(c => c.label === "c").eligible).toBe(false);
+		expect(ranked.find(c => c.label === "d").eligible).toBe(false);
+	});
+});
+
+describe("handlePick", () => {
+	const testDir = join(tmpdir(), "codex-pick-test-" + Date.now());
+	const testAuthFile = join(testDir, ".codex", "auth.json");
+	let originalEnv;
+	let originalCodexAuthPath;
+	let originalXdgDataHome;
+	let originalCodexAccounts;
+	let originalExit;
+	let originalConsoleLog;
+	let originalConsoleError;
+	let originalFetch;
+	let consoleOutput;
+	let exitCode;
+
+	beforeEach(() => {
+		mkdirSync(testDir, { recursive: true });
+		originalEnv = process.env.CODEX_ACCOUNTS;
+		originalCodexAuthPath = process.env.CODEX_AUTH_PATH;
+		originalXdgDataHome = process.env.XDG_DATA_HOME;
+		originalCodexAccounts = backupFileContents(MULTI_ACCOUNT_PATHS[0]);
+		process.env.CODEX_AUTH_PATH = testAuthFile;
+		process.env.XDG_DATA_HOME = testDir;
+		process.env.CODEX_ACCOUNTS = JSON.stringify([
+			{ label: "pick-low", accountId: "acc_low", access: createMockAccessToken("acc_low", "low@example.com"), refresh: "refresh-low", expires: Date.now() + 3600000 },
+			{ label: "pick-high", accountId: "acc_high", access: createMockAccessToken("acc_high", "high@example.com"), refresh: "refresh-high", expires: Date.now() + 3600000 },
+		]);
+
+		const usageByAccount = {
+			acc_low: { rate_limit: { primary_window: { used_percent: 80 }, secondary_window: { used_percent: 50 } } },
+			acc_high: { rate_limit: { primary_window: { used_percent: 10 }, secondary_window: { used_percent: 30 } } },
+		};
+		originalFetch = globalThis.fetch;
+		globalThis.fetch = async (url, options) => {
+			const payload = usageByAccount[options.headers["chatgpt-account-id"]];
+			return new Response(JSON.stringify(payload), { status: 200 });
+		};
+
+		originalExit = process.exit;
+		exitCode = null;
+		process.exit = (code) => {
+			exitCode = code;
+			throw new Error(`process.exit(${code})`);
+		};
+		originalConsoleLog = console.log;
+		originalConsoleError = console.error;
+		consoleOutput = { log: [], error: [] };
+		console.log = (...args) => consoleOutput.log.push(args.join(" "));
+		console.error = (...args) => consoleOutput.error.push(args.join(" "));
+	});
+
+	afterEach(() => {
+		process.exit = originalExit;
+		console.log = originalConsoleLog;
+		console.error = originalConsoleError;
+		globalThis.fetch = originalFetch;
+		if (originalEnv === undefined) {
+			delete process.env.CODEX_ACCOUNTS;
+		} else {
+			process.env.CODEX_ACCOUNTS = originalEnv;
+		}
+		if (originalCodexAuthPath === undefined) {
+			delete process.env.CODEX_AUTH_PATH;
+		} else {
+			process.env.CODEX_AUTH_PATH = originalCodexAuthPath;
+		}
+		if (originalXdgDataHome === undefined) {
+			delete process.env.XDG_DATA_HOME;
+		} else {
+			process.env.XDG_DATA_HOME = originalXdgDataHome;
+		}
+		restoreFileContents(MULTI_ACCOUNT_PATHS[0], originalCodexAccounts);
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("--dry-run reports the best account without writing auth files", async () => {
+		await handlePick([], { json: true, dryRun: true, local: true });
+		const output = JSON.parse(consoleOutput.log.find(entry => entry.startsWith("{")));
+		expect(output.success).toBe(true);
+		expect(output.strategy).toBe("balanced");
+		expect(output.selected).toBe("pick-high");
+		expect(output.candidates.map(c => c.label)).toEqual(["pick-high", "pick-low"]);
+		expect(existsSync(testAuthFile)).toBe(false);
+	});
+
+	test("switches Codex CLI auth to the picked account", async () => {
+		await handlePick([], { json: true, local: true, strategy: "5h" });
+		const output = JSON.parse(consoleOutput.log.find(entry => entry.startsWith("{")));
+		expect(output.selected).toBe("pick-high");
+		expect(output.switch.authPath).toBe(testAuthFile);
+		const auth = JSON.parse(readFileSync(testAuthFile, "utf-8"));
+		expect(auth.tokens.account_id).toBe("acc_high");
+		expect(auth.codex_quota_label).toBe("pick-high");
+	});
+
+	test("rejects unknown strategies", async () => {
+		try {
+			await handlePick([], { json: false, strategy: "random", local: true });
+		} catch (e) {
+			expect(e.message).toContain("process.exit(1)");
+		}
+		expect(exitCode).toBe(1);
+		expect(consoleOutput.error.join("\n")).toContain("Unknown strategy");
+	});
+});
+
+describe("watch mode helpers", () => {
+	test("parseDuration accepts unit suffixes and bare seconds", () => {
+		expect(parseDuration("60s")).toBe(60_000);
+		expect(parseDuration("5m")).toBe(300_000);
+		expect(parseDuration("1h")).toBe(3_600_000);
+		expect(parseDuration("90")).toBe(90_000);
+		expect(parseDuration("soon")).toBeNull();
+		expect(parseDuration(null)).toBeNull();
+	});
+
+	test("isRateLimitError matches Codex and Claude 429 errors only", () => {
+		expect(isRateLimitError("HTTP 429")).toBe(true);
+		expect(isRateLimitError("HTTP 429: Too Many Requests")).toBe(true);
+		expect(isRateLimitError("HTTP 4290")).toBe(false);
+		expect(isRateLimitError("HTTP 401")).toBe(false);
+		expect(isRateLimitError(undefined)).toBe(false);
+	});
+
+	test("getWatchDelay doubles per consecutive 429 and caps at 15 minutes", () => {
+		expect(getWatchDelay(60_000, 0)).toBe(60_000);
+		expect(getWatchDelay(60_000, 1)).toBe(120_000);
+		expect(getWatchDelay(60_000, 3)).toBe(480_000);
+		expect(getWatchDelay(60_000, 10)).toBe(15 * 60_000);
+	});
+
+	test("ageCodexUsagePayload counts reset timers down without mutating the payload", () => {
+		const payload = {
+			rate_limit: {
+				primary_window: { used_percent: 10, reset_after_seconds: 600 },
+				secondary_window: { used_percent: 20, reset_after_seconds: 30 },
+			},
+		};
+		const aged = ageCodexUsagePayload(payload, 60);
+		expect(aged.rate_limit.primary_window.reset_after_seconds).toBe(540);
+		expect(aged.rate_limit.secondary_window.reset_after_seconds).toBe(1);
+		expect(payload.rate_limit.primary_window.reset_after_seconds).toBe(600);
+	});
+});
+
+describe("usage history", () => {
+	const historyPath = join(tmpdir(), "codex-quota-history-" + Date.now(), "history.jsonl");
+
+	afterEach(() => {
+		rmSync(dirname(historyPath), { recursive: true, force: true });
+	});
+
+	test("buildHistoryRecords writes one record per label and window", () => {
+		const now = Date.parse("2026-01-01T00:00:00Z");
+		const records = buildHistoryRecords({
+			results: [
+				{ account: { label: "work" }, usage: { rate_limit: { primary_window: { used_percent: 30 }, secondary_window: { used_percent: 60 } } } },
+				{ account: { label: "broken" }, usage: { error: "HTTP 401" } },
+			],
+			claudeResults: [
+				{ success: true, label: "claude-work", usage: { five_hour: { utilization: 25 } } },
+			],
+		}, now);
+		expect(records).toEqual([
+			{ ts: "2026-01-01T00:00:00.000Z", provider: "codex", label: "work", window: "5h", remaining: 70, resetsAt: null },
+			{ ts: "2026-01-01T00:00:00.000Z", provider: "codex", label: "work", window: "weekly", remaining: 40, resetsAt: null },
+			{ ts: "2026-01-01T00:00:00.000Z", provider: "claude", label: "claude-work", window: "5h", remaining: 75, resetsAt: null },
+		]);
+	});
+
+	test("buildHistoryRecords skips results served from the usage cache", () => {
+		const usage = { rate_limit: { primary_window: { used_percent: 30 } } };
+		const records = buildHistoryRecords({
+			results: [
+				{ account: { label: "cached" }, usage, cache: { fetchedAt: "2026-01-01T00:00:00.000Z", ageSeconds: 30, stale: false } },
+				{ account: { label: "stale" }, usage, cache: { fetchedAt: "2026-01-01T00:00:00.000Z", ageSeconds: 7200, stale: true, error: "HTTP 500" } },
+				{ account: { label: "fresh" }, usage, cache: null },
+			],
+			claudeResults: [
+				{ success: true, label: "claude-cached", usage: { five_hour: { utilization: 25 } }, cache: { stale: false } },
+			],
+		});
+		expect(records.map(record => record.label)).toEqual(["fresh"]);
+	});
+
+	test("appendHistory and readHistoryRecords round-trip and skip corrupt lines", () => {
+		const record = { ts: new Date().toISOString(), provider: "codex", label: "work", window: "5h", remaining: 50, resetsAt: null };
+		expect(appendHistory([record], { path: historyPath }).appended).toBe(1);
+		writeFileSync(historyPath, readFileSync(historyPath, "utf-8") + "{not json\n");
+		appendHistory([{ ...record, remaining: 40 }], { path: historyPath });
+		const records = readHistoryRecords(historyPath);
+		expect(records.map(r => r.remaining)).toEqual([50, 40]);
+		expect(lstatSync(historyPath).mode & 0o777).toBe(0o600);
+	});
+
+	test("summarizeHistory computes burn rate and lowest point per reset period", () => {
+		const sample = (hour, remaining, resetsAt) => ({
+			ts: new Date(Date.UTC(2026, 0, 1, hour)).toISOString(),
+			provider: "codex",
+			label: "work",
+			window: "5h",
+			remaining,
+			resetsAt,
+		});
+		const [summary] = summarizeHistory([
+			sample(0, 100, "2026-01-01T05:00:00.000Z"),
+			sample(1, 80, "2026-01-01T05:00:00.000Z"),
+			sample(2, 60, "2026-01-01T05:00:00.000Z"),
+			// Reset: quota restored and a new resetsAt
+			sample(5, 100, "2026-01-01T10:00:00.000Z"),
+			sample(7, 90, "2026-01-01T10:00:00.000Z"),
+		]);
+		expect(summary.periods.length).toBe(2);
+		expect(summary.periods[0].lowestRemaining).toBe(60);
+		expect(summary.periods[1].lowestRemaining).toBe(90);
+		// 50% consumed over 4 hours inside reset periods
+		expect(summary.burnRatePerHour).toBe(12.5);
+		expect(summary.last.remaining).toBe(90);
+	});
+});
+
+describe("exhaustion projections", () => {
+	const now = Date.now();
+	const sample = (minutesAgo, remaining, resetsAt) => ({
+		ts: new Date(now - minutesAgo * 60_000).toISOString(),
+		provider: "codex",
+		label: "work",
+		window: "5h",
+		remaining,
+		resetsAt: new Date(resetsAt).toISOString(),
+	});
+
+	test("projects run-out time from consumption since the last reset", () => {
+		const resetsAt = now + 4 * 3600_000;
+		// 20% used over the last hour -> 40% left lasts two more hours
+		const projection = projectWindowExhaustion([
+			sample(60, 60, resetsAt),
+			sample(30, 50, resetsAt),
+			sample(0, 40, resetsAt),
+		], now);
+		expect(projection.burnRatePerHour).toBe(20);
+		expect(Math.abs(Date.parse(projection.runsOutAt) - (now + 2 * 3600_000))).toBeLessThan(1000);
+		expect(projection.beforeReset).toBe(true);
+		expect(projection.severity).toBe("warning");
+	});
+
+	test("flags projections within the hour as critical and ignores usage before a reset", () => {
+		const oldReset = now - 30 * 60_000;
+		const resetsAt = now + 5 * 3600_000;
+		const projection = projectWindowExhaustion([
+			sample(120, 90, oldReset),
+			sample(60, 10, oldReset),
+			sample(20, 30, resetsAt),
+			sample(0, 10, resetsAt),
+		], now);
+		// Only the 20% used in the last 20 minutes counts
+		expect(projection.burnRatePerHour).toBe(60);
+		expect(projection.severity).toBe("critical");
+	});
+
+	test("returns null without consumption or enough samples", () => {
+		const resetsAt = now + 3600_000;
+		expect(projectWindowExhaustion([sample(0, 50, resetsAt)], now)).toBeNull();
+		expect(projectWindowExhaustion([sample(60, 50, resetsAt), sample(0, 50, resetsAt)], now)).toBeNull();
+	});
+
+	test("buildProjections keys projections by provider and label", () => {
+		const resetsAt = now + 10 * 3600_000;
+		const projections = buildProjections([sample(60, 80, resetsAt), sample(0, 70, resetsAt)], now);
+		expect(projections["codex:work"]["5h"].beforeReset).toBe(true);
+	});
+
+	test("usage box shows a projection line under the window", () => {
+		setNoColorFlag(true);
+		const runsOutAt = new Date(now + 90 * 60_000);
+		const lines = buildAccountUsageLines(
+			{ label: "work", access: MOCK_ACCESS_TOKEN },
+			{ rate_limit: { primary_window: { used_percent: 50, reset_after_seconds: 3 * 3600 } } },
+			{ projections: { "5h": { runsOutAt: runsOutAt.toISOString(), resetsAt: new Date(now + 3 * 3600_000).toISOString(), beforeReset: true, severity: "warning" } } },
+		);
+		const index = lines.findIndex(line => line.startsWith("5h limit:"));
+		expect(lines[index + 1]).toContain("Runs out at");
+		expect(lines[index + 1]).toContain("before reset");
+		expect(formatProjectionLine(null)).toBeNull();
+		setNoColorFlag(false);
+	});
+});
+
+describe("threshold alerts", () => {
+	const testDir = join(tmpdir(), "codex-alert-test-" + Date.now());
+	const data = {
+		results: [
+			{ account: { label: "low" }, usage: { rate_limit: { primary_window: { used_percent: 85, reset_after_seconds: 600 }, secondary_window: { used_percent: 40 } } } },
+			{ account: { label: "broken" }, usage: { error: "HTTP 500" } },
+		],
+		claudeResults: [
+			{ success: true, label: "claude-work", usage: { five_hour: { utilization: 30 }, seven_day: { utilization: 95 } } },
+		],
+	};
+
+	afterEach(() => {
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("parseThreshold accepts percentages with or without %", () => {
+		expect(parseThreshold("20%")).toBe(20);
+		expect(parseThreshold("12.5")).toBe(12.5);
+		expect(parseThreshold("120%")).toBeNull();
+		expect(parseThreshold("-5")).toBeNull();
+		expect(parseThreshold("abc")).toBeNull();
+		expect(parseThreshold(null)).toBeNull();
+	});
+
+	test("findAlerts reports each window below the threshold per account", () => {
+		const alerts = findAlerts(data, 20);
+		expect(alerts.map(alert => `${alert.provider}:${alert.label}:${alert.window}`)).toEqual([
+			"codex:low:5h",
+			"claude:claude-work:weekly",
+		]);
+		expect(alerts[0].remaining).toBe(15);
+		expect(alerts[0].resetsAt).not.toBeNull();
+	});
+
+	test("findAlerts filters by label and window", () => {
+		expect(findAlerts(data, 20, { label: "claude-work" }).map(alert => alert.window)).toEqual(["weekly"]);
+		expect(findAlerts(data, 20, { windows: ["weekly"] }).map(alert => alert.label)).toEqual(["claude-work"]);
+		expect(findAlerts(data, 5)).toEqual([]);
+	});
+
+	test("command notifier receives the JSON payload on stdin", async () => {
+		mkdirSync(testDir, { recursive: true });
+		const outFile = join(testDir, "payload.json");
+		const payload = buildAlertPayload(findAlerts(data, 20), 20);
+		const notified = await sendAlertNotifications(payload, ["command"], { command: `cat > "${outFile}"` });
+		expect(notified).toEqual([{ notifier: "command", ok: true }]);
+		const received = JSON.parse(readFileSync(outFile, "utf-8"));
+		expect(received.event).toBe("codex-quota.alert");
+		expect(received.threshold).toBe(20);
+		expect(received.alerts).toHaveLength(2);
+	});
+
+	test("webhook notifier POSTs the payload and reports HTTP failures", async () => {
+		const originalFetch = globalThis.fetch;
+		const requests = [];
+		let status = 204;
+		globalThis.fetch = async (url, options) => {
+			requests.push({ url, options });
+			return new Response(null, { status });
+		};
+		try {
+			const payload = buildAlertPayload(findAlerts(data, 20), 20);
+			const ok = await sendAlertNotifications(payload, ["webhook"], { webhookUrl: "https://hooks.example.com/quota" });
+			expect(ok).toEqual([{ notifier: "webhook", ok: true }]);
+			expect(requests[0].url).toBe("https://hooks.example.com/quota");
+			expect(requests[0].options.method).toBe("POST");
+			expect(JSON.parse(requests[0].options.body).alerts).toHaveLength(2);
+
+			status = 500;
+			const failed = await sendAlertNotifications(payload, ["webhook"], { webhookUrl: "https://hooks.example.com/quota" });
+			expect(failed[0]).toEqual({ notifier: "webhook", ok: false, error: "HTTP 500" });
+		} finally {
+			globalThis.fetch = originalFetch;
+		}
+	});
+
+	test("stale cached usage is reported as unchecked instead of alerting", async () => {
+		const savedEnv = { CODEX_ACCOUNTS: process.env.CODEX_ACCOUNTS, CLAUDE_ACCOUNTS: process.env.CLAUDE_ACCOUNTS };
+		const originalFetch = globalThis.fetch;
+		const originalExit = process.exit;
+		const originalConsoleLog = console.log;
+		const output = [];
+		const hourAgo = Date.now() - 3600_000;
+		process.env.CODEX_ACCOUNTS = JSON.stringify([
+			{ label: "stale-codex", accountId: "acc_stale", access: createMockAccessToken("acc_stale"), refresh: "refresh-stale", expires: Date.now() + 3600_000 },
+		]);
+		process.env.CLAUDE_ACCOUNTS = JSON.stringify([
+			{ label: "stale-claude", oauthToken: "sk-ant-oat-stale", oauthRefreshToken: "sk-ant-ort-stale", oauthExpiresAt: Date.now() + 3600_000 },
+		]);
+		writeUsageCacheEntry("codex:stale-codex", { rate_limit: { primary_window: { used_percent: 95 } } }, { now: hourAgo });
+		writeUsageCacheEntry("claude:stale-claude", { success: true, label: "stale-claude", usage: { five_hour: { utilization: 95 } } }, { now: hourAgo });
+		globalThis.fetch = async () => new Response("down", { status: 500 });
+		process.exit = (code) => {
+			throw new Error(`process.exit(${code})`);
+		};
+		console.log = (...args) => output.push(args.join(" "));
+		try {
+			await expect(handleAlert([], { json: true, local: true, below: "20%" })).rejects.toThrow("process.exit(1)");
+			const result = JSON.parse(output[0]);
+			expect(result.error).toBe("No quota windows could be checked");
+			expect(result.errors.filter(error => error.stale).map(error => `${error.provider}:${error.label}`)).toEqual([
+				"codex:stale-codex",
+				"claude:stale-claude",
+			]);
+		} finally {
+			globalThis.fetch = originalFetch;
+			process.exit = originalExit;
+			console.log = originalConsoleLog;
+			invalidateUsageCache("codex", "stale-codex");
+			invalidateUsageCache("claude", "stale-claude");
+			for (const [name, value] of Object.entries(savedEnv)) {
+				if (value === undefined) {
+					delete process.env[name];
+				} else {
+					process.env[name] = value;
+				}
+			}
+		}
+	});
+});
+
+describe("metrics exporter", () => {
+	const now = Date.parse("2026-01-15T12:00:00Z");
+	const data = {
+		results: [
+			{
+				account: { label: "work", expires: now + 3600_000 },
+				usage: { rate_limit: { primary_window: { used_percent: 28, reset_after_seconds: 1800 }, secondary_window: { used_percent: 60 } } },
+			},
+			{ account: { label: "broken", expires: now - 60_000 }, usage: { error: "HTTP 401" } },
+		],
+		claudeResults: [
+			{ success: true, label: "personal \"home\"", expiresAt: now + 7200_000, usage: { five_hour: { utilization: 9 } } },
+		],
+	};
+
+	test("renders gauges per provider, label, and window", () => {
+		const text = buildMetricsText(data, now);
+		expect(text).toContain("# TYPE codex_quota_remaining_percent gauge");
+		expect(text).toContain('codex_quota_remaining_percent{provider="codex",label="work",window="5h"} 72');
+		expect(text).toContain('codex_quota_remaining_percent{provider="codex",label="work",window="weekly"} 40');
+		expect(text).toContain('codex_quota_reset_seconds{provider="codex",label="work",window="5h"} 1800');
+		expect(text).toContain('codex_quota_token_expires_seconds{provider="codex",label="work"} 3600');
+		expect(text).toContain('codex_quota_token_expires_seconds{provider="codex",label="broken"} -60');
+		expect(text).toContain('codex_quota_up{provider="codex",label="broken"} 0');
+		expect(text).toContain('codex_quota_remaining_percent{provider="claude",label="personal \\"home\\"",window="5h"} 91');
+		expect(text.endsWith("\n")).toBe(true);
+	});
+
+	test("cached collector reuses results within the TTL and falls back on failure", async () => {
+		let calls = 0;
+		let fail = false;
+		const getMetrics = createCachedCollector(async () => {
+			calls++;
+			if (fail) throw new Error("network down");
+			return `value ${calls}\n`;
+		}, 0);
+		expect(await getMetrics()).toBe("value 1\n");
+		fail = true;
+		// TTL 0 forces a refresh; the failure keeps serving the last good result
+		expect(await getMetrics()).toBe("value 1\n");
+		expect(calls).toBe(2);
+
+		let slowCalls = 0;
+		const cached = createCachedCollector(async () => {
+			slowCalls++;
+			return "ok\n";
+		}, 60_000);
+		await Promise.all([cached(), cached(), cached()]);
+		await cached();
+		expect(slowCalls).toBe(1);
+	});
+
+	test("serves metrics over HTTP", async () => {
+		const server = createMetricsServer(async () => buildMetricsText(data, now));
+		await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+		try {
+			const { port } = server.address();
+			const res = await fetch(`http://127.0.0.1:${port}/metrics`);
+			expect(res.status).toBe(200);
+			expect(res.headers.get("content-type")).toContain("text/plain; version=0.0.4");
+			expect(await res.text()).toContain("codex_quota_up");
+			const missing = await fetch(`http://127.0.0.1:${port}/nope`);
+			expect(missing.status).toBe(404);
+		} finally {
+			await new Promise(resolve => server.close(resolve));
+		}
+	});
+});
+
+describe("statusline", () => {
+	const testDir = join(tmpdir(), "codex-statusline-test-" + Date.now());
+	const cachePath = join(testDir, "statusline.json");
+	let originalEnv;
+	let originalCodexAccounts;
+	let originalFetch;
+	let originalConsoleLog;
+	let consoleOutput;
+	let fetchCount;
+
+	beforeEach(() => {
+		mkdirSync(testDir, { recursive: true });
+		originalEnv = process.env.CODEX_ACCOUNTS;
+		originalCodexAccounts = backupFileContents(MULTI_ACCOUNT_PATHS[0]);
+		process.env.CODEX_ACCOUNTS = JSON.stringify([
+			{ label: "status-work", accountId: "acc_status", access: createMockAccessToken("acc_status", "status@example.com"), refresh: "refresh-status", expires: Date.now() + 3600000 },
+		]);
+		fetchCount = 0;
+		originalFetch = globalThis.fetch;
+		globalThis.fetch = async () => {
+			fetchCount++;
+			return new Response(JSON.stringify({ rate_limit: { primary_window: { used_percent: 28 }, secondary_window: { used_percent: 60 } } }), { status: 200 });
+		};
+		originalConsoleLog = console.log;
+		consoleOutput = [];
+		console.log = (...args) => consoleOutput.push(args.join(" "));
+	});
+
+	afterEach(() => {
+		console.log = originalConsoleLog;
+		globalThis.fetch = originalFetch;
+		if (originalEnv === undefined) {
+			delete process.env.CODEX_ACCOUNTS;
+		} else {
+			process.env.CODEX_ACCOUNTS = originalEnv;
+		}
+		restoreFileContents(MULTI_ACCOUNT_PATHS[0], originalCodexAccounts);
+		rmSync(testDir, { recursive: true, force: true });
+		invalidateUsageCache("codex", "status-work");
+	});
+
+	test("formats providers, windows, and errors on one line", () => {
+		expect(formatStatusline([
+			{ provider: "codex", label: "work", windows: { "5h": { remaining: 72.4 }, weekly: { remaining: 40 } } },
+			{ provider: "claude", label: "personal", windows: { "5h": { remaining: 91 }, "opus-weekly": { remaining: 10 } } },
+			{ provider: "claude", label: "broken", error: "HTTP 401" },
+			{ provider: "codex", label: "old", windows: { "5h": { remaining: 5 } }, cache: { stale: true } },
+		])).toBe("codex:work 5h 72% wk 40% | claude:personal 5h 91% | claude:broken ! | codex:old 5h 5% (stale)");
+		expect(formatStatusline([])).toBe("");
+	});
+
+	test("fetches only with --refresh and otherwise reads the cache", async () => {
+		await handleStatus([], { json: false, local: true }, "codex");
+		expect(consoleOutput).toEqual([]);
+		await handleStatus([], { json: false, local: true, refresh: true }, "codex");
+		expect(consoleOutput).toEqual(["codex:status-work 5h 72% wk 40%"]);
+		await handleStatus([], { json: true, local: true }, "codex");
+		const output = JSON.parse(consoleOutput[1]);
+		expect(output.entries[0].cache.stale).toBe(false);
+		expect(output.line).toBe("codex:status-work 5h 72% wk 40%");
+		expect(fetchCount).toBe(1);
+	});
+
+	test("shows expired cache entries as stale without fetching", async () => {
+		const payload = { rate_limit: { primary_window: { used_percent: 28 }, secondary_window: { used_percent: 60 } } };
+		writeUsageCacheEntry("codex:status-work", payload, { now: Date.now() - 10 * 60_000 });
+		await handleStatus([], { json: false, local: true }, "codex");
+		expect(consoleOutput).toEqual(["codex:status-work 5h 72% wk 40% (stale)"]);
+		expect(fetchCount).toBe(0);
+	});
+});
+
+describe("usage cache", () => {
+	const testDir = join(tmpdir(), "codex-cache-test-" + Date.now());
+	const cachePath = join(testDir, "cache.json");
+	let originalPolicy;
+
+	beforeEach(() => {
+		originalPolicy = getUsageCachePolicy();
+		setUsageCachePolicy({ enabled: true, maxAgeMs: 60_000 });
+	});
+
+	afterEach(() => {
+		setUsageCachePolicy(originalPolicy);
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	const getError = value => value?.error ?? null;
+
+	test("reuses fresh entries per account and refetches once they expire", async () => {
+		let calls = 0;
+		const fetcher = async () => ({ value: ++calls });
+		let now = 1_000_000;
+		const options = { path: cachePath, now: () => now };
+
+		expect(await fetchWithUsageCache("codex:a", fetcher, getError, options)).toEqual({ value: { value: 1 }, cache: null });
+		now += 30_000;
+		const hit = await fetchWithUsageCache("codex:a", fetcher, getError, options);
+		expect(hit.value).toEqual({ value: 1 });
+		expect(hit.cache).toEqual({ fetchedAt: new Date(1_000_000).toISOString(), ageSeconds: 30, stale: false });
+		// Other accounts have their own entry
+		expect((await fetchWithUsageCache("codex:b", fetcher, getError, options)).value).toEqual({ value: 2 });
+		now += 31_000;
+		expect((await fetchWithUsageCache("codex:a", fetcher, getError, options)).value).toEqual({ value: 3 });
+	});
+
+	test("falls back to the last known value when a fetch fails", async () => {
+		let now = 1_000_000;
+		const options = { path: cachePath, now: () => now };
+		await fetchWithUsageCache("claude:a", async () => ({ value: 1 }), getError, options);
+		now += 10 * 60_000;
+		const result = await fetchWithUsageCache("claude:a", async () => ({ error: "HTTP 503" }), getError, options);
+		expect(result.value).toEqual({ value: 1 });
+		expect(result.cache).toEqual({ fetchedAt: new Date(1_000_000).toISOString(), ageSeconds: 600, stale: true, error: "HTTP 503" });
+	});
+
+	test("--no-cache and --max-age 0 skip fresh entries", async () => {
+		let calls = 0;
+		const fetcher = async () => ({ value: ++calls });
+		const options = { path: cachePath };
+		await fetchWithUsageCache("codex:a", fetcher, getError, options);
+		setUsageCachePolicy({ maxAgeMs: 0 });
+		expect((await fetchWithUsageCache("codex:a", fetcher, getError, options)).value).toEqual({ value: 2 });
+		setUsageCachePolicy({ enabled: false, maxAgeMs: 60_000 });
+		const failed = await fetchWithUsageCache("codex:a", async () => ({ error: "down" }), getError, options);
+		expect(failed).toEqual({ value: { error: "down" }, cache: null });
+	});
+
+	test("invalidation removes only the account's entry", () => {
+		writeUsageCacheEntry("codex:work", { ok: true }, { path: cachePath });
+		writeUsageCacheEntry("claude:work", { ok: true }, { path: cachePath });
+		expect(invalidateUsageCache("codex", "work", { path: cachePath })).toBe(true);
+		expect(invalidateUsageCache("codex", "work", { path: cachePath })).toBe(false);
+		expect(readUsageCacheEntry("codex:work", { path: cachePath })).toBeNull();
+		expect(readUsageCacheEntry("claude:work", { path: cachePath }).data).toEqual({ ok: true });
+	});
+
+	test("updates wait on the cache lock and skip writes while another process holds it", () => {
+		writeUsageCacheEntry("codex:work", { ok: true }, { path: cachePath });
+		const lockPath = getLockPath(cachePath);
+		writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, hostname: hostname(), acquiredAt: Date.now(), token: "live" }));
+		try {
+			writeUsageCacheEntry("claude:work", { ok: true }, { path: cachePath });
+			expect(readUsageCacheEntry("claude:work", { path: cachePath })).toBeNull();
+			// Invalidation still removes the entry so a removed account is never served from the cache
+			expect(invalidateUsageCache("codex", "work", { path: cachePath })).toBe(true);
+			expect(readLockOwner(lockPath).token).toBe("live");
+		} finally {
+			rmSync(lockPath, { force: true });
+		}
+		writeUsageCacheEntry("claude:work", { ok: true }, { path: cachePath });
+		expect(existsSync(lockPath)).toBe(false);
+		expect(readUsageCacheEntry("claude:work", { path: cachePath }).data).toEqual({ ok: true });
+	});
+});
+
+describe("fetch pool", () => {
+	afterEach(() => {
+		setConcurrencyLimit(DEFAULT_CONCURRENCY);
+	});
+
+	test("keeps item order and never exceeds the limit across callers", async () => {
+		setConcurrencyLimit(2);
+		let active = 0;
+		let maxActive = 0;
+		const worker = async (value) => {
+			active++;
+			maxActive = Math.max(maxActive, active);
+			await new Promise(resolve => setTimeout(resolve, (5 - value) * 3));
+			active--;
+			return value * 10;
+		};
+		const [first, second] = await Promise.all([
+			mapInPool([1, 2, 3, 4], worker),
+			mapInPool([5, 0], worker),
+		]);
+		expect(first).toEqual([10, 20, 30, 40]);
+		expect(second).toEqual([50, 0]);
+		expect(maxActive).toBe(2);
+	});
+
+	test("frees the slot when a task fails", async () => {
+		setConcurrencyLimit(1);
+		await expect(runInPool(async () => { throw new Error("boom"); })).rejects.toThrow("boom");
+		expect(await runInPool(async () => "ok")).toBe("ok");
+	});
+
+	test("parses --concurrency values", () => {
+		expect(parseConcurrency("8")).toBe(8);
+		expect(parseConcurrency("0")).toBeNull();
+		expect(parseConcurrency("2.5")).toBeNull();
+		expect(parseConcurrency("many")).toBeNull();
+	});
+
+	test("shares tasks by key and forgets failures", async () => {
+		const share = createSharedTasks();
+		let runs = 0;
+		const work = async () => ++runs;
+		expect(await Promise.all([share("a", work), share("a", work)])).toEqual([1, 1]);
+		expect(await share("a", work)).toBe(1);
+		expect(await share("failed", async () => null)).toBeNull();
+		expect(await share("failed", work)).toBe(2);
+	});
+});
+
+describe("output formats", () => {
+	const columns = [["Label", "label"], ["Email", "email"], ["5h %", "windows.5h.remaining"]];
+	const rows = [
+		{ label: "work", email: "work@example.com", windows: { "5h": { remaining: 72 } } },
+		{ label: "a,b \"c\"", email: null, windows: {} },
+	];
+
+	test("csv quotes fields with commas and quotes", () => {
+		expect(formatRows("csv", columns, rows)).toBe(
+			"Label,Email,5h %\nwork,work@example.com,72\n\"a,b \"\"c\"\"\",,"
+		);
+	});
+
+	test("tsv, markdown, and table layouts", () => {
+		expect(formatRows("tsv", columns, [{ label: "x\ty", email: "e", windows: {} }])).toBe("Label\tEmail\t5h %\nx y\te\t");
+		expect(formatRows("markdown", columns, [{ label: "a|b", email: "e", windows: { "5h": { remaining: 1 } } }])).toBe(
+			"| Label | Email | 5h % |\n| --- | --- | --- |\n| a\\|b | e | 1 |"
+		);
+		expect(formatRows("table", columns, rows.slice(0, 1)).split("\n")).toEqual([
+			"Label  Email             5h %",
+			"-----  ----------------  ----",
+			"work   work@example.com  72",
+		]);
+	});
+
+	test("templates resolve nested paths and escapes", () => {
+		expect(renderTemplate("{{label}}\\t{{windows.5h.remaining}}%{{missing.path}}", rows[0])).toBe("work\t72%");
+		expect(formatRows("template", columns, rows, { template: "{{ label }}" })).toBe("work\na,b \"c\"");
+	});
+
+	test("codex list prints rows in the requested format", async () => {
+		const originalEnv = process.env.CODEX_ACCOUNTS;
+		const originalConsoleLog = console.log;
+		const output = [];
+		process.env.CODEX_ACCOUNTS = JSON.stringify([
+			{ label: "fmt-work", accountId: "acc_fmt", access: createMockAccessToken("acc_fmt", "fmt@example.com"), refresh: "refresh-fmt", expires: Date.UTC(2030, 0, 1) },
+		]);
+		console.log = (...args) => output.push(args.join(" "));
+		try {
+			await handleList({ json: false, local: true, format: "csv" });
+		} finally {
+			console.log = originalConsoleLog;
+			if (originalEnv === undefined) {
+				delete process.env.CODEX_ACCOUNTS;
+			} else {
+				process.env.CODEX_ACCOUNTS = originalEnv;
+			}
+		}
+		const lines = output.join("\n").split("\n");
+		expect(lines[0]).toBe("Label,Email,Plan,Active,Expires,Expiry,Source");
+		expect(lines.find(line => line.startsWith("fmt-work,"))).toContain("fmt@example.com");
+		expect(lines.find(line => line.startsWith("fmt-work,"))).toContain("2030-01-01T00:00:00.000Z");
+	});
+
+	test("quota --watch rejects an explicit --format or --template", async () => {
+		const originalExit = process.exit;
+		const originalConsoleLog = console.log;
+		const output = [];
+		process.exit = (code) => {
+			throw new Error(`process.exit(${code})`);
+		};
+		console.log = (...args) => output.push(args.join(" "));
+		try {
+			await expect(handleQuota([], { json: true, watch: true, format: "table" }, "codex")).rejects.toThrow("process.exit(1)");
+			await expect(handleQuota([], { json: true, watch: true, template: "{{label}}" }, "codex")).rejects.toThrow("process.exit(1)");
+		} finally {
+			process.exit = originalExit;
+			console.log = originalConsoleLog;
+		}
+		expect(output.map(line => JSON.parse(line).error)).toEqual([
+			"--watch cannot be combined with --format or --template. Use --watch --json for one JSON line per refresh.",
+			"--watch cannot be combined with --format or --template. Use --watch --json for one JSON line per refresh.",
+		]);
+	});
+});
+
+describe("providers", () => {
+	const fakeProvider = {
+		name: "test-gemini",
+		title: "Gemini",
+		description: "Manage Gemini CLI accounts",
+		loadAccounts: () => [
+			{ label: "gem-ok", email: "gem@example.com", source: "test" },
+			{ label: "gem-expired", source: "test" },
+		],
+		refreshToken: async account => account.label !== "gem-expired",
+		fetchUsage: async () => ({ used: { daily: 25 } }),
+		getWindows: usage => ({ daily: { remaining: 100 - usage.used.daily, resetsAt: Date.UTC(2030, 0, 1) } }),
+		getHarnessTargets: () => [],
+	};
+
+	afterEach(() => {
+		unregisterProvider("test-gemini");
+	});
+
+	test("registers Codex and Claude as built-in namespaces", () => {
+		expect(getProviders().map(provider => provider.name)).toEqual(["codex", "claude"]);
+		expect(getProvider("codex")).toBe(codexProvider);
+		expect(getProvider("history")).toBeNull();
+		expect(codexProvider.getHarnessTargets().map(target => target.name)).toEqual(["codex-cli", "opencode", "pi"]);
+		expect(getProvider("claude").getHarnessTargets()[0].name).toBe("claude-code");
+		expect(codexProvider.getWindows({ rate_limit: { primary_window: { used_percent: 30 } } })["5h"].remaining).toBe(70);
+	});
+
+	test("rejects incomplete, duplicate, and reserved providers", () => {
+		expect(() => registerProvider({ ...fakeProvider, fetchUsage: undefined })).toThrow("missing fetchUsage");
+		expect(() => registerProvider({ ...fakeProvider, name: "codex" })).toThrow("already in use");
+		expect(() => registerProvider({ ...fakeProvider, name: "config" })).toThrow("already in use");
+		expect(() => registerProvider({ ...fakeProvider, name: "Bad Name" })).toThrow("Invalid provider name");
+		registerProvider(fakeProvider);
+		expect(getProvider("test-gemini")).toBe(fakeProvider);
+	});
+
+	test("namespaces without a command handler get quota and list", async () => {
+		const originalConsoleLog = console.log;
+		const output = [];
+		console.log = (...args) => output.push(args.join(" "));
+		try {
+			await handleProviderCommand(fakeProvider, ["quota"], { json: true, maxAge: null });
+			await handleProviderCommand(fakeProvider, ["list"], { json: false, format: "csv" });
+		} finally {
+			console.log = originalConsoleLog;
+		}
+		const quota = JSON.parse(output[0]);
+		expect(quota.success).toBe(true);
+		expect(quota.accounts[0]).toMatchObject({
+			provider: "test-gemini",
+			label: "gem-ok",
+			windows: { daily: { remaining: 75, resetsAt: "2030-01-01T00:00:00Z" } },
+			status: "ok",
+		});
+		expect(quota.accounts[1]).toMatchObject({ label: "gem-expired", windows: {}, error: "Token refresh failed - re-auth required" });
+		expect(output[1].split("\n")).toEqual([
+			"Label,Email,Plan,Source",
+			"gem-ok,gem@example.com,,test",
+			"gem-expired,,,test",
+		]);
+	});
+
+	test("registered providers feed alerts, metrics, history, and doctor", () => {
+		const results = [
+			{ account: { label: "gem-ok" }, usage: { used: { daily: 95 } }, error: null },
+			{ account: { label: "gem-expired" }, usage: { error: "HTTP 401" }, error: "HTTP 401" },
+		];
+		const data = { results: [], claudeResults: [], providerResults: [{ provider: fakeProvider, results }] };
+		expect(findAlerts(data, 10)).toEqual([
+			{ provider: "test-gemini", label: "gem-ok", window: "daily", remaining: 5, resetsAt: "2030-01-01T00:00:00.000Z" },
+		]);
+		const metrics = buildMetricsText(data, Date.UTC(2029, 11, 31, 23));
+		expect(metrics).toContain('codex_quota_remaining_percent{provider="test-gemini",label="gem-ok",window="daily"} 5');
+		expect(metrics).toContain('codex_quota_up{provider="test-gemini",label="gem-expired"} 0');
+		expect(buildHistoryRecords(data).map(record => `${record.provider}:${record.label}`)).toEqual(["test-gemini:gem-ok"]);
+
+		const harnessDir = join(tmpdir(), "codex-provider-harness-" + Date.now());
+		const harnessPath = join(harnessDir, "auth.json");
+		mkdirSync(harnessDir, { recursive: true });
+		writeFileSync(harnessPath, "{}", { mode: 0o644 });
+		chmodSync(harnessPath, 0o644);
+		try {
+			registerProvider({ ...fakeProvider, getHarnessTargets: () => [{ name: "gemini-cli", title: "Gemini CLI", path: harnessPath }] });
+			expect(checkFilePermissions().some(check => check.hint === `chmod 600 ${harnessPath}`)).toBe(true);
+		} finally {
+			rmSync(harnessDir, { recursive: true, force: true });
+		}
+	});
+});
+
+describe("harness targets", () => {
+	const testDir = join(tmpdir(), "codex-harness-test-" + Date.now());
+
+	afterEach(() => {
+		rmSync(TEST_CONFIG_PATH, { force: true });
+		resetConfigCache();
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("reads and sets JSON pointers", () => {
+		const doc = { a: { "b/c": { "~d": 1 } }, list: [] };
+		expect(getJsonPointer(doc, "/a/b~1c/~0d")).toBe(1);
+		expect(getJsonPointer(doc, "/a/missing")).toBeUndefined();
+		expect(getJsonPointer(doc, "")).toBe(doc);
+		setJsonPointer(doc, "/x/y", "z");
+		expect(doc.x).toEqual({ y: "z" });
+		expect(() => getJsonPointer(doc, "a")).toThrow("Invalid JSON pointer");
+		expect(() => setJsonPointer(doc, "", 1)).toThrow("root");
+	});
+
+	test("validates custom target entries", () => {
+		expect(parseCustomHarnessTarget({ path: "/tmp/x.json", key: "openai" }).error).toContain("name");
+		expect(parseCustomHarnessTarget({ name: "x", key: "openai" }).error).toContain("path");
+		expect(parseCustomHarnessTarget({ name: "x", path: "/tmp/x.json", key: "gemini" }).error).toContain("provider");
+		expect(parseCustomHarnessTarget({ name: "x", path: "/tmp/x.json", provider: "claude" }).error).toContain("pointers");
+		const { target } = parseCustomHarnessTarget({ name: "x", path: "/tmp/x.json", key: "anthropic" });
+		expect(target).toMatchObject({ name: "x", provider: "claude", key: "anthropic", custom: true });
+	});
+
+	test("lists built-in targets first, then custom targets for the provider", () => {
+		const originalConsoleError = console.error;
+		const errors = [];
+		console.error = (...args) => errors.push(args.join(" "));
+		writeJsonFile(TEST_CONFIG_PATH, {
+			harnessTargets: [
+				{ name: "work-tool", path: join(testDir, "work.json"), key: "openai" },
+				{ name: "pi", path: join(testDir, "pi.json"), key: "openai-codex" },
+				{ name: "claude-tool", path: join(testDir, "claude.json"), key: "anthropic" },
+			],
+		});
+		resetConfigCache();
+		try {
+			expect(listHarnessTargets("codex").map(target => target.name)).toEqual(["opencode", "pi", "work-tool"]);
+			expect(listHarnessTargets("claude").map(target => target.name)).toEqual(["opencode", "pi", "claude-tool"]);
+			expect(codexProvider.getHarnessTargets().map(target => target.name)).toEqual(["codex-cli", "opencode", "pi", "work-tool"]);
+		} finally {
+			console.error = originalConsoleError;
+		}
+		expect(errors).toEqual(['Warning: Harness target name "pi" is already in use']);
+	});
+
+	test("reads and writes tokens through keyed and pointer targets", () => {
+		const keyedPath = join(testDir, "keyed.json");
+		const pointerPath = join(testDir, "pointer.json");
+		writeJsonFile(keyedPath, { openai: { access: "a1", refresh: "r1", expires: 1000, accountId: "acc_1" }, keep: true });
+		writeJsonFile(pointerPath, { session: { token: "a1", refresh: "r1", exp: 1 } });
+		const keyed = parseCustomHarnessTarget({ name: "keyed", path: keyedPath, key: "openai" }).target;
+		const pointer = parseCustomHarnessTarget({
+			name: "pointer",
+			provider: "codex",
+			path: pointerPath,
+			pointers: { access: "/session/token", refresh: "/session/refresh", expires: "/session/exp" },
+			expiresUnit: "s",
+		}).target;
+
+		expect(readHarnessTarget(keyed).tokens).toMatchObject({ access: "a1", refresh: "r1", expires: 1000, accountId: "acc_1" });
+		expect(readHarnessTarget(pointer).tokens).toEqual({ access: "a1", refresh: "r1", expires: 1000 });
+		expect(pointer.match(readHarnessTarget(pointer).tokens, { refresh: "r1" })).toBe(true);
+		expect(pointer.match(readHarnessTarget(pointer).tokens, { refresh: "r9", access: "a9" })).toBe(false);
+
+		const tokens = { access: "a2", refresh: "r2", expires: 5000, accountId: "acc_2" };
+		expect(writeHarnessTarget(keyed, tokens)).toMatchObject({ name: "keyed", updated: true });
+		expect(writeHarnessTarget(pointer, tokens)).toMatchObject({ name: "pointer", updated: true });
+		expect(JSON.parse(readFileSync(keyedPath, "utf-8"))).toEqual({
+			openai: { access: "a2", refresh: "r2", expires: 5000, accountId: "acc_2" },
+			keep: true,
+		});
+		expect(JSON.parse(readFileSync(pointerPath, "utf-8"))).toEqual({ session: { token: "a2", refresh: "r2", exp: 5 } });
+
+		const missing = parseCustomHarnessTarget({ name: "missing", path: join(testDir, "missing.json"), key: "openai" }).target;
+		expect(writeHarnessTarget(missing, tokens)).toMatchObject({ updated: false, skipped: true });
+		writeFileSync(pointerPath, "[]", "utf-8");
+		expect(writeHarnessTarget(pointer, tokens).error).toBe(`Invalid ${pointerPath} format`);
+	});
+});
+
+describe("config file", () => {
+	const testDir = join(tmpdir(), "codex-config-test-" + Date.now());
+	const configPath = join(testDir, "codex-quota", "config.json");
+	let originalConfigEnv;
+	let originalXdgConfigHome;
+	let originalCodexAuthPath;
+
+	beforeEach(() => {
+		originalConfigEnv = process.env.CODEX_QUOTA_CONFIG;
+		originalXdgConfigHome = process.env.XDG_CONFIG_HOME;
+		originalCodexAuthPath = process.env.CODEX_AUTH_PATH;
+		process.env.CODEX_QUOTA_CONFIG = configPath;
+		delete process.env.CODEX_AUTH_PATH;
+	});
+
+	afterEach(() => {
+		for (const [name, value] of [
+			["CODEX_QUOTA_CONFIG", originalConfigEnv],
+			["XDG_CONFIG_HOME", originalXdgConfigHome],
+			["CODEX_AUTH_PATH", originalCodexAuthPath],
+		]) {
+			if (value === undefined) {
+				delete process.env[name];
+			} else {
+				process.env[name] = value;
+			}
+		}
+		rmSync(testDir, { recursive: true, force: true });
+		resetConfigCache();
+	});
+
+	test("resolves the path from XDG_CONFIG_HOME", () => {
+		delete process.env.CODEX_QUOTA_CONFIG;
+		process.env.XDG_CONFIG_HOME = testDir;
+		expect(getConfigPath()).toBe(configPath);
+	});
+
+	test("parses values by key type", () => {
+		expect(parseConfigValue("format", "csv")).toEqual({ value: "csv" });
+		expect(parseConfigValue("format", "xml").error).toContain("Available:");
+		expect(parseConfigValue("color", "off")).toEqual({ value: false });
+		expect(parseConfigValue("hiddenLabels", "old, test,")).toEqual({ value: ["old", "test"] });
+		expect(parseConfigValue("timeouts.usage", "30s")).toEqual({ value: 30000 });
+		expect(parseConfigValue("displayNames.work", "Work Pro")).toEqual({ value: "Work Pro" });
+		expect(parseConfigValue("displayNames", "x").error).toContain("per label");
+		expect(parseConfigValue("nope", "x").error).toContain("Unknown config key");
+	});
+
+	test("set, get, and unset keep other keys", () => {
+		writeJsonFile(configPath, { custom: true });
+		resetConfigCache();
+		expect(writeConfigValue("paths.codexAuth", "~/codex/auth.json").success).toBe(true);
+		expect(writeConfigValue("displayNames.work", "Work Pro").success).toBe(true);
+		const stored = JSON.parse(readFileSync(configPath, "utf-8"));
+		expect(stored).toEqual({ custom: true, paths: { codexAuth: "~/codex/auth.json" }, displayNames: { work: "Work Pro" } });
+		expect(getConfigValue("paths.codexAuth")).toBe(join(homedir(), "codex/auth.json"));
+		expect(getConfigValue("displayNames.work")).toBe("Work Pro");
+		writeConfigValue("displayNames.work", undefined);
+		expect(getConfigValue("displayNames.work")).toBeUndefined();
+	});
+
+	test("reads the file once until a setting is written", () => {
+		writeJsonFile(configPath, { format: "csv" });
+		resetConfigCache();
+		expect(getConfigValue("format")).toBe("csv");
+		writeJsonFile(configPath, { format: "tsv" });
+		expect(getConfigValue("format")).toBe("csv");
+		expect(writeConfigValue("color", false).success).toBe(true);
+		expect(getConfigValue("format")).toBe("tsv");
+		expect(getConfigValue("color")).toBe(false);
+	});
+
+	test("environment variables take precedence over config paths", () => {
+		writeJsonFile(configPath, { paths: { codexAuth: "/from/config/auth.json" } });
+		resetConfigCache();
+		expect(getCodexCliAuthPath()).toBe("/from/config/auth.json");
+		process.env.CODEX_AUTH_PATH = "/from/env/auth.json";
+		expect(getCodexCliAuthPath()).toBe("/from/env/auth.json");
+	});
+
+	test("hides labels and applies sort order unless a label was requested", () => {
+		const config = { hiddenLabels: ["old"], sortOrder: ["work", "personal"] };
+		const accounts = ["personal", "old", "extra", "work"].map(label => ({ label }));
+		const labels = list => list.map(account => account.label);
+		expect(labels(applyLabelPreferences(accounts, a => a.label, { config }))).toEqual(["work", "personal", "extra"]);
+		expect(labels(applyLabelPreferences(accounts, a => a.label, { config, labelFilter: "old" }))).toContain("old");
+	});
+
+	test("config command sets and lists values as JSON", async () => {
+		const originalConsoleLog = console.log;
+		const output = [];
+		console.log = (...args) => output.push(args.join(" "));
+		try {
+			await handleConfig(["set", "sortOrder", "work,personal"], { json: true });
+			await handleConfig(["list"], { json: true });
+		} finally {
+			console.log = originalConsoleLog;
+		}
+		expect(JSON.parse(output[0])).toMatchObject({ success: true, key: "sortOrder", value: ["work", "personal"] });
+		expect(JSON.parse(output[1]).config).toEqual({ sortOrder: ["work", "personal"] });
+	});
+});
+
+describe("encrypted account stores", () => {
+	const testDir = join(tmpdir(), "codex-vault-test-" + Date.now());
+	const storePath = join(testDir, "accounts.json");
+	const keyFilePath = join(testDir, "vault.key");
+	let originalKeyFile;
+
+	beforeEach(() => {
+		originalKeyFile = process.env.CODEX_QUOTA_KEY_FILE;
+		delete process.env.CODEX_QUOTA_KEY_FILE;
+		writeJsonFile(storePath, {
+			schemaVersion: 1,
+			activeLabel: "work",
+			custom: "kept",
+			accounts: [{ label: "work", accountId: "acc_vault", access: "access-token", refresh: "refresh-secret" }],
+		});
+	});
+
+	afterEach(() => {
+		setVaultPassphrase(null);
+		if (originalKeyFile === undefined) {
+			delete process.env.CODEX_QUOTA_KEY_FILE;
+		} else {
+			process.env.CODEX_QUOTA_KEY_FILE = originalKeyFile;
+		}
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("encrypts with a passphrase and decrypts transparently on read", () => {
+		const container = readMultiAccountContainer(storePath);
+		const encryption = createVaultKey({ passphrase: "correct horse" });
+		writeMultiAccountContainer(storePath, { ...container, encryption }, container.accounts);
+
+		const raw = readFileSync(storePath, "utf-8");
+		expect(isVaultPayload(JSON.parse(raw))).toBe(true);
+		expect(raw).not.toContain("refresh-secret");
+
+		setVaultPassphrase("correct horse");
+		const decrypted = readMultiAccountContainer(storePath);
+		expect(decrypted.rootType).toBe("object");
+		expect(decrypted.activeLabel).toBe("work");
+		expect(decrypted.rootFields).toEqual({ custom: "kept" });
+		expect(decrypted.accounts[0].refresh).toBe("refresh-secret");
+
+		// Writes keep the store encrypted with the same key
+		writeMultiAccountContainer(storePath, decrypted, decrypted.accounts, { activeLabel: null });
+		expect(readFileSync(storePath, "utf-8")).not.toContain("refresh-secret");
+		expect(readMultiAccountContainer(storePath).activeLabel).toBeNull();
+	});
+
+	test("locked stores read as invalid and refuse writes", () => {
+		const container = readMultiAccountContainer(storePath);
+		writeMultiAccountContainer(storePath, { ...container, encryption: createVaultKey({ passphrase: "right" }) }, container.accounts);
+
+		setVaultPassphrase("wrong");
+		const originalConsoleError = console.error;
+		console.error = () => {};
+		let locked;
+		try {
+			locked = readMultiAccountContainer(storePath);
+		} finally {
+			console.error = originalConsoleError;
+		}
+		expect(locked.rootType).toBe("invalid");
+		expect(locked.locked).toBe(true);
+		expect(locked.error).toContain("wrong passphrase");
+		expect(() => writeMultiAccountContainer(storePath, locked, [])).toThrow("Cannot decrypt");
+	});
+
+	test("decrypts with a key file from CODEX_QUOTA_KEY_FILE", () => {
+		writeFileSync(keyFilePath, "k".repeat(40), "utf-8");
+		const container = readMultiAccountContainer(storePath);
+		writeMultiAccountContainer(storePath, { ...container, encryption: createVaultKey({ keyFile: keyFilePath }) }, container.accounts);
+		expect(JSON.parse(readFileSync(storePath, "utf-8")).kdf).toEqual({ name: "keyfile" });
+
+		process.env.CODEX_QUOTA_KEY_FILE = keyFilePath;
+		expect(readMultiAccountContainer(storePath).accounts[0].label).toBe("work");
+	});
+	test("vault encrypt leaves no plaintext backup of the store", async () => {
+		const codexPath = MULTI_ACCOUNT_PATHS[0];
+		const claudePath = CLAUDE_MULTI_ACCOUNT_PATHS[0];
+		const codexBackup = backupFileContents(codexPath);
+		const claudeBackup = backupFileContents(claudePath);
+		const backupsDir = join(TEST_CODEX_QUOTA_HOME, "backups", getBackupName(codexPath));
+		const originalConsoleLog = console.log;
+		const output = [];
+		try {
+			rmSync(claudePath, { force: true });
+			rmSync(backupsDir, { recursive: true, force: true });
+			writeJsonFile(codexPath, { accounts: [{ label: "old", accountId: "acc_old", access: "a", refresh: "old-refresh-secret" }] });
+			backupFile(codexPath);
+			writeJsonFile(codexPath, { accounts: [{ label: "work", accountId: "acc_vault", access: "a", refresh: "refresh-secret" }] });
+			writeFileSync(join(backupsDir, "2020-01-01T00-00-00.000Z.json"), "{broken", "utf-8");
+
+			console.log = (...args) => output.push(args.join(" "));
+			await handleVault(["encrypt"], { json: true, keyFile: keyFilePath });
+			expect(JSON.parse(output[0])).toMatchObject({ success: true, files: [codexPath], backups: { rewritten: 1, removed: 1 } });
+
+			const snapshots = findBackups(codexPath).snapshots;
+			expect(snapshots).toHaveLength(1);
+			const contents = readFileSync(snapshots[0].path, "utf-8");
+			expect(contents).not.toContain("refresh-secret");
+			expect(isVaultPayload(JSON.parse(contents))).toBe(true);
+
+			// Encrypted backups still restore with the store's key
+			process.env.CODEX_QUOTA_KEY_FILE = keyFilePath;
+			restoreBackup(codexPath, snapshots[0]);
+			expect(readMultiAccountContainer(codexPath).accounts[0].refresh).toBe("old-refresh-secret");
+		} finally {
+			console.log = originalConsoleLog;
+			rmSync(backupsDir, { recursive: true, force: true });
+			restoreFileContents(codexPath, codexBackup);
+			restoreFileContents(claudePath, claudeBackup);
+		}
+	});
+
+	test("vault rekey leaves no backup readable with the old passphrase", async () => {
+		const codexPath = MULTI_ACCOUNT_PATHS[0];
+		const claudePath = CLAUDE_MULTI_ACCOUNT_PATHS[0];
+		const codexBackup = backupFileContents(codexPath);
+		const claudeBackup = backupFileContents(claudePath);
+		const backupsDir = join(TEST_CODEX_QUOTA_HOME, "backups", getBackupName(codexPath));
+		const savedEnv = { CODEX_QUOTA_PASSPHRASE: process.env.CODEX_QUOTA_PASSPHRASE, CODEX_QUOTA_NEW_PASSPHRASE: process.env.CODEX_QUOTA_NEW_PASSPHRASE };
+		const originalConsoleLog = console.log;
+		const output = [];
+		try {
+			rmSync(claudePath, { force: true });
+			rmSync(backupsDir, { recursive: true, force: true });
+			writeJsonFile(codexPath, { accounts: [{ label: "work", accountId: "acc_vault", access: "a", refresh: "refresh-secret" }] });
+			process.env.CODEX_QUOTA_PASSPHRASE = "old pass";
+			console.log = (...args) => output.push(args.join(" "));
+			await handleVault(["encrypt"], { json: true });
+			backupFile(codexPath);
+			expect(findBackups(codexPath).snapshots).toHaveLength(1);
+
+			process.env.CODEX_QUOTA_NEW_PASSPHRASE = "new pass";
+			await handleVault(["rekey"], { json: true });
+			expect(JSON.parse(output[1])).toMatchObject({ success: true, files: [codexPath], backups: { rewritten: 1, removed: 0 } });
+
+			const snapshots = findBackups(codexPath).snapshots;
+			expect(snapshots).toHaveLength(1);
+			const snapshot = JSON.parse(readFileSync(snapshots[0].path, "utf-8"));
+			expect(openVault(snapshot, { passphrase: "old pass" }).error).toContain("wrong passphrase");
+			expect(openVault(snapshot, { passphrase: "new pass" }).payload.accounts[0].refresh).toBe("refresh-secret");
+		} finally {
+			console.log = originalConsoleLog;
+			for (const [name, value] of Object.entries(savedEnv)) {
+				if (value === undefined) {
+					delete process.env[name];
+				} else {
+					process.env[name] = value;
+				}
+			}
+			rmSync(backupsDir, { recursive: true, force: true });
+			restoreFileContents(codexPath, codexBackup);
+			restoreFileContents(claudePath, claudeBackup);
+		}
+	});
+});
+
+describe("export bundles", () => {
+	const existing = [
+		{ label: "work", accountId: "acc_work", access: "old-access", refresh: "old-refresh" },
+		{ label: "personal", accountId: "acc_personal", access: "p-access", refresh: "p-refresh" },
+	];
+
+	test("round-trips accounts through a passphrase-encrypted bundle", () => {
+		const bundle = buildBundle({ codex: existing, claude: [{ label: "claude-work", sessionKey: "sk-ant-secret" }] });
+		const encrypted = encryptBundle(bundle, "bundle pass");
+		expect(isVaultPayload(encrypted)).toBe(true);
+		expect(JSON.stringify(encrypted)).not.toContain("old-refresh");
+
+		const { bundle: decrypted, error } = decryptBundle(JSON.parse(JSON.stringify(encrypted)), "bundle pass");
+		expect(error).toBeNull();
+		expect(decrypted.codex).toEqual(existing);
+		expect(decrypted.claude[0].sessionKey).toBe("sk-ant-secret");
+
+		expect(decryptBundle(encrypted, "wrong pass").error).toContain("wrong passphrase");
+		expect(decryptBundle({ accounts: [] }, "bundle pass").error).toContain("not a codex-quota export bundle");
+	});
+
+	test("skip keeps existing accounts and adds new ones", () => {
+		const incoming = [
+			{ label: "work", accountId: "acc_work", access: "new-access" },
+			{ label: "team", accountId: "acc_team", access: "team-access" },
+		];
+		const { accounts, results } = mergeBundleAccounts(existing, incoming, "skip");
+		expect(accounts.map(entry => entry.label)).toEqual(["work", "personal", "team"]);
+		expect(accounts[0].access).toBe("old-access");
+		expect(results.map(result => result.action)).toEqual(["skipped", "added"]);
+	});
+
+	test("rename imports label conflicts under a free label but skips the same account", () => {
+		const incoming = [
+			{ label: "work", accountId: "acc_other", access: "other-access" },
+			{ label: "renamed", accountId: "acc_personal", access: "p-new" },
+		];
+		const { accounts, results } = mergeBundleAccounts([...existing, { label: "work-2" }], incoming, "rename");
+		expect(results[0]).toMatchObject({ action: "renamed", importedAs: "work-3" });
+		expect(results[1]).toMatchObject({ action: "skipped", reason: "same account as \"personal\"" });
+		expect(accounts.map(entry => entry.label)).toEqual(["work", "personal", "work-2", "work-3"]);
+	});
+
+	test("overwrite matches by accountId first and keeps the stored label", () => {
+		const incoming = [
+			{ label: "office", accountId: "acc_work", access: "new-access", refresh: "new-refresh" },
+			{ label: "personal", accountId: "acc_elsewhere", access: "replaced" },
+		];
+		const { accounts, results } = mergeBundleAccounts(existing, incoming, "overwrite");
+		expect(accounts).toHaveLength(2);
+		expect(accounts[0]).toEqual({ label: "work", accountId: "acc_work", access: "new-access", refresh: "new-refresh" });
+		expect(accounts[1]).toMatchObject({ label: "personal", accountId: "acc_elsewhere" });
+		expect(results.map(result => [result.action, result.importedAs])).toEqual([
+			["overwritten", "work"],
+			["overwritten", "personal"],
+		]);
+	});
+});
+
+describe("file locks", () => {
+	const testDir = join(tmpdir(), "codex-lock-test-" + Date.now());
+	const storePath = join(testDir, "accounts.json");
+
+	beforeEach(() => {
+		mkdirSync(testDir, { recursive: true });
+	});
+
+	afterEach(() => {
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("holds a PID lockfile while running and removes it after", () => {
+		const lockPath = getLockPath(storePath);
+		const owner = withFileLock(storePath, () => {
+			// Reentrant within a process
+			withFileLock(storePath, () => {});
+			return readLockOwner(lockPath);
+		});
+		expect(owner.pid).toBe(process.pid);
+		expect(existsSync(lockPath)).toBe(false);
+	});
+
+	test("takes over stale locks and times out on live ones", () => {
+		const lockPath = getLockPath(storePath);
+		// PIDs above the kernel maximum never belong to a live process
+		writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 30, hostname: "", acquiredAt: Date.now(), token: "dead" }));
+		expect(isLockStale(readLockOwner(lockPath))).toBe(false);
+		expect(isLockStale(readLockOwner(lockPath), { now: Date.now() + LOCK_STALE_MS + 1000 })).toBe(true);
+
+		writeFileSync(lockPath, JSON.stringify({ pid: 2 ** 30, hostname: hostname(), acquiredAt: Date.now(), token: "dead" }));
+		expect(withFileLock(storePath, () => "taken", { timeoutMs: 200 })).toBe("taken");
+
+		writeFileSync(lockPath, JSON.stringify({ pid: process.ppid, hostname: hostname(), acquiredAt: Date.now(), token: "live" }));
+		expect(() => acquireFileLock(storePath, { timeoutMs: 50 })).toThrow(`held by PID ${process.ppid}`);
+		expect(readLockOwner(lockPath).token).toBe("live");
+	});
+
+	test("refuses to write a container changed since it was read", () => {
+		writeJsonFile(storePath, { accounts: [{ label: "work", refresh: "old" }] });
+		const container = readMultiAccountContainer(storePath);
+		writeJsonFile(storePath, { accounts: [{ label: "work", refresh: "newer" }] });
+
+		expect(() => writeMultiAccountContainer(storePath, container, [], {}, { mode: 0o600 })).toThrow("changed since it was read");
+		expect(JSON.parse(readFileSync(storePath, "utf-8")).accounts[0].refresh).toBe("newer");
+	});
+
+	test("updates a container from its current contents", () => {
+		writeJsonFile(storePath, { activeLabel: "work", accounts: [{ label: "work", refresh: "newer" }] });
+		const result = updateMultiAccountContainer(storePath, (container) => ({
+			accounts: [...container.accounts, { label: "personal", refresh: "p" }],
+		}), { mode: 0o600 });
+
+		expect(result.updated).toBe(true);
+		const stored = JSON.parse(readFileSync(storePath, "utf-8"));
+		expect(stored.activeLabel).toBe("work");
+		expect(stored.accounts.map(entry => entry.refresh)).toEqual(["newer", "p"]);
+		expect(updateMultiAccountContainer(storePath, () => null).updated).toBe(false);
+	});
+});
+
+describe("writeFileAtomic", () => {
+	const testDir = join(tmpdir(), "codex-atomic-test-" + Date.now());
+
+	beforeEach(() => {
+		mkdirSync(testDir, { recursive: true });
+	});
+
+	afterEach(() => {
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("writes through symlinks and keeps the existing mode", () => {
+		const realPath = join(testDir, "real.json");
+		const linkPath = join(testDir, "link.json");
+		writeFileSync(realPath, "{}\n");
+		chmodSync(realPath, 0o640);
+		symlinkSync(realPath, linkPath);
+
+		expect(writeFileAtomic(linkPath, "{\"a\":1}\n")).toBe(realPath);
+		expect(lstatSync(linkPath).isSymbolicLink()).toBe(true);
+		expect(readFileSync(linkPath, "utf-8")).toBe("{\"a\":1}\n");
+		expect(statSync(realPath).mode & 0o777).toBe(0o640);
+
+		writeFileAtomic(linkPath, "{}\n", { mode: 0o600 });
+		expect(statSync(realPath).mode & 0o777).toBe(0o600);
+		expect(readdirSync(testDir).sort()).toEqual(["link.json", "real.json"]);
+	});
+
+	test("concurrent writers never share a temp file", async () => {
+		const targetPath = join(testDir, "auth.json");
+		const fsModule = new URL("./lib/fs.js", import.meta.url).href;
+		const writer = (id) => new Promise((resolve) => {
+			const script = `const { writeFileAtomic } = await import(${JSON.stringify(fsModule)});`
+				+ `for (let i = 0; i < 25; i++) writeFileAtomic(${JSON.stringify(targetPath)}, JSON.stringify({ id: ${id}, i }), { mode: 0o600 });`;
+			const child = spawn(process.execPath, ["-e", script], { stdio: "ignore" });
+			child.on("exit", resolve);
+		});
+
+		expect(await Promise.all([1, 2, 3, 4].map(writer))).toEqual([0, 0, 0, 0]);
+		const stored = JSON.parse(readFileSync(targetPath, "utf-8"));
+		expect(stored.i).toBe(24);
+		expect(readdirSync(testDir)).toEqual(["auth.json"]);
+	});
+});
+
+describe("credential backups", () => {
+	const testDir = join(tmpdir(), "codex-backups-test-" + Date.now());
+	const storePath = join(testDir, "accounts.json");
+	const backupsDir = join(TEST_CODEX_QUOTA_HOME, "backups");
+
+	beforeEach(() => {
+		mkdirSync(testDir, { recursive: true });
+	});
+
+	afterEach(() => {
+		rmSync(testDir, { recursive: true, force: true });
+		rmSync(backupsDir, { recursive: true, force: true });
+		rmSync(TEST_CONFIG_PATH, { force: true });
+		resetConfigCache();
+	});
+
+	test("names backup directories after the path", () => {
+		expect(getBackupName(join(homedir(), ".codex", "auth.json"))).toBe(".codex_auth.json");
+		expect(getBackupName("~/.codex-accounts.json")).toBe(".codex-accounts.json");
+	});
+
+	test("snapshots the previous version before container writes and keeps the newest", () => {
+		writeJsonFile(TEST_CONFIG_PATH, { backups: { keep: 2 } });
+		resetConfigCache();
+		writeJsonFile(storePath, { accounts: [{ label: "v1" }] });
+		for (const label of ["v2", "v3", "v4"]) {
+			const container = readMultiAccountContainer(storePath);
+			writeMultiAccountContainer(storePath, container, [{ label }], {}, { mode: 0o600 });
+		}
+
+		const backups = findBackups(storePath);
+		expect(backups.path).toBe(storePath);
+		expect(backups.snapshots).toHaveLength(2);
+		const labels = backups.snapshots.map(snapshot => JSON.parse(readFileSync(snapshot.path, "utf-8")).accounts[0].label);
+		expect(labels).toEqual(["v2", "v3"]);
+
+		// Contents equal to the newest backup are not snapshotted twice
+		expect(backupFile(storePath).skipped).toBeUndefined();
+		expect(backupFile(storePath).skipped).toBe(true);
+	});
+
+	test("selects backups by id or date", () => {
+		const snapshots = [
+			{ id: "2026-01-01T00-00-00.000Z", at: Date.parse("2026-01-01T00:00:00Z") },
+			{ id: "2026-01-02T00-00-00.000Z", at: Date.parse("2026-01-02T00:00:00Z") },
+		];
+		expect(selectSnapshot(snapshots, null).snapshot).toBe(snapshots[1]);
+		expect(selectSnapshot(snapshots, "2026-01-01T00-00-00.000Z.json").snapshot).toBe(snapshots[0]);
+		expect(selectSnapshot(snapshots, "2026-01-01T12:00:00Z").snapshot).toBe(snapshots[0]);
+		expect(selectSnapshot(snapshots, "2025-12-31").error).toContain("No backup at or before");
+		expect(selectSnapshot(snapshots, "yesterday").error).toContain("Invalid --at");
+		expect(selectSnapshot([], null).error).toBe("No backups found");
+	});
+
+	test("restore puts a backup back and backs up the replaced contents", async () => {
+		writeFileSync(storePath, "{\"version\":1}\n");
+		backupFile(storePath, { now: Date.parse("2026-01-01T00:00:00Z") });
+		writeFileSync(storePath, "{\"version\":2}\n");
+
+		const originalConsoleLog = console.log;
+		const output = [];
+		console.log = (...args) => output.push(args.join(" "));
+		try {
+			await handleBackups(["list"], { json: true });
+			await handleRestore([storePath], { json: true, at: "2026-01-01T00-00-00.000Z" });
+		} finally {
+			console.log = originalConsoleLog;
+		}
+		expect(JSON.parse(output[0]).files).toEqual([
+			{ name: getBackupName(storePath), path: storePath, count: 1, latest: "2026-01-01T00-00-00.000Z" },
+		]);
+		const restored = JSON.parse(output[1]);
+		expect(restored).toMatchObject({ success: true, path: storePath, restoredFrom: "2026-01-01T00-00-00.000Z" });
+		expect(readFileSync(storePath, "utf-8")).toBe("{\"version\":1}\n");
+		expect(readFileSync(restored.backup, "utf-8")).toBe("{\"version\":2}\n");
+		expect(listBackups()[0].snapshots).toHaveLength(2);
+	});
+});
+
+describe("audit log", () => {
+	const auditPath = join(TEST_CODEX_QUOTA_HOME, "audit.jsonl");
+
+	// Earlier tests (switch, refresh) append entries too
+	beforeEach(() => {
+		rmSync(auditPath, { force: true });
+	});
+
+	test("records fingerprints instead of tokens", () => {
+		const result = recordAuditEvent({ event: "add", provider: "codex", label: "work", paths: ["/a", "/a", "/b"], token: "secret-refresh" });
+		expect(result.error).toBeUndefined();
+		const raw = readFileSync(auditPath, "utf-8");
+		expect(raw).not.toContain("secret-refresh");
+		expect(statSync(auditPath).mode & 0o777).toBe(0o600);
+		const [entry] = readAuditLog();
+		expect(entry).toMatchObject({ event: "add", provider: "codex", label: "work", paths: ["/a", "/b"], pid: process.pid });
+		expect(entry.fingerprint).toBe(fingerprintToken("secret-refresh"));
+		expect(entry.fingerprint).toHaveLength(12);
+		expect(fingerprintToken(null)).toBeNull();
+	});
+
+	test("filters entries by label, event, provider, and time", () => {
+		const now = Date.now();
+		recordAuditEvent({ event: "switch", provider: "codex", label: "work", now: now - 10 * 24 * 60 * 60 * 1000 });
+		recordAuditEvent({ event: "refresh", provider: "codex", label: "work", now });
+		recordAuditEvent({ event: "refresh", provider: "claude", label: "work", now });
+		writeFileSync(auditPath, readFileSync(auditPath, "utf-8") + "not json\n");
+		const entries = readAuditLog();
+		expect(entries).toHaveLength(3);
+		expect(filterAuditEntries(entries, { event: "refresh", provider: "claude" })).toHaveLength(1);
+		expect(filterAuditEntries(entries, { label: "work", since: now - 60 * 1000 })).toHaveLength(2);
+		expect(filterAuditEntries(entries, { label: "personal" })).toHaveLength(0);
+	});
+
+	test("log command prints matching entries as JSON", async () => {
+		recordAuditEvent({ event: "switch", provider: "codex", label: "work", paths: ["/tmp/auth.json"], token: "t1" });
+		recordAuditEvent({ event: "switch", provider: "claude", label: "work", token: "t2" });
+		const originalConsoleLog = console.log;
+		const output = [];
+		console.log = (...args) => output.push(args.join(" "));
+		try {
+			await handleLog(["work"], { json: true, event: "switch", codex: true, claude: false });
+		} finally {
+			console.log = originalConsoleLog;
+		}
+		const { entries } = JSON.parse(output[0]);
+		expect(entries).toHaveLength(1);
+		expect(entries[0]).toMatchObject({ provider: "codex", paths: ["/tmp/auth.json"], fingerprint: fingerprintToken("t1") });
+	});
+});
+
+describe("doctor", () => {
+	const testDir = join(tmpdir(), "codex-quota-doctor-" + Date.now());
+
+	beforeEach(() => {
+		mkdirSync(testDir, { recursive: true });
+	});
+
+	afterEach(() => {
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("warns about credential files other users can read", () => {
+		const open = join(testDir, "open.json");
+		const closed = join(testDir, "closed.json");
+		writeFileSync(open, "{}", { mode: 0o644 });
+		chmodSync(open, 0o644);
+		writeFileSync(closed, "{}", { mode: 0o600 });
+		const results = checkFilePermissions([{ path: open }, { path: closed }, { path: join(testDir, "missing.json") }]);
+		expect(results).toHaveLength(2);
+		expect(results[0]).toMatchObject({ check: "permissions", status: "warn", hint: `chmod 600 ${open}` });
+		expect(results[1].status).toBe("pass");
+	});
+
+	test("fails on invalid JSON in stores and harness files", () => {
+		const store = join(testDir, "accounts.json");
+		const harness = join(testDir, "auth.json");
+		writeFileSync(store, "{ not json");
+		writeFileSync(harness, "[]");
+		const results = checkJsonFiles([{ path: store, kind: "store" }, { path: harness, kind: "harness" }]);
+		expect(results.map(result => result.status)).toEqual(["fail", "fail"]);
+		expect(results[0].hint).toContain("restore");
+
+		writeJsonFile(store, { accounts: [{ label: "work" }] });
+		expect(checkJsonFiles([{ path: store, kind: "store" }])[0].status).toBe("pass");
+	});
+
+	test("reports duplicate labels, expiring tokens, and missing scopes", () => {
+		const labels = checkDuplicateLabels("codex", [
+			{ label: "work", source: "env" },
+			{ label: "work", source: "/tmp/accounts.json" },
+			{ label: "personal", source: "/tmp/accounts.json" },
+		]);
+		expect(labels).toHaveLength(1);
+		expect(labels[0]).toMatchObject({ status: "warn" });
+		expect(labels[0].message).toContain("\"work\" appears 2 times");
+		expect(checkDuplicateLabels("claude", [{ label: "a", source: "env" }])[0].status).toBe("pass");
+
+		const now = Date.now();
+		const expiry = checkTokenExpiry("codex", [
+			{ label: "fresh", expires: now + 24 * 60 * 60 * 1000, refresh: "r" },
+			{ label: "stale", expires: now - 1000, refresh: "r" },
+			{ label: "dead", expires: now - 1000, refresh: null },
+		]);
+		expect(expiry.map(result => result.status)).toEqual(["pass", "warn", "fail"]);
+		expect(expiry[2].hint).toContain("codex reauth dead");
+
+		const scopes = checkClaudeScopes([
+			{ label: "full", scopes: ["user:inference", "user:profile"] },
+			{ label: "inference", scopes: ["user:inference"] },
+			{ label: "unknown", scopes: null },
+		]);
+		expect(scopes.map(result => result.status)).toEqual(["pass", "warn"]);
+	});
+
+	test("warns when cookie tools are missing", () => {
+		const results = checkCookieTools(() => false);
+		expect(results[0]).toMatchObject({ check: "tools", status: "warn" });
+		expect(checkCookieTools(() => true).every(result => result.status === "pass")).toBe(true);
+	});
+});
+
+describe("account picker", () => {
+	const choices = [
+		{ value: "work", title: "* work <me@work.com> (team) | Expires: 2d 3h" },
+		{ value: "personal", title: "  personal <me@home.com> (plus) | Expired" },
+		{ value: "spare", title: "  spare <me@spare.com> (plus) | Expires: 9d 1h" },
+	];
+
+	function pick(keys, options = {}) {
+		const input = new PassThrough();
+		const output = new PassThrough();
+		const drawn = [];
+		output.on("data", chunk => drawn.push(chunk.toString()));
+		const result = promptSelect("Switch to which account?", choices, { input, output, ...options });
+		for (const key of keys) {
+			input.write(key);
+		}
+		return result.then(value => ({ value, drawn: drawn.join("") }));
+	}
+
+	test("filters by every typed word", () => {
+		expect(filterChoices(choices, "PLUS me@s").map(choice => choice.value)).toEqual(["spare"]);
+		expect(filterChoices(choices, "").map(choice => choice.value)).toEqual(["work", "personal", "spare"]);
+		expect(filterChoices(choices, "nobody")).toEqual([]);
+	});
+
+	test("moves with arrow keys from the initial value and picks with Enter", async () => {
+		const { value, drawn } = await pick(["\x1b[B", "\x1b[B", "\x1b[A", "\r"], { initialValue: "personal" });
+		expect(value).toBe("personal");
+		expect(drawn).toContain(">   spare");
+		expect(drawn).toContain("Switch to which account?   personal");
+	});
+
+	test("typing filters the list and Ctrl-C cancels", async () => {
+		expect((await pick(["s", "p", "\r"])).value).toBe("spare");
+		const cancelled = await pick(["zz", "\r", "\x03"]);
+		expect(cancelled.value).toBeNull();
+		expect(cancelled.drawn).toContain("(no matches)");
+	});
+});
+
+describe("shell completion", () => {
+	const spec = {
+		commandNames: ["codex-quota", "cq"],
+		namespaces: [{ name: "codex", subcommands: ["switch", "list"] }],
+		flags: ["--json", "--format"],
+		valueFlags: ["--format"],
+	};
+	let originalEnv;
+
+	beforeEach(() => {
+		originalEnv = process.env.CLAUDE_ACCOUNTS;
+	});
+
+	afterEach(() => {
+		if (originalEnv === undefined) {
+			delete process.env.CLAUDE_ACCOUNTS;
+		} else {
+			process.env.CLAUDE_ACCOUNTS = originalEnv;
+		}
+	});
+
+	test("scripts cover namespaces, commands, flags, and both command names", () => {
+		const bash = buildCompletionScript("bash", spec);
+		expect(bash).toContain('compgen -W "switch list"');
+		expect(bash).toContain("__complete labels codex");
+		expect(bash).toContain("complete -o default -F _codex_quota cq");
+		expect(buildCompletionScript("zsh", spec)).toContain("#compdef codex-quota cq");
+		const fish = buildCompletionScript("fish", spec);
+		expect(fish).toContain("complete -c cq -l format -r -F");
+		expect(fish).toContain("(codex-quota __complete labels codex 2>/dev/null)");
+		expect(() => buildCompletionScript("ksh", spec)).toThrow("Unsupported shell");
+	});
+
+	test("__complete prints labels one per line", () => {
+		process.env.CLAUDE_ACCOUNTS = JSON.stringify([{ label: "work-team-2", oauthToken: "token" }]);
+		const originalWrite = process.stdout.write;
+		let output = "";
+		process.stdout.write = chunk => {
+			output += chunk;
+			return true;
+		};
+		try {
+			handleComplete(["labels", "claude"]);
+			handleComplete(["labels", "unknown-namespace"]);
+			handleComplete(["commands"]);
+		} finally {
+			process.stdout.write = originalWrite;
+		}
+		expect(output.split("\n")).toContain("work-team-2");
+		expect(output.endsWith("\n")).toBe(true);
+	});
+});
+
+describe("rename", () => {
+	const testDir = join(tmpdir(), "codex-quota-rename-" + Date.now());
+	const testAuthPath = join(testDir, ".codex", "auth.json");
+	const codexAccountsPath = MULTI_ACCOUNT_PATHS[0];
+	const claudeAccountsPath = CLAUDE_MULTI_ACCOUNT_PATHS[0];
+	const savedEnv = {};
+	let codexAccountsBackup;
+	let claudeAccountsBackup;
+	let originalExit;
+	let originalConsoleLog;
+	let originalConsoleError;
+	let output;
+
+	beforeEach(() => {
+		for (const name of ["CODEX_ACCOUNTS", "CLAUDE_ACCOUNTS", "CODEX_AUTH_PATH", "XDG_DATA_HOME"]) {
+			savedEnv[name] = process.env[name];
+		}
+		codexAccountsBackup = backupFileContents(codexAccountsPath);
+		claudeAccountsBackup = backupFileContents(claudeAccountsPath);
+		delete process.env.CODEX_ACCOUNTS;
+		delete process.env.CLAUDE_ACCOUNTS;
+		process.env.CODEX_AUTH_PATH = testAuthPath;
+		process.env.XDG_DATA_HOME = testDir;
+		mkdirSync(dirname(testAuthPath), { recursive: true });
+		originalExit = process.exit;
+		process.exit = (code) => {
+			throw new Error(`process.exit(${code})`);
+		};
+		originalConsoleLog = console.log;
+		originalConsoleError = console.error;
+		output = [];
+		console.log = (...args) => output.push(args.join(" "));
+		console.error = () => {};
+	});
+
+	afterEach(() => {
+		process.exit = originalExit;
+		console.log = originalConsoleLog;
+		console.error = originalConsoleError;
+		for (const [name, value] of Object.entries(savedEnv)) {
+			if (value === undefined) {
+				delete process.env[name];
+			} else {
+				process.env[name] = value;
+			}
+		}
+		restoreFileContents(codexAccountsPath, codexAccountsBackup);
+		restoreFileContents(claudeAccountsPath, claudeAccountsBackup);
+		rmSync(testDir, { recursive: true, force: true });
+	});
+
+	test("codex rename updates the entry, activeLabel, and codex_quota_label", async () => {
+		const accountId = "acc_rename_work";
+		writeJsonFile(codexAccountsPath, {
+			activeLabel: "work-team-2",
+			meta: { keep: true },
+			accounts: [
+				{ label: "work-team-2", accountId, access: createMockAccessToken(accountId), refresh: "refresh-rename", extra: "kept" },
+				{ label: "other", accountId: "acc_rename_other", access: createMockAccessToken("acc_rename_other"), refresh: "refresh-other" },
+			],
+		});
+		writeJsonFile(testAuthPath, { codex_quota_label: "work-team-2", tokens: { account_id: accountId } });
+
+		await handleCodexRename(["work-team-2", "team"], { json: true });
+
+		const result = JSON.parse(output[0]);
+		expect(result).toMatchObject({ success: true, label: "team", previousLabel: "work-team-2", activeLabelUpdated: true, codexQuotaLabelUpdated: true });
+		const updated = JSON.parse(readFileSync(codexAccountsPath, "utf-8"));
+		expect(updated.activeLabel).toBe("team");
+		expect(updated.meta.keep).toBe(true);
+		expect(updated.accounts.map(entry => entry.label)).toEqual(["team", "other"]);
+		expect(updated.accounts[0].extra).toBe("kept");
+		expect(JSON.parse(readFileSync(testAuthPath, "utf-8")).codex_quota_label).toBe("team");
+		const [entry] = filterAuditEntries(readAuditLog(), { event: "rename", label: "work-team-2" }).slice(-1);
+		expect(entry).toMatchObject({ provider: "codex", label: "team", previousLabel: "work-team-2" });
+
+		await expect(handleCodexRename(["team", "other"], { json: true })).rejects.toThrow("process.exit(1)");
+		expect(JSON.parse(output[1]).error).toContain("already exists");
+	});
+
+	test("refuses env accounts and invalid labels", async () => {
+		process.env.CODEX_ACCOUNTS = JSON.stringify([
+			{ label: "env-account", accountId: MOCK_ACCOUNT_ID, access: MOCK_ACCESS_TOKEN, refresh: MOCK_REFRESH_TOKEN },
+		]);
+		await expect(handleCodexRename(["env-account", "renamed"], { json: true })).rejects.toThrow("process.exit(1)");
+		expect(JSON.parse(output[0]).error).toContain("CODEX_ACCOUNTS env var");
+
+		process.env.CLAUDE_ACCOUNTS = JSON.stringify([{ label: "env-claude", oauthToken: "token" }]);
+		await expect(handleClaudeRename(["env-claude", "renamed"], { json: true })).rejects.toThrow("process.exit(1)");
+		expect(JSON.parse(output[1]).error).toContain("CLAUDE_ACCOUNTS env var");
+
+		await expect(handleClaudeRename(["env-claude", "bad label"], { json: true })).rejects.toThrow("process.exit(1)");
+		expect(JSON.parse(output[2]).error).toContain("Invalid label");
+	});
+
+	test("claude rename updates the entry and activeLabel", async () => {
+		writeJsonFile(claudeAccountsPath, {
+			activeLabel: "personal",
+			accounts: [{ label: "personal", oauthToken: "token-personal", oauthRefreshToken: "refresh-personal" }],
+		});
+
+		await handleClaudeRename(["personal", "home"], { json: true });
+
+		expect(JSON.parse(output[0])).toMatchObject({ success: true, label: "home", activeLabelUpdated: true });
+		const updated = JSON.parse(readFileSync(claudeAccountsPath, "utf-8"));
+		expect(updated.activeLabel).toBe("home");
+		expect(updated.accounts[0]).toMatchObject({ label: "home", oauthRefreshToken: "refresh-personal" });
+	});
+
+	test("carries config settings and history over to the new label", async () => {
+		const historyPath = join(TEST_CODEX_QUOTA_HOME, "history.jsonl");
+		const historyBackup = backupFileContents(historyPath);
+		writeJsonFile(codexAccountsPath, {
+			accounts: [{ label: "work", accountId: "acc_rename_cfg", access: createMockAccessToken("acc_rename_cfg"), refresh: "refresh-cfg" }],
+		});
+		writeJsonFile(TEST_CONFIG_PATH, {
+			displayNames: { work: "Work", other: "Other" },
+			hiddenLabels: ["work"],
+			sortOrder: ["other", "work"],
+			autoswitch: { order: ["work", "team"] },
+		});
+		resetConfigCache();
+		writeFileSync(historyPath, [
+			{ ts: new Date().toISOString(), provider: "codex", label: "work", window: "primary", remaining: 90, resetsAt: null },
+			{ ts: new Date().toISOString(), provider: "claude", label: "work", window: "session", remaining: 80, resetsAt: null },
+		].map(record => JSON.stringify(record)).join("\n") + "\n");
+		try {
+			await handleCodexRename(["work", "team"], { json: true });
+
+			const result = JSON.parse(output[0]);
+			expect(result.configKeysUpdated).toEqual(["displayNames", "hiddenLabels", "sortOrder", "autoswitch.order"]);
+			expect(result.historyRecordsUpdated).toBe(1);
+			expect(result.warnings).toEqual([]);
+			expect(JSON.parse(readFileSync(TEST_CONFIG_PATH, "utf-8"))).toEqual({
+				displayNames: { other: "Other", team: "Work" },
+				hiddenLabels: ["team"],
+				sortOrder: ["other", "team"],
+				autoswitch: { order: ["team"] },
+			});
+			const records = readHistoryRecords(historyPath);
+			expect(records.map(record => `${record.provider}:${record.label}`)).toEqual(["codex:team", "claude:work"]);
+
+			// A Claude account still labeled "home" keeps the shared config keys in place
+			writeJsonFile(claudeAccountsPath, { accounts: [{ label: "home", oauthToken: "token-home" }] });
+			writeJsonFile(codexAccountsPath, {
+				accounts: [{ label: "home", accountId: "acc_rename_cfg", access: createMockAccessToken("acc_rename_cfg"), refresh: "refresh-cfg" }],
+			});
+			writeJsonFile(TEST_CONFIG_PATH, { hiddenLabels: ["home"] });
+			await handleCodexRename(["home", "house"], { json: true });
+
+			const shared = JSON.parse(output[1]);
+			expect(shared.configKeysUpdated).toEqual([]);
+			expect(shared.warnings[0]).toContain("hiddenLabels");
+			expect(JSON.parse(readFileSync(TEST_CONFIG_PATH, "utf-8")).hiddenLabels).toEqual(["home"]);
+		} finally {
+			restoreFileContents(historyPath, historyBackup);
+			rmSync(TEST_CONFIG_PATH, { force: true });
+			resetConfigCache();
+		}
+	});
+});
+
+describe("account metadata", () => {
+	const codexAccountsPath = MULTI_ACCOUNT_PATHS[0];
+	const claudeAccountsPath = CLAUDE_MULTI_ACCOUNT_PATHS[0];
+	const savedEnv = {};
+	let codexAccountsBackup;
+	let claudeAccountsBackup;
+	let originalExit;
+	let originalConsoleLog;
+	let originalConsoleError;
+	let output;
+
+	beforeEach(() => {
+		for (const name of ["CODEX_ACCOUNTS", "CLAUDE_ACCOUNTS"]) {
+			savedEnv[name] = process.env[name];
+		}
+		codexAccountsBackup = backupFileContents(codexAccountsPath);
+		claudeAccountsBackup = backupFileContents(claudeAccountsPath);
+		delete process.env.CODEX_ACCOUNTS;
+		delete process.env.CLAUDE_ACCOUNTS;
+		originalExit = process.exit;
+		process.exit = (code) => {
+			throw new Error(`process.exit(${code})`);
+		};
+		originalConsoleLog = console.log;
+		originalConsoleError = console.error;
+		output = [];
+		console.log = (...args) => output.push(args.join(" "));
+		console.error = () => {};
+	});
+
+	afterEach(() => {
+		process.exit = originalExit;
+		console.log = originalConsoleLog;
+		console.error = originalConsoleError;
+		for (const [name, value] of Object.entries(savedEnv)) {
+			if (value === undefined) {
+				delete process.env[name];
+			} else {
+				process.env[name] = value;
+			}
+		}
+		restoreFileContents(codexAccountsPath, codexAccountsBackup);
+		restoreFileContents(claudeAccountsPath, claudeAccountsBackup);
+	});
+
+	test("parses tag edits and filters", () => {
+		expect(parseTagChanges(["+team", "-personal", "shared"])).toEqual({ add: ["team", "shared"], remove: ["personal"] });
+		expect(parseTagChanges(["+bad/tag"]).error).toContain("Invalid tag");
+		expect(applyTagChanges(["personal", "ops"], { add: ["team", "ops"], remove: ["personal"] })).toEqual(["ops", "team"]);
+		expect(parseTagFilter(" team, shared ,")).toEqual(["team", "shared"]);
+		expect(parseTagFilter(null)).toEqual([]);
+		const accounts = [{ label: "a", tags: ["team", "shared"] }, { label: "b", tags: ["team"] }, { label: "c", tags: "team" }];
+		expect(filterAccountsByTags(accounts, ["team", "shared"]).map(account => account.label)).toEqual(["a"]);
+		expect(filterAccountsByTags(accounts, [])).toBe(accounts);
+	});
+
+	test("codex tag removes tags named v and h", async () => {
+		writeJsonFile(codexAccountsPath, {
+			accounts: [{ label: "work", accountId: "acc_meta_vh", access: createMockAccessToken("acc_meta_vh"), refresh: "refresh-vh", tags: ["v", "h", "team"] }],
+		});
+		const { args, shortFlags } = splitShortFlags(["codex", "tag", "work", "-v", "-h"], word => word === "codex");
+		expect(shortFlags).toEqual([]);
+
+		await handleCodexTag(args.slice(2), { json: true });
+		expect(JSON.parse(output[0])).toMatchObject({ success: true, label: "work", tags: ["team"] });
+		expect(JSON.parse(readFileSync(codexAccountsPath, "utf-8")).accounts[0].tags).toEqual(["team"]);
+	});
+
+	test("codex tag stores metadata that list --tag and box headers use", async () => {
+		writeJsonFile(codexAccountsPath, {
+			accounts: [
+				{ label: "work", accountId: "acc_meta_work", access: createMockAccessToken("acc_meta_work", "work@example.com"), refresh: "refresh-work", tags: ["personal"] },
+				{ label: "home", accountId: "acc_meta_home", access: createMockAccessToken("acc_meta_home", "home@example.com"), refresh: "refresh-home" },
+			],
+		});
+
+		await handleCodexTag(["work", "+team", "-personal"], { json: true, displayName: "Team seat 2", note: "Shared with ops" });
+		expect(JSON.parse(output[0])).toMatchObject({ success: true, label: "work", tags: ["team"], displayName: "Team seat 2", updated: true });
+		const stored = JSON.parse(readFileSync(codexAccountsPath, "utf-8")).accounts[0];
+		expect(stored).toMatchObject({ tags: ["team"], note: "Shared with ops", displayName: "Team seat 2", refresh: "refresh-work" });
+
+		await handleCodexTag(["work", "-team"], { json: true, note: "" });
+		const cleared = JSON.parse(readFileSync(codexAccountsPath, "utf-8")).accounts[0];
+		expect(cleared.tags).toBeUndefined();
+		expect(cleared.note).toBeUndefined();
+		expect(cleared.displayName).toBe("Team seat 2");
+
+		await handleCodexTag(["home", "+team"], { json: true });
+		output = [];
+		await handleList({ json: true, local: true, tag: "team" });
+		const listed = JSON.parse(output[0]).accounts;
+		expect(listed.map(account => account.label)).toEqual(["home"]);
+		expect(listed[0]).toMatchObject({ tags: ["team"], note: null, displayName: null });
+
+		const account = { label: "work", displayName: "Team seat 2", access: createMockAccessToken("acc_meta_work") };
+		expect(buildAccountUsageLines(account, { usage: {} })[0]).toContain("(Team seat 2)");
+		expect(buildAccountUsageLines(account, { usage: {} }, { displayName: "From config" })[0]).toContain("(From config)");
+	});
+
+	test("claude tag edits stored credentials and refuses env credentials", async () => {
+		writeJsonFile(claudeAccountsPath, {
+			accounts: [{ label: "seat", oauthToken: "token-seat", oauthRefreshToken: "refresh-seat" }],
+		});
+		await handleClaudeTag(["seat", "shared"], { json: true, displayName: "Seat A" });
+		expect(JSON.parse(output[0])).toMatchObject({ success: true, tags: ["shared"], displayName: "Seat A" });
+		expect(JSON.parse(readFileSync(claudeAccountsPath, "utf-8")).accounts[0]).toMatchObject({
+			tags: ["shared"],
+			displayName: "Seat A",
+			oauthRefreshToken: "refresh-seat",
+		});
+
+		process.env.CLAUDE_ACCOUNTS = JSON.stringify([{ label: "env-claude", oauthToken: "token" }]);
+		await expect(handleClaudeTag(["env-claude", "+team"], { json: true })).rejects.toThrow("process.exit(1)");
+		expect(JSON.parse(output[1]).error).toContain("CLAUDE_ACCOUNTS env var");
+	});
+});
+
+describe("autoswitch", () => {
+	const testDir = join(tmpdir(), "codex-quota-autoswitch-test-" + Date.now());
+	const testAuthFile = join(testDir, "auth.json");
+	const codexAccountsPath = MULTI_ACCOUNT_PATHS[0];
+	const logPath = join(TEST_CODEX_QUOTA_HOME, "autoswitch.jsonl");
+	const savedEnv = {};
+	let codexAccountsBackup;
+	let originalExit;
+	let originalConsoleLog;
+	let originalConsoleError;
+	let originalFetch;
+	let output;
+	let usedByAccount;
+	let originalPolicy;
+
+	beforeEach(() => {
+		mkdirSync(testDir, { recursive: true });
+		for (const name of ["CODEX_ACCOUNTS", "CODEX_AUTH_PATH"]) {
+			savedEnv[name] = process.env[name];
+		}
+		delete process.env.CODEX_ACCOUNTS;
+		process.env.CODEX_AUTH_PATH = testAuthFile;
+		codexAccountsBackup = backupFileContents(codexAccountsPath);
+		rmSync(logPath, { force: true });
+		originalPolicy = getUsageCachePolicy();
+		const account = (label, id) => ({ label, accountId: id, access: createMockAccessToken(id, `${label}@example.com`), refresh: `refresh-${label}`, expires: Date.now() + 3600000 });
+		writeJsonFile(codexAccountsPath, {
+			activeLabel: "work",
+			accounts: [account("work", "acc_as_work"), account("team", "acc_as_team"), account("spare", "acc_as_spare")],
+		});
+		usedByAccount = { acc_as_work: 95, acc_as_team: 97, acc_as_spare: 20 };
+		originalFetch = globalThis.fetch;
+		globalThis.fetch = async (url, options) => {
+			const used = usedByAccount[options.headers["chatgpt-account-id"]];
+			return new Response(JSON.stringify({ rate_limit: { primary_window: { used_percent: used }, secondary_window: { used_percent: 10 } } }), { status: 200 });
+		};
+		originalExit = process.exit;
+		process.exit = (code) => {
+			throw new Error(`process.exit(${code})`);
+		};
+		originalConsoleLog = console.log;
+		originalConsoleError = console.error;
+		output = [];
+		console.log = (...args) => output.push(args.join(" "));
+		console.error = () => {};
+	});
+
+	afterEach(() => {
+		process.exit = originalExit;
+		console.log = originalConsoleLog;
+		console.error = originalConsoleError;
+		globalThis.fetch = originalFetch;
+		for (const [name, value] of Object.entries(savedEnv)) {
+			if (value === undefined) {
+				delete process.env[name];
+			} else {
+				process.env[name] = value;
+			}
+		}
+		restoreFileContents(codexAccountsPath, codexAccountsBackup);
+		rmSync(testDir, { recursive: true, force: true });
+		rmSync(logPath, { force: true });
+		setUsageCachePolicy(originalPolicy);
+	});
+
+	test("orders candidates after the active account and picks the first above the floor", async () => {
+		expect(orderAutoswitchCandidates(["a", "b", "c", "d"], "c")).toEqual(["d", "a", "b"]);
+		expect(orderAutoswitchCandidates(["a", "b", "c"], "a", ["c", "x", "a", "b"])).toEqual(["b", "c"]);
+		expect(parseConfigValue("autoswitch.below", "15%")).toEqual({ value: 15 });
+		expect(parseConfigValue("autoswitch.below", "150%").error).toContain("percentage");
+
+		const remaining = { a: 5, b: 3, c: 60 };
+		const check = async label => label === "x"
+			? { windows: {}, error: "HTTP 500" }
+			: { windows: { "5h": { remaining: remaining[label] }, weekly: { remaining: 80 } } };
+		const decision = await decideAutoswitch({ activeLabel: "a", candidates: ["x", "b", "c"], floor: 10, check });
+		expect(decision).toMatchObject({ action: "switch", label: "a", target: "c" });
+		expect(decision.reason).toBe("5h at 5% (below 10%); c has 5h 60%, weekly 80% left");
+		expect(decision.skipped).toEqual([{ label: "x", reason: "HTTP 500" }, { label: "b", reason: "5h at 3% (below 10%)" }]);
+		expect((await decideAutoswitch({ activeLabel: "c", candidates: ["a"], floor: 10, check })).action).toBe("stay");
+		expect((await decideAutoswitch({ activeLabel: "a", candidates: ["b"], floor: 10, check })).action).toBe("stuck");
+	});
+
+	test("--once switches the active Codex account and logs the decision", async () => {
+		await handleAutoswitch([], { json: true, once: true, codex: true, local: true });
+		const result = JSON.parse(output[0]);
+		expect(result).toMatchObject({ success: true, floor: 10, dryRun: false });
+		expect(result.decisions[0]).toMatchObject({ provider: "codex", action: "switch", label: "work", target: "spare" });
+		expect(result.decisions[0].skipped.map(entry => entry.label)).toEqual(["team"]);
+		expect(JSON.parse(readFileSync(codexAccountsPath, "utf-8")).activeLabel).toBe("spare");
+		expect(JSON.parse(readFileSync(testAuthFile, "utf-8")).tokens.account_id).toBe("acc_as_spare");
+		const logged = readFileSync(logPath, "utf-8").trim().split("\n").map(line => JSON.parse(line));
+		expect(logged).toHaveLength(1);
+		expect(logged[0]).toMatchObject({ provider: "codex", action: "switch", label: "work", target: "spare", floor: 10 });
+
+		// Back above the floor on the new account
+		output = [];
+		await handleAutoswitch([], { json: true, once: true, codex: true, local: true });
+		expect(JSON.parse(output[0]).decisions[0]).toMatchObject({ action: "stay", label: "spare" });
+
+		// Repeated stays are logged once, even as the remaining percent moves; stuck always is
+		usedByAccount.acc_as_spare = 30;
+		await handleAutoswitch([], { json: true, once: true, codex: true, local: true });
+		usedByAccount.acc_as_spare = 95;
+		await handleAutoswitch([], { json: true, once: true, codex: true, local: true }).catch(() => {});
+		await handleAutoswitch([], { json: true, once: true, codex: true, local: true }).catch(() => {});
+		const actions = readFileSync(logPath, "utf-8").trim().split("\n").map(line => JSON.parse(line).action);
+		expect(actions).toEqual(["switch", "stay", "stuck", "stuck"]);
+	});
+
+	test("--once exits 2 when stuck, and --dry-run writes nothing", async () => {
+		await expect(
+			handleAutoswitch([], { json: true, once: true, codex: true, local: true, dryRun: true, order: "work,team" })
+		).rejects.toThrow("process.exit(2)");
+		expect(JSON.parse(output[0]).decisions[0]).toMatchObject({ action: "stuck", label: "work", target: null });
+		expect(JSON.parse(readFileSync(codexAccountsPath, "utf-8")).activeLabel).toBe("work");
+		expect(existsSync(testAuthFile)).toBe(false);
+		expect(existsSync(logPath)).toBe(false);
+
+		await expect(
+			handleAutoswitch([], { json: true, once: true, codex: true, below: "lots" })
+		).rejects.toThrow("process.exit(1)");
+	});
+});
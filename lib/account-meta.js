@@ -0,0 +1,92 @@
+/**
+ * Per-account metadata kept in multi-account entries next to the credentials:
+ * tags (for --tag filters), a free-form note, and a display name for box headers.
+ * Zero internal dependencies.
+ */
+
+export const ACCOUNT_META_FIELDS = ["tags", "note", "displayName"];
+
+const TAG_PATTERN = /^[a-zA-Z0-9_.-]+$/;
+
+/**
+ * Read an entry's tags, dropping anything that is not a non-empty string.
+ * @param {unknown} value - The entry's `tags` field
+ * @returns {string[]} Unique tags in stored order
+ */
+export function normalizeTags(value) {
+	if (!Array.isArray(value)) return [];
+	const tags = value
+		.filter(tag => typeof tag === "string")
+		.map(tag => tag.trim())
+		.filter(Boolean);
+	return [...new Set(tags)];
+}
+
+/**
+ * Copy the metadata fields that are set on an entry.
+ * @param {Record<string, unknown> | null | undefined} entry
+ * @returns {{ tags?: string[], note?: string, displayName?: string }}
+ */
+export function pickAccountMeta(entry) {
+	const meta = {};
+	const tags = normalizeTags(entry?.tags);
+	if (tags.length) meta.tags = tags;
+	if (typeof entry?.note === "string" && entry.note) meta.note = entry.note;
+	if (typeof entry?.displayName === "string" && entry.displayName) meta.displayName = entry.displayName;
+	return meta;
+}
+
+/**
+ * Parse a --tag value ("team" or "team,shared").
+ * @param {string | null | undefined} text
+ * @returns {string[]} Empty when no filter was given
+ */
+export function parseTagFilter(text) {
+	if (typeof text !== "string") return [];
+	return normalizeTags(text.split(","));
+}
+
+/**
+ * Keep the accounts that carry every requested tag.
+ * @template T
+ * @param {T[]} accounts - Accounts (or results) with an optional `tags` field
+ * @param {string[]} tags - From parseTagFilter; an empty list keeps everything
+ * @returns {T[]}
+ */
+export function filterAccountsByTags(accounts, tags) {
+	if (!tags.length) return accounts;
+	return accounts.filter(account => {
+		const accountTags = normalizeTags(account?.tags);
+		return tags.every(tag => accountTags.includes(tag));
+	});
+}
+
+/**
+ * Parse tag edits from the command line: "+team" or "team" adds, "-personal" removes.
+ * @param {string[]} args
+ * @returns {{ add: string[], remove: string[], error?: string }}
+ */
+export function parseTagChanges(args) {
+	const add = [];
+	const remove = [];
+	for (const arg of args) {
+		const list = arg.startsWith("-") ? remove : add;
+		const tag = /^[+-]/.test(arg) ? arg.slice(1) : arg;
+		if (!TAG_PATTERN.test(tag)) {
+			return { add, remove, error: `Invalid tag "${arg}". Use letters, numbers, dots, hyphens, and underscores.` };
+		}
+		list.push(tag);
+	}
+	return { add, remove };
+}
+
+/**
+ * Apply tag edits to a tag list (removals win over additions of the same tag).
+ * @param {unknown} tags - Current `tags` field
+ * @param {{ add: string[], remove: string[] }} changes
+ * @returns {string[]}
+ */
+export function applyTagChanges(tags, changes) {
+	const next = normalizeTags([...normalizeTags(tags), ...changes.add]);
+	return next.filter(tag => !changes.remove.includes(tag));
+}
@@ -0,0 +1,192 @@
+/**
+ * Threshold alerts: find windows below a remaining-percent floor and notify.
+ * Depends on: lib/windows.js, lib/color.js, lib/constants.js, lib/providers.js
+ */
+
+import { spawnSync } from "node:child_process";
+import { getCodexWindows, getClaudeWindows } from "./windows.js";
+import { RED, colorize } from "./color.js";
+import { PRIMARY_CMD } from "./constants.js";
+import { getProviderTitle } from "./providers.js";
+
+export const ALERT_NOTIFIERS = ["stderr", "notify-send", "webhook", "command"];
+export const DEFAULT_ALERT_NOTIFIERS = ["stderr"];
+const NOTIFIER_TIMEOUT_MS = 15000;
+
+/**
+ * Parse a threshold such as "20%" or "20" into a percentage.
+ * @param {string | null | undefined} value
+ * @returns {number | null} Percentage between 0 and 100, or null when invalid
+ */
+export function parseThreshold(value) {
+	if (value === null || value === undefined) return null;
+	const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*%?$/);
+	if (!match) return null;
+	const threshold = Number(match[1]);
+	return threshold >= 0 && threshold <= 100 ? threshold : null;
+}
+
+/**
+ * Find every window whose remaining percent is below the threshold.
+ * @param {{ results?: Array<{ account: object, usage: object }>, claudeResults?: Array<object> | null, providerResults?: Array<{ provider: { name: string, getWindows: Function }, results: Array<{ account: object, usage: object, error: string | null, cache?: object }> }> }} data - Collected quota data
+ * @param {number} threshold - Remaining percent floor
+ * @param {{ label?: string | null, windows?: string[] | null, now?: number }} [options] - Filters
+ * @returns {Array<{ provider: string, label: string, window: string, remaining: number, resetsAt: string | null }>}
+ */
+export function findAlerts(data, threshold, options = {}) {
+	const now = options.now ?? Date.now();
+	const alerts = [];
+	const check = (provider, label, windows) => {
+		if (options.label && label !== options.label) return;
+		for (const [window, value] of Object.entries(windows)) {
+			if (options.windows?.length && !options.windows.includes(window)) continue;
+			if (value.remaining < threshold) {
+				alerts.push({
+					provider,
+					label,
+					window,
+					remaining: value.remaining,
+					resetsAt: value.resetsAt ? new Date(value.resetsAt).toISOString() : null,
+				});
+			}
+		}
+	};
+	for (const { account, usage } of data.results ?? []) {
+		check("codex", account.label, getCodexWindows(usage, now));
+	}
+	for (const result of data.claudeResults ?? []) {
+		check("claude", result?.label ?? "claude", getClaudeWindows(result));
+	}
+	for (const { provider, results } of data.providerResults ?? []) {
+		for (const { account, usage, error } of results) {
+			check(provider.name, account.label, error ? {} : provider.getWindows(usage));
+		}
+	}
+	return alerts;
+}
+
+/**
+ * Build the JSON payload delivered to webhook and command notifiers.
+ * @param {ReturnType<typeof findAlerts>} alerts
+ * @param {number} threshold
+ * @param {number} [now]
+ * @returns {{ event: string, threshold: number, triggeredAt: string, alerts: ReturnType<typeof findAlerts> }}
+ */
+export function buildAlertPayload(alerts, threshold, now = Date.now()) {
+	return {
+		event: "codex-quota.alert",
+		threshold,
+		triggeredAt: new Date(now).toISOString(),
+		alerts,
+	};
+}
+
+/**
+ * Describe one alert in a single line.
+ * @param {ReturnType<typeof findAlerts>[number]} alert
+ * @returns {string}
+ */
+export function formatAlertLine(alert) {
+	return `${getProviderTitle(alert.provider)} (${alert.label}) ${alert.window}: ${Math.round(alert.remaining)}% left`;
+}
+
+function notifyStderr(payload) {
+	console.error(colorize(`Quota below ${payload.threshold}%:`, RED));
+	for (const alert of payload.alerts) {
+		console.error(`  ${formatAlertLine(alert)}`);
+	}
+	return { notifier: "stderr", ok: true };
+}
+
+function notifyDesktop(payload) {
+	const title = `${PRIMARY_CMD}: quota below ${payload.threshold}%`;
+	const body = payload.alerts.map(formatAlertLine).join("\n");
+	const result = spawnSync("notify-send", ["--app-name", PRIMARY_CMD, title, body], {
+		encoding: "utf-8",
+		timeout: NOTIFIER_TIMEOUT_MS,
+	});
+	if (result.error) {
+		const message = result.error.code === "ENOENT" ? "notify-send not found in PATH" : result.error.message;
+		return { notifier: "notify-send", ok: false, error: message };
+	}
+	if (result.status !== 0) {
+		return { notifier: "notify-send", ok: false, error: (result.stderr || "").trim() || `exit code ${result.status}` };
+	}
+	return { notifier: "notify-send", ok: true };
+}
+
+async function notifyWebhook(payload, url) {
+	if (!url) {
+		return { notifier: "webhook", ok: false, error: "Missing --webhook <url>" };
+	}
+	const controller = new AbortController();
+	const timeout = setTimeout(() => controller.abort(), NOTIFIER_TIMEOUT_MS);
+	try {
+		const res = await fetch(url, {
+			method: "POST",
+			headers: { "Content-Type": "application/json" },
+			body: JSON.stringify(payload),
+			signal: controller.signal,
+		});
+		if (!res.ok) {
+			return { notifier: "webhook", ok: false, error: `HTTP ${res.status}` };
+		}
+		return { notifier: "webhook", ok: true };
+	} catch (err) {
+		const message = err.name === "AbortError" ? "Request timed out" : err.message;
+		return { notifier: "webhook", ok: false, error: message };
+	} finally {
+		clearTimeout(timeout);
+	}
+}
+
+function notifyCommand(payload, command) {
+	if (!command) {
+		return { notifier: "command", ok: false, error: "Missing --command <cmd>" };
+	}
+	// The payload goes to stdin; the command's own output passes through to stderr
+	const result = spawnSync(command, {
+		shell: true,
+		input: JSON.stringify(payload),
+		stdio: ["pipe", process.stderr, process.stderr],
+		timeout: NOTIFIER_TIMEOUT_MS,
+	});
+	if (result.error) {
+		return { notifier: "command", ok: false, error: result.error.message };
+	}
+	if (result.status !== 0) {
+		return { notifier: "command", ok: false, error: `exit code ${result.status}` };
+	}
+	return { notifier: "command", ok: true };
+}
+
+/**
+ * Deliver an alert payload to each requested notifier.
+ * Notifier failures are reported in the result instead of thrown.
+ * @param {ReturnType<typeof buildAlertPayload>} payload
+ * @param {string[]} notifiers - Notifier names from ALERT_NOTIFIERS
+ * @param {{ webhookUrl?: string | null, command?: string | null }} [options]
+ * @returns {Promise<Array<{ notifier: string, ok: boolean, error?: string }>>}
+ */
+export async function sendAlertNotifications(payload, notifiers, options = {}) {
+	const results = [];
+	for (const notifier of notifiers) {
+		switch (notifier) {
+			case "stderr":
+				results.push(notifyStderr(payload));
+				break;
+			case "notify-send":
+				results.push(notifyDesktop(payload));
+				break;
+			case "webhook":
+				results.push(await notifyWebhook(payload, options.webhookUrl));
+				break;
+			case "command":
+				results.push(notifyCommand(payload, options.command));
+				break;
+			default:
+				results.push({ notifier, ok: false, error: `Unknown notifier "${notifier}"` });
+		}
+	}
+	return results;
+}
@@ -0,0 +1,97 @@
+/**
+ * CLI argument helpers for flags that carry a value.
+ * Zero internal dependencies — pure logic module.
+ */
+
+/**
+ * Read the value of a flag given as "--name value" or "--name=value".
+ * @param {string[]} args - Raw CLI arguments
+ * @param {string} name - Flag name including leading dashes (e.g. "--strategy")
+ * @returns {string | null} Flag value, or null when the flag is absent or has no value
+ */
+export function getFlagValue(args, name) {
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		if (arg.startsWith(`${name}=`)) {
+			return arg.slice(name.length + 1);
+		}
+		if (arg === name) {
+			const next = args[i + 1];
+			if (next === undefined || next.startsWith("--")) return null;
+			return next;
+		}
+	}
+	return null;
+}
+
+/**
+ * Remove the values that follow value-carrying flags so they are not
+ * mistaken for positional arguments.
+ * @param {string[]} args - Raw CLI arguments
+ * @param {string[]} names - Value-carrying flag names
+ * @returns {string[]} Arguments with flag values dropped (flags themselves are kept)
+ */
+export function stripFlagValues(args, names) {
+	const result = [];
+	for (let i = 0; i < args.length; i++) {
+		const arg = args[i];
+		result.push(arg);
+		if (names.includes(arg)) {
+			const next = args[i + 1];
+			if (next !== undefined && !next.startsWith("--")) {
+				i++;
+			}
+		}
+	}
+	return result;
+}
+
+// Short forms of --help and --version
+export const SHORT_FLAGS = ["-h", "-v"];
+
+/**
+ * Separate -h / -v from positional arguments. In a tag command ("<namespace> tag <label> ...")
+ * "-name" removes a tag, so "-h" and "-v" after the label are tag edits, not flags.
+ * @param {string[]} positional - Arguments without "--" flags and their values
+ * @param {(word: string) => boolean} isNamespace - Whether a word names a provider namespace
+ * @returns {{ args: string[], shortFlags: string[] }}
+ */
+export function splitShortFlags(positional, isNamespace) {
+	const words = positional.filter(arg => !SHORT_FLAGS.includes(arg));
+	let tagEditsFrom = positional.length;
+	if (words.length > 2 && isNamespace(words[0]) && words[1] === "tag") {
+		let seen = 0;
+		tagEditsFrom = positional.findIndex(arg => !SHORT_FLAGS.includes(arg) && ++seen === 3) + 1;
+	}
+	const args = [];
+	const shortFlags = [];
+	positional.forEach((arg, index) => {
+		(SHORT_FLAGS.includes(arg) && index < tagEditsFrom ? shortFlags : args).push(arg);
+	});
+	return { args, shortFlags };
+}
+
+const DURATION_UNITS_MS = {
+	ms: 1,
+	s: 1000,
+	m: 60 * 1000,
+	h: 60 * 60 * 1000,
+	d: 24 * 60 * 60 * 1000,
+	w: 7 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Parse a human duration such as "60s", "5m", "1h", "7d" into milliseconds.
+ * A bare number uses defaultUnit.
+ * @param {string | null | undefined} value - Duration string
+ * @param {keyof typeof DURATION_UNITS_MS} [defaultUnit] - Unit applied to bare numbers
+ * @returns {number | null} Milliseconds, or null when the value is missing or invalid
+ */
+export function parseDuration(value, defaultUnit = "s") {
+	if (value === null || value === undefined) return null;
+	const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)?$/);
+	if (!match) return null;
+	const amount = Number(match[1]);
+	const unit = match[2] ?? defaultUnit;
+	return Math.round(amount * DURATION_UNITS_MS[unit]);
+}
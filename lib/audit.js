@@ -0,0 +1,95 @@
+/**
+ * Append-only audit log of credential changes (~/.codex-quota/audit.jsonl).
+ * Entries name the command, account, files written, and the writing process;
+ * tokens are recorded only as a fingerprint (a SHA-256 prefix).
+ * Depends on: lib/paths.js
+ */
+
+import { existsSync, mkdirSync, appendFileSync, readFileSync, chmodSync } from "node:fs";
+import { dirname } from "node:path";
+import { createHash } from "node:crypto";
+import { getAuditLogPath } from "./paths.js";
+
+export const AUDIT_EVENTS = ["add", "reauth", "switch", "sync", "remove", "refresh", "import", "restore", "rename"];
+
+/**
+ * Fingerprint a token so entries can be compared without storing it.
+ * @param {string | null | undefined} token
+ * @returns {string | null} First 12 hex characters of its SHA-256
+ */
+export function fingerprintToken(token) {
+	if (typeof token !== "string" || !token) return null;
+	return createHash("sha256").update(token).digest("hex").slice(0, 12);
+}
+
+/**
+ * Append an entry to the audit log (created with 0600 permissions).
+ * Never throws: a failed log write must not fail the change it records.
+ * @param {{ event: string, provider: string | null, label?: string | null, previousLabel?: string | null, paths?: string[], token?: string | null, now?: number }} entry - token is fingerprinted, never written; previousLabel is the old label of a rename
+ * @param {{ path?: string }} [options]
+ * @returns {{ path: string, error?: string }}
+ */
+export function recordAuditEvent(entry, options = {}) {
+	const auditPath = options.path ?? getAuditLogPath();
+	const record = {
+		ts: new Date(entry.now ?? Date.now()).toISOString(),
+		event: entry.event,
+		provider: entry.provider,
+		label: entry.label ?? null,
+		...(entry.previousLabel ? { previousLabel: entry.previousLabel } : {}),
+		paths: [...new Set(entry.paths ?? [])],
+		fingerprint: fingerprintToken(entry.token),
+		pid: process.pid,
+	};
+	try {
+		const dir = dirname(auditPath);
+		if (!existsSync(dir)) {
+			mkdirSync(dir, { recursive: true, mode: 0o700 });
+		}
+		const isNew = !existsSync(auditPath);
+		appendFileSync(auditPath, JSON.stringify(record) + "\n", "utf-8");
+		if (isNew) {
+			chmodSync(auditPath, 0o600);
+		}
+		return { path: auditPath };
+	} catch (err) {
+		return { path: auditPath, error: `Failed to write audit log: ${err?.message ?? String(err)}` };
+	}
+}
+
+/**
+ * Read all valid entries from the audit log, oldest first. Malformed lines are skipped.
+ * @param {string} [auditPath]
+ * @returns {Array<{ ts: string, event: string, provider: string, label: string | null, previousLabel?: string, paths: string[], fingerprint: string | null, pid: number }>}
+ */
+export function readAuditLog(auditPath = getAuditLogPath()) {
+	if (!existsSync(auditPath)) return [];
+	const entries = [];
+	for (const line of readFileSync(auditPath, "utf-8").split("\n")) {
+		if (!line.trim()) continue;
+		try {
+			const entry = JSON.parse(line);
+			if (entry && typeof entry.event === "string" && !Number.isNaN(Date.parse(entry.ts))) {
+				entries.push({ ...entry, paths: Array.isArray(entry.paths) ? entry.paths : [] });
+			}
+		} catch {
+			// Skip partial or corrupted lines
+		}
+	}
+	return entries;
+}
+
+/**
+ * Filter audit entries. A label filter also matches renames away from that label.
+ * @param {ReturnType<typeof readAuditLog>} entries
+ * @param {{ label?: string | null, event?: string | null, provider?: string | null, since?: number | null }} filters - since is a timestamp in milliseconds
+ * @returns {ReturnType<typeof readAuditLog>}
+ */
+export function filterAuditEntries(entries, filters = {}) {
+	return entries.filter(entry => (
+		(!filters.label || entry.label === filters.label || entry.previousLabel === filters.label)
+		&& (!filters.event || entry.event === filters.event)
+		&& (!filters.provider || entry.provider === filters.provider)
+		&& (!filters.since || Date.parse(entry.ts) >= filters.since)
+	));
+}
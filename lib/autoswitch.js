@@ -0,0 +1,176 @@
+/**
+ * Automatic failover for the autoswitch command: when the active account's 5h or weekly
+ * window drops below a floor, move to the next account in order that is at or above it.
+ * Decisions are appended to ~/.codex-quota/autoswitch.jsonl; a stay or skip is only
+ * appended when it differs from the provider's last logged decision.
+ * Depends on: lib/paths.js
+ */
+
+import { existsSync, mkdirSync, appendFileSync, chmodSync, readFileSync } from "node:fs";
+import { dirname } from "node:path";
+import { getAutoswitchLogPath } from "./paths.js";
+
+export const DEFAULT_AUTOSWITCH_FLOOR = 10;
+export const AUTOSWITCH_ACTIONS = ["stay", "switch", "stuck", "skip", "error"];
+
+/**
+ * Find the windows whose remaining percent is below the floor.
+ * @param {Record<string, { remaining: number }>} windows - From getCodexWindows / getClaudeWindows
+ * @param {number} floor - Remaining percent
+ * @returns {Array<{ window: string, remaining: number }>}
+ */
+export function findLowWindows(windows, floor) {
+	return Object.entries(windows ?? {})
+		.filter(([key, value]) => (key === "5h" || key === "weekly") && value.remaining < floor)
+		.map(([window, value]) => ({ window, remaining: value.remaining }));
+}
+
+/**
+ * List the accounts to try after the active one: the order (or every label) rotated
+ * to start just after the active label, so repeated failovers walk the whole list.
+ * @param {string[]} labels - Labels that can be switched to, in display order
+ * @param {string | null} activeLabel
+ * @param {string[]} [order] - User-defined order; when set, only these labels are tried
+ * @returns {string[]}
+ */
+export function orderAutoswitchCandidates(labels, activeLabel, order = []) {
+	const base = order.length ? order.filter(label => labels.includes(label)) : labels;
+	const index = base.indexOf(activeLabel);
+	const rotated = index === -1 ? base : [...base.slice(index + 1), ...base.slice(0, index)];
+	return [...new Set(rotated)].filter(label => label !== activeLabel);
+}
+
+/**
+ * Summarize windows as "5h 45%, weekly 80%".
+ * @param {Record<string, { remaining: number }>} windows
+ * @returns {string}
+ */
+export function formatWindowSummary(windows) {
+	const parts = ["5h", "weekly"]
+		.filter(key => windows?.[key])
+		.map(key => `${key} ${Math.round(windows[key].remaining)}%`);
+	return parts.length ? parts.join(", ") : "no windows reported";
+}
+
+function formatLowWindows(low, floor) {
+	return `${low.map(({ window, remaining }) => `${window} at ${Math.round(remaining)}%`).join(" and ")} (below ${floor}%)`;
+}
+
+/**
+ * Decide whether to move off the active account. Only the active account is checked
+ * while it is above the floor; candidates are checked one at a time, in order, after that.
+ * @param {{
+ *   activeLabel: string,
+ *   candidates: string[],
+ *   floor: number,
+ *   check: (label: string) => Promise<{ windows: Record<string, { remaining: number }>, error?: string | null }>,
+ * }} options - candidates come from orderAutoswitchCandidates
+ * @returns {Promise<{ action: "stay" | "switch" | "stuck", label: string, target: string | null, reason: string, windows: object, skipped: Array<{ label: string, reason: string }>, usageError?: string }>} usageError is set when the active account could not be checked
+ */
+export async function decideAutoswitch(options) {
+	const { activeLabel, candidates, floor, check } = options;
+	const active = await check(activeLabel);
+	const decision = { label: activeLabel, target: null, windows: active.windows ?? {}, skipped: [] };
+	if (active.error) {
+		return { ...decision, action: "stay", reason: `Could not check usage: ${active.error}`, usageError: active.error };
+	}
+	const low = findLowWindows(active.windows, floor);
+	if (!low.length) {
+		return { ...decision, action: "stay", reason: `${formatWindowSummary(active.windows)} left (floor ${floor}%)` };
+	}
+
+	for (const label of candidates) {
+		const candidate = await check(label);
+		if (candidate.error) {
+			decision.skipped.push({ label, reason: candidate.error });
+			continue;
+		}
+		const candidateLow = findLowWindows(candidate.windows, floor);
+		if (candidateLow.length) {
+			decision.skipped.push({ label, reason: formatLowWindows(candidateLow, floor) });
+			continue;
+		}
+		return {
+			...decision,
+			action: "switch",
+			target: label,
+			reason: `${formatLowWindows(low, floor)}; ${label} has ${formatWindowSummary(candidate.windows)} left`,
+		};
+	}
+
+	const tried = decision.skipped.map(({ label, reason }) => `${label}: ${reason}`).join("; ");
+	return {
+		...decision,
+		action: "stuck",
+		reason: `${formatLowWindows(low, floor)}; no account to switch to${tried ? ` (${tried})` : ""}`,
+	};
+}
+
+/**
+ * Append a decision to the autoswitch log (created with 0600 permissions).
+ * Never throws: a failed log write must not stop the daemon.
+ * @param {{ provider: string, action: string, label: string | null, target?: string | null, reason: string, floor: number, now?: number }} entry
+ * @param {{ path?: string }} [options]
+ * @returns {{ path: string, error?: string }}
+ */
+export function recordAutoswitchDecision(entry, options = {}) {
+	const logPath = options.path ?? getAutoswitchLogPath();
+	const { now, ...fields } = entry;
+	const record = { ts: new Date(now ?? Date.now()).toISOString(), ...fields, pid: process.pid };
+	try {
+		const dir = dirname(logPath);
+		if (!existsSync(dir)) {
+			mkdirSync(dir, { recursive: true, mode: 0o700 });
+		}
+		const isNew = !existsSync(logPath);
+		appendFileSync(logPath, JSON.stringify(record) + "\n", "utf-8");
+		if (isNew) {
+			chmodSync(logPath, 0o600);
+		}
+		return { path: logPath };
+	} catch (err) {
+		return { path: logPath, error: `Failed to write autoswitch log: ${err?.message ?? String(err)}` };
+	}
+}
+
+/**
+ * Decide whether a decision repeats the last one logged for its provider. Switch, stuck,
+ * and error decisions never repeat; a stay repeats when only the remaining percents in
+ * its reason changed.
+ * @param {{ action: string, label: string | null, reason: string, floor: number, usageError?: string }} entry
+ * @param {object | undefined} previous - Last logged entry for the provider
+ * @returns {boolean}
+ */
+export function isRepeatedAutoswitchDecision(entry, previous) {
+	if (!previous || !["stay", "skip"].includes(entry.action)) return false;
+	if (entry.action !== previous.action || entry.label !== previous.label || entry.floor !== previous.floor) return false;
+	return entry.action === "stay"
+		? (entry.usageError ?? null) === (previous.usageError ?? null)
+		: entry.reason === previous.reason;
+}
+
+/**
+ * Read the last logged decision of each provider, so a new run (cron with --once) does
+ * not log the same stay again.
+ * @param {{ path?: string }} [options]
+ * @returns {Map<string, object>} Entries by provider
+ */
+export function readLastAutoswitchDecisions(options = {}) {
+	const logPath = options.path ?? getAutoswitchLogPath();
+	const last = new Map();
+	if (!existsSync(logPath)) return last;
+	try {
+		for (const line of readFileSync(logPath, "utf-8").split("\n")) {
+			if (!line.trim()) continue;
+			try {
+				const record = JSON.parse(line);
+				if (typeof record?.provider === "string") last.set(record.provider, record);
+			} catch {
+				// Skip partial or corrupted lines
+			}
+		}
+	} catch {
+		// An unreadable log only means the next decision is logged
+	}
+	return last;
+}
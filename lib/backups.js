@@ -0,0 +1,265 @@
+/**
+ * Credential file backups: each write to an account store or harness auth file first
+ * snapshots the previous version into ~/.codex-quota/backups/<file>/<timestamp>.json.
+ * Only the newest snapshots are kept (backups.keep, default 20).
+ * Depends on: lib/paths.js, lib/config.js, lib/fs.js, lib/lock.js
+ */
+
+import { existsSync, mkdirSync, readFileSync, readdirSync, statSync, unlinkSync } from "node:fs";
+import { homedir } from "node:os";
+import { join, resolve, relative, isAbsolute } from "node:path";
+import { createHash } from "node:crypto";
+import { getBackupsDir } from "./paths.js";
+import { getConfigValue } from "./config.js";
+import { resolveWritePath, writeFileAtomic } from "./fs.js";
+import { withFileLock } from "./lock.js";
+
+export const DEFAULT_BACKUP_KEEP = 20;
+
+// Each backup directory records the file it belongs to
+const SOURCE_FILE = "source.json";
+
+/**
+ * Expand "~" and make a path absolute.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function toAbsolutePath(filePath) {
+	if (filePath === "~" || filePath.startsWith("~/")) {
+		return join(homedir(), filePath.slice(1));
+	}
+	return resolve(filePath);
+}
+
+/**
+ * Name a file's backup directory after its path: relative to the home directory,
+ * with separators replaced ("~/.codex/auth.json" → ".codex_auth.json").
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function getBackupName(filePath) {
+	const absolute = toAbsolutePath(filePath);
+	const fromHome = relative(homedir(), absolute);
+	const inHome = fromHome && !fromHome.startsWith("..") && !isAbsolute(fromHome);
+	return (inHome ? fromHome : absolute).split(/[\\/:]+/).filter(Boolean).join("_");
+}
+
+function readBackupSource(dir) {
+	try {
+		const source = JSON.parse(readFileSync(join(dir, SOURCE_FILE), "utf-8"))?.path;
+		return typeof source === "string" ? source : null;
+	} catch {
+		return null;
+	}
+}
+
+/**
+ * Resolve the backup directory for a file.
+ * Two paths that flatten to the same name get a hash suffix on the second.
+ * @param {string} filePath
+ * @returns {string}
+ */
+function getBackupDirFor(filePath) {
+	const absolute = toAbsolutePath(filePath);
+	const dir = join(getBackupsDir(), getBackupName(absolute));
+	const source = existsSync(dir) ? readBackupSource(dir) : absolute;
+	if (source === absolute) return dir;
+	return `${dir}-${createHash("sha256").update(absolute).digest("hex").slice(0, 8)}`;
+}
+
+/**
+ * Format a snapshot id: an ISO timestamp that is safe in file names.
+ * @param {number} ms
+ * @returns {string} e.g. "2026-01-02T03-04-05.678Z"
+ */
+export function formatBackupId(ms) {
+	return new Date(ms).toISOString().replace(/:/g, "-");
+}
+
+/**
+ * Parse a snapshot id back into a timestamp.
+ * @param {string} id
+ * @returns {number | null}
+ */
+export function parseBackupId(id) {
+	const match = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2}(?:\.\d+)?)Z$/.exec(id);
+	if (!match) return null;
+	const ms = Date.parse(`${match[1]}T${match[2]}:${match[3]}:${match[4]}Z`);
+	return Number.isNaN(ms) ? null : ms;
+}
+
+/**
+ * List the snapshots in a backup directory, oldest first.
+ * @param {string} dir
+ * @returns {Array<{ id: string, at: number, path: string, size: number }>}
+ */
+function listSnapshots(dir) {
+	let names;
+	try {
+		names = readdirSync(dir);
+	} catch {
+		return [];
+	}
+	return names
+		.filter(name => name.endsWith(".json") && name !== SOURCE_FILE)
+		.map(name => {
+			const id = name.slice(0, -".json".length);
+			const path = join(dir, name);
+			return { id, at: parseBackupId(id), path, size: statSync(path).size };
+		})
+		.filter(snapshot => snapshot.at !== null)
+		.sort((a, b) => a.id.localeCompare(b.id));
+}
+
+/**
+ * Get the number of snapshots kept per file.
+ * @returns {number} 0 disables backups
+ */
+export function getBackupKeep() {
+	return getConfigValue("backups.keep") ?? DEFAULT_BACKUP_KEEP;
+}
+
+/**
+ * Snapshot a file before it is overwritten, then drop snapshots beyond the retention limit.
+ * Missing files and contents equal to the newest snapshot are not snapshotted.
+ * Never throws: a failed backup must not block the write it precedes.
+ * @param {string} filePath - File about to be written (symlinks are followed)
+ * @param {{ now?: number, keep?: number }} [options]
+ * @returns {{ path: string | null, skipped?: boolean, error?: string }} Path of the snapshot
+ */
+export function backupFile(filePath, options = {}) {
+	const keep = options.keep ?? getBackupKeep();
+	const { path: sourcePath } = resolveWritePath(filePath);
+	if (keep <= 0 || !existsSync(sourcePath)) {
+		return { path: null, skipped: true };
+	}
+	try {
+		const contents = readFileSync(sourcePath, "utf-8");
+		const dir = getBackupDirFor(filePath);
+		const snapshots = listSnapshots(dir);
+		const newest = snapshots[snapshots.length - 1];
+		if (newest && readFileSync(newest.path, "utf-8") === contents) {
+			return { path: newest.path, skipped: true };
+		}
+
+		if (!existsSync(dir)) {
+			mkdirSync(dir, { recursive: true, mode: 0o700 });
+			writeFileAtomic(join(dir, SOURCE_FILE), JSON.stringify({ path: toAbsolutePath(filePath) }) + "\n", { mode: 0o600 });
+		}
+		let now = options.now ?? Date.now();
+		let path = join(dir, `${formatBackupId(now)}.json`);
+		while (existsSync(path)) {
+			path = join(dir, `${formatBackupId(++now)}.json`);
+		}
+		writeFileAtomic(path, contents, { mode: 0o600 });
+
+		const expired = [...snapshots, { path }].slice(0, -keep);
+		for (const snapshot of expired) {
+			unlinkSync(snapshot.path);
+		}
+		return { path };
+	} catch (err) {
+		return { path: null, error: err?.message ?? String(err) };
+	}
+}
+
+/**
+ * Rewrite every snapshot of a file in place, e.g. to encrypt the plaintext copies of a
+ * store that was just encrypted. Snapshots the transform returns null for are deleted.
+ * @param {string} filePath
+ * @param {(contents: string) => string | null} transform
+ * @returns {{ rewritten: number, removed: number }}
+ */
+export function rewriteBackups(filePath, transform) {
+	let rewritten = 0;
+	let removed = 0;
+	for (const snapshot of listSnapshots(getBackupDirFor(filePath))) {
+		const contents = readFileSync(snapshot.path, "utf-8");
+		const next = transform(contents);
+		if (next === null) {
+			unlinkSync(snapshot.path);
+			removed++;
+		} else if (next !== contents) {
+			writeFileAtomic(snapshot.path, next, { mode: 0o600 });
+			rewritten++;
+		}
+	}
+	return { rewritten, removed };
+}
+
+/**
+ * List every file with backups.
+ * @returns {Array<{ name: string, path: string, snapshots: ReturnType<typeof listSnapshots> }>}
+ */
+export function listBackups() {
+	const root = getBackupsDir();
+	let names;
+	try {
+		names = readdirSync(root);
+	} catch {
+		return [];
+	}
+	return names
+		.map(name => {
+			const dir = join(root, name);
+			const path = readBackupSource(dir);
+			return path ? { name, path, snapshots: listSnapshots(dir) } : null;
+		})
+		.filter(set => set && set.snapshots.length)
+		.sort((a, b) => a.path.localeCompare(b.path));
+}
+
+/**
+ * Find the backups of a file, by its path or its backup name.
+ * @param {string} file - e.g. "~/.codex/auth.json" or ".codex_auth.json"
+ * @returns {ReturnType<typeof listBackups>[number] | null}
+ */
+export function findBackups(file) {
+	const absolute = toAbsolutePath(file);
+	return listBackups().find(set => set.name === file || set.path === absolute) ?? null;
+}
+
+/**
+ * Pick a snapshot: the newest, one by id, or the newest at or before a time.
+ * @param {ReturnType<typeof listSnapshots>} snapshots - Oldest first
+ * @param {string | null} [at] - Snapshot id or a date ("2026-01-02T03:04:05Z")
+ * @returns {{ snapshot?: ReturnType<typeof listSnapshots>[number], error?: string }}
+ */
+export function selectSnapshot(snapshots, at) {
+	if (!snapshots.length) {
+		return { error: "No backups found" };
+	}
+	if (!at) {
+		return { snapshot: snapshots[snapshots.length - 1] };
+	}
+	const id = at.endsWith(".json") ? at.slice(0, -".json".length) : at;
+	const exact = snapshots.find(snapshot => snapshot.id === id);
+	if (exact) {
+		return { snapshot: exact };
+	}
+	const time = parseBackupId(id) ?? Date.parse(at);
+	if (Number.isNaN(time)) {
+		return { error: `Invalid --at "${at}". Use a backup id from 'backups list' or a date.` };
+	}
+	const earlier = snapshots.filter(snapshot => snapshot.at <= time);
+	if (!earlier.length) {
+		return { error: `No backup at or before ${new Date(time).toISOString()}` };
+	}
+	return { snapshot: earlier[earlier.length - 1] };
+}
+
+/**
+ * Restore a file from a snapshot. The current contents are backed up first,
+ * so a restore can itself be undone.
+ * @param {string} filePath - File to restore
+ * @param {{ path: string }} snapshot - From selectSnapshot
+ * @returns {{ path: string, backup: string | null }} Path written and the snapshot of the replaced contents
+ */
+export function restoreBackup(filePath, snapshot) {
+	const contents = readFileSync(snapshot.path, "utf-8");
+	return withFileLock(filePath, () => {
+		const backup = backupFile(filePath);
+		const path = writeFileAtomic(filePath, contents, { mode: 0o600 });
+		return { path, backup: backup.path };
+	});
+}
@@ -0,0 +1,113 @@
+/**
+ * Passphrase-encrypted export bundles (.cqx) for moving accounts between machines.
+ * Bundles use the vault format (AES-256-GCM, scrypt) around a plain JSON payload.
+ * Depends on: lib/vault.js
+ */
+
+import { createVaultKey, encryptVaultPayload, isVaultPayload, openVault } from "./vault.js";
+
+export const BUNDLE_FORMAT = "codex-quota-bundle";
+export const BUNDLE_VERSION = 1;
+export const CONFLICT_MODES = ["skip", "rename", "overwrite"];
+
+/**
+ * Build a bundle payload.
+ * @param {{ codex?: unknown[] | null, claude?: unknown[] | null }} accounts - Raw container entries per provider (null to leave a provider out)
+ * @param {Date} [now]
+ * @returns {{ format: string, version: number, exportedAt: string, codex?: unknown[], claude?: unknown[] }}
+ */
+export function buildBundle(accounts, now = new Date()) {
+	const bundle = { format: BUNDLE_FORMAT, version: BUNDLE_VERSION, exportedAt: now.toISOString() };
+	if (accounts.codex) bundle.codex = accounts.codex;
+	if (accounts.claude) bundle.claude = accounts.claude;
+	return bundle;
+}
+
+/**
+ * Encrypt a bundle with a passphrase.
+ * @param {ReturnType<typeof buildBundle>} bundle
+ * @param {string} passphrase
+ * @returns {Record<string, unknown>} JSON-serializable encrypted bundle
+ */
+export function encryptBundle(bundle, passphrase) {
+	return encryptVaultPayload(bundle, createVaultKey({ passphrase }));
+}
+
+/**
+ * Decrypt and validate a bundle.
+ * @param {unknown} parsed - Parsed bundle file
+ * @param {string} passphrase
+ * @returns {{ bundle: ReturnType<typeof buildBundle> | null, error: string | null }}
+ */
+export function decryptBundle(parsed, passphrase) {
+	if (!isVaultPayload(parsed) || parsed.kdf?.name !== "scrypt") {
+		return { bundle: null, error: "not a codex-quota export bundle" };
+	}
+	const { payload, error } = openVault(parsed, { passphrase });
+	if (error) {
+		return { bundle: null, error };
+	}
+	if (payload?.format !== BUNDLE_FORMAT || typeof payload.version !== "number") {
+		return { bundle: null, error: "not a codex-quota export bundle" };
+	}
+	if (payload.version > BUNDLE_VERSION) {
+		return { bundle: null, error: `bundle version ${payload.version} is newer than this ${BUNDLE_FORMAT} reader (${BUNDLE_VERSION})` };
+	}
+	return { bundle: payload, error: null };
+}
+
+function nextFreeLabel(label, taken) {
+	for (let suffix = 2; ; suffix++) {
+		const candidate = `${label}-${suffix}`;
+		if (!taken.has(candidate)) return candidate;
+	}
+}
+
+/**
+ * Merge imported entries into a container's accounts.
+ * An entry conflicts with an existing one that has the same accountId (the same Codex
+ * account under any label) or, failing that, the same label. Conflicts are resolved by mode:
+ * - skip: keep the existing entry
+ * - rename: import under a free label ("work-2"); the same account is still skipped
+ * - overwrite: replace the existing entry, keeping its label so activeLabel stays valid
+ * @param {unknown[]} existing - Current container entries
+ * @param {unknown[]} incoming - Entries from the bundle
+ * @param {"skip" | "rename" | "overwrite"} mode
+ * @returns {{ accounts: unknown[], results: Array<{ label: string, action: "added" | "skipped" | "renamed" | "overwritten", importedAs: string | null, reason?: string }> }}
+ */
+export function mergeBundleAccounts(existing, incoming, mode) {
+	const accounts = [...existing];
+	const results = [];
+	const findIndex = predicate => accounts.findIndex(entry => entry && typeof entry === "object" && predicate(entry));
+
+	for (const entry of incoming) {
+		if (!entry || typeof entry !== "object" || typeof entry.label !== "string" || !entry.label) {
+			continue;
+		}
+		const byAccount = entry.accountId ? findIndex(other => other.accountId === entry.accountId) : -1;
+		const index = byAccount !== -1 ? byAccount : findIndex(other => other.label === entry.label);
+		if (index === -1) {
+			accounts.push(entry);
+			results.push({ label: entry.label, action: "added", importedAs: entry.label });
+			continue;
+		}
+
+		const current = accounts[index];
+		const reason = byAccount !== -1
+			? `same account as "${current.label}"`
+			: `label "${entry.label}" exists`;
+		if (mode === "overwrite") {
+			accounts[index] = { ...entry, label: current.label };
+			results.push({ label: entry.label, action: "overwritten", importedAs: current.label, reason });
+		} else if (mode === "rename" && byAccount === -1) {
+			const taken = new Set(accounts.map(other => other?.label));
+			const label = nextFreeLabel(entry.label, taken);
+			accounts.push({ ...entry, label });
+			results.push({ label: entry.label, action: "renamed", importedAs: label, reason });
+		} else {
+			results.push({ label: entry.label, action: "skipped", importedAs: null, reason });
+		}
+	}
+
+	return { accounts, results };
+}
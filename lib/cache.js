@@ -0,0 +1,200 @@
+/**
+ * On-disk usage cache shared by quota, status, alert, pick, and serve.
+ * Entries are stored per account ("codex:<label>", "claude:<label>") and expire independently.
+ * Updates run under the cache file's lock so concurrent runs do not drop each other's entries.
+ * Depends on: lib/paths.js, lib/fs.js, lib/lock.js
+ */
+
+import { existsSync, readFileSync, mkdirSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { getCodexQuotaHome } from "./paths.js";
+import { writeFileAtomic } from "./fs.js";
+import { withFileLock } from "./lock.js";
+
+// Reuse a fetch for this long unless --max-age or --no-cache says otherwise
+export const DEFAULT_CACHE_MAX_AGE_MS = 60 * 1000;
+// Last known values older than this are not used as a fallback when a fetch fails
+export const STALE_CACHE_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+const CACHE_VERSION = 1;
+// Cache updates are best effort, so wait on a busy lock only briefly
+const CACHE_LOCK_TIMEOUT_MS = 1000;
+
+// Global policy set by main() from --no-cache / --max-age
+let cachePolicy = { enabled: true, maxAgeMs: DEFAULT_CACHE_MAX_AGE_MS };
+
+/**
+ * Set the cache policy (from CLI flags, or for testing purposes)
+ * @param {{ enabled?: boolean, maxAgeMs?: number }} policy
+ */
+export function setUsageCachePolicy(policy) {
+	cachePolicy = { ...cachePolicy, ...policy };
+}
+
+/**
+ * Get the current cache policy.
+ * @returns {{ enabled: boolean, maxAgeMs: number }}
+ */
+export function getUsageCachePolicy() {
+	return { ...cachePolicy };
+}
+
+/**
+ * Resolve the usage cache file path.
+ * @returns {string}
+ */
+export function getUsageCachePath() {
+	return join(getCodexQuotaHome(), "cache.json");
+}
+
+function readCacheFile(cachePath) {
+	if (!existsSync(cachePath)) return {};
+	try {
+		const parsed = JSON.parse(readFileSync(cachePath, "utf-8"));
+		if (parsed?.version !== CACHE_VERSION || !parsed.entries || typeof parsed.entries !== "object") {
+			return {};
+		}
+		return parsed.entries;
+	} catch {
+		return {};
+	}
+}
+
+function writeCacheFile(cachePath, entries) {
+	try {
+		const dir = dirname(cachePath);
+		if (!existsSync(dir)) {
+			mkdirSync(dir, { recursive: true, mode: 0o700 });
+		}
+		writeFileAtomic(cachePath, JSON.stringify({ version: CACHE_VERSION, entries }) + "\n", { mode: 0o600 });
+	} catch {
+		// Best effort - the cache only saves network calls
+	}
+}
+
+/**
+ * Build the cache key for an account.
+ * @param {"codex" | "claude"} provider
+ * @param {string} label
+ * @returns {string}
+ */
+export function getUsageCacheKey(provider, label) {
+	return `${provider}:${label}`;
+}
+
+/**
+ * Read one cache entry regardless of age.
+ * @param {string} key - From getUsageCacheKey
+ * @param {{ path?: string }} [options]
+ * @returns {{ fetchedAt: number, data: any } | null}
+ */
+export function readUsageCacheEntry(key, options = {}) {
+	const entry = readCacheFile(options.path ?? getUsageCachePath())[key];
+	if (!entry || typeof entry.fetchedAt !== "number" || !("data" in entry)) return null;
+	return entry;
+}
+
+/**
+ * Store a successful fetch, dropping entries too old to serve as a fallback.
+ * @param {string} key - From getUsageCacheKey
+ * @param {any} data - JSON-serializable fetch result
+ * @param {{ path?: string, now?: number }} [options]
+ */
+export function writeUsageCacheEntry(key, data, options = {}) {
+	const cachePath = options.path ?? getUsageCachePath();
+	const now = options.now ?? Date.now();
+	try {
+		withFileLock(cachePath, () => {
+			const entries = readCacheFile(cachePath);
+			for (const [entryKey, entry] of Object.entries(entries)) {
+				if (!(now - entry?.fetchedAt < STALE_CACHE_MAX_AGE_MS)) delete entries[entryKey];
+			}
+			entries[key] = { fetchedAt: now, data };
+			writeCacheFile(cachePath, entries);
+		}, { timeoutMs: CACHE_LOCK_TIMEOUT_MS });
+	} catch {
+		// Best effort - skip the write rather than wait on a busy lock
+	}
+}
+
+/**
+ * Drop cached usage for an account (after switch, reauth, or remove).
+ * @param {"codex" | "claude"} provider
+ * @param {string} label
+ * @param {{ path?: string }} [options]
+ * @returns {boolean} Whether an entry was removed
+ */
+export function invalidateUsageCache(provider, label, options = {}) {
+	const cachePath = options.path ?? getUsageCachePath();
+	const key = getUsageCacheKey(provider, label);
+	const remove = () => {
+		const entries = readCacheFile(cachePath);
+		if (!(key in entries)) return false;
+		delete entries[key];
+		writeCacheFile(cachePath, entries);
+		return true;
+	};
+	try {
+		return withFileLock(cachePath, remove, { timeoutMs: CACHE_LOCK_TIMEOUT_MS });
+	} catch {
+		// A stale entry outlives its account otherwise, so remove it even without the lock
+		return remove();
+	}
+}
+
+/**
+ * Fetch through the cache.
+ * - A fresh entry (younger than the policy max age) is returned without fetching.
+ * - A successful fetch is stored.
+ * - A failed fetch falls back to the last known value, marked stale.
+ * @template T
+ * @param {string} key - From getUsageCacheKey
+ * @param {() => Promise<T>} fetcher - Performs the network fetch
+ * @param {(value: T) => string | null} getError - Error message for a failed fetch, null on success
+ * @param {{ path?: string, now?: () => number }} [options]
+ * @returns {Promise<{ value: T, cache: { fetchedAt: string, ageSeconds: number, stale: boolean, error?: string } | null }>}
+ */
+export async function fetchWithUsageCache(key, fetcher, getError, options = {}) {
+	const now = options.now ?? Date.now;
+	if (!cachePolicy.enabled) {
+		return { value: await fetcher(), cache: null };
+	}
+	const cached = readUsageCacheEntry(key, options);
+	if (cached && now() - cached.fetchedAt < cachePolicy.maxAgeMs) {
+		return { value: cached.data, cache: describeEntry(cached, now(), false) };
+	}
+
+	const value = await fetcher();
+	const error = getError(value);
+	if (!error) {
+		writeUsageCacheEntry(key, value, { path: options.path, now: now() });
+		return { value, cache: null };
+	}
+	if (cached && now() - cached.fetchedAt < STALE_CACHE_MAX_AGE_MS) {
+		return { value: cached.data, cache: { ...describeEntry(cached, now(), true), error } };
+	}
+	return { value, cache: null };
+}
+
+/**
+ * Read cached usage without fetching, for callers that must never block on the network.
+ * Entries older than the policy max age are returned marked stale.
+ * @param {string} key - From getUsageCacheKey
+ * @param {{ path?: string, now?: () => number }} [options]
+ * @returns {{ value: any, cache: { fetchedAt: string, ageSeconds: number, stale: boolean } } | null} Null when nothing usable is cached
+ */
+export function readCachedUsage(key, options = {}) {
+	if (!cachePolicy.enabled) return null;
+	const now = (options.now ?? Date.now)();
+	const cached = readUsageCacheEntry(key, options);
+	if (!cached || !(now - cached.fetchedAt < STALE_CACHE_MAX_AGE_MS)) return null;
+	return { value: cached.data, cache: describeEntry(cached, now, !(now - cached.fetchedAt < cachePolicy.maxAgeMs)) };
+}
+
+function describeEntry(entry, now, stale) {
+	return {
+		fetchedAt: new Date(entry.fetchedAt).toISOString(),
+		ageSeconds: Math.max(0, Math.round((now - entry.fetchedAt) / 1000)),
+		stale,
+	};
+}
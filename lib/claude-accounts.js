@@ -1,12 +1,13 @@
 /**
  * Claude account loading, session/OAuth resolution.
- * Depends on: lib/constants.js, lib/container.js, lib/paths.js
+ * Depends on: lib/constants.js, lib/container.js, lib/paths.js, lib/account-meta.js
  */
 
 import { existsSync, readFileSync } from "node:fs";
-import { CLAUDE_CREDENTIALS_PATH, CLAUDE_MULTI_ACCOUNT_PATHS } from "./constants.js";
+import { CLAUDE_MULTI_ACCOUNT_PATHS } from "./constants.js";
 import { readMultiAccountContainer, writeMultiAccountContainer } from "./container.js";
-import { getOpencodeAuthPath } from "./paths.js";
+import { getOpencodeAuthPath, getClaudeCredentialsPath } from "./paths.js";
+import { pickAccountMeta } from "./account-meta.js";
 
 export function isClaudeSessionKey(value) {
 	return typeof value === "string" && value.startsWith("sk-ant-");
@@ -57,6 +58,7 @@ export function normalizeClaudeAccount(raw, source) {
 		oauthRefreshToken,
 		oauthExpiresAt,
 		oauthScopes,
+		...pickAccountMeta(raw),
 		source,
 	};
 }
@@ -148,7 +150,7 @@ export function saveClaudeAccounts(accounts) {
 }
 
 export function loadClaudeSessionFromCredentials() {
-	const credentialsPath = process.env.CLAUDE_CREDENTIALS_PATH || CLAUDE_CREDENTIALS_PATH;
+	const credentialsPath = getClaudeCredentialsPath();
 	if (!existsSync(credentialsPath)) {
 		return {
 			sessionKey: null,
@@ -179,7 +181,7 @@ export function loadClaudeSessionFromCredentials() {
 }
 
 export function loadClaudeOAuthToken() {
-	const credentialsPath = process.env.CLAUDE_CREDENTIALS_PATH || CLAUDE_CREDENTIALS_PATH;
+	const credentialsPath = getClaudeCredentialsPath();
 	if (!existsSync(credentialsPath)) {
 		return { token: null, source: credentialsPath, error: `Claude credentials not found at ${credentialsPath}` };
 	}
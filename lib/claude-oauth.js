@@ -1,6 +1,6 @@
 /**
  * Claude OAuth browser flow.
- * Depends on: lib/constants.js, lib/oauth.js, lib/claude-tokens.js, lib/prompts.js
+ * Depends on: lib/constants.js, lib/config.js, lib/oauth.js, lib/claude-tokens.js, lib/prompts.js
  */
 
 import {
@@ -12,6 +12,7 @@ import {
 	CLAUDE_OAUTH_REFRESH_BUFFER_MS,
 	OAUTH_TIMEOUT_MS,
 } from "./constants.js";
+import { getTimeoutMs } from "./config.js";
 import { generatePKCE, generateState, openBrowser } from "./oauth.js";
 import { refreshClaudeToken, persistClaudeOAuthTokens } from "./claude-tokens.js";
 import { promptInput } from "./prompts.js";
@@ -78,7 +79,7 @@ export function parseClaudeCodeState(input) {
  */
 export async function exchangeClaudeCodeForTokens(code, codeVerifier, state) {
 	const controller = new AbortController();
-	const timeout = setTimeout(() => controller.abort(), OAUTH_TIMEOUT_MS);
+	const timeout = setTimeout(() => controller.abort(), getTimeoutMs("timeouts.oauth", OAUTH_TIMEOUT_MS));
 
 	try {
 		const body = {
@@ -0,0 +1,65 @@
+/**
+ * Claude (Anthropic) provider: OAuth accounts synced to Claude Code, OpenCode, and pi.
+ * Depends on: lib/claude-accounts.js, lib/claude-usage.js, lib/claude-tokens.js, lib/windows.js, lib/paths.js, lib/harness.js, lib/display.js, lib/handlers.js
+ */
+
+import { getClaudeLabels } from "./claude-accounts.js";
+import { loadAllClaudeOAuthAccounts, fetchClaudeOAuthUsageForAccount } from "./claude-usage.js";
+import { ensureFreshClaudeOAuthToken } from "./claude-tokens.js";
+import { getClaudeWindows } from "./windows.js";
+import { getClaudeCredentialsPath } from "./paths.js";
+import { listHarnessTargets } from "./harness.js";
+import {
+	printHelpClaude, printHelpClaudeAdd, printHelpClaudeReauth, printHelpClaudeSwitch, printHelpClaudePick,
+	printHelpClaudeSync, printHelpClaudeList, printHelpClaudeRemove, printHelpClaudeQuota, printHelpClaudeRename, printHelpClaudeTag,
+} from "./display.js";
+import { handleClaude } from "./handlers.js";
+
+const HELP_BY_SUBCOMMAND = {
+	add: printHelpClaudeAdd,
+	reauth: printHelpClaudeReauth,
+	switch: printHelpClaudeSwitch,
+	pick: printHelpClaudePick,
+	sync: printHelpClaudeSync,
+	list: printHelpClaudeList,
+	remove: printHelpClaudeRemove,
+	rename: printHelpClaudeRename,
+	tag: printHelpClaudeTag,
+	quota: printHelpClaudeQuota,
+};
+
+/** @type {import("./providers.js").Provider} */
+export const claudeProvider = {
+	name: "claude",
+	title: "Claude",
+	description: "Manage Claude accounts",
+	loadAccounts(options = {}) {
+		return loadAllClaudeOAuthAccounts(options);
+	},
+	refreshToken(account, accounts, options) {
+		return ensureFreshClaudeOAuthToken(account, options);
+	},
+	// Refreshes the token itself and reports failures as { success: false, error }
+	fetchUsage(account, options) {
+		return fetchClaudeOAuthUsageForAccount(account, options);
+	},
+	getWindows(usage) {
+		return getClaudeWindows(usage);
+	},
+	getHarnessTargets() {
+		return [
+			{ name: "claude-code", title: "Claude Code", path: getClaudeCredentialsPath() },
+			...listHarnessTargets("claude").map(target => ({ name: target.name, title: target.title, path: target.getPath() })),
+		];
+	},
+	handleCommand(args, flags) {
+		return handleClaude(args, flags);
+	},
+	subcommands: Object.keys(HELP_BY_SUBCOMMAND),
+	getLabels() {
+		return getClaudeLabels();
+	},
+	printHelp(subcommand) {
+		(HELP_BY_SUBCOMMAND[subcommand] ?? printHelpClaude)();
+	},
+};
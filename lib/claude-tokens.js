@@ -1,21 +1,26 @@
 /**
  * Claude token refresh and multi-store persistence.
- * Depends on: lib/constants.js, lib/paths.js, lib/token-match.js, lib/container.js, lib/fs.js
+ * Depends on: lib/constants.js, lib/paths.js, lib/config.js, lib/token-match.js, lib/container.js, lib/fs.js, lib/harness.js, lib/pool.js, lib/lock.js, lib/backups.js, lib/audit.js
  */
 
 import { existsSync, readFileSync } from "node:fs";
 import {
-	CLAUDE_CREDENTIALS_PATH,
 	CLAUDE_MULTI_ACCOUNT_PATHS,
 	CLAUDE_OAUTH_TOKEN_URL,
 	CLAUDE_OAUTH_CLIENT_ID,
 	CLAUDE_OAUTH_REFRESH_BUFFER_MS,
 	OAUTH_TIMEOUT_MS,
 } from "./constants.js";
-import { getOpencodeAuthPath, getPiAuthPath } from "./paths.js";
+import { getClaudeCredentialsPath } from "./paths.js";
+import { getTimeoutMs } from "./config.js";
 import { isOauthTokenMatch, normalizeEntryTokens, CLAUDE_TOKEN_FIELDS } from "./token-match.js";
-import { readMultiAccountContainer, writeMultiAccountContainer, mapContainerAccounts } from "./container.js";
+import { readMultiAccountContainer, updateMultiAccountContainer, mapContainerAccounts } from "./container.js";
 import { writeFileAtomic } from "./fs.js";
+import { listHarnessTargets, findHarnessTarget, readHarnessTarget, writeHarnessTarget, updateHarnessTarget } from "./harness.js";
+import { createSharedTasks } from "./pool.js";
+import { withFileLock } from "./lock.js";
+import { backupFile } from "./backups.js";
+import { recordAuditEvent } from "./audit.js";
 
 // Internal helpers using the shared token-match generics
 function isClaudeOauthTokenMatch(params) {
@@ -78,7 +83,16 @@ function updateClaudeOauthEntry(entry, account) {
  * @returns {{ updated: boolean, path: string, error?: string }}
  */
 export function updateClaudeCredentials(account) {
-	const credentialsPath = process.env.CLAUDE_CREDENTIALS_PATH || CLAUDE_CREDENTIALS_PATH;
+	const credentialsPath = getClaudeCredentialsPath();
+	try {
+		return withFileLock(credentialsPath, () => writeClaudeCredentials(credentialsPath, account));
+	} catch (err) {
+		const message = err?.message ?? String(err);
+		return { updated: false, path: credentialsPath, error: `Failed to write Claude credentials: ${message}` };
+	}
+}
+
+function writeClaudeCredentials(credentialsPath, account) {
 	let existing = {};
 	if (existsSync(credentialsPath)) {
 		try {
@@ -110,6 +124,7 @@ export function updateClaudeCredentials(account) {
 	}
 
 	try {
+		backupFile(credentialsPath);
 		writeFileAtomic(credentialsPath, JSON.stringify(updatedCredentials, null, 2) + "\n", { mode: 0o600 });
 	} catch (err) {
 		const message = err?.message ?? String(err);
@@ -119,52 +134,27 @@ export function updateClaudeCredentials(account) {
 	return { updated: true, path: credentialsPath };
 }
 
+/**
+ * Convert a Claude account to harness tokens.
+ * @param {{ oauthToken: string, oauthRefreshToken?: string | null, oauthExpiresAt?: number | null, oauthScopes?: string[] | null }} account
+ * @returns {import("./harness.js").HarnessTokens}
+ */
+function toHarnessTokens(account) {
+	return {
+		access: account.oauthToken,
+		refresh: account.oauthRefreshToken ?? null,
+		expires: account.oauthExpiresAt ?? null,
+		scopes: account.oauthScopes ?? null,
+	};
+}
+
 /**
  * Update OpenCode auth.json with new Claude OAuth tokens
  * @param {{ oauthToken: string, oauthRefreshToken?: string | null, oauthExpiresAt?: number | null, oauthScopes?: string[] | null }} account
  * @returns {{ updated: boolean, path: string, error?: string, skipped?: boolean }}
  */
 export function updateOpencodeClaudeAuth(account) {
-	const authPath = getOpencodeAuthPath();
-	if (!existsSync(authPath)) {
-		return { updated: false, path: authPath, skipped: true };
-	}
-
-	let existingAuth = {};
-	try {
-		const raw = readFileSync(authPath, "utf-8");
-		const parsed = JSON.parse(raw);
-		if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
-			return { updated: false, path: authPath, error: "Invalid OpenCode auth.json format" };
-		}
-		existingAuth = parsed;
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to read OpenCode auth.json: ${message}` };
-	}
-
-	const anthropicEntry = existingAuth.anthropic;
-	const anthropicAuth = anthropicEntry && typeof anthropicEntry === "object" ? anthropicEntry : {};
-	const updatedAuth = {
-		...existingAuth,
-		anthropic: {
-			...anthropicAuth,
-			type: "oauth",
-			access: account.oauthToken,
-			refresh: account.oauthRefreshToken ?? null,
-			expires: account.oauthExpiresAt ?? null,
-			scopes: account.oauthScopes ?? null,
-		},
-	};
-
-	try {
-		writeFileAtomic(authPath, JSON.stringify(updatedAuth, null, 2) + "\n", { mode: 0o600 });
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to write OpenCode auth.json: ${message}` };
-	}
-
-	return { updated: true, path: authPath };
+	return writeHarnessTarget(findHarnessTarget("claude", "opencode"), toHarnessTokens(account));
 }
 
 /**
@@ -173,46 +163,19 @@ export function updateOpencodeClaudeAuth(account) {
  * @returns {{ updated: boolean, path: string, error?: string, skipped?: boolean }}
  */
 export function updatePiClaudeAuth(account) {
-	const authPath = getPiAuthPath();
-	if (!existsSync(authPath)) {
-		return { updated: false, path: authPath, skipped: true };
-	}
-
-	let existingAuth = {};
-	try {
-		const raw = readFileSync(authPath, "utf-8");
-		const parsed = JSON.parse(raw);
-		if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
-			return { updated: false, path: authPath, error: "Invalid pi auth.json format" };
-		}
-		existingAuth = parsed;
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to read pi auth.json: ${message}` };
-	}
-
-	const anthropicEntry = existingAuth.anthropic;
-	const anthropicAuth = anthropicEntry && typeof anthropicEntry === "object" ? anthropicEntry : {};
-	const updatedAuth = {
-		...existingAuth,
-		anthropic: {
-			...anthropicAuth,
-			type: "oauth",
-			access: account.oauthToken,
-			refresh: account.oauthRefreshToken ?? null,
-			expires: account.oauthExpiresAt ?? null,
-			scopes: account.oauthScopes ?? null,
-		},
-	};
-
-	try {
-		writeFileAtomic(authPath, JSON.stringify(updatedAuth, null, 2) + "\n", { mode: 0o600 });
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to write pi auth.json: ${message}` };
-	}
+	return writeHarnessTarget(findHarnessTarget("claude", "pi"), toHarnessTokens(account));
+}
 
-	return { updated: true, path: authPath };
+/**
+ * Update every Claude harness target (OpenCode, pi, custom targets) that exists.
+ * @param {{ oauthToken: string, oauthRefreshToken?: string | null, oauthExpiresAt?: number | null, oauthScopes?: string[] | null }} account
+ * @returns {Array<ReturnType<typeof writeHarnessTarget> & { custom: boolean }>} One result per target
+ */
+export function updateClaudeHarnessTargets(account) {
+	return listHarnessTargets("claude").map(target => ({
+		...writeHarnessTarget(target, toHarnessTokens(account)),
+		custom: target.custom,
+	}));
 }
 
 /**
@@ -235,112 +198,76 @@ export function persistClaudeOAuthTokens(account, previousTokens = {}) {
 	};
 
 	if (!account.source?.startsWith("env")) {
-		const credentialsPath = process.env.CLAUDE_CREDENTIALS_PATH || CLAUDE_CREDENTIALS_PATH;
+		const credentialsPath = getClaudeCredentialsPath();
 		if (existsSync(credentialsPath)) {
 			try {
-				const raw = readFileSync(credentialsPath, "utf-8");
-				const parsed = JSON.parse(raw);
-				const oauth = parsed?.claudeAiOauth ?? parsed?.claude_ai_oauth ?? null;
-				const stored = normalizeClaudeOauthEntryTokens(oauth ?? {});
-				if (isClaudeOauthTokenMatch({
-					storedAccess: stored.access,
-					storedRefresh: stored.refresh,
-					previousAccess,
-					previousRefresh,
-					label: account.label,
-					storedLabel: "claude-code",
-				})) {
+				// Match and write under one lock so a concurrent refresh is not overwritten
+				const result = withFileLock(credentialsPath, () => {
+					const raw = readFileSync(credentialsPath, "utf-8");
+					const parsed = JSON.parse(raw);
+					const oauth = parsed?.claudeAiOauth ?? parsed?.claude_ai_oauth ?? null;
+					const stored = normalizeClaudeOauthEntryTokens(oauth ?? {});
+					if (!isClaudeOauthTokenMatch({
+						storedAccess: stored.access,
+						storedRefresh: stored.refresh,
+						previousAccess,
+						previousRefresh,
+						label: account.label,
+						storedLabel: "claude-code",
+					})) {
+						return null;
+					}
 					const scopes = account.scopes ?? stored.scopes ?? null;
-					const result = updateClaudeCredentials({
+					return updateClaudeCredentials({
 						...updatePayload,
 						oauthScopes: scopes,
 					});
-					if (result.updated) updatedPaths.push(result.path);
-					if (result.error) errors.push(result.error);
-				}
+				});
+				if (result?.updated) updatedPaths.push(result.path);
+				if (result?.error) errors.push(result.error);
 			} catch {
 				// ignore parse errors, handled by updateClaudeCredentials
 			}
 		}
 
-		const opencodePath = getOpencodeAuthPath();
-		if (existsSync(opencodePath)) {
-			try {
-				const raw = readFileSync(opencodePath, "utf-8");
-				const parsed = JSON.parse(raw);
-				const anthropic = parsed?.anthropic ?? null;
-				const storedAccess = anthropic?.access ?? null;
-				const storedRefresh = anthropic?.refresh ?? null;
-				if (isClaudeOauthTokenMatch({
-					storedAccess,
-					storedRefresh,
-					previousAccess,
-					previousRefresh,
-					label: account.label,
-					storedLabel: "opencode",
-				})) {
-					const result = updateOpencodeClaudeAuth(updatePayload);
-					if (result.updated) updatedPaths.push(result.path);
-					if (result.error) errors.push(result.error);
-				}
-			} catch {
-				// ignore
-			}
-		}
-
-		const piPath = getPiAuthPath();
-		if (existsSync(piPath)) {
-			try {
-				const raw = readFileSync(piPath, "utf-8");
-				const parsed = JSON.parse(raw);
-				const anthropic = parsed?.anthropic ?? null;
-				const storedAccess = anthropic?.access ?? null;
-				const storedRefresh = anthropic?.refresh ?? null;
-				if (isClaudeOauthTokenMatch({
-					storedAccess,
-					storedRefresh,
-					previousAccess,
-					previousRefresh,
-					label: account.label,
-					storedLabel: "pi",
-				})) {
-					const result = updatePiClaudeAuth(updatePayload);
-					if (result.updated) updatedPaths.push(result.path);
-					if (result.error) errors.push(result.error);
-				}
-			} catch {
-				// ignore
-			}
+		for (const target of listHarnessTargets("claude")) {
+			// Unreadable files are left alone; switch and sync report them
+			if (!readHarnessTarget(target).tokens) continue;
+			const result = updateHarnessTarget(target, stored => (
+				stored && target.match(stored, { access: previousAccess, refresh: previousRefresh, label: account.label })
+					? toHarnessTokens(updatePayload)
+					: null
+			));
+			if (result.updated) updatedPaths.push(result.path);
+			if (result.error) errors.push(result.error);
 		}
 
 		for (const path of CLAUDE_MULTI_ACCOUNT_PATHS) {
 			if (!existsSync(path)) continue;
 			try {
-				const container = readMultiAccountContainer(path);
-				if (container.rootType === "invalid") {
-					errors.push(`Failed to parse ${path}`);
-					continue;
-				}
-				const mapped = mapContainerAccounts(container, (entry) => {
-					if (!entry || typeof entry !== "object") return entry;
-					const stored = normalizeClaudeOauthEntryTokens(entry);
-					const matches = isClaudeOauthTokenMatch({
-						storedAccess: stored.access,
-						storedRefresh: stored.refresh,
-						previousAccess,
-						previousRefresh,
-						label: account.label,
-						storedLabel: entry?.label ?? null,
+				const result = updateMultiAccountContainer(path, (container) => {
+					if (container.rootType === "invalid") {
+						errors.push(`Failed to parse ${path}`);
+						return null;
+					}
+					const mapped = mapContainerAccounts(container, (entry) => {
+						if (!entry || typeof entry !== "object") return entry;
+						const stored = normalizeClaudeOauthEntryTokens(entry);
+						const matches = isClaudeOauthTokenMatch({
+							storedAccess: stored.access,
+							storedRefresh: stored.refresh,
+							previousAccess,
+							previousRefresh,
+							label: account.label,
+							storedLabel: entry?.label ?? null,
+						});
+						if (!matches) return entry;
+						const scopes = account.scopes ?? stored.scopes ?? null;
+						return updateClaudeOauthEntry({ ...entry }, { ...account, scopes });
 					});
-					if (!matches) return entry;
-					const scopes = account.scopes ?? stored.scopes ?? null;
-					return updateClaudeOauthEntry({ ...entry }, { ...account, scopes });
-				});
-
-				if (mapped.updated) {
-					writeMultiAccountContainer(path, container, mapped.accounts, {}, { mode: 0o600 });
-					updatedPaths.push(path);
-				}
+					return mapped.updated ? { accounts: mapped.accounts } : null;
+				}, { mode: 0o600 });
+				if (result.updated) updatedPaths.push(path);
 			} catch (err) {
 				const message = err?.message ?? String(err);
 				errors.push(`Failed to update ${path}: ${message}`);
@@ -354,11 +281,12 @@ export function persistClaudeOAuthTokens(account, previousTokens = {}) {
 /**
  * Refresh a Claude OAuth token using the refresh token
  * @param {string} refreshTokenValue - The refresh token
+ * @param {{ deadline?: number }} [options] - Epoch ms the request must finish by
  * @returns {Promise<{ accessToken: string, refreshToken: string, expiresIn: number }>}
  */
-export async function refreshClaudeToken(refreshTokenValue) {
+export async function refreshClaudeToken(refreshTokenValue, options = {}) {
 	const controller = new AbortController();
-	const timeout = setTimeout(() => controller.abort(), OAUTH_TIMEOUT_MS);
+	const timeout = setTimeout(() => controller.abort(), getTimeoutMs("timeouts.oauth", OAUTH_TIMEOUT_MS, options.deadline ?? null));
 
 	try {
 		const body = {
@@ -416,12 +344,44 @@ function resolveClaudeOauthAccountFields(account) {
 	return { usesOauthShape, accessToken, refreshToken, expiresAt, scopes };
 }
 
+// Refreshes by the refresh token they consume, so accounts sharing a token refresh once
+const sharedRefreshes = createSharedTasks();
+
+/**
+ * Re-read an account's tokens from the file it was loaded from, in case another
+ * process refreshed them since.
+ * @param {string} label
+ * @param {string | null | undefined} source
+ * @param {string} refreshToken - The refresh token the account holds
+ * @returns {{ accessToken: string, refreshToken: string, expiresAt: number | null } | null} Newer unexpired tokens, or null
+ */
+function readNewerStoredClaudeTokens(label, source, refreshToken) {
+	if (!source || source.startsWith("env")) return null;
+	let stored = null;
+	try {
+		if (source === getClaudeCredentialsPath()) {
+			const parsed = JSON.parse(readFileSync(source, "utf-8"));
+			const oauth = parsed?.claudeAiOauth ?? parsed?.claude_ai_oauth ?? null;
+			stored = oauth ? normalizeClaudeOauthEntryTokens(oauth) : null;
+		} else {
+			const entry = readMultiAccountContainer(source).accounts.find(item => item?.label === label);
+			stored = entry ? normalizeClaudeOauthEntryTokens(entry) : null;
+		}
+	} catch {
+		return null;
+	}
+	if (!stored?.access || !stored.refresh || stored.refresh === refreshToken) return null;
+	if (isClaudeOauthTokenExpiring(stored.expires)) return null;
+	return { accessToken: stored.access, refreshToken: stored.refresh, expiresAt: stored.expires ?? null };
+}
+
 /**
  * Ensure a Claude OAuth access token is fresh, refreshing and persisting if needed.
  * @param {{ label: string, accessToken?: string, refreshToken?: string | null, expiresAt?: number | null, scopes?: string[] | null, oauthToken?: string, oauthRefreshToken?: string | null, oauthExpiresAt?: number | null, oauthScopes?: string[] | null, source?: string }} account
+ * @param {{ deadline?: number }} [options] - Epoch ms the refresh request must finish by
  * @returns {Promise<boolean>}
  */
-export async function ensureFreshClaudeOAuthToken(account) {
+export async function ensureFreshClaudeOAuthToken(account, options = {}) {
 	const fields = resolveClaudeOauthAccountFields(account);
 	if (!isClaudeOauthTokenExpiring(fields.expiresAt)) return true;
 	if (!fields.refreshToken) return false;
@@ -430,11 +390,23 @@ export async function ensureFreshClaudeOAuthToken(account) {
 	const previousRefreshToken = fields.refreshToken;
 
 	try {
-		const refreshed = await refreshClaudeToken(fields.refreshToken);
+		let persisted = false;
+		const refreshed = await sharedRefreshes(previousRefreshToken, async () => {
+			// Retry stale reads: a token refreshed by another process is already stored everywhere
+			const stored = readNewerStoredClaudeTokens(account.label, account.source, previousRefreshToken);
+			if (stored) return stored;
+			const result = await refreshClaudeToken(previousRefreshToken, options).catch(() => null);
+			if (result?.accessToken) {
+				persisted = true;
+				return { ...result, expiresAt: Date.now() + result.expiresIn * 1000 };
+			}
+			// The refresh token may have been rotated by another process while we waited
+			return readNewerStoredClaudeTokens(account.label, account.source, previousRefreshToken);
+		});
 		if (!refreshed?.accessToken) return false;
 		const updatedAccessToken = refreshed.accessToken;
 		const updatedRefreshToken = refreshed.refreshToken ?? fields.refreshToken;
-		const updatedExpiresAt = Date.now() + refreshed.expiresIn * 1000;
+		const updatedExpiresAt = refreshed.expiresAt;
 		if (fields.usesOauthShape) {
 			account.oauthToken = updatedAccessToken;
 			account.oauthRefreshToken = updatedRefreshToken;
@@ -450,7 +422,9 @@ export async function ensureFreshClaudeOAuthToken(account) {
 				account.scopes = fields.scopes;
 			}
 		}
-		persistClaudeOAuthTokens({
+		// Only the caller that ran the refresh writes it; stores are matched by the previous tokens
+		if (!persisted) return true;
+		const { updatedPaths } = persistClaudeOAuthTokens({
 			label: account.label,
 			accessToken: updatedAccessToken,
 			refreshToken: updatedRefreshToken,
@@ -461,6 +435,7 @@ export async function ensureFreshClaudeOAuthToken(account) {
 			previousAccessToken,
 			previousRefreshToken,
 		});
+		recordAuditEvent({ event: "refresh", provider: "claude", label: account.label, paths: updatedPaths, token: updatedRefreshToken });
 		return true;
 	} catch {
 		return false;
@@ -1,6 +1,6 @@
 /**
  * Claude usage API fetch (session + OAuth).
- * Depends on: lib/constants.js, lib/paths.js, lib/claude-accounts.js, lib/claude-tokens.js
+ * Depends on: lib/constants.js, lib/paths.js, lib/config.js, lib/claude-accounts.js, lib/claude-tokens.js, lib/account-meta.js
  */
 
 import { existsSync, readFileSync, copyFileSync, unlinkSync } from "node:fs";
@@ -9,7 +9,6 @@ import { randomBytes, pbkdf2Sync, createDecipheriv } from "node:crypto";
 import { homedir, tmpdir } from "node:os";
 import { join } from "node:path";
 import {
-	CLAUDE_CREDENTIALS_PATH,
 	CLAUDE_MULTI_ACCOUNT_PATHS,
 	CLAUDE_API_BASE,
 	CLAUDE_ORIGIN,
@@ -21,7 +20,8 @@ import {
 	CLAUDE_OAUTH_VERSION,
 	CLAUDE_OAUTH_BETA,
 } from "./constants.js";
-import { getOpencodeAuthPath } from "./paths.js";
+import { getOpencodeAuthPath, getClaudeCredentialsPath, getClaudeCookieDbPath } from "./paths.js";
+import { getTimeoutMs } from "./config.js";
 import {
 	findClaudeSessionKey,
 	loadClaudeAccountsFromFile,
@@ -29,6 +29,7 @@ import {
 	loadClaudeOAuthToken,
 } from "./claude-accounts.js";
 import { ensureFreshClaudeOAuthToken } from "./claude-tokens.js";
+import { pickAccountMeta } from "./account-meta.js";
 
 export function normalizeClaudeOrgId(orgId) {
 	if (!orgId || typeof orgId !== "string") return orgId;
@@ -44,7 +45,7 @@ export function isClaudeAuthError(error) {
 }
 
 export function loadClaudeOAuthFromClaudeCode() {
-	const credentialsPath = process.env.CLAUDE_CREDENTIALS_PATH || CLAUDE_CREDENTIALS_PATH;
+	const credentialsPath = getClaudeCredentialsPath();
 	if (!existsSync(credentialsPath)) return [];
 
 	try {
@@ -216,6 +217,7 @@ export function loadAllClaudeOAuthAccounts(options = {}) {
 					refreshToken: account.oauthRefreshToken || null,
 					expiresAt: account.oauthExpiresAt || null,
 					scopes: account.oauthScopes || null,
+					...pickAccountMeta(account),
 					source: account.source,
 				});
 			}
@@ -254,11 +256,12 @@ export function loadAllClaudeOAuthAccounts(options = {}) {
  *   - anthropic-version: 2023-06-01
  *   - anthropic-beta: oauth-2025-04-20
  * @param {string} accessToken - OAuth access token with user:profile scope
+ * @param {{ deadline?: number }} [options] - Epoch ms the request must finish by
  * @returns {Promise<{ success: boolean, data?: object, error?: string }>}
  */
-export async function fetchClaudeOAuthUsage(accessToken) {
+export async function fetchClaudeOAuthUsage(accessToken, options = {}) {
 	const controller = new AbortController();
-	const timeout = setTimeout(() => controller.abort(), CLAUDE_TIMEOUT_MS);
+	const timeout = setTimeout(() => controller.abort(), getTimeoutMs("timeouts.usage", CLAUDE_TIMEOUT_MS, options.deadline ?? null));
 
 	try {
 		const res = await fetch(CLAUDE_OAUTH_USAGE_URL, {
@@ -292,10 +295,11 @@ export async function fetchClaudeOAuthUsage(accessToken) {
 /**
  * Fetch usage for a Claude OAuth account
  * @param {{ label: string, accessToken: string, ... }} account - OAuth account
- * @returns {Promise<{ success: boolean, label: string, source: string, usage?: object, ... }>}
+ * @param {{ deadline?: number }} [options] - Epoch ms the token refresh and usage request must finish by
+ * @returns {Promise<{ success: boolean, label: string, source: string, usage?: object, expiresAt: number | null, ... }>}
  */
-export async function fetchClaudeOAuthUsageForAccount(account) {
-	const refreshed = await ensureFreshClaudeOAuthToken(account);
+export async function fetchClaudeOAuthUsageForAccount(account, options = {}) {
+	const refreshed = await ensureFreshClaudeOAuthToken(account, options);
 	if (!refreshed) {
 		const message = account.refreshToken
 			? "OAuth token expired and refresh failed - run 'claude /login'"
@@ -307,10 +311,11 @@ export async function fetchClaudeOAuthUsageForAccount(account) {
 			error: message,
 			subscriptionType: account.subscriptionType,
 			rateLimitTier: account.rateLimitTier,
+			expiresAt: account.expiresAt ?? null,
 		};
 	}
 
-	const result = await fetchClaudeOAuthUsage(account.accessToken);
+	const result = await fetchClaudeOAuthUsage(account.accessToken, options);
 
 	if (!result.success) {
 		return {
@@ -320,6 +325,7 @@ export async function fetchClaudeOAuthUsageForAccount(account) {
 			error: result.error,
 			subscriptionType: account.subscriptionType,
 			rateLimitTier: account.rateLimitTier,
+			expiresAt: account.expiresAt ?? null,
 		};
 	}
 
@@ -330,6 +336,7 @@ export async function fetchClaudeOAuthUsageForAccount(account) {
 		usage: result.data,
 		subscriptionType: account.subscriptionType,
 		rateLimitTier: account.rateLimitTier,
+		expiresAt: account.expiresAt ?? null,
 	};
 }
 
@@ -460,7 +467,7 @@ export function readClaudeCookiesFromDb(cookiePath) {
 }
 
 export function loadClaudeCookieCandidates() {
-	const overridePath = process.env.CLAUDE_COOKIE_DB_PATH;
+	const overridePath = getClaudeCookieDbPath();
 	const candidates = overridePath
 		? [overridePath]
 		: [
@@ -551,7 +558,7 @@ export function buildClaudeHeaders(sessionKey, cfClearance, bearerToken, mode, c
 
 export async function fetchClaudeJson(url, sessionKey, cfClearance, oauthToken, cookies) {
 	const controller = new AbortController();
-	const timeout = setTimeout(() => controller.abort(), CLAUDE_TIMEOUT_MS);
+	const timeout = setTimeout(() => controller.abort(), getTimeoutMs("timeouts.usage", CLAUDE_TIMEOUT_MS));
 
 	try {
 		const attempts = [];
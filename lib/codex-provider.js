@@ -0,0 +1,64 @@
+/**
+ * Codex (OpenAI) provider: ChatGPT OAuth accounts synced to Codex CLI, OpenCode, and pi.
+ * Depends on: lib/codex-accounts.js, lib/codex-tokens.js, lib/codex-usage.js, lib/windows.js, lib/paths.js, lib/harness.js, lib/display.js, lib/handlers.js
+ */
+
+import { loadAllAccounts, getAllLabels } from "./codex-accounts.js";
+import { ensureFreshToken } from "./codex-tokens.js";
+import { fetchUsage } from "./codex-usage.js";
+import { getCodexWindows } from "./windows.js";
+import { getCodexCliAuthPath } from "./paths.js";
+import { listHarnessTargets } from "./harness.js";
+import {
+	printHelpCodex, printHelpAdd, printHelpCodexReauth, printHelpSwitch, printHelpCodexPick,
+	printHelpCodexSync, printHelpList, printHelpRemove, printHelpQuota, printHelpCodexRename, printHelpCodexTag,
+} from "./display.js";
+import { handleCodex } from "./handlers.js";
+
+const HELP_BY_SUBCOMMAND = {
+	add: printHelpAdd,
+	reauth: printHelpCodexReauth,
+	switch: printHelpSwitch,
+	pick: printHelpCodexPick,
+	sync: printHelpCodexSync,
+	list: printHelpList,
+	remove: printHelpRemove,
+	rename: printHelpCodexRename,
+	tag: printHelpCodexTag,
+	quota: printHelpQuota,
+};
+
+/** @type {import("./providers.js").Provider} */
+export const codexProvider = {
+	name: "codex",
+	title: "Codex",
+	description: "Manage OpenAI Codex accounts",
+	loadAccounts(options = {}) {
+		return loadAllAccounts(null, options);
+	},
+	refreshToken(account, accounts, options) {
+		return ensureFreshToken(account, accounts, options);
+	},
+	fetchUsage(account, options) {
+		return fetchUsage(account, options);
+	},
+	getWindows(usage) {
+		return getCodexWindows(usage);
+	},
+	getHarnessTargets() {
+		return [
+			{ name: "codex-cli", title: "Codex CLI", path: getCodexCliAuthPath() },
+			...listHarnessTargets("codex").map(target => ({ name: target.name, title: target.title, path: target.getPath() })),
+		];
+	},
+	handleCommand(args, flags) {
+		return handleCodex(args, flags);
+	},
+	subcommands: Object.keys(HELP_BY_SUBCOMMAND),
+	getLabels() {
+		return getAllLabels();
+	},
+	printHelp(subcommand) {
+		(HELP_BY_SUBCOMMAND[subcommand] ?? printHelpCodex)();
+	},
+};
@@ -1,15 +1,21 @@
 /**
  * OpenAI token refresh and multi-store persistence.
- * Depends on: lib/constants.js, lib/paths.js, lib/jwt.js, lib/token-match.js, lib/container.js, lib/fs.js
+ * Depends on: lib/constants.js, lib/paths.js, lib/jwt.js, lib/token-match.js, lib/container.js, lib/fs.js, lib/harness.js, lib/config.js, lib/pool.js, lib/lock.js, lib/backups.js, lib/audit.js
  */
 
 import { existsSync, readFileSync } from "node:fs";
-import { TOKEN_URL, CLIENT_ID, MULTI_ACCOUNT_PATHS, OPENAI_OAUTH_REFRESH_BUFFER_MS } from "./constants.js";
-import { getOpencodeAuthPath, getCodexCliAuthPath, getPiAuthPath } from "./paths.js";
+import { TOKEN_URL, CLIENT_ID, MULTI_ACCOUNT_PATHS, OPENAI_OAUTH_REFRESH_BUFFER_MS, OAUTH_TIMEOUT_MS } from "./constants.js";
+import { getCodexCliAuthPath } from "./paths.js";
 import { extractAccountId } from "./jwt.js";
 import { isOauthTokenMatch, normalizeEntryTokens, updateEntryTokens, OPENAI_TOKEN_FIELDS } from "./token-match.js";
-import { readMultiAccountContainer, writeMultiAccountContainer, mapContainerAccounts } from "./container.js";
+import { readMultiAccountContainer, updateMultiAccountContainer, mapContainerAccounts } from "./container.js";
 import { writeFileAtomic } from "./fs.js";
+import { listHarnessTargets, findHarnessTarget, readHarnessTarget, writeHarnessTarget, updateHarnessTarget } from "./harness.js";
+import { withFileLock } from "./lock.js";
+import { backupFile } from "./backups.js";
+import { recordAuditEvent } from "./audit.js";
+import { getTimeoutMs } from "./config.js";
+import { createSharedTasks } from "./pool.js";
 
 // Keep the original function names as internal helpers for backward compat
 function isOpenAiOauthTokenMatch(params) {
@@ -34,53 +40,28 @@ function updateOpenAiOauthEntry(entry, account) {
 	return updateEntryTokens(entry, fields, OPENAI_TOKEN_FIELDS);
 }
 
+/**
+ * Convert a Codex account to harness tokens.
+ * @param {{ access: string, refresh: string, expires?: number, accountId: string, idToken?: string }} account
+ * @returns {import("./harness.js").HarnessTokens}
+ */
+function toHarnessTokens(account) {
+	return {
+		access: account.access,
+		refresh: account.refresh,
+		expires: account.expires ?? null,
+		accountId: account.accountId,
+		idToken: account.idToken ?? null,
+	};
+}
+
 /**
  * Update OpenCode auth.json with new OpenAI OAuth tokens
  * @param {{ access: string, refresh: string, expires?: number, accountId: string }} account
  * @returns {{ updated: boolean, path: string, error?: string, skipped?: boolean }}
  */
 export function updateOpencodeAuth(account) {
-	const authPath = getOpencodeAuthPath();
-	if (!existsSync(authPath)) {
-		return { updated: false, path: authPath, skipped: true };
-	}
-
-	let existingAuth = {};
-	try {
-		const raw = readFileSync(authPath, "utf-8");
-		const parsed = JSON.parse(raw);
-		if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
-			return { updated: false, path: authPath, error: "Invalid OpenCode auth.json format" };
-		}
-		existingAuth = parsed;
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to read OpenCode auth.json: ${message}` };
-	}
-
-	const openaiEntry = existingAuth.openai;
-	const openaiAuth = openaiEntry && typeof openaiEntry === "object" ? openaiEntry : {};
-	const expires = account.expires ?? Date.now() - 1000;
-	const updatedAuth = {
-		...existingAuth,
-		openai: {
-			...openaiAuth,
-			type: "oauth",
-			access: account.access,
-			refresh: account.refresh,
-			expires: expires,
-			accountId: account.accountId,
-		},
-	};
-
-	try {
-		writeFileAtomic(authPath, JSON.stringify(updatedAuth, null, 2) + "\n", { mode: 0o600 });
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to write OpenCode auth.json: ${message}` };
-	}
-
-	return { updated: true, path: authPath };
+	return writeHarnessTarget(findHarnessTarget("codex", "opencode"), toHarnessTokens(account));
 }
 
 /**
@@ -89,47 +70,19 @@ export function updateOpencodeAuth(account) {
  * @returns {{ updated: boolean, path: string, error?: string, skipped?: boolean }}
  */
 export function updatePiAuth(account) {
-	const authPath = getPiAuthPath();
-	if (!existsSync(authPath)) {
-		return { updated: false, path: authPath, skipped: true };
-	}
-
-	let existingAuth = {};
-	try {
-		const raw = readFileSync(authPath, "utf-8");
-		const parsed = JSON.parse(raw);
-		if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
-			return { updated: false, path: authPath, error: "Invalid pi auth.json format" };
-		}
-		existingAuth = parsed;
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to read pi auth.json: ${message}` };
-	}
-
-	const codexEntry = existingAuth["openai-codex"];
-	const codexAuth = codexEntry && typeof codexEntry === "object" ? codexEntry : {};
-	const expires = account.expires ?? Date.now() - 1000;
-	const updatedAuth = {
-		...existingAuth,
-		"openai-codex": {
-			...codexAuth,
-			type: "oauth",
-			access: account.access,
-			refresh: account.refresh,
-			expires: expires,
-			accountId: account.accountId,
-		},
-	};
-
-	try {
-		writeFileAtomic(authPath, JSON.stringify(updatedAuth, null, 2) + "\n", { mode: 0o600 });
-	} catch (err) {
-		const message = err?.message ?? String(err);
-		return { updated: false, path: authPath, error: `Failed to write pi auth.json: ${message}` };
-	}
+	return writeHarnessTarget(findHarnessTarget("codex", "pi"), toHarnessTokens(account));
+}
 
-	return { updated: true, path: authPath };
+/**
+ * Update every Codex harness target (OpenCode, pi, custom targets) that exists.
+ * @param {{ access: string, refresh: string, expires?: number, accountId: string, idToken?: string }} account
+ * @returns {Array<ReturnType<typeof writeHarnessTarget> & { custom: boolean }>} One result per target
+ */
+export function updateCodexHarnessTargets(account) {
+	return listHarnessTargets("codex").map(target => ({
+		...writeHarnessTarget(target, toHarnessTokens(account)),
+		custom: target.custom,
+	}));
 }
 
 /**
@@ -151,15 +104,18 @@ export function persistOpenAiOAuthTokens(account, previousTokens = {}) {
 	const codexAuthPath = getCodexCliAuthPath();
 	if (existsSync(codexAuthPath)) {
 		try {
-			const raw = readFileSync(codexAuthPath, "utf-8");
-			const parsed = JSON.parse(raw);
-			const tokens = parsed?.tokens;
-			if (!tokens || typeof tokens !== "object" || Array.isArray(tokens)) {
-				errors.push(`Invalid Codex auth.json format at ${codexAuthPath}`);
-			} else {
+			// Read under the lock so a token written by another process is matched, not overwritten
+			withFileLock(codexAuthPath, () => {
+				const raw = readFileSync(codexAuthPath, "utf-8");
+				const parsed = JSON.parse(raw);
+				const tokens = parsed?.tokens;
+				if (!tokens || typeof tokens !== "object" || Array.isArray(tokens)) {
+					errors.push(`Invalid Codex auth.json format at ${codexAuthPath}`);
+					return;
+				}
 				const storedAccess = tokens.access_token ?? null;
 				const storedRefresh = tokens.refresh_token ?? null;
-				if (isOpenAiOauthTokenMatch({
+				if (!isOpenAiOauthTokenMatch({
 					storedAccess,
 					storedRefresh,
 					previousAccess,
@@ -167,104 +123,68 @@ export function persistOpenAiOAuthTokens(account, previousTokens = {}) {
 					label: account.label,
 					storedLabel: parsed?.codex_quota_label ?? null,
 				})) {
-					const updatedTokens = {
-						...tokens,
-						access_token: account.access,
-						refresh_token: account.refresh,
-						account_id: account.accountId,
-					};
-					if (account.expires) {
-						updatedTokens.expires_at = Math.floor(account.expires / 1000);
-					}
-					if (account.idToken) {
-						updatedTokens.id_token = account.idToken;
-					}
-					const updatedPayload = { ...parsed, tokens: updatedTokens };
-					writeFileAtomic(codexAuthPath, JSON.stringify(updatedPayload, null, 2) + "\n", { mode: 0o600 });
-					updatedPaths.push(codexAuthPath);
+					return;
 				}
-			}
+				const updatedTokens = {
+					...tokens,
+					access_token: account.access,
+					refresh_token: account.refresh,
+					account_id: account.accountId,
+				};
+				if (account.expires) {
+					updatedTokens.expires_at = Math.floor(account.expires / 1000);
+				}
+				if (account.idToken) {
+					updatedTokens.id_token = account.idToken;
+				}
+				const updatedPayload = { ...parsed, tokens: updatedTokens };
+				backupFile(codexAuthPath);
+				writeFileAtomic(codexAuthPath, JSON.stringify(updatedPayload, null, 2) + "\n", { mode: 0o600 });
+				updatedPaths.push(codexAuthPath);
+			});
 		} catch (err) {
 			const message = err?.message ?? String(err);
 			errors.push(`Failed to update ${codexAuthPath}: ${message}`);
 		}
 	}
 
-	const opencodePath = getOpencodeAuthPath();
-	if (existsSync(opencodePath)) {
-		try {
-			const raw = readFileSync(opencodePath, "utf-8");
-			const parsed = JSON.parse(raw);
-			const openai = parsed?.openai ?? null;
-			const storedAccess = openai?.access ?? null;
-			const storedRefresh = openai?.refresh ?? null;
-			if (isOpenAiOauthTokenMatch({
-				storedAccess,
-				storedRefresh,
-				previousAccess,
-				previousRefresh,
-				label: account.label,
-				storedLabel: "opencode",
-			})) {
-				const result = updateOpencodeAuth(account);
-				if (result.updated) updatedPaths.push(result.path);
-				if (result.error) errors.push(result.error);
-			}
-		} catch {
-			// ignore parse errors, handled by updateOpencodeAuth
-		}
-	}
-
-	const piPath = getPiAuthPath();
-	if (existsSync(piPath)) {
-		try {
-			const raw = readFileSync(piPath, "utf-8");
-			const parsed = JSON.parse(raw);
-			const codex = parsed?.["openai-codex"] ?? null;
-			const storedAccess = codex?.access ?? null;
-			const storedRefresh = codex?.refresh ?? null;
-			if (isOpenAiOauthTokenMatch({
-				storedAccess,
-				storedRefresh,
-				previousAccess,
-				previousRefresh,
-				label: account.label,
-				storedLabel: "pi",
-			})) {
-				const result = updatePiAuth(account);
-				if (result.updated) updatedPaths.push(result.path);
-				if (result.error) errors.push(result.error);
-			}
-		} catch {
-			// ignore parse errors, handled by updatePiAuth
-		}
+	for (const target of listHarnessTargets("codex")) {
+		// Unreadable files are left alone; switch and sync report them
+		if (!readHarnessTarget(target).tokens) continue;
+		const result = updateHarnessTarget(target, stored => (
+			stored && target.match(stored, { access: previousAccess, refresh: previousRefresh, label: account.label })
+				? toHarnessTokens(account)
+				: null
+		));
+		if (result.updated) updatedPaths.push(result.path);
+		if (result.error) errors.push(result.error);
 	}
 
 	for (const path of MULTI_ACCOUNT_PATHS) {
 		if (!existsSync(path)) continue;
 		try {
-			const container = readMultiAccountContainer(path);
-			if (container.rootType === "invalid") {
-				errors.push(`Failed to parse ${path}`);
-				continue;
-			}
-			const mapped = mapContainerAccounts(container, (entry) => {
-				if (!entry || typeof entry !== "object") return entry;
-				const stored = normalizeOpenAiOauthEntryTokens(entry);
-				const matches = isOpenAiOauthTokenMatch({
-					storedAccess: stored.access,
-					storedRefresh: stored.refresh,
-					previousAccess,
-					previousRefresh,
-					label: account.label,
-					storedLabel: entry?.label ?? null,
+			const result = updateMultiAccountContainer(path, container => {
+				if (container.rootType === "invalid") {
+					errors.push(`Failed to parse ${path}`);
+					return null;
+				}
+				const mapped = mapContainerAccounts(container, (entry) => {
+					if (!entry || typeof entry !== "object") return entry;
+					const stored = normalizeOpenAiOauthEntryTokens(entry);
+					const matches = isOpenAiOauthTokenMatch({
+						storedAccess: stored.access,
+						storedRefresh: stored.refresh,
+						previousAccess,
+						previousRefresh,
+						label: account.label,
+						storedLabel: entry?.label ?? null,
+					});
+					if (!matches) return entry;
+					return updateOpenAiOauthEntry({ ...entry }, account);
 				});
-				if (!matches) return entry;
-				return updateOpenAiOauthEntry({ ...entry }, account);
-			});
-
-			if (mapped.updated) {
-				writeMultiAccountContainer(path, container, mapped.accounts, {}, { mode: 0o600 });
+				return mapped.updated ? { accounts: mapped.accounts } : null;
+			}, { mode: 0o600 });
+			if (result.updated) {
 				updatedPaths.push(path);
 			}
 		} catch (err) {
@@ -276,26 +196,33 @@ export function persistOpenAiOAuthTokens(account, previousTokens = {}) {
 	return { updatedPaths, errors };
 }
 
-export async function refreshToken(refreshTokenValue) {
-	const res = await fetch(TOKEN_URL, {
-		method: "POST",
-		headers: { "Content-Type": "application/x-www-form-urlencoded" },
-		body: new URLSearchParams({
-			grant_type: "refresh_token",
-			refresh_token: refreshTokenValue,
-			client_id: CLIENT_ID,
-		}),
-	});
-	if (!res.ok) return null;
-	const json = await res.json();
-	if (!json?.access_token || !json?.refresh_token || typeof json?.expires_in !== "number") {
-		return null;
+export async function refreshToken(refreshTokenValue, options = {}) {
+	const controller = new AbortController();
+	const timeout = setTimeout(() => controller.abort(), getTimeoutMs("timeouts.oauth", OAUTH_TIMEOUT_MS, options.deadline ?? null));
+	try {
+		const res = await fetch(TOKEN_URL, {
+			method: "POST",
+			headers: { "Content-Type": "application/x-www-form-urlencoded" },
+			body: new URLSearchParams({
+				grant_type: "refresh_token",
+				refresh_token: refreshTokenValue,
+				client_id: CLIENT_ID,
+			}),
+			signal: controller.signal,
+		});
+		if (!res.ok) return null;
+		const json = await res.json();
+		if (!json?.access_token || !json?.refresh_token || typeof json?.expires_in !== "number") {
+			return null;
+		}
+		return {
+			access: json.access_token,
+			refresh: json.refresh_token,
+			expires: Date.now() + json.expires_in * 1000,
+		};
+	} finally {
+		clearTimeout(timeout);
 	}
-	return {
-		access: json.access_token,
-		refresh: json.refresh_token,
-		expires: Date.now() + json.expires_in * 1000,
-	};
 }
 
 export function isOpenAiOauthTokenExpiring(expires) {
@@ -303,11 +230,64 @@ export function isOpenAiOauthTokenExpiring(expires) {
 	return expires <= Date.now() + OPENAI_OAUTH_REFRESH_BUFFER_MS;
 }
 
-export async function ensureFreshToken(account, allAccounts) {
+/**
+ * Re-read an account's tokens from the file it was loaded from.
+ * Another process (watch mode, a cron job) may have refreshed them since.
+ * @param {{ label: string, refresh: string, source?: string }} account
+ * @returns {{ access: string, refresh: string, expires: number, idToken?: string | null } | null} Newer unexpired tokens, or null
+ */
+function readNewerStoredTokens(account) {
+	const source = account.source;
+	if (!source || source.startsWith("env")) return null;
+	let stored = null;
+	try {
+		if (source === getCodexCliAuthPath()) {
+			const tokens = JSON.parse(readFileSync(source, "utf-8"))?.tokens ?? {};
+			stored = {
+				access: tokens.access_token ?? null,
+				refresh: tokens.refresh_token ?? null,
+				expires: tokens.expires_at ? tokens.expires_at * 1000 : null,
+				idToken: tokens.id_token ?? null,
+			};
+		} else {
+			const entry = readMultiAccountContainer(source).accounts.find(item => item?.label === account.label);
+			stored = entry ? normalizeOpenAiOauthEntryTokens(entry) : null;
+		}
+	} catch {
+		return null;
+	}
+	if (!stored?.access || !stored.refresh || stored.refresh === account.refresh) return null;
+	return isOpenAiOauthTokenExpiring(stored.expires) ? null : stored;
+}
+
+// Refreshes by the refresh token they consume. Accounts sharing a token (the same login
+// in several stores) reuse one refresh instead of racing to rotate it.
+const sharedRefreshes = createSharedTasks();
+
+/**
+ * Refresh and persist an account's tokens when they are expiring.
+ * @param {object} account - Updated in place
+ * @param {Array<object>} allAccounts
+ * @param {{ deadline?: number }} [options] - Epoch ms the refresh request must finish by
+ * @returns {Promise<boolean>} False when re-auth is required
+ */
+export async function ensureFreshToken(account, allAccounts, options = {}) {
 	if (!isOpenAiOauthTokenExpiring(account.expires)) return true;
 	const previousAccessToken = account.access;
 	const previousRefreshToken = account.refresh;
-	const refreshed = await refreshToken(account.refresh);
+	let persisted = false;
+	const refreshed = await sharedRefreshes(previousRefreshToken, async () => {
+		// Retry stale reads: a token refreshed by another process is already stored everywhere
+		const stored = readNewerStoredTokens(account);
+		if (stored) return stored;
+		const tokens = await refreshToken(previousRefreshToken, options).catch(() => null);
+		if (tokens) {
+			persisted = true;
+			return tokens;
+		}
+		// The refresh token may have been rotated by another process while we waited
+		return readNewerStoredTokens(account);
+	});
 	if (!refreshed) return false;
 
 	// Update accountId from new token (in case it changed)
@@ -317,10 +297,15 @@ export async function ensureFreshToken(account, allAccounts) {
 	account.access = refreshed.access;
 	account.refresh = refreshed.refresh;
 	account.expires = refreshed.expires;
+	if (refreshed.idToken) account.idToken = refreshed.idToken;
 	account.updatedAt = Date.now();
-	persistOpenAiOAuthTokens(account, {
-		previousAccessToken,
-		previousRefreshToken,
-	});
+	// Only the caller that ran the refresh writes it; stores are matched by the previous tokens
+	if (persisted) {
+		const { updatedPaths } = persistOpenAiOAuthTokens(account, {
+			previousAccessToken,
+			previousRefreshToken,
+		});
+		recordAuditEvent({ event: "refresh", provider: "codex", label: account.label, paths: updatedPaths, token: account.refresh });
+	}
 	return true;
 }
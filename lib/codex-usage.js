@@ -1,13 +1,14 @@
 /**
  * Codex usage API fetch.
- * Depends on: lib/constants.js
+ * Depends on: lib/constants.js, lib/config.js
  */
 
-import { USAGE_URL } from "./constants.js";
+import { USAGE_URL, USAGE_TIMEOUT_MS } from "./constants.js";
+import { getTimeoutMs } from "./config.js";
 
-export async function fetchUsage(account) {
+export async function fetchUsage(account, options = {}) {
 	const controller = new AbortController();
-	const timeout = setTimeout(() => controller.abort(), 15000);
+	const timeout = setTimeout(() => controller.abort(), getTimeoutMs("timeouts.usage", USAGE_TIMEOUT_MS, options.deadline ?? null));
 
 	try {
 		const res = await fetch(USAGE_URL, {
@@ -0,0 +1,167 @@
+/**
+ * Shell completion scripts for bash, zsh, and fish. Commands, subcommands, and flags
+ * are baked into the script; account labels are looked up on each completion through
+ * the hidden `__complete labels <namespace>` command.
+ * Zero internal dependencies.
+ */
+
+export const COMPLETION_SHELLS = ["bash", "zsh", "fish"];
+
+// Namespace subcommands whose first argument is an account label
+export const LABEL_SUBCOMMANDS = ["switch", "remove", "reauth", "quota", "rename", "tag"];
+
+// Top-level commands and their subcommands (an empty list takes no subcommand)
+export const COMPLETION_COMMANDS = {
+	history: [],
+	alert: [],
+	serve: [],
+	status: [],
+	config: ["list", "get", "set", "unset", "path"],
+	vault: ["status", "encrypt", "decrypt", "rekey"],
+	export: [],
+	import: [],
+	backups: ["list"],
+	restore: [],
+	log: [],
+	doctor: [],
+	autoswitch: [],
+	completion: COMPLETION_SHELLS,
+	help: [],
+};
+
+/**
+ * @typedef {object} CompletionSpec
+ * @property {string[]} commandNames - Names the script is registered for ("codex-quota", "cq")
+ * @property {Array<{ name: string, subcommands: string[] }>} namespaces - Provider namespaces
+ * @property {string[]} flags - Every flag, with leading dashes
+ * @property {string[]} valueFlags - Flags that take a value (no completion after them)
+ */
+
+function shellWords(words) {
+	return words.join(" ");
+}
+
+function buildBashScript(spec) {
+	const commands = [...spec.namespaces.map(namespace => namespace.name), ...Object.keys(COMPLETION_COMMANDS)];
+	const namespaceCases = spec.namespaces.map(namespace => `		${namespace.name})
+			if [[ $COMP_CWORD -eq 2 ]]; then
+				COMPREPLY=($(compgen -W "${shellWords(namespace.subcommands)}" -- "$cur"))
+			elif [[ $COMP_CWORD -eq 3 && " ${shellWords(LABEL_SUBCOMMANDS)} " == *" \${COMP_WORDS[2]} "* ]]; then
+				COMPREPLY=($(compgen -W "$("\${COMP_WORDS[0]}" __complete labels ${namespace.name} 2>/dev/null)" -- "$cur"))
+			fi
+			;;`);
+	const commandCases = Object.entries(COMPLETION_COMMANDS)
+		.filter(([, subcommands]) => subcommands.length)
+		.map(([command, subcommands]) => `		${command})
+			[[ $COMP_CWORD -eq 2 ]] && COMPREPLY=($(compgen -W "${shellWords(subcommands)}" -- "$cur"))
+			;;`);
+
+	return `# bash completion for ${spec.commandNames[0]}
+# Add to ~/.bashrc: eval "$(${spec.commandNames[0]} completion bash)"
+_codex_quota() {
+	local cur="\${COMP_WORDS[COMP_CWORD]}"
+	local prev="\${COMP_WORDS[COMP_CWORD-1]}"
+	COMPREPLY=()
+	case " ${shellWords(spec.valueFlags)} " in
+		*" $prev "*) return ;;
+	esac
+	if [[ "$cur" == -* ]]; then
+		COMPREPLY=($(compgen -W "${shellWords(spec.flags)}" -- "$cur"))
+		return
+	fi
+	if [[ $COMP_CWORD -eq 1 ]]; then
+		COMPREPLY=($(compgen -W "${shellWords(commands)}" -- "$cur"))
+		return
+	fi
+	case "\${COMP_WORDS[1]}" in
+${[...namespaceCases, ...commandCases].join("\n")}
+	esac
+}
+${spec.commandNames.map(name => `complete -o default -F _codex_quota ${name}`).join("\n")}
+`;
+}
+
+function buildZshScript(spec) {
+	const commands = [...spec.namespaces.map(namespace => namespace.name), ...Object.keys(COMPLETION_COMMANDS)];
+	const namespaceCases = spec.namespaces.map(namespace => `		${namespace.name})
+			if (( CURRENT == 3 )); then
+				compadd -- ${shellWords(namespace.subcommands)}
+			elif (( CURRENT == 4 )) && [[ "$words[3]" == (${LABEL_SUBCOMMANDS.join("|")}) ]]; then
+				compadd -- \${(f)"$($words[1] __complete labels ${namespace.name} 2>/dev/null)"}
+			fi
+			;;`);
+	const commandCases = Object.entries(COMPLETION_COMMANDS)
+		.filter(([, subcommands]) => subcommands.length)
+		.map(([command, subcommands]) => `		${command})
+			(( CURRENT == 3 )) && compadd -- ${shellWords(subcommands)}
+			;;`);
+
+	return `#compdef ${spec.commandNames.join(" ")}
+# zsh completion for ${spec.commandNames[0]}
+# Add to ~/.zshrc (after compinit): source <(${spec.commandNames[0]} completion zsh)
+_codex_quota() {
+	if [[ " ${shellWords(spec.valueFlags)} " == *" $words[CURRENT-1] "* ]]; then
+		_files
+		return
+	fi
+	if [[ "$words[CURRENT]" == -* ]]; then
+		compadd -- ${shellWords(spec.flags)}
+		return
+	fi
+	if (( CURRENT == 2 )); then
+		compadd -- ${shellWords(commands)}
+		return
+	fi
+	case "$words[2]" in
+${[...namespaceCases, ...commandCases].join("\n")}
+	esac
+}
+if [[ "$funcstack[1]" == "_codex_quota" ]]; then
+	_codex_quota "$@"
+else
+	compdef _codex_quota ${spec.commandNames.join(" ")}
+fi
+`;
+}
+
+function buildFishScript(spec) {
+	const lines = [
+		`# fish completion for ${spec.commandNames[0]}`,
+		`# Save as ~/.config/fish/completions/${spec.commandNames[0]}.fish:`,
+		`#   ${spec.commandNames[0]} completion fish > ~/.config/fish/completions/${spec.commandNames[0]}.fish`,
+	];
+	const commands = [...spec.namespaces.map(namespace => namespace.name), ...Object.keys(COMPLETION_COMMANDS)];
+	for (const name of spec.commandNames) {
+		lines.push("", `complete -c ${name} -f`);
+		lines.push(`complete -c ${name} -n __fish_use_subcommand -a "${shellWords(commands)}"`);
+		for (const namespace of spec.namespaces) {
+			const subcommands = shellWords(namespace.subcommands);
+			lines.push(`complete -c ${name} -n "__fish_seen_subcommand_from ${namespace.name}; and not __fish_seen_subcommand_from ${subcommands}" -a "${subcommands}"`);
+			lines.push(`complete -c ${name} -n "__fish_seen_subcommand_from ${namespace.name}; and __fish_seen_subcommand_from ${shellWords(LABEL_SUBCOMMANDS)}" -a "(${name} __complete labels ${namespace.name} 2>/dev/null)"`);
+		}
+		for (const [command, subcommands] of Object.entries(COMPLETION_COMMANDS)) {
+			if (!subcommands.length) continue;
+			lines.push(`complete -c ${name} -n "__fish_seen_subcommand_from ${command}; and not __fish_seen_subcommand_from ${shellWords(subcommands)}" -a "${shellWords(subcommands)}"`);
+		}
+		for (const flag of spec.flags) {
+			const option = flag.startsWith("--") ? `-l ${flag.slice(2)}` : `-s ${flag.slice(1)}`;
+			lines.push(`complete -c ${name} ${option}${spec.valueFlags.includes(flag) ? " -r -F" : ""}`);
+		}
+	}
+	return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Build the completion script for a shell.
+ * @param {"bash" | "zsh" | "fish"} shell
+ * @param {CompletionSpec} spec
+ * @returns {string}
+ */
+export function buildCompletionScript(shell, spec) {
+	switch (shell) {
+		case "bash": return buildBashScript(spec);
+		case "zsh": return buildZshScript(spec);
+		case "fish": return buildFishScript(spec);
+		default: throw new Error(`Unsupported shell "${shell}"`);
+	}
+}
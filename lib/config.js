@@ -0,0 +1,373 @@
+/**
+ * User configuration file (~/.config/codex-quota/config.json).
+ * Settings here are defaults: a CLI flag wins over an environment variable,
+ * which wins over the config file.
+ * Depends on: lib/constants.js, lib/fs.js, lib/args.js, lib/format.js
+ */
+
+import { existsSync, readFileSync, mkdirSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { DEFAULT_XDG_CONFIG_HOME } from "./constants.js";
+import { writeFileAtomic } from "./fs.js";
+import { parseDuration } from "./args.js";
+import { OUTPUT_FORMATS } from "./format.js";
+
+const BOOLEAN_VALUES = { true: true, yes: true, on: true, 1: true, false: false, no: false, off: false, 0: false };
+
+/**
+ * Supported settings. `env` names the environment variable that takes
+ * precedence over the config value; map keys are set per label ("displayNames.work").
+ */
+export const CONFIG_KEYS = {
+	format: { type: "enum", values: [...OUTPUT_FORMATS, "statusline"], description: "Default --format for quota and list output" },
+	template: { type: "string", description: "Default --template for --format template" },
+	color: { type: "boolean", env: "NO_COLOR", description: "Set to false to disable colored output" },
+	local: { type: "boolean", description: "Always behave as if --local was given" },
+	hiddenLabels: { type: "list", description: "Labels left out of quota and list output unless requested by label" },
+	sortOrder: { type: "list", description: "Labels shown first, in this order, in quota and list output" },
+	displayNames: { type: "map", description: "Names shown in quota box headers instead of labels" },
+	"paths.codexAuth": { type: "path", env: "CODEX_AUTH_PATH", description: "Codex CLI auth.json" },
+	"paths.piAuth": { type: "path", env: "PI_AUTH_PATH", description: "pi auth.json" },
+	"paths.claudeCredentials": { type: "path", env: "CLAUDE_CREDENTIALS_PATH", description: "Claude Code .credentials.json" },
+	"paths.claudeCookieDb": { type: "path", env: "CLAUDE_COOKIE_DB_PATH", description: "Browser cookie database for Claude sessions" },
+	"paths.home": { type: "path", env: "CODEX_QUOTA_HOME", description: "State directory for history, cache, and logs" },
+	"vault.keyFile": { type: "path", env: "CODEX_QUOTA_KEY_FILE", description: "Key file for encrypted account stores" },
+	"timeouts.usage": { type: "duration", description: "Timeout for fetching one account's usage, token refresh included (default: 15s)" },
+	"timeouts.oauth": { type: "duration", description: "Timeout for OAuth logins and token requests (default: 2m)" },
+	"backups.keep": { type: "count", description: "Backups kept per credential file (default: 20; 0 disables backups)" },
+	harnessTargets: { type: "json", description: "Extra auth files for switch and sync (JSON list of { name, path, key | provider + pointers })" },
+	"autoswitch.below": { type: "percent", description: "Remaining-percent floor that makes autoswitch move on (default: 10%)" },
+	"autoswitch.order": { type: "list", description: "Labels autoswitch rotates through, in order (default: all accounts)" },
+};
+
+// Config files already reported as invalid (warn once per run)
+const warnedPaths = new Set();
+
+// Parsed config file, read once per run; writes through this module reset it
+let cachedConfig = null;
+
+/**
+ * Resolve the config file path using XDG_CONFIG_HOME, with optional override.
+ * @returns {string}
+ */
+export function getConfigPath() {
+	const override = process.env.CODEX_QUOTA_CONFIG;
+	if (override) return override;
+	const configHome = process.env.XDG_CONFIG_HOME || DEFAULT_XDG_CONFIG_HOME;
+	return join(configHome, "codex-quota", "config.json");
+}
+
+/**
+ * Read the config file.
+ * @param {string} [configPath] - Defaults to getConfigPath()
+ * @returns {{ config: object, error: string | null }} Empty config when the file is missing or invalid
+ */
+export function readConfigFile(configPath = getConfigPath()) {
+	if (!existsSync(configPath)) {
+		return { config: {}, error: null };
+	}
+	try {
+		const parsed = JSON.parse(readFileSync(configPath, "utf-8"));
+		if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+			return { config: {}, error: `${configPath} must contain a JSON object` };
+		}
+		return { config: parsed, error: null };
+	} catch (err) {
+		return { config: {}, error: `Invalid JSON in ${configPath}: ${err.message}` };
+	}
+}
+
+function loadConfig() {
+	const configPath = getConfigPath();
+	if (cachedConfig?.path === configPath) return cachedConfig.config;
+	const { config, error } = readConfigFile(configPath);
+	if (error && !warnedPaths.has(configPath)) {
+		warnedPaths.add(configPath);
+		console.error(`Warning: ${error}`);
+	}
+	cachedConfig = { path: configPath, config };
+	return config;
+}
+
+/**
+ * Forget the parsed config file, so the next read picks up changes made outside
+ * this module (for testing purposes).
+ */
+export function resetConfigCache() {
+	cachedConfig = null;
+}
+
+/**
+ * Split a key into its definition and the property path in the config object.
+ * @param {string} key - e.g. "format", "paths.codexAuth", "displayNames.work"
+ * @returns {{ definition: object, path: string[] } | null} Null for unknown keys
+ */
+export function resolveConfigKey(key) {
+	if (typeof key !== "string" || !key) return null;
+	if (Object.hasOwn(CONFIG_KEYS, key)) {
+		return { definition: CONFIG_KEYS[key], path: key.split(".") };
+	}
+	const dot = key.indexOf(".");
+	const root = dot === -1 ? null : key.slice(0, dot);
+	if (root && CONFIG_KEYS[root]?.type === "map" && key.length > dot + 1) {
+		return { definition: { type: "string" }, path: [root, key.slice(dot + 1)] };
+	}
+	return null;
+}
+
+function isValidValue(definition, value) {
+	switch (definition.type) {
+		case "enum": return definition.values.includes(value);
+		case "boolean": return typeof value === "boolean";
+		case "list": return Array.isArray(value) && value.every(item => typeof item === "string");
+		case "map": return value !== null && typeof value === "object" && !Array.isArray(value)
+			&& Object.values(value).every(item => typeof item === "string");
+		case "duration": return Number.isFinite(value) && value > 0;
+		case "count": return Number.isInteger(value) && value >= 0;
+		case "percent": return Number.isFinite(value) && value >= 0 && value <= 100;
+		case "json": return Array.isArray(value);
+		default: return typeof value === "string" && value.length > 0;
+	}
+}
+
+function getAtPath(object, path) {
+	let value = object;
+	for (const key of path) {
+		if (value === null || typeof value !== "object" || !Object.hasOwn(value, key)) return undefined;
+		value = value[key];
+	}
+	return value;
+}
+
+/**
+ * Get a setting from the config file.
+ * Values of the wrong type are ignored; "~/" in paths expands to the home directory.
+ * @param {string} key - A CONFIG_KEYS key or "<map>.<label>"
+ * @param {object} [config] - Parsed config (defaults to the config file)
+ * @returns {any} The value, or undefined when unset or invalid
+ */
+export function getConfigValue(key, config = loadConfig()) {
+	const resolved = resolveConfigKey(key);
+	if (!resolved) return undefined;
+	const value = getAtPath(config, resolved.path);
+	if (value === undefined || !isValidValue(resolved.definition, value)) return undefined;
+	if (resolved.definition.type === "path" && (value === "~" || value.startsWith("~/"))) {
+		return join(homedir(), value.slice(1));
+	}
+	return value;
+}
+
+/**
+ * Parse a command-line value for a setting.
+ * @param {string} key - A CONFIG_KEYS key or "<map>.<label>"
+ * @param {string} raw - Value as typed ("csv", "true", "work,personal", "30s")
+ * @returns {{ value?: any, error?: string }}
+ */
+export function parseConfigValue(key, raw) {
+	const resolved = resolveConfigKey(key);
+	if (!resolved) return { error: `Unknown config key "${key}"` };
+	const { definition } = resolved;
+	const text = String(raw ?? "").trim();
+	switch (definition.type) {
+		case "enum":
+			return definition.values.includes(text)
+				? { value: text }
+				: { error: `Invalid ${key} "${text}". Available: ${definition.values.join(", ")}` };
+		case "boolean": {
+			const value = BOOLEAN_VALUES[text.toLowerCase()];
+			return value === undefined ? { error: `Invalid ${key} "${text}". Use true or false.` } : { value };
+		}
+		case "list":
+			return { value: text.split(",").map(item => item.trim()).filter(Boolean) };
+		case "map":
+			return { error: `Set ${key} per label, e.g. '${key}.work "Work"'` };
+		case "json":
+			try {
+				const value = JSON.parse(text);
+				return Array.isArray(value) ? { value } : { error: `${key} must be a JSON array` };
+			} catch (err) {
+				return { error: `Invalid JSON for ${key}: ${err.message}` };
+			}
+		case "count":
+			return /^\d+$/.test(text) ? { value: Number(text) } : { error: `Invalid ${key} "${text}". Use a whole number.` };
+		case "percent": {
+			const match = text.match(/^(\d+(?:\.\d+)?)\s*%?$/);
+			const value = match ? Number(match[1]) : null;
+			return value !== null && value <= 100 ? { value } : { error: `Invalid ${key} "${text}". Use a percentage like 10%.` };
+		}
+		case "duration": {
+			const value = parseDuration(text);
+			return value ? { value } : { error: `Invalid ${key} "${text}". Use a duration like 30s or 2m.` };
+		}
+		default:
+			return text ? { value: text } : { error: `${key} cannot be empty` };
+	}
+}
+
+/**
+ * Store a setting in the config file, keeping other keys.
+ * @param {string} key - A CONFIG_KEYS key or "<map>.<label>"
+ * @param {any} value - Parsed value (from parseConfigValue); undefined removes the key
+ * @param {string} [configPath] - Defaults to getConfigPath()
+ * @returns {{ success: boolean, path: string, error?: string }}
+ */
+export function writeConfigValue(key, value, configPath = getConfigPath()) {
+	const resolved = resolveConfigKey(key);
+	if (!resolved) {
+		return { success: false, path: configPath, error: `Unknown config key "${key}"` };
+	}
+	const { config, error } = readConfigFile(configPath);
+	if (error) {
+		return { success: false, path: configPath, error };
+	}
+
+	const parents = resolved.path.slice(0, -1);
+	const last = resolved.path[resolved.path.length - 1];
+	let target = config;
+	for (const part of parents) {
+		if (target[part] === null || typeof target[part] !== "object" || Array.isArray(target[part])) {
+			if (value === undefined) return { success: true, path: configPath };
+			target[part] = {};
+		}
+		target = target[part];
+	}
+	if (value === undefined) {
+		delete target[last];
+	} else {
+		target[last] = value;
+	}
+
+	try {
+		const dir = dirname(configPath);
+		if (!existsSync(dir)) {
+			mkdirSync(dir, { recursive: true, mode: 0o700 });
+		}
+		writeFileAtomic(configPath, JSON.stringify(config, null, 2) + "\n", { mode: 0o600 });
+	} catch (err) {
+		return { success: false, path: configPath, error: err?.message ?? String(err) };
+	} finally {
+		resetConfigCache();
+	}
+	return { success: true, path: configPath };
+}
+
+// Settings that list account labels
+const LABEL_LIST_KEYS = ["hiddenLabels", "sortOrder", "autoswitch.order"];
+
+/**
+ * Point label-keyed settings (displayNames, hiddenLabels, sortOrder, autoswitch.order)
+ * at an account's new label after a rename. A display name already set for the new
+ * label is kept.
+ * @param {string} oldLabel
+ * @param {string} newLabel
+ * @param {{ path?: string, dryRun?: boolean }} [options] - dryRun reports the keys without writing
+ * @returns {{ keys: string[], path: string, error?: string }} Keys that referenced the old label
+ */
+export function renameConfigLabel(oldLabel, newLabel, options = {}) {
+	const configPath = options.path ?? getConfigPath();
+	const { config, error } = readConfigFile(configPath);
+	if (error) {
+		return { keys: [], path: configPath, error };
+	}
+	const keys = [];
+	const displayNames = config.displayNames;
+	if (displayNames && typeof displayNames === "object" && !Array.isArray(displayNames) && Object.hasOwn(displayNames, oldLabel)) {
+		if (!Object.hasOwn(displayNames, newLabel)) {
+			displayNames[newLabel] = displayNames[oldLabel];
+		}
+		delete displayNames[oldLabel];
+		keys.push("displayNames");
+	}
+	for (const key of LABEL_LIST_KEYS) {
+		const path = key.split(".");
+		const parent = getAtPath(config, path.slice(0, -1));
+		const list = parent?.[path[path.length - 1]];
+		if (!Array.isArray(list) || !list.includes(oldLabel)) continue;
+		parent[path[path.length - 1]] = [...new Set(list.map(label => (label === oldLabel ? newLabel : label)))];
+		keys.push(key);
+	}
+	if (!keys.length || options.dryRun) {
+		return { keys, path: configPath };
+	}
+	try {
+		writeFileAtomic(configPath, JSON.stringify(config, null, 2) + "\n", { mode: 0o600 });
+	} catch (err) {
+		return { keys: [], path: configPath, error: err?.message ?? String(err) };
+	} finally {
+		resetConfigCache();
+	}
+	return { keys, path: configPath };
+}
+
+/**
+ * Get a path setting, honoring its environment variable first.
+ * @param {string} key - A "paths.*" key
+ * @returns {string | null} Path from env or config, or null to use the default
+ */
+export function getConfiguredPath(key) {
+	const envName = CONFIG_KEYS[key]?.env;
+	if (envName && process.env[envName]) return process.env[envName];
+	return getConfigValue(key) ?? null;
+}
+
+// Timeouts given on the command line (--timeout), which win over the config file
+const timeoutOverrides = new Map();
+
+/**
+ * Override a network timeout for this run (from a CLI flag, or for testing purposes).
+ * @param {"timeouts.usage" | "timeouts.oauth"} key
+ * @param {number | null} ms - Null removes the override
+ */
+export function setTimeoutOverride(key, ms) {
+	if (ms === null) {
+		timeoutOverrides.delete(key);
+	} else {
+		timeoutOverrides.set(key, ms);
+	}
+}
+
+/**
+ * Get a network timeout in milliseconds.
+ * @param {"timeouts.usage" | "timeouts.oauth"} key
+ * @param {number} fallbackMs - Built-in default
+ * @param {number | null} [deadline] - Epoch ms the request must finish by (shortens the timeout)
+ * @returns {number}
+ */
+export function getTimeoutMs(key, fallbackMs, deadline = null) {
+	const timeoutMs = timeoutOverrides.get(key) ?? getConfigValue(key) ?? fallbackMs;
+	return deadline === null ? timeoutMs : Math.max(0, Math.min(timeoutMs, deadline - Date.now()));
+}
+
+/**
+ * Apply hiddenLabels and sortOrder to a list of accounts (or results).
+ * Hidden labels are kept when a label was requested explicitly.
+ * @template T
+ * @param {T[]} items
+ * @param {(item: T) => string | null | undefined} getLabel
+ * @param {{ labelFilter?: string | null, config?: object }} [options]
+ * @returns {T[]} A new array
+ */
+export function applyLabelPreferences(items, getLabel, options = {}) {
+	const config = options.config ?? loadConfig();
+	const hidden = options.labelFilter ? [] : getConfigValue("hiddenLabels", config) ?? [];
+	const order = getConfigValue("sortOrder", config) ?? [];
+	const visible = items.filter(item => !hidden.includes(getLabel(item)));
+	if (!order.length) return visible;
+	const rank = item => {
+		const index = order.indexOf(getLabel(item));
+		return index === -1 ? order.length : index;
+	};
+	// Array.prototype.sort is stable, so unlisted labels keep their order
+	return visible.sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Get the display name configured for a label.
+ * @param {string | null | undefined} label
+ * @returns {string | null}
+ */
+export function getDisplayName(label) {
+	if (!label) return null;
+	return getConfigValue("displayNames", loadConfig())?.[label] ?? null;
+}
@@ -16,6 +16,7 @@ export const SCOPE = "openid profile email offline_access";
 export const OAUTH_TIMEOUT_MS = 120000; // 2 minutes
 export const OPENAI_OAUTH_REFRESH_BUFFER_MS = 60 * 1000;
 export const USAGE_URL = "https://chatgpt.com/backend-api/wham/usage";
+export const USAGE_TIMEOUT_MS = 15000;
 export const JWT_CLAIM = "https://api.openai.com/auth";
 export const JWT_PROFILE = "https://api.openai.com/profile";
 export const CLAUDE_CREDENTIALS_PATH = join(homedir(), ".claude", ".credentials.json");
@@ -54,4 +55,8 @@ export const MULTI_ACCOUNT_PATHS = [
 export const CODEX_CLI_AUTH_PATH = join(homedir(), ".codex", "auth.json");
 export const PI_AUTH_PATH = join(homedir(), ".pi", "agent", "auth.json");
 export const DEFAULT_XDG_DATA_HOME = join(homedir(), ".local", "share");
+export const DEFAULT_XDG_CONFIG_HOME = join(homedir(), ".config");
 export const MULTI_ACCOUNT_SCHEMA_VERSION = 1;
+
+// Local state (history, caches) lives under ~/.codex-quota
+export const CODEX_QUOTA_HOME = join(homedir(), ".codex-quota");
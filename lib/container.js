@@ -1,15 +1,37 @@
 /**
  * Multi-account container read/write/map helpers.
- * Depends on: lib/fs.js, lib/constants.js
+ * Encrypted containers (lib/vault.js) are decrypted on read and re-encrypted on write.
+ * Writes hold the file's lock (lib/lock.js), refuse to replace a file that changed since it was read,
+ * and back up the previous version (lib/backups.js).
+ * Depends on: lib/fs.js, lib/constants.js, lib/vault.js, lib/lock.js, lib/backups.js
  */
 
 import { existsSync, readFileSync } from "node:fs";
+import { createHash } from "node:crypto";
 import { writeFileAtomic } from "./fs.js";
+import { withFileLock } from "./lock.js";
+import { backupFile } from "./backups.js";
 import { MULTI_ACCOUNT_SCHEMA_VERSION } from "./constants.js";
+import { isVaultPayload, openVault, encryptVaultPayload } from "./vault.js";
+
+// Locked containers already reported (warn once per path)
+const warnedLockedPaths = new Set();
+// Attempts for updateMultiAccountContainer before giving up on a file that keeps changing
+const UPDATE_ATTEMPTS = 3;
+
+function getRevision(raw) {
+	return raw === null ? null : createHash("sha256").update(raw).digest("hex");
+}
+
+function readRevision(filePath) {
+	return existsSync(filePath) ? getRevision(readFileSync(filePath, "utf-8")) : null;
+}
 
 /**
  * Read a multi-account container while preserving root shape and fields.
  * Supports both array roots and object roots with an accounts field.
+ * Encrypted containers are decrypted with the passphrase or key file in effect; when that
+ * fails the container is "invalid" and locked, and cannot be written.
  * @param {string} filePath - Path to the multi-account JSON file
  * @returns {{
  * 	filePath: string,
@@ -19,6 +41,10 @@ import { MULTI_ACCOUNT_SCHEMA_VERSION } from "./constants.js";
  * 	schemaVersion: number,
  * 	activeLabel: string | null,
  * 	accounts: unknown[],
+ * 	encryption: { kdf: object, key: Buffer } | null,
+ * 	locked: boolean,
+ * 	error: string | null,
+ * 	revision: string | null,
  * }}
  */
 export function readMultiAccountContainer(filePath) {
@@ -30,6 +56,10 @@ export function readMultiAccountContainer(filePath) {
 		schemaVersion: 0,
 		activeLabel: null,
 		accounts: [],
+		encryption: null,
+		locked: false,
+		error: null,
+		revision: null,
 	};
 	if (!container.exists) {
 		return container;
@@ -37,7 +67,25 @@ export function readMultiAccountContainer(filePath) {
 
 	try {
 		const raw = readFileSync(filePath, "utf-8");
-		const parsed = JSON.parse(raw);
+		// Hash of the contents read, to detect writes by other processes before ours
+		container.revision = getRevision(raw);
+		let parsed = JSON.parse(raw);
+
+		if (isVaultPayload(parsed)) {
+			const vault = openVault(parsed);
+			if (vault.error) {
+				container.rootType = "invalid";
+				container.locked = true;
+				container.error = `Cannot decrypt ${filePath}: ${vault.error}`;
+				if (!warnedLockedPaths.has(filePath)) {
+					warnedLockedPaths.add(filePath);
+					console.error(`Warning: ${container.error}`);
+				}
+				return container;
+			}
+			container.encryption = vault.encryption;
+			parsed = vault.payload;
+		}
 
 		if (Array.isArray(parsed)) {
 			container.rootType = "array";
@@ -110,20 +158,68 @@ export function buildMultiAccountPayload(container, accounts, overrides = {}) {
 
 /**
  * Write a multi-account container while preserving root fields and markers.
+ * Containers read from an encrypted file stay encrypted with the same key.
+ * The write holds the file's lock; when another process changed the file after the
+ * container was read, nothing is written and an error with code "ESTALE" is thrown.
  * @param {string} filePath - Path to write
- * @param {ReturnType<typeof readMultiAccountContainer>} container - Container metadata
+ * @param {ReturnType<typeof readMultiAccountContainer>} container - Container metadata (its revision is updated)
  * @param {unknown[]} accounts - Raw accounts array to persist
  * @param {{ activeLabel?: string | null, schemaVersion?: number }} [overrides]
- * @param {{ mode?: number }} [options]
+ * @param {{ mode?: number, backup?: boolean }} [options] - backup: false skips the snapshot of the previous contents
  * @returns {{ path: string, payload: Record<string, unknown> }}
+ * @throws {Error} When the container is locked (encrypted and not decrypted), or stale
  */
 export function writeMultiAccountContainer(filePath, container, accounts, overrides = {}, options = {}) {
+	if (container.locked) {
+		throw new Error(container.error ?? `${filePath} is encrypted`);
+	}
 	const payload = buildMultiAccountPayload(container, accounts, overrides);
+	const contents = container.encryption ? encryptVaultPayload(payload, container.encryption) : payload;
 	const mode = options.mode ?? 0o600;
-	const path = writeFileAtomic(filePath, JSON.stringify(payload, null, 2) + "\n", { mode });
+	const text = JSON.stringify(contents, null, 2) + "\n";
+	const path = withFileLock(filePath, () => {
+		// Containers read from another path (e.g. import targets) have nothing to compare
+		if (container.filePath === filePath && readRevision(filePath) !== (container.revision ?? null)) {
+			const err = new Error(`${filePath} changed since it was read; try again`);
+			err.code = "ESTALE";
+			throw err;
+		}
+		if (options.backup !== false) {
+			backupFile(filePath);
+		}
+		return writeFileAtomic(filePath, text, { mode });
+	});
+	container.revision = getRevision(text);
 	return { path, payload };
 }
 
+/**
+ * Read, change, and write a container under its lock, re-reading when another process
+ * wrote it in between. The update runs on the freshest contents, so it never clobbers them.
+ * @param {string} filePath
+ * @param {(container: ReturnType<typeof readMultiAccountContainer>) => { accounts: unknown[], overrides?: { activeLabel?: string | null, schemaVersion?: number } } | null} update - Null leaves the file unchanged
+ * @param {{ mode?: number }} [options]
+ * @returns {{ updated: boolean, path: string, container: ReturnType<typeof readMultiAccountContainer> }}
+ */
+export function updateMultiAccountContainer(filePath, update, options = {}) {
+	for (let attempt = 1; ; attempt++) {
+		try {
+			return withFileLock(filePath, () => {
+				const container = readMultiAccountContainer(filePath);
+				const change = update(container);
+				if (!change) {
+					return { updated: false, path: filePath, container };
+				}
+				const { path } = writeMultiAccountContainer(filePath, container, change.accounts, change.overrides ?? {}, options);
+				return { updated: true, path, container };
+			});
+		} catch (err) {
+			// Writers that skip the lock can still race us; start over from a fresh read
+			if (err?.code !== "ESTALE" || attempt >= UPDATE_ATTEMPTS) throw err;
+		}
+	}
+}
+
 /**
  * Map over container accounts while tracking whether anything changed.
  * @param {ReturnType<typeof readMultiAccountContainer>} container
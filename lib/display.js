@@ -1,12 +1,14 @@
 /**
  * Bars, boxes, usage lines, help text.
- * Depends on: lib/constants.js, lib/color.js, lib/jwt.js
+ * Depends on: lib/constants.js, lib/color.js, lib/jwt.js, lib/providers.js, lib/account-meta.js
  */
 
 import { PRIMARY_CMD } from "./constants.js";
 import { GREEN, RED, YELLOW, colorize, getPackageVersion } from "./color.js";
 import { extractProfile } from "./jwt.js";
 import { normalizeClaudeOrgId } from "./claude-usage.js";
+import { getProviders, getProviderTitle } from "./providers.js";
+import { pickAccountMeta } from "./account-meta.js";
 
 export function parseWindow(window) {
 	if (!window) return null;
@@ -52,6 +54,19 @@ export function formatResetTime(seconds, style = "parentheses") {
 		return `(resets ${timeStr})`;
 	}
 	
+	// Live countdown for watch mode: "resets in 2h 05m 09s"
+	if (style === "countdown") {
+		const secs = Math.floor(seconds % 60);
+		const pad = (value) => String(value).padStart(2, "0");
+		if (hours >= 24) {
+			return `(resets in ${Math.floor(hours / 24)}d ${hours % 24}h ${pad(mins)}m)`;
+		}
+		if (hours > 0) {
+			return `(resets in ${hours}h ${pad(mins)}m ${pad(secs)}s)`;
+		}
+		return `(resets in ${mins}m ${pad(secs)}s)`;
+	}
+	
 	// Legacy parentheses style for JSON/other uses
 	if (hours > 24) {
 		const days = Math.floor(hours / 24);
@@ -133,6 +148,13 @@ const BOX = {
 	vertical: "│",
 };
 
+// Matches ANSI SGR sequences produced by colorize()
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+function visibleLength(line) {
+	return line.replace(ANSI_PATTERN, "").length;
+}
+
 /**
  * Draw a box around content lines
  * @param {string[]} lines - Lines to display inside the box
@@ -140,8 +162,8 @@ const BOX = {
  * @returns {string[]} Lines with box characters
  */
 export function drawBox(lines, minWidth = 70) {
-	// Calculate content width (max line length)
-	const contentWidth = Math.max(minWidth, ...lines.map(l => l.length)) + 2;
+	// Calculate content width (max visible line length, ignoring color codes)
+	const contentWidth = Math.max(minWidth, ...lines.map(l => visibleLength(l))) + 2;
 	
 	const output = [];
 	
@@ -150,7 +172,7 @@ export function drawBox(lines, minWidth = 70) {
 	
 	// Content lines with padding
 	for (const line of lines) {
-		const padding = contentWidth - line.length - 1;
+		const padding = contentWidth - visibleLength(line) - 1;
 		output.push(BOX.vertical + " " + line + " ".repeat(padding) + BOX.vertical);
 	}
 	
@@ -160,13 +182,42 @@ export function drawBox(lines, minWidth = 70) {
 	return output;
 }
 
+/**
+ * Format a projected exhaustion line for a usage window (for box display)
+ * Yellow when the window runs out before it resets, red when that is within the hour.
+ * @param {{ runsOutAt: string, resetsAt: string | null, beforeReset: boolean, severity: string } | null | undefined} projection
+ * @returns {string | null} Line to display, or null when there is no projection
+ */
+export function formatProjectionLine(projection) {
+	if (!projection) return null;
+	const runsOutAt = new Date(projection.runsOutAt);
+	const seconds = Math.max(0, Math.floor((runsOutAt.getTime() - Date.now()) / 1000));
+	const timeStr = runsOutAt.toLocaleTimeString("en-US", { hour: "2-digit", minute: "2-digit", hour12: false });
+	// Match formatResetTime: add the date when it is a day or more away
+	const when = seconds >= 24 * 3600
+		? `${timeStr} on ${runsOutAt.getDate()} ${runsOutAt.toLocaleDateString("en-US", { month: "short" })}`
+		: timeStr;
+	const indent = " ".repeat(14);
+	if (!projection.beforeReset) {
+		return `${indent}Runs out at ${when} at current rate (after reset)`;
+	}
+	const marginMinutes = Math.round((Date.parse(projection.resetsAt) - runsOutAt.getTime()) / 60000);
+	const margin = marginMinutes >= 60
+		? `${Math.floor(marginMinutes / 60)}h ${marginMinutes % 60}m`
+		: `${marginMinutes}m`;
+	const color = projection.severity === "critical" ? RED : YELLOW;
+	return colorize(`${indent}Runs out at ${when} at current rate (${margin} before reset)`, color);
+}
+
 /**
  * Build usage lines for an account (for box display)
  * @param {object} account - Account object
  * @param {object} payload - Usage payload from API
+ * @param {{ resetStyle?: "inline" | "countdown", projections?: Record<string, object>, displayName?: string | null }} [options] - Display options (displayName replaces the label in the header, and wins over the account's own displayName)
  * @returns {string[]} Lines to display
  */
-export function buildAccountUsageLines(account, payload) {
+export function buildAccountUsageLines(account, payload, options = {}) {
+	const resetStyle = options.resetStyle ?? "inline";
 	const lines = [];
 	const usage = payload?.usage ?? payload;
 	const rateLimit = usage?.rate_limit;
@@ -181,7 +232,8 @@ export function buildAccountUsageLines(account, payload) {
 	const planDisplay = planType ? ` (${planType})` : "";
 	
 	// Header: Codex (label) <email> (plan) — matches Claude format
-	const labelDisplay = account.label ? ` (${account.label})` : "";
+	const headerName = options.displayName ?? pickAccountMeta(account).displayName ?? account.label;
+	const labelDisplay = headerName ? ` (${headerName})` : "";
 	const emailDisplay = profile.email ? ` <${profile.email}>` : "";
 	lines.push(`Codex${labelDisplay}${emailDisplay}${planDisplay}`);
 	lines.push("");
@@ -198,8 +250,10 @@ export function buildAccountUsageLines(account, payload) {
 	if (session) {
 		const remaining = session.remaining ?? (session.used !== undefined ? 100 - session.used : null);
 		if (remaining !== null) {
-			const reset = session.resetAfterSeconds ? formatResetTime(session.resetAfterSeconds, "inline") : "";
+			const reset = session.resetAfterSeconds ? formatResetTime(session.resetAfterSeconds, resetStyle) : "";
 			lines.push(`5h limit:     ${printBar(remaining)} ${Math.round(remaining)}% left ${reset}`);
+			const projectionLine = formatProjectionLine(options.projections?.["5h"]);
+			if (projectionLine) lines.push(projectionLine);
 		}
 	}
 	
@@ -207,8 +261,10 @@ export function buildAccountUsageLines(account, payload) {
 	if (weekly) {
 		const remaining = weekly.remaining ?? (weekly.used !== undefined ? 100 - weekly.used : null);
 		if (remaining !== null) {
-			const reset = weekly.resetAfterSeconds ? formatResetTime(weekly.resetAfterSeconds, "inline") : "";
+			const reset = weekly.resetAfterSeconds ? formatResetTime(weekly.resetAfterSeconds, resetStyle) : "";
 			lines.push(`Weekly limit: ${printBar(remaining)} ${Math.round(remaining)}% left ${reset}`);
+			const projectionLine = formatProjectionLine(options.projections?.weekly);
+			if (projectionLine) lines.push(projectionLine);
 		}
 	}
 	
@@ -219,6 +275,123 @@ export function buildAccountUsageLines(account, payload) {
 	return lines;
 }
 
+/**
+ * Format how old cached usage data is (for box display)
+ * Stale data (served because a fetch failed) is shown in yellow with the error.
+ * @param {{ ageSeconds: number, stale: boolean, error?: string } | null | undefined} cache - Cache descriptor from the quota fetchers
+ * @returns {string | null} Line to display, or null for freshly fetched data
+ */
+export function formatCacheAgeLine(cache) {
+	if (!cache) return null;
+	const seconds = cache.ageSeconds;
+	let age = `${seconds}s`;
+	if (seconds >= 3600) {
+		age = `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+	} else if (seconds >= 60) {
+		age = `${Math.floor(seconds / 60)}m`;
+	}
+	if (!cache.stale) {
+		return `  Cached: ${age} ago`;
+	}
+	return colorize(`  Stale: last known values from ${age} ago (${cache.error ?? "fetch failed"})`, YELLOW);
+}
+
+/**
+ * Build ranking lines for the pick command (for box display)
+ * @param {Array<{ label: string, windows: Record<string, { remaining: number, resetsAt: number | null }>, error?: string | null, eligible: boolean }>} ranked - Candidates in ranked order
+ * @param {string} strategy - Strategy used for ranking
+ * @param {string | null} selectedLabel - Label that was (or would be) switched to
+ * @returns {string[]} Lines to display
+ */
+export function buildPickLines(ranked, strategy, selectedLabel) {
+	const lines = [`Pick strategy: ${strategy}`, ""];
+	const labelWidth = Math.max(0, ...ranked.map(candidate => candidate.label.length));
+	const now = Date.now();
+	for (const candidate of ranked) {
+		const marker = candidate.label === selectedLabel ? "→ " : "  ";
+		const label = candidate.label.padEnd(labelWidth);
+		if (candidate.error) {
+			lines.push(`${marker}${label}  ${candidate.error}`);
+			continue;
+		}
+		const parts = [];
+		for (const [key, name] of [["5h", "5h"], ["weekly", "Weekly"]]) {
+			const window = candidate.windows?.[key];
+			if (!window) continue;
+			const resetSeconds = window.resetsAt ? Math.max(0, Math.round((window.resetsAt - now) / 1000)) : 0;
+			const reset = formatResetTime(resetSeconds, "inline");
+			parts.push(`${name}: ${Math.round(window.remaining)}% left${reset ? ` ${reset}` : ""}`);
+		}
+		const status = !candidate.eligible && parts.length ? "  (exhausted)" : "";
+		lines.push(`${marker}${label}  ${parts.length ? parts.join("  ") : "No usage windows"}${status}`);
+	}
+	return lines;
+}
+
+const SPARKLINE_CHARS = "▁▂▃▄▅▆▇█";
+
+/**
+ * Render remaining-percent values as a fixed-width sparkline.
+ * Values are averaged into buckets when there are more samples than width.
+ * @param {number[]} values - Remaining percentages (0-100)
+ * @param {number} [width] - Maximum number of characters
+ * @returns {string}
+ */
+export function formatSparkline(values, width = 40) {
+	if (!values.length) return "";
+	const bucketCount = Math.min(width, values.length);
+	const chars = [];
+	for (let bucket = 0; bucket < bucketCount; bucket++) {
+		const start = Math.floor((bucket * values.length) / bucketCount);
+		const end = Math.max(start + 1, Math.floor(((bucket + 1) * values.length) / bucketCount));
+		const slice = values.slice(start, end);
+		const average = slice.reduce((sum, value) => sum + value, 0) / slice.length;
+		const index = Math.round((Math.min(100, Math.max(0, average)) / 100) * (SPARKLINE_CHARS.length - 1));
+		chars.push(SPARKLINE_CHARS[index]);
+	}
+	return chars.join("");
+}
+
+function formatHistoryTime(isoString) {
+	const date = new Date(isoString);
+	const pad = (value) => String(value).padStart(2, "0");
+	return `${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+const HISTORY_WINDOW_NAMES = {
+	"5h": "5h limit",
+	weekly: "Weekly limit",
+	"opus-weekly": "Opus weekly",
+	"sonnet-weekly": "Sonnet weekly",
+};
+
+/**
+ * Build history lines for one label/window series (for box display)
+ * @param {ReturnType<typeof import("./history.js").summarizeHistory>[number]} summary
+ * @returns {string[]} Lines to display
+ */
+export function buildHistoryLines(summary) {
+	const provider = getProviderTitle(summary.provider);
+	const windowName = HISTORY_WINDOW_NAMES[summary.window] ?? summary.window;
+	const burnRate = summary.burnRatePerHour === null ? "n/a" : `${summary.burnRatePerHour.toFixed(1)}%/hour`;
+	const lines = [
+		`${provider} (${summary.label}) · ${windowName}`,
+		"",
+		`Samples:   ${summary.samples.length} from ${formatHistoryTime(summary.first.ts)} to ${formatHistoryTime(summary.last.ts)}`,
+		`Remaining: ${Math.round(summary.first.remaining)}% → ${Math.round(summary.last.remaining)}%  ${formatSparkline(summary.samples.map(sample => sample.remaining))}`,
+		`Burn rate: ${burnRate}`,
+	];
+	if (summary.periods.length) {
+		lines.push("");
+		lines.push("Lowest point per reset period:");
+		for (const period of summary.periods) {
+			const reset = period.resetsAt ? ` (resets ${formatHistoryTime(period.resetsAt)})` : "";
+			lines.push(`  ${formatHistoryTime(period.start)} → ${formatHistoryTime(period.end)}  lowest ${Math.round(period.lowestRemaining)}% at ${formatHistoryTime(period.lowestAt)}${reset}`);
+		}
+	}
+	return lines;
+}
+
 export function formatClaudePercentLeft(percentLeft) {
 	if (percentLeft === null || percentLeft === undefined || Number.isNaN(percentLeft)) {
 		return "?";
@@ -261,12 +434,12 @@ export function parseClaudeUtilizationWindow(window) {
 	return { remaining, resetsAt };
 }
 
-export function formatResetAt(dateString) {
+export function formatResetAt(dateString, style = "inline") {
 	if (!dateString) return "";
 	const date = new Date(dateString);
 	if (Number.isNaN(date.getTime())) return "";
 	const seconds = Math.max(0, Math.floor((date.getTime() - Date.now()) / 1000));
-	return formatResetTime(seconds, "inline");
+	return formatResetTime(seconds, style);
 }
 
 export function parseClaudeWindow(window) {
@@ -350,7 +523,8 @@ export function formatClaudeOverageLine(overage) {
 	return `Overage: ${parts.join(", ")}`;
 }
 
-export function buildClaudeUsageLines(payload) {
+export function buildClaudeUsageLines(payload, options = {}) {
+	const resetStyle = options.resetStyle ?? "inline";
 	const lines = [];
 
 	const account = payload?.account ?? {};
@@ -375,7 +549,8 @@ export function buildClaudeUsageLines(payload) {
 				.replace(/_\d+x$/i, "")
 		);
 	}
-	const label = payload?.label ? ` (${payload.label})` : "";
+	const headerName = options.displayName ?? pickAccountMeta(payload).displayName ?? payload?.label;
+	const label = headerName ? ` (${headerName})` : "";
 	const header = `Claude${label}${email ? ` <${email}>` : ""}${planDisplay ? ` (${planDisplay})` : ""}`;
 
 	lines.push(header);
@@ -391,26 +566,34 @@ export function buildClaudeUsageLines(payload) {
 	if (usage && typeof usage === "object") {
 		const fiveHour = parseClaudeUtilizationWindow(usage.five_hour ?? usage.fiveHour);
 		if (fiveHour && fiveHour.remaining !== null) {
-			const reset = formatResetAt(fiveHour.resetsAt);
+			const reset = formatResetAt(fiveHour.resetsAt, resetStyle);
 			lines.push(`5h limit:     ${printBar(fiveHour.remaining)} ${Math.round(fiveHour.remaining)}% left ${reset}`.trimEnd());
+			const projectionLine = formatProjectionLine(options.projections?.["5h"]);
+			if (projectionLine) lines.push(projectionLine);
 			renderedUsage = true;
 		}
 		const weekly = parseClaudeUtilizationWindow(usage.seven_day ?? usage.sevenDay);
 		if (weekly && weekly.remaining !== null) {
-			const reset = formatResetAt(weekly.resetsAt);
+			const reset = formatResetAt(weekly.resetsAt, resetStyle);
 			lines.push(`Weekly limit: ${printBar(weekly.remaining)} ${Math.round(weekly.remaining)}% left ${reset}`.trimEnd());
+			const projectionLine = formatProjectionLine(options.projections?.weekly);
+			if (projectionLine) lines.push(projectionLine);
 			renderedUsage = true;
 		}
 		const opus = parseClaudeUtilizationWindow(usage.seven_day_opus ?? usage.sevenDayOpus);
 		if (opus && opus.remaining !== null) {
-			const reset = formatResetAt(opus.resetsAt);
+			const reset = formatResetAt(opus.resetsAt, resetStyle);
 			lines.push(`Opus weekly:  ${printBar(opus.remaining)} ${Math.round(opus.remaining)}% left ${reset}`.trimEnd());
+			const projectionLine = formatProjectionLine(options.projections?.["opus-weekly"]);
+			if (projectionLine) lines.push(projectionLine);
 			renderedUsage = true;
 		}
 		const sonnet = parseClaudeUtilizationWindow(usage.seven_day_sonnet ?? usage.sevenDaySonnet);
 		if (sonnet && sonnet.remaining !== null) {
-			const reset = formatResetAt(sonnet.resetsAt);
+			const reset = formatResetAt(sonnet.resetsAt, resetStyle);
 			lines.push(`Sonnet weekly: ${printBar(sonnet.remaining)} ${Math.round(sonnet.remaining)}% left ${reset}`.trimEnd());
+			const projectionLine = formatProjectionLine(options.projections?.["sonnet-weekly"]);
+			if (projectionLine) lines.push(projectionLine);
 			renderedUsage = true;
 		}
 	}
@@ -452,7 +635,47 @@ export function buildClaudeUsageLines(payload) {
 	return lines;
 }
 
+const PROVIDER_WINDOW_TITLES = { "5h": "5h limit", weekly: "Weekly limit" };
+
+/**
+ * Build usage lines for an account of a provider without its own box layout.
+ * @param {import("./providers.js").Provider} provider
+ * @param {{ account: object, usage: object, error: string | null }} result - From fetchProviderUsageResults
+ * @param {{ resetStyle?: "inline" | "countdown", projections?: Record<string, object>, displayName?: string | null }} [options]
+ * @returns {string[]}
+ */
+export function buildProviderUsageLines(provider, result, options = {}) {
+	const { account, usage, error } = result;
+	const headerName = options.displayName ?? pickAccountMeta(account).displayName ?? account.label;
+	const lines = [
+		`${provider.title} (${headerName})${account.email ? ` <${account.email}>` : ""}${account.plan ? ` (${account.plan})` : ""}`,
+		"",
+	];
+	if (error) {
+		lines.push(`Error: ${error}`);
+		return lines;
+	}
+	const windows = Object.entries(provider.getWindows(usage));
+	if (!windows.length) {
+		lines.push("  Usage: (no usage data)");
+	}
+	for (const [key, window] of windows) {
+		const title = `${PROVIDER_WINDOW_TITLES[key] ?? key}:`.padEnd(14);
+		const reset = window.resetsAt ? formatResetAt(window.resetsAt, options.resetStyle ?? "inline") : "";
+		lines.push(`${title}${printBar(window.remaining)} ${Math.round(window.remaining)}% left ${reset}`.trimEnd());
+		const projectionLine = formatProjectionLine(options.projections?.[key]);
+		if (projectionLine) lines.push(projectionLine);
+	}
+	if (account.source) {
+		lines.push(`  Source: ${shortenPath(account.source)}`);
+	}
+	return lines;
+}
+
 export function printHelp() {
+	const namespaces = getProviders()
+		.map(provider => `  ${provider.name.padEnd(17)} ${provider.description}`)
+		.join("\n");
 	console.log(`${PRIMARY_CMD} - Manage and monitor OpenAI Codex and Claude accounts
 Version: ${getPackageVersion()}
 
@@ -461,13 +684,40 @@ Usage:
   ${PRIMARY_CMD} [label]                       Check quota for all accounts (Codex + Claude)
 
 Namespaces:
-  codex             Manage OpenAI Codex accounts
-  claude            Manage Claude accounts
+${namespaces}
+
+Commands:
+  history [label]   Show remaining quota over time, burn rate, and lows per reset
+  alert [label]     Notify and exit 2 when a window drops below --below <percent>
+  serve --metrics   Serve quota gauges for Prometheus at /metrics (default port 9464)
+  status            One-line summary of the active accounts for prompts and status bars
+  config            Show and change defaults in ~/.config/codex-quota/config.json
+  vault             Encrypt, decrypt, or rekey the account stores (AES-256-GCM)
+  export --out <f>  Write accounts to a passphrase-encrypted bundle
+  import <file>     Merge accounts from an export bundle
+  backups list      List backups of account stores and harness auth files
+  restore <file>    Restore a credential file from a backup (--at <id or date>)
+  log [label]       Show the audit log of credential changes
+  doctor            Check credential files, tokens, and tools, with fix hints
+  autoswitch        Switch to the next account when the active one drops below a floor
+  completion <sh>   Print a bash, zsh, or fish completion script
 
 Options:
   --json            Output in JSON format
   --local           Use only stored account files; skip harness token checks
-  --dry-run         Preview sync without writing files
+  --dry-run         Preview sync, pick, or autoswitch without writing files
+  --strategy <name> Ranking strategy for pick (balanced, weekly, 5h, reset)
+  --watch           Keep refreshing quota boxes (quota and alert)
+  --format <name>   Output quota/list as table, csv, tsv, markdown, template, or statusline
+  --template <str>  Row template for --format template (e.g. '{{label}} {{email}}')
+  --max-age <time>  Reuse cached usage up to this old (default: 60s; 0 always fetches)
+  --no-cache        Do not read or write the usage cache
+  --refresh         Let status fetch usage instead of only reading the cache
+  --concurrency <n> Accounts fetched at once (default: 4)
+  --timeout <time>  Timeout per account, token refresh included (default: 15s)
+  --tag <tags>      Only accounts with these tags in quota, list, and switch
+  --interval <time> Refresh interval for --watch (default: 60s)
+  --since <time>    History range (default: 7d)
   --no-browser      Print auth URL instead of opening browser
   --no-color        Disable colored output
   --version, -v     Show version number
@@ -475,6 +725,10 @@ Options:
 
 Examples:
   ${PRIMARY_CMD}                   Check quota for all accounts (Codex + Claude)
+  ${PRIMARY_CMD} --watch --interval 2m  Live-refresh quota every 2 minutes
+  ${PRIMARY_CMD} --format csv      Quota for all accounts as CSV
+  ${PRIMARY_CMD} history --since 30d  Usage trend for the last 30 days
+  ${PRIMARY_CMD} alert --below 20%   Alert when any window has less than 20% left
   ${PRIMARY_CMD} codex             Show Codex command help
   ${PRIMARY_CMD} claude            Show Claude command help
   ${PRIMARY_CMD} codex quota       Check quota for Codex accounts
@@ -485,6 +739,8 @@ Examples:
   ${PRIMARY_CMD} claude reauth work Re-authenticate existing "work" account
   ${PRIMARY_CMD} codex switch work Switch Codex/OpenCode/pi to "work"
   ${PRIMARY_CMD} claude switch work Switch Claude Code/OpenCode/pi to "work"
+  ${PRIMARY_CMD} codex pick        Switch to the Codex account with most quota left
+  ${PRIMARY_CMD} --tag team        Check quota for accounts tagged "team"
   ${PRIMARY_CMD} codex sync        Sync active Codex account to CLI auth files
   ${PRIMARY_CMD} codex sync --dry-run  Preview Codex sync without writing
   ${PRIMARY_CMD} claude sync --dry-run Preview Claude sync without writing
@@ -506,6 +762,29 @@ Run '${PRIMARY_CMD} <namespace> <command> --help' for help on a specific command
 `);
 }
 
+/**
+ * Print help for a provider namespace without its own help text.
+ * @param {import("./providers.js").Provider} provider
+ */
+export function printHelpProvider(provider) {
+	console.log(`${PRIMARY_CMD} ${provider.name} - ${provider.description}
+
+Usage:
+  ${PRIMARY_CMD} ${provider.name} [command] [options]
+
+Commands:
+  quota [label]     Check usage quota
+  list              List ${provider.title} accounts
+
+Options:
+  --json            Output in JSON format
+  --format <name>   Output as table, csv, tsv, markdown, or template
+  --template <str>  Row template for --format template
+  --local           Use only stored account files
+  --help, -h        Show this help
+`);
+}
+
 export function printHelpCodex() {
 	console.log(`${PRIMARY_CMD} codex - Manage OpenAI Codex accounts
 
@@ -515,11 +794,14 @@ Usage:
 Commands:
   quota [label]     Check usage quota (default command)
   add [label]       Add a new account via OAuth browser flow
-  reauth <label>    Re-authenticate an existing account via OAuth
-  switch <label>    Switch active account for Codex CLI, OpenCode, and pi
+  reauth [label]    Re-authenticate an existing account via OAuth
+  switch [label]    Switch active account for Codex CLI, OpenCode, and pi
+  pick              Switch to the account with the most quota left
   sync              Sync activeLabel to Codex CLI, OpenCode, and pi
   list              List all accounts from all sources
-  remove <label>    Remove an account from storage
+  remove [label]    Remove an account from storage
+  rename <old> <new>  Change an account's label
+  tag [label] [+t] [-t]  Show or change an account's tags, note, and display name
 
 Options:
   --json            Output in JSON format
@@ -534,8 +816,11 @@ Examples:
   ${PRIMARY_CMD} codex add work          Add new account with label "work"
   ${PRIMARY_CMD} codex reauth work       Re-authenticate "work" account
   ${PRIMARY_CMD} codex switch personal   Switch to "personal" account
+  ${PRIMARY_CMD} codex pick --dry-run    Preview the account with most quota left
   ${PRIMARY_CMD} codex list              List all configured accounts
   ${PRIMARY_CMD} codex remove old        Remove "old" account
+  ${PRIMARY_CMD} codex rename old new    Rename "old" to "new"
+  ${PRIMARY_CMD} codex tag work +team    Tag "work" with "team"
   ${PRIMARY_CMD} codex sync              Sync the activeLabel account
   ${PRIMARY_CMD} codex sync --dry-run    Preview sync without writing
 
@@ -554,11 +839,14 @@ Usage:
 Commands:
   quota [label]     Check Claude usage (default command)
   add [label]       Add a Claude credential (via OAuth or manual entry)
-  reauth <label>    Re-authenticate an existing Claude account via OAuth
-  switch <label>    Switch Claude Code, OpenCode, and pi credentials
+  reauth [label]    Re-authenticate an existing Claude account via OAuth
+  switch [label]    Switch Claude Code, OpenCode, and pi credentials
+  pick              Switch to the Claude account with the most quota left
   sync              Sync activeLabel to Claude Code, OpenCode, and pi
   list              List Claude credentials
-  remove <label>    Remove a Claude credential from storage
+  remove [label]    Remove a Claude credential from storage
+  rename <old> <new>  Change a Claude credential's label
+  tag [label] [+t] [-t]  Show or change a credential's tags, note, and display name
 
 Options:
   --json            Output result in JSON format
@@ -575,8 +863,11 @@ Examples:
   ${PRIMARY_CMD} claude add work --oauth  Add via OAuth browser flow
   ${PRIMARY_CMD} claude reauth work       Re-authenticate "work" account
   ${PRIMARY_CMD} claude switch work       Switch Claude Code/OpenCode/pi to "work"
+  ${PRIMARY_CMD} claude pick              Switch to the account with most quota left
   ${PRIMARY_CMD} claude list              List Claude credentials
   ${PRIMARY_CMD} claude remove old        Remove Claude credential "old"
+  ${PRIMARY_CMD} claude rename old new    Rename Claude credential "old" to "new"
+  ${PRIMARY_CMD} claude tag work +team    Tag Claude credential "work" with "team"
   ${PRIMARY_CMD} claude sync              Sync the activeLabel account
   ${PRIMARY_CMD} claude sync --dry-run    Preview sync without writing
 
@@ -629,10 +920,11 @@ export function printHelpClaudeReauth() {
 	console.log(`${PRIMARY_CMD} claude reauth - Re-authenticate an existing Claude account
 
 Usage:
-  ${PRIMARY_CMD} claude reauth <label> [options]
+  ${PRIMARY_CMD} claude reauth [label] [options]
 
 Arguments:
-  label             Required. Label of the Claude account to re-authenticate
+  label             Label of the Claude account to re-authenticate. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
 
 Options:
   --no-browser      Print the OAuth URL instead of opening browser
@@ -669,12 +961,15 @@ export function printHelpClaudeSwitch() {
 	console.log(`${PRIMARY_CMD} claude switch - Switch Claude credentials
 
 Usage:
-  ${PRIMARY_CMD} claude switch <label> [options]
+  ${PRIMARY_CMD} claude switch [label] [options]
 
 Arguments:
-  label             Required. Label of the Claude credential to switch to
+  label             Label of the Claude credential to switch to. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
 
 Options:
+  --tag <tags>      Without a label, choose among credentials with these tags
+                    (comma-separated); a single match is switched to directly
   --json            Output result in JSON format
   --help, -h        Show this help
 
@@ -688,12 +983,47 @@ Description:
 Examples:
   ${PRIMARY_CMD} claude switch work
   ${PRIMARY_CMD} claude switch work --json
+  ${PRIMARY_CMD} claude switch --tag shared
 
 See also:
   ${PRIMARY_CMD} claude sync
 `);
 }
 
+export function printHelpClaudePick() {
+	console.log(`${PRIMARY_CMD} claude pick - Switch to the Claude account with the most quota left
+
+Usage:
+  ${PRIMARY_CMD} claude pick [options]
+
+Options:
+  --strategy <name> Ranking strategy (default: balanced)
+  --dry-run         Show the ranking and chosen account without switching
+  --json            Output result in JSON format
+  --help, -h        Show this help
+
+Strategies:
+  balanced          Most quota left in the tighter of the 5h and weekly windows
+  weekly            Most weekly quota left
+  5h                Most 5h quota left
+  reset             Weekly window that resets soonest (use quota before it renews)
+
+Description:
+  Fetches usage for every stored OAuth Claude account, ranks them by remaining
+  5h/weekly quota, and switches to the best one exactly like
+  '${PRIMARY_CMD} claude switch'. Accounts with an exhausted window or failed
+  usage fetch are never picked.
+
+Examples:
+  ${PRIMARY_CMD} claude pick
+  ${PRIMARY_CMD} claude pick --strategy reset --dry-run
+  ${PRIMARY_CMD} claude pick --json
+
+See also:
+  ${PRIMARY_CMD} claude switch
+`);
+}
+
 export function printHelpClaudeSync() {
 	console.log(`${PRIMARY_CMD} claude sync - Sync activeLabel to Claude auth files
 
@@ -710,6 +1040,7 @@ Description:
   - Claude Code (~/.claude/.credentials.json)
   - OpenCode (~/.local/share/opencode/auth.json) when present
   - pi (~/.pi/agent/auth.json) when present
+  - Custom harness targets (config key harnessTargets) when present
 
   Only OAuth-based accounts can be synced. Session-key-only accounts are
   skipped with a warning.
@@ -734,17 +1065,23 @@ Usage:
 Options:
   --json            Output in JSON format
   --local           Skip harness token checks and divergence warnings
+  --format <name>   Output as table, csv, tsv, markdown, or template
+  --template <str>  Template for --format template (e.g. '{{label}} {{auth}}')
+  --tag <tags>      Only credentials with these tags (comma-separated)
   --help, -h        Show this help
 
 Description:
   Lists Claude credentials stored in CLAUDE_ACCOUNTS or ~/.claude-accounts.json.
   The activeLabel account is marked with '*'.
+  Each window shows when it runs out at the current burn rate (from usage
+  history), in yellow/red when that happens before the window resets.
   OAuth-based accounts are checked for divergence in Claude CLI stores.
   Use --local to suppress harness checks and only use stored account files.
 
 Examples:
   ${PRIMARY_CMD} claude list
   ${PRIMARY_CMD} claude list --json
+  ${PRIMARY_CMD} claude list --tag shared
 `);
 }
 
@@ -752,10 +1089,11 @@ export function printHelpClaudeRemove() {
 	console.log(`${PRIMARY_CMD} claude remove - Remove a Claude credential
 
 Usage:
-  ${PRIMARY_CMD} claude remove <label> [options]
+  ${PRIMARY_CMD} claude remove [label] [options]
 
 Arguments:
-  label             Required. Label of the Claude credential to remove
+  label             Label of the Claude credential to remove. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
 
 Options:
   --json            Output result in JSON format (skips confirmation)
@@ -771,6 +1109,58 @@ Examples:
 `);
 }
 
+export function printHelpClaudeRename() {
+	console.log(`${PRIMARY_CMD} claude rename - Change a Claude credential's label
+
+Usage:
+  ${PRIMARY_CMD} claude rename <old-label> <new-label> [options]
+
+Options:
+  --json            Output result in JSON format
+  --help, -h        Show this help
+
+Description:
+  Renames the credential in ~/.claude-accounts.json, and activeLabel when it
+  points at the old label. Credentials stored in CLAUDE_ACCOUNTS env var
+  cannot be renamed via CLI.
+
+Examples:
+  ${PRIMARY_CMD} claude rename personal home
+`);
+}
+
+export function printHelpClaudeTag() {
+	console.log(`${PRIMARY_CMD} claude tag - Show or change a Claude credential's tags, note, and display name
+
+Usage:
+  ${PRIMARY_CMD} claude tag [label] [+tag] [-tag] [options]
+
+Arguments:
+  label             Label of the Claude credential. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
+  +tag / tag        Add a tag (letters, numbers, dots, hyphens, underscores)
+  -tag              Remove a tag
+
+Options:
+  --note <text>     Set the note ("" clears it)
+  --display-name <name>  Name shown in quota box headers ("" clears it)
+  --json            Output result in JSON format
+  --help, -h        Show this help
+
+Description:
+  Stores tags, a note, and a display name with the credential in
+  ~/.claude-accounts.json. Without changes, shows the current values.
+  Tags select credentials with --tag in quota, list, and switch.
+  A displayNames entry in the config file wins over the stored display name.
+  Credentials stored in CLAUDE_ACCOUNTS env var cannot be tagged via CLI.
+
+Examples:
+  ${PRIMARY_CMD} claude tag work
+  ${PRIMARY_CMD} claude tag work +shared -personal
+  ${PRIMARY_CMD} claude tag work --display-name "Team seat 2" --note "Billed to ops"
+`);
+}
+
 export function printHelpClaudeQuota() {
 	console.log(`${PRIMARY_CMD} claude quota - Check Claude usage quota
 
@@ -783,6 +1173,15 @@ Arguments:
 Options:
   --json            Output in JSON format
   --local           Skip harness token checks and divergence warnings
+  --watch           Keep refreshing; reset countdowns tick between fetches
+  --interval <time> Refresh interval for --watch (default: 60s, minimum: 10s)
+  --format <name>   Output as table, csv, tsv, markdown, template, or statusline
+  --template <str>  Template for --format template (e.g. '{{label}} {{windows.5h.remaining}}%')
+  --max-age <time>  Reuse cached usage up to this old (default: 60s)
+  --no-cache        Always fetch; do not read or write the usage cache
+  --concurrency <n> Accounts fetched at once (default: 4)
+  --timeout <time>  Timeout per account, token refresh included (default: 15s)
+  --tag <tags>      Without a label, only credentials with these tags (comma-separated)
   --help, -h        Show this help
 
 Description:
@@ -796,6 +1195,8 @@ Examples:
   ${PRIMARY_CMD} claude quota
   ${PRIMARY_CMD} claude quota work
   ${PRIMARY_CMD} claude quota --json
+  ${PRIMARY_CMD} claude quota --watch --interval 5m
+  ${PRIMARY_CMD} claude quota --tag shared
 `);
 }
 
@@ -838,10 +1239,11 @@ export function printHelpCodexReauth() {
 	console.log(`${PRIMARY_CMD} codex reauth - Re-authenticate an existing account
 
 Usage:
-  ${PRIMARY_CMD} codex reauth <label> [options]
+  ${PRIMARY_CMD} codex reauth [label] [options]
 
 Arguments:
-  label             Required. Label of the account to re-authenticate
+  label             Label of the account to re-authenticate. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
 
 Options:
   --no-browser      Print the auth URL instead of opening browser
@@ -877,12 +1279,15 @@ export function printHelpSwitch() {
 	console.log(`${PRIMARY_CMD} codex switch - Switch the active account
 
 Usage:
-  ${PRIMARY_CMD} codex switch <label> [options]
+  ${PRIMARY_CMD} codex switch [label] [options]
 
 Arguments:
-  label             Required. Label of the account to switch to
+  label             Label of the account to switch to. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
 
 Options:
+  --tag <tags>      Without a label, choose among accounts with these tags
+                    (comma-separated); a single match is switched to directly
   --json            Output result in JSON format
   --help, -h        Show this help
 
@@ -905,6 +1310,7 @@ Description:
 Examples:
   ${PRIMARY_CMD} codex switch personal         Switch to "personal" account
   ${PRIMARY_CMD} codex switch work --json      Switch to "work" with JSON output
+  ${PRIMARY_CMD} codex switch --tag team       Switch to the account tagged "team"
 
 See also:
   ${PRIMARY_CMD} codex list    Show all available accounts and their labels
@@ -912,6 +1318,42 @@ See also:
 `);
 }
 
+export function printHelpCodexPick() {
+	console.log(`${PRIMARY_CMD} codex pick - Switch to the account with the most quota left
+
+Usage:
+  ${PRIMARY_CMD} codex pick [options]
+
+Options:
+  --strategy <name> Ranking strategy (default: balanced)
+  --dry-run         Show the ranking and chosen account without switching
+  --local           Use only stored account files; skip harness token checks
+  --json            Output result in JSON format
+  --help, -h        Show this help
+
+Strategies:
+  balanced          Most quota left in the tighter of the 5h and weekly windows
+  weekly            Most weekly quota left
+  5h                Most 5h quota left
+  reset             Weekly window that resets soonest (use quota before it renews)
+
+Description:
+  Fetches usage for every Codex account, ranks them by remaining 5h/weekly
+  quota, and switches to the best one exactly like '${PRIMARY_CMD} codex switch'.
+  Accounts with an exhausted window or failed usage fetch are never picked.
+
+Examples:
+  ${PRIMARY_CMD} codex pick                      Switch to the best account
+  ${PRIMARY_CMD} codex pick --strategy weekly    Prefer the most weekly quota
+  ${PRIMARY_CMD} codex pick --dry-run            Preview the choice
+  ${PRIMARY_CMD} codex pick --json               JSON output for scripting
+
+See also:
+  ${PRIMARY_CMD} codex switch   Switch to a specific account
+  ${PRIMARY_CMD} codex quota    Show usage for all accounts
+`);
+}
+
 export function printHelpCodexSync() {
 	console.log(`${PRIMARY_CMD} codex sync - Sync activeLabel to CLI auth files
 
@@ -928,6 +1370,7 @@ Description:
   - Codex CLI (~/.codex/auth.json)
   - OpenCode (~/.local/share/opencode/auth.json) when present
   - pi (~/.pi/agent/auth.json) when present
+  - Custom harness targets (config key harnessTargets) when present
 
   This is useful after a native CLI login has diverged from the tracked
   activeLabel account.
@@ -952,6 +1395,9 @@ Usage:
 Options:
 	  --json            Output in JSON format
 	  --local           Skip harness token checks and divergence warnings
+	  --format <name>   Output as table, csv, tsv, markdown, or template
+	  --template <str>  Template for --format template (e.g. '{{label}} {{email}}')
+	  --tag <tags>      Only accounts with these tags (comma-separated)
 	  --help, -h        Show this help
 
 Description:
@@ -961,6 +1407,7 @@ Description:
   - Token expiry status
   - Source file location
   - Active indicator (* for the activeLabel account)
+  - Display name, tags, and note (set with '${PRIMARY_CMD} codex tag')
   Accounts are deduplicated by email for display and prefer the
   activeLabel account when duplicates exist.
   If CLI auth diverges from activeLabel, a warning is shown with a sync hint.
@@ -978,6 +1425,7 @@ Output columns:
 Examples:
   ${PRIMARY_CMD} codex list                    Show all accounts
   ${PRIMARY_CMD} codex list --json             Get JSON output for scripting
+  ${PRIMARY_CMD} codex list --tag team         Show accounts tagged "team"
 `);
 }
 
@@ -985,10 +1433,11 @@ export function printHelpRemove() {
 	console.log(`${PRIMARY_CMD} codex remove - Remove an account from storage
 
 Usage:
-  ${PRIMARY_CMD} codex remove <label> [options]
+  ${PRIMARY_CMD} codex remove [label] [options]
 
 Arguments:
-  label             Required. Label of the account to remove
+  label             Label of the account to remove. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
 
 Options:
   --json            Output result in JSON format (skips confirmation)
@@ -1015,6 +1464,71 @@ See also:
 `);
 }
 
+export function printHelpCodexRename() {
+	console.log(`${PRIMARY_CMD} codex rename - Change an account's label
+
+Usage:
+  ${PRIMARY_CMD} codex rename <old-label> <new-label> [options]
+
+Options:
+  --json            Output result in JSON format
+  --help, -h        Show this help
+
+Description:
+  Renames the account in the multi-account file that holds it, without
+  logging in again. Also updates:
+    - activeLabel, when it points at the old label
+    - codex_quota_label in ~/.codex/auth.json, when it tracks the old label
+
+  Accounts from CODEX_ACCOUNTS env var or the Codex CLI's own auth.json
+  cannot be renamed.
+
+Examples:
+  ${PRIMARY_CMD} codex rename work-team-2 team
+  ${PRIMARY_CMD} codex rename team work --json
+
+See also:
+  ${PRIMARY_CMD} codex list    Show all accounts and their sources
+`);
+}
+
+export function printHelpCodexTag() {
+	console.log(`${PRIMARY_CMD} codex tag - Show or change an account's tags, note, and display name
+
+Usage:
+  ${PRIMARY_CMD} codex tag [label] [+tag] [-tag] [options]
+
+Arguments:
+  label             Label of the account. When omitted in a terminal,
+                    pick from a list (arrow keys; type to filter)
+  +tag / tag        Add a tag (letters, numbers, dots, hyphens, underscores)
+  -tag              Remove a tag
+
+Options:
+  --note <text>     Set the note ("" clears it)
+  --display-name <name>  Name shown in quota box headers ("" clears it)
+  --json            Output result in JSON format
+  --help, -h        Show this help
+
+Description:
+  Stores tags, a note, and a display name with the account in the
+  multi-account file that holds it. Without changes, shows the current values.
+  Tags select accounts with --tag in quota, list, and switch.
+  A displayNames entry in the config file wins over the stored display name.
+
+  Accounts from CODEX_ACCOUNTS env var or the Codex CLI's own auth.json
+  cannot be tagged.
+
+Examples:
+  ${PRIMARY_CMD} codex tag work
+  ${PRIMARY_CMD} codex tag work +team -personal
+  ${PRIMARY_CMD} codex tag work --display-name "Team seat 2" --note "Shared with ops"
+
+See also:
+  ${PRIMARY_CMD} codex list --tag team    Show accounts tagged "team"
+`);
+}
+
 export function printHelpQuota() {
 	console.log(`${PRIMARY_CMD} codex quota - Check usage quota for accounts
 
@@ -1028,6 +1542,15 @@ Arguments:
 Options:
 	  --json            Output in JSON format
 	  --local           Skip harness token checks and divergence warnings
+	  --watch           Keep refreshing; reset countdowns tick between fetches
+	  --interval <time> Refresh interval for --watch (default: 60s, minimum: 10s)
+	  --format <name>   Output as table, csv, tsv, markdown, template, or statusline
+	  --template <str>  Template for --format template (e.g. '{{label}} {{windows.5h.remaining}}%')
+	  --max-age <time>  Reuse cached usage up to this old (default: 60s)
+	  --no-cache        Always fetch; do not read or write the usage cache
+	  --concurrency <n> Accounts fetched at once (default: 4)
+	  --timeout <time>  Timeout per account, token refresh included (default: 15s)
+	  --tag <tags>      Without a label, only accounts with these tags (comma-separated)
 	  --help, -h        Show this help
 
 Description:
@@ -1042,6 +1565,11 @@ Description:
   multiple times when sourced from different files.
 
   Tokens are automatically refreshed if expired.
+  Usage is cached per account for 60s (see --max-age); boxes show the age of
+  cached data. If a fetch fails, the last known values (up to 24h old) are
+  shown and marked stale. Switch, reauth, and remove clear the account's cache.
+  Each window shows when it runs out at the current burn rate (from usage
+  history), in yellow/red when that happens before the window resets.
   If CLI auth diverges from activeLabel, a warning is shown with a sync hint.
   Use --local to suppress these checks and only use stored account files.
 
@@ -1050,10 +1578,485 @@ Examples:
 	  ${PRIMARY_CMD} codex quota personal        Check "personal" account only
 	  ${PRIMARY_CMD} codex quota --json          JSON output for all Codex accounts
 	  ${PRIMARY_CMD} codex quota work --json     JSON output for "work" account
+	  ${PRIMARY_CMD} codex quota --watch         Live-refresh every 60s
+	  ${PRIMARY_CMD} codex quota --tag team      Check accounts tagged "team"
 	  ${PRIMARY_CMD} claude quota                Check Claude accounts
 `);
 }
 
+export function printHelpHistory() {
+	console.log(`${PRIMARY_CMD} history - Show how remaining quota evolved over time
+
+Usage:
+  ${PRIMARY_CMD} history [label] [options]
+
+Arguments:
+  label             Optional. Show history for a specific account only
+
+Options:
+  --since <time>    How far back to look (default: 7d; e.g. 24h, 2w)
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  Every quota check appends one sample per account and window to
+  ~/.codex-quota/history.jsonl (override the directory with CODEX_QUOTA_HOME).
+  This command summarizes those samples per window:
+  - Remaining percentage over time (first → last, with a sparkline)
+  - Burn rate in percent per hour (resets are not counted as usage)
+  - The lowest point reached before each reset
+
+Examples:
+  ${PRIMARY_CMD} history                 All accounts, last 7 days
+  ${PRIMARY_CMD} history work --since 30d
+  ${PRIMARY_CMD} history --json
+`);
+}
+
+export function printHelpAlert() {
+	console.log(`${PRIMARY_CMD} alert - Notify when remaining quota drops below a threshold
+
+Usage:
+  ${PRIMARY_CMD} alert --below <percent> [label] [options]
+
+Arguments:
+  label               Optional. Check a specific account only
+
+Options:
+  --below <percent>   Alert when a window has less than this left (e.g. 20%)
+  --window <name>     Only check these windows (comma-separated: 5h, weekly,
+                      opus-weekly, sonnet-weekly)
+  --notify <list>     Notifiers to use (comma-separated, default: stderr):
+                        stderr       Print the alert to stderr
+                        notify-send  Desktop notification via notify-send
+                        webhook      POST the JSON payload to --webhook
+                        command      Run --command with the JSON payload on stdin
+  --webhook <url>     Webhook URL (enables the webhook notifier)
+  --command <cmd>     Shell command (enables the command notifier)
+  --watch             Keep checking; notify when a window newly drops below
+  --interval <time>   Refresh interval for --watch (default: 60s, minimum: 10s)
+  --local             Only check accounts in the codex-quota files
+  --json              Output in JSON format
+  --help, -h          Show this help
+
+Description:
+  Checks every window of every Codex and Claude account (5h, weekly, and the
+  Claude model-specific weekly windows) against the threshold. Accounts that
+  fail to fetch are reported as warnings, not alerts.
+
+Exit codes:
+  0  All windows are at or above the threshold
+  1  Error (invalid options, unknown label, or no window could be checked)
+  2  At least one window is below the threshold
+
+Webhook and command payload:
+  {"event":"codex-quota.alert","threshold":20,"triggeredAt":"...",
+   "alerts":[{"provider":"codex","label":"work","window":"5h",
+              "remaining":12,"resetsAt":"..."}]}
+
+Examples:
+  ${PRIMARY_CMD} alert --below 20%
+  ${PRIMARY_CMD} alert --below 10% --notify stderr,notify-send
+  ${PRIMARY_CMD} alert --below 25% --webhook https://example.com/hooks/quota
+  ${PRIMARY_CMD} alert --below 20% --command 'jq -r .alerts[].label | mail -s quota me'
+  ${PRIMARY_CMD} alert --below 15% --watch --interval 5m --notify notify-send
+
+Cron (every 15 minutes):
+  */15 * * * * ${PRIMARY_CMD} alert --below 20% --notify webhook --webhook https://...
+`);
+}
+
+export function printHelpServe() {
+	console.log(`${PRIMARY_CMD} serve - Expose quota as Prometheus metrics
+
+Usage:
+  ${PRIMARY_CMD} serve --metrics [options]
+
+Options:
+  --metrics         Serve Prometheus gauges at /metrics
+  --port <number>   Port to listen on (default: 9464)
+  --host <address>  Address to bind (default: 127.0.0.1; use 0.0.0.0 to expose)
+  --ttl <time>      Reuse fetched usage for this long (default: 60s, minimum: 10s)
+  --local           Only export accounts in the codex-quota files
+  --json            Print the listening URL as JSON
+  --help, -h        Show this help
+
+Metrics (labels provider, label, and window where applicable):
+  codex_quota_up                             1 when the last fetch succeeded
+  codex_quota_remaining_percent              Remaining quota per window
+  codex_quota_reset_seconds                  Seconds until the window resets
+  codex_quota_token_expires_seconds          Seconds until the access token expires
+  codex_quota_last_fetch_timestamp_seconds   Unix time of the last fetch
+
+Description:
+  Usage is fetched with the same fetchers as the quota command. Scrapes within
+  the TTL reuse the last result, so frequent scrapes do not hit the usage APIs.
+  When a refresh fails, the last successful result keeps being served.
+
+Examples:
+  ${PRIMARY_CMD} serve --metrics
+  ${PRIMARY_CMD} serve --metrics --port 9100 --host 0.0.0.0 --ttl 5m
+
+Prometheus scrape config:
+  - job_name: codex-quota
+    scrape_interval: 60s
+    static_configs:
+      - targets: ["localhost:9464"]
+`);
+}
+
+export function printHelpStatus() {
+	console.log(`${PRIMARY_CMD} status - One-line quota summary for prompts and status bars
+
+Usage:
+  ${PRIMARY_CMD} status [options]
+  ${PRIMARY_CMD} --format statusline
+
+Options:
+  --refresh         Fetch usage older than --max-age instead of only reading the cache
+  --max-age <time>  Cached usage older than this is marked stale (default: 60s)
+  --no-cache        Always fetch; do not read or write the usage cache
+  --concurrency <n> Accounts fetched at once (default: 4)
+  --timeout <time>  Timeout per account, token refresh included (default: 15s)
+  --local           Only use accounts in the codex-quota files
+  --json            Output the line and per-window values as JSON
+  --help, -h        Show this help
+
+Description:
+  Prints the remaining 5h and weekly quota of the active Codex and Claude
+  accounts (activeLabel, or the first account when none is set):
+
+    codex:work 5h 72% wk 40% | claude:personal 5h 91%
+
+  Without --refresh, usage is only read from the shared cache
+  (~/.codex-quota/cache.json): nothing is fetched and the vault passphrase
+  is never asked for, so frequent redraws stay fast. "(stale)" marks usage
+  older than --max-age, and accounts with nothing cached are left out.
+  Accounts that failed to fetch show "!".
+  Use '${PRIMARY_CMD} codex quota --format statusline' (or claude) for one provider.
+
+Examples:
+  tmux:      set -g status-right '#(${PRIMARY_CMD} status --refresh)'
+  Starship:  [custom.quota]
+             command = "${PRIMARY_CMD} status"
+             when = true
+`);
+}
+
+export function printHelpVault() {
+	console.log(`${PRIMARY_CMD} vault - Encrypt the codex-quota account stores at rest
+
+Usage:
+  ${PRIMARY_CMD} vault [status]
+  ${PRIMARY_CMD} vault encrypt [--key-file <path>]
+  ${PRIMARY_CMD} vault decrypt
+  ${PRIMARY_CMD} vault rekey [--key-file <path>]
+
+Options:
+  --key-file <path> Use a key file instead of a passphrase (created if missing)
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  Encrypts ~/.codex-accounts.json and ~/.claude-accounts.json with AES-256-GCM.
+  The key comes from a passphrase (scrypt) or a key file. Harness files such as
+  ~/.codex/auth.json stay plaintext because Codex, Claude Code, OpenCode, and pi
+  read them directly.
+
+  Encrypted stores are decrypted transparently by every command:
+  - Passphrase: CODEX_QUOTA_PASSPHRASE, or a prompt when running in a terminal
+  - Key file:   CODEX_QUOTA_KEY_FILE or the vault.keyFile config key
+  Writes (add, switch, token refresh) keep the store encrypted with the same key.
+  rekey takes the new passphrase from a prompt or CODEX_QUOTA_NEW_PASSPHRASE.
+
+Examples:
+  ${PRIMARY_CMD} vault encrypt
+  ${PRIMARY_CMD} vault encrypt --key-file ~/.config/codex-quota/vault.key
+  CODEX_QUOTA_PASSPHRASE=... ${PRIMARY_CMD} codex quota
+  ${PRIMARY_CMD} vault rekey
+  ${PRIMARY_CMD} vault decrypt
+`);
+}
+
+export function printHelpExport() {
+	console.log(`${PRIMARY_CMD} export - Write accounts to a passphrase-encrypted bundle
+
+Usage:
+  ${PRIMARY_CMD} export [--codex|--claude] [--labels <a,b>] --out <file>
+
+Options:
+  --out <file>      Bundle file to write (required, e.g. accounts.cqx)
+  --codex           Export only Codex accounts
+  --claude          Export only Claude accounts
+  --labels <a,b>    Export only these labels
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  Exports entries from ~/.codex-accounts.json and ~/.claude-accounts.json,
+  including refresh tokens, encrypted with AES-256-GCM under a passphrase
+  (scrypt). The passphrase comes from CODEX_QUOTA_BUNDLE_PASSPHRASE or a
+  prompt. Accounts from CODEX_ACCOUNTS or harness files are not exported.
+
+Examples:
+  ${PRIMARY_CMD} export --out accounts.cqx
+  ${PRIMARY_CMD} export --codex --labels work,personal --out work.cqx
+`);
+}
+
+export function printHelpImport() {
+	console.log(`${PRIMARY_CMD} import - Merge accounts from an export bundle
+
+Usage:
+  ${PRIMARY_CMD} import <file> [--on-conflict skip|rename|overwrite] [--dry-run]
+
+Options:
+  --on-conflict <m> What to do when an account already exists (default: skip)
+  --codex           Import only Codex accounts
+  --claude          Import only Claude accounts
+  --dry-run         Show what would be imported without writing
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  An imported account conflicts with a stored one that has the same accountId
+  (under any label) or, failing that, the same label.
+  - skip:      keep the stored account
+  - rename:    import under a free label ("work-2"); the same account is still skipped
+  - overwrite: replace the stored account's tokens, keeping its label
+  The active account and other fields of the stores are left unchanged.
+  The passphrase comes from CODEX_QUOTA_BUNDLE_PASSPHRASE or a prompt.
+
+Examples:
+  ${PRIMARY_CMD} import accounts.cqx
+  ${PRIMARY_CMD} import accounts.cqx --on-conflict rename --dry-run
+`);
+}
+
+export function printHelpBackups() {
+	console.log(`${PRIMARY_CMD} backups - List backups of credential files
+
+Usage:
+  ${PRIMARY_CMD} backups list [file]
+
+Options:
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  Before codex-quota writes an account store (~/.codex-accounts.json,
+  ~/.claude-accounts.json, ...) or a harness auth file (Codex CLI, Claude Code,
+  OpenCode, pi, custom targets), it copies the previous version to
+  ~/.codex-quota/backups/<file>/<timestamp>.json. The newest 20 backups of
+  each file are kept; set backups.keep in the config to change that (0 disables
+  backups). Without a file, lists every backed-up file; with a file (path or
+  backup name), lists its backups newest first.
+
+Examples:
+  ${PRIMARY_CMD} backups list
+  ${PRIMARY_CMD} backups list ~/.codex/auth.json
+`);
+}
+
+export function printHelpRestore() {
+	console.log(`${PRIMARY_CMD} restore - Restore a credential file from a backup
+
+Usage:
+  ${PRIMARY_CMD} restore <file> [--at <backup id or date>] [--dry-run]
+
+Options:
+  --at <id|date>    Backup to restore: an id from 'backups list', or the newest
+                    backup at or before a date (default: the newest backup)
+  --dry-run         Show which backup would be restored without writing
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  <file> is the file's path or its backup name from 'backups list'. The current
+  contents are backed up before they are replaced, so a restore can be undone.
+
+Examples:
+  ${PRIMARY_CMD} restore ~/.codex-accounts.json
+  ${PRIMARY_CMD} restore ~/.codex/auth.json --at 2026-01-02T03-04-05.678Z
+  ${PRIMARY_CMD} restore ~/.claude-accounts.json --at "2026-01-02 09:00"
+`);
+}
+
+export function printHelpLog() {
+	console.log(`${PRIMARY_CMD} log - Show the audit log of credential changes
+
+Usage:
+  ${PRIMARY_CMD} log [label] [--event <name>] [--since <time>] [--codex|--claude]
+
+Options:
+  --event <name>    Only this event: add, reauth, switch, sync, remove, refresh,
+                    import (Claude tokens found in harness files), restore, or rename
+  --since <time>    How far back to look (default: 30d)
+  --codex           Only Codex accounts
+  --claude          Only Claude accounts
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  Every command that changes credentials appends an entry to
+  ~/.codex-quota/audit.jsonl: the time, event, account label, files written,
+  the writing process ID, and a token fingerprint (the first 12 hex characters
+  of the SHA-256 of the refresh token). Tokens themselves are never logged.
+  Compare fingerprints to see which process wrote the token a harness now holds.
+
+Examples:
+  ${PRIMARY_CMD} log
+  ${PRIMARY_CMD} log work --since 7d
+  ${PRIMARY_CMD} log --event refresh --codex --json
+`);
+}
+
+export function printHelpDoctor() {
+	console.log(`${PRIMARY_CMD} doctor - Check credential files, tokens, and tools
+
+Usage:
+  ${PRIMARY_CMD} doctor [--json]
+
+Options:
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Description:
+  Reports each check as ok, warn, or fail, with a fix for anything that is not ok:
+    permissions   Account stores and harness auth files readable by other users
+    json          Files that do not parse, or encrypted stores that stay locked
+    labels        The same label in more than one source
+    expiry        Expired or nearly expired access tokens
+    divergence    Harness auth files not on the active account (fix with sync)
+    scopes        Claude tokens without user:profile, which usage requires
+    tools         sqlite3 and secret-tool (Linux), used to read browser cookies
+    port          Port 1455, which the Codex OAuth login listens on
+  Exits 1 when any check fails.
+
+Examples:
+  ${PRIMARY_CMD} doctor
+  ${PRIMARY_CMD} doctor --json
+`);
+}
+
+export function printHelpAutoswitch() {
+	console.log(`${PRIMARY_CMD} autoswitch - Switch accounts when the active one runs low
+
+Usage:
+  ${PRIMARY_CMD} autoswitch [options]
+
+Options:
+  --below <percent>   Switch when the 5h or weekly window has less than this left
+                      (default: autoswitch.below config, or 10%)
+  --order <labels>    Accounts to fail over to, in order (comma-separated;
+                      default: autoswitch.order config, or every account)
+  --once              Check once and exit (for cron)
+  --interval <time>   Time between checks (default: 60s, minimum: 10s)
+  --dry-run           Report what would happen without switching or logging
+  --codex, --claude   Only switch this provider (default: both, when they have accounts)
+  --local             Only use accounts in the codex-quota files
+  --json              Output each check as JSON
+  --help, -h          Show this help
+
+Description:
+  Checks the active account of each provider. When its 5h or weekly window is
+  below the floor, the accounts after it in the order are checked one at a time
+  and the first one at or above the floor is switched to, updating activeLabel
+  and the harness auth files just like 'switch'. The order wraps around, so
+  repeated switches walk the whole list.
+
+  Each check prints one line per provider with its action and reason:
+    stay    Active account is above the floor (or its usage could not be read)
+    switch  Switched to the next account
+    stuck   Below the floor with no account to switch to
+    skip    No active account to check
+    error   The switch failed
+  Decisions are also appended to ~/.codex-quota/autoswitch.jsonl.
+
+Exit codes (--once):
+  0  No switch was needed, or a switch was made
+  1  Error (invalid options, or a switch failed)
+  2  Stuck below the floor with no account to switch to
+
+Examples:
+  ${PRIMARY_CMD} autoswitch
+  ${PRIMARY_CMD} autoswitch --below 15% --order work,team,personal
+  ${PRIMARY_CMD} autoswitch --codex --once --dry-run
+  ${PRIMARY_CMD} config set autoswitch.order work,team
+
+Cron (every 10 minutes):
+  */10 * * * * ${PRIMARY_CMD} autoswitch --once --json >> ~/autoswitch.out
+`);
+}
+
+export function printHelpCompletion() {
+	console.log(`${PRIMARY_CMD} completion - Print a shell completion script
+
+Usage:
+  ${PRIMARY_CMD} completion <bash|zsh|fish>
+
+Options:
+  --help, -h        Show this help
+
+Description:
+  Completes namespaces, commands, and flags for both ${PRIMARY_CMD} and cq.
+  Account labels after switch, remove, reauth, and quota are read from your
+  account stores each time you press Tab.
+
+Examples:
+  eval "$(${PRIMARY_CMD} completion bash)"                 # in ~/.bashrc
+  source <(${PRIMARY_CMD} completion zsh)                  # in ~/.zshrc, after compinit
+  ${PRIMARY_CMD} completion fish > ~/.config/fish/completions/${PRIMARY_CMD}.fish
+`);
+}
+
+export function printHelpConfig() {
+	console.log(`${PRIMARY_CMD} config - Show and change default settings
+
+Usage:
+  ${PRIMARY_CMD} config [list]
+  ${PRIMARY_CMD} config get <key>
+  ${PRIMARY_CMD} config set <key> <value>
+  ${PRIMARY_CMD} config unset <key>
+  ${PRIMARY_CMD} config path
+
+Options:
+  --json            Output in JSON format
+  --help, -h        Show this help
+
+Keys:
+  format                   Default --format for quota and list (table, csv, tsv, markdown, template, statusline)
+  template                 Default --template for --format template
+  color                    false disables colored output (like --no-color)
+  local                    true always behaves like --local
+  hiddenLabels             Comma-separated labels left out of quota and list (unless requested by label)
+  sortOrder                Comma-separated labels shown first, in this order
+  displayNames.<label>     Name shown in the quota box header instead of the label
+  paths.codexAuth          Codex CLI auth.json (env: CODEX_AUTH_PATH)
+  paths.piAuth             pi auth.json (env: PI_AUTH_PATH)
+  paths.claudeCredentials  Claude Code .credentials.json (env: CLAUDE_CREDENTIALS_PATH)
+  paths.claudeCookieDb     Browser cookie database for Claude sessions (env: CLAUDE_COOKIE_DB_PATH)
+  paths.home               State directory for history and cache (env: CODEX_QUOTA_HOME)
+  vault.keyFile            Key file for encrypted account stores (env: CODEX_QUOTA_KEY_FILE)
+  timeouts.usage           Usage fetch timeout per account (default: 15s)
+  timeouts.oauth           OAuth login and token request timeout (default: 2m)
+
+Description:
+  Settings live in $XDG_CONFIG_HOME/codex-quota/config.json
+  (~/.config/codex-quota/config.json by default; override with CODEX_QUOTA_CONFIG).
+  They are defaults only: a CLI flag wins over an environment variable, which
+  wins over the config file. --json and --watch ignore the configured format.
+
+Examples:
+  ${PRIMARY_CMD} config set format markdown
+  ${PRIMARY_CMD} config set hiddenLabels old,test
+  ${PRIMARY_CMD} config set displayNames.work "Work (Pro)"
+  ${PRIMARY_CMD} config set timeouts.usage 30s
+  ${PRIMARY_CMD} config get sortOrder
+  ${PRIMARY_CMD} config unset format
+`);
+}
+
 
 import { homedir } from "node:os";
 
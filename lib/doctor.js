@@ -0,0 +1,279 @@
+/**
+ * Health checks for the doctor command: credential file permissions and JSON, duplicate
+ * labels, token expiry and scopes, harness divergence, and the tools and port that
+ * cookie decryption and OAuth logins need.
+ * Depends on: lib/constants.js, lib/paths.js, lib/container.js, lib/providers.js, lib/codex-accounts.js,
+ * lib/claude-accounts.js, lib/sync.js, lib/display.js, lib/oauth.js
+ */
+
+import { existsSync, readFileSync, statSync } from "node:fs";
+import { spawnSync } from "node:child_process";
+import { MULTI_ACCOUNT_PATHS, CLAUDE_MULTI_ACCOUNT_PATHS, PRIMARY_CMD } from "./constants.js";
+import { getCodexCliAuthPath } from "./paths.js";
+import { readMultiAccountContainer } from "./container.js";
+import { getProviders } from "./providers.js";
+import { loadAllAccountsNoDedup } from "./codex-accounts.js";
+import { loadClaudeAccounts } from "./claude-accounts.js";
+import { detectCodexDivergence, detectClaudeDivergence, readClaudeCodeOauthStore } from "./sync.js";
+import { formatExpiryStatus, shortenPath } from "./display.js";
+import { checkPortAvailable } from "./oauth.js";
+
+export const DOCTOR_STATUSES = ["pass", "warn", "fail"];
+
+// Scope the Claude usage API requires
+const CLAUDE_USAGE_SCOPE = "user:profile";
+const OAUTH_CALLBACK_PORT = 1455;
+
+/**
+ * @typedef {object} DoctorCheck
+ * @property {string} check - Check group ("permissions", "json", "labels", ...)
+ * @property {"pass" | "warn" | "fail"} status
+ * @property {string} message
+ * @property {string} [hint] - How to fix a warning or failure
+ */
+
+function pass(check, message) {
+	return { check, status: "pass", message };
+}
+
+function warn(check, message, hint) {
+	return { check, status: "warn", message, hint };
+}
+
+function fail(check, message, hint) {
+	return { check, status: "fail", message, hint };
+}
+
+/**
+ * Credential files doctor looks at, in display order: the account stores, then the
+ * harness auth files of every registered provider.
+ * @returns {Array<{ path: string, kind: "store" | "harness" }>}
+ */
+function listCredentialFiles() {
+	const files = [
+		...MULTI_ACCOUNT_PATHS.map(path => ({ path, kind: "store" })),
+		...CLAUDE_MULTI_ACCOUNT_PATHS.map(path => ({ path, kind: "store" })),
+		...getProviders().flatMap(provider => provider.getHarnessTargets().map(target => ({ path: target.path, kind: "harness" }))),
+	];
+	// OpenCode and pi hold both providers in one file
+	const seen = new Set();
+	return files.filter(file => !seen.has(file.path) && seen.add(file.path));
+}
+
+/**
+ * Warn about credential files that other users can read or write.
+ * @param {Array<{ path: string }>} files
+ * @returns {DoctorCheck[]}
+ */
+export function checkFilePermissions(files = listCredentialFiles()) {
+	// Windows has no POSIX mode bits
+	if (process.platform === "win32") return [];
+	return files
+		.filter(file => existsSync(file.path))
+		.map(file => {
+			const mode = statSync(file.path).mode & 0o777;
+			const octal = mode.toString(8).padStart(3, "0");
+			if (mode & 0o077) {
+				return warn("permissions", `${shortenPath(file.path)} is accessible by other users (${octal})`, `chmod 600 ${file.path}`);
+			}
+			return pass("permissions", `${shortenPath(file.path)} (${octal})`);
+		});
+}
+
+/**
+ * Check that credential files parse, including encrypted and invalid account stores.
+ * @param {Array<{ path: string, kind: "store" | "harness" }>} files
+ * @returns {DoctorCheck[]}
+ */
+export function checkJsonFiles(files = listCredentialFiles()) {
+	return files
+		.filter(file => existsSync(file.path))
+		.map(file => {
+			const label = shortenPath(file.path);
+			if (file.kind === "store") {
+				const container = readMultiAccountContainer(file.path);
+				if (container.rootType === "invalid") {
+					return fail("json", container.error ?? `${label} is not valid JSON`, `Fix the file or run '${PRIMARY_CMD} restore ${label}'`);
+				}
+				if (container.locked) {
+					return warn("json", `${label} is encrypted and could not be unlocked`, "Set CODEX_QUOTA_PASSPHRASE or CODEX_QUOTA_KEY_FILE");
+				}
+				return pass("json", `${label} (${container.accounts.length} account${container.accounts.length === 1 ? "" : "s"})`);
+			}
+			try {
+				const parsed = JSON.parse(readFileSync(file.path, "utf-8"));
+				if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+					return fail("json", `${label} must contain a JSON object`, `Fix the file or run '${PRIMARY_CMD} restore ${label}'`);
+				}
+				return pass("json", label);
+			} catch (err) {
+				return fail("json", `Invalid JSON in ${label}: ${err.message}`, `Fix the file or run '${PRIMARY_CMD} restore ${label}'`);
+			}
+		});
+}
+
+/**
+ * Warn about labels that appear in more than one source (the first one wins on lookup).
+ * @param {string} provider - "codex" or "claude"
+ * @param {Array<{ label: string, source?: string | null }>} accounts
+ * @returns {DoctorCheck[]}
+ */
+export function checkDuplicateLabels(provider, accounts) {
+	const sourcesByLabel = new Map();
+	for (const account of accounts) {
+		const sources = sourcesByLabel.get(account.label) ?? [];
+		sources.push(account.source === "env" ? "environment" : shortenPath(account.source ?? "unknown"));
+		sourcesByLabel.set(account.label, sources);
+	}
+	const duplicates = [...sourcesByLabel].filter(([, sources]) => sources.length > 1);
+	if (!duplicates.length) {
+		return [pass("labels", `${provider}: ${sourcesByLabel.size} unique label${sourcesByLabel.size === 1 ? "" : "s"}`)];
+	}
+	return duplicates.map(([label, sources]) => warn(
+		"labels",
+		`${provider}: label "${label}" appears ${sources.length} times (${sources.join(", ")})`,
+		`Remove or rename all but one with '${PRIMARY_CMD} ${provider} remove ${label}'`,
+	));
+}
+
+/**
+ * Report expired and nearly expired OAuth tokens. Expired access tokens with a refresh
+ * token are refreshed on the next quota check, so they only warn.
+ * @param {string} provider - "codex" or "claude"
+ * @param {Array<{ label: string, expires: number | null, refresh: string | null }>} tokens
+ * @returns {DoctorCheck[]}
+ */
+export function checkTokenExpiry(provider, tokens) {
+	return tokens.map(({ label, expires, refresh }) => {
+		const expiry = formatExpiryStatus(expires);
+		if (expiry.status === "valid") {
+			return pass("expiry", `${provider}: "${label}" access token expires in ${expiry.display}`);
+		}
+		if (expiry.status === "unknown") {
+			return pass("expiry", `${provider}: "${label}" access token has no recorded expiry`);
+		}
+		const message = `${provider}: "${label}" access token ${expiry.display.toLowerCase()}`;
+		if (!refresh) {
+			return fail("expiry", `${message} and has no refresh token`, `Run '${PRIMARY_CMD} ${provider} reauth ${label}'`);
+		}
+		return warn("expiry", message, `Run '${PRIMARY_CMD} ${provider} quota ${label}' to refresh it`);
+	});
+}
+
+/**
+ * Compare the harness auth files with the active account of each provider.
+ * @returns {DoctorCheck[]}
+ */
+export function checkDivergence() {
+	const results = [];
+	const codex = detectCodexDivergence({ allowMigration: false });
+	if (!codex.activeLabel) {
+		results.push(pass("divergence", "codex: no active account recorded"));
+	} else if (!codex.activeAccount) {
+		results.push(warn("divergence", `codex: active account "${codex.activeLabel}" not found`, `Run '${PRIMARY_CMD} codex switch <label>'`));
+	} else {
+		const diverged = [
+			...(codex.diverged ? [shortenPath(getCodexCliAuthPath())] : []),
+			...codex.targets.filter(target => target.diverged).map(target => shortenPath(target.path)),
+		];
+		results.push(diverged.length
+			? warn("divergence", `codex: ${diverged.join(", ")} not on active account "${codex.activeLabel}"`, `Run '${PRIMARY_CMD} codex sync'`)
+			: pass("divergence", `codex: harness files match "${codex.activeLabel}"`));
+	}
+
+	const claude = detectClaudeDivergence();
+	if (claude.skipped) {
+		results.push(pass("divergence", `claude: not checked (${claude.skipReason.replace(/-/g, " ")})`));
+	} else {
+		const diverged = claude.stores.filter(store => store.considered && store.matches === false);
+		results.push(diverged.length
+			? warn("divergence", `claude: ${diverged.map(store => shortenPath(store.path)).join(", ")} not on active account "${claude.activeLabel}"`, `Run '${PRIMARY_CMD} claude sync'`)
+			: pass("divergence", `claude: harness files match "${claude.activeLabel}"`));
+	}
+	return results;
+}
+
+/**
+ * Check that Claude OAuth tokens carry the scope the usage API needs.
+ * @param {Array<{ label: string, scopes: string[] | null }>} tokens - Tokens without recorded scopes are skipped
+ * @returns {DoctorCheck[]}
+ */
+export function checkClaudeScopes(tokens) {
+	return tokens
+		.filter(token => Array.isArray(token.scopes))
+		.map(({ label, scopes }) => (scopes.includes(CLAUDE_USAGE_SCOPE)
+			? pass("scopes", `claude: "${label}" has ${CLAUDE_USAGE_SCOPE}`)
+			: warn(
+				"scopes",
+				`claude: "${label}" lacks the ${CLAUDE_USAGE_SCOPE} scope, so its usage cannot be read`,
+				`Log in again with '${PRIMARY_CMD} claude reauth ${label}'`,
+			)));
+}
+
+/**
+ * Check a command is on PATH.
+ * @param {string} command
+ * @returns {boolean}
+ */
+function isCommandAvailable(command) {
+	const result = spawnSync(command, ["--version"], { stdio: "ignore" });
+	return result.error?.code !== "ENOENT";
+}
+
+/**
+ * Check the external tools used to read browser cookies for Claude sessions.
+ * @param {(command: string) => boolean} [isAvailable]
+ * @returns {DoctorCheck[]}
+ */
+export function checkCookieTools(isAvailable = isCommandAvailable) {
+	const results = [isAvailable("sqlite3")
+		? pass("tools", "sqlite3 found")
+		: warn("tools", "sqlite3 not found; Claude session cookies cannot be read from the browser", "Install sqlite3")];
+	// Chromium keeps its cookie key in the Secret Service only on Linux
+	if (process.platform === "linux") {
+		results.push(isAvailable("secret-tool")
+			? pass("tools", "secret-tool found")
+			: warn("tools", "secret-tool not found; Chromium cookies fall back to the default key", "Install libsecret-tools"));
+	}
+	return results;
+}
+
+/**
+ * Check the port the OpenAI OAuth callback listens on.
+ * @returns {Promise<DoctorCheck[]>}
+ */
+export async function checkOauthPort() {
+	return [await checkPortAvailable(OAUTH_CALLBACK_PORT)
+		? pass("port", `Port ${OAUTH_CALLBACK_PORT} is free for OAuth logins`)
+		: warn("port", `Port ${OAUTH_CALLBACK_PORT} is in use; codex add and reauth will fail`, `Close other ${PRIMARY_CMD} instances or whatever listens on ${OAUTH_CALLBACK_PORT}`)];
+}
+
+/**
+ * Run every check.
+ * @returns {Promise<DoctorCheck[]>}
+ */
+export async function runDoctorChecks() {
+	const files = listCredentialFiles();
+	const codexAccounts = loadAllAccountsNoDedup();
+	const claudeAccounts = loadClaudeAccounts();
+	const claudeOauth = claudeAccounts
+		.filter(account => account.oauthToken)
+		.map(account => ({ label: account.label, expires: account.oauthExpiresAt, refresh: account.oauthRefreshToken, scopes: account.oauthScopes }));
+	const claudeCode = readClaudeCodeOauthStore();
+	if (claudeCode.tokens?.access) {
+		claudeOauth.push({ label: "claude-code", expires: claudeCode.tokens.expires, refresh: claudeCode.tokens.refresh, scopes: claudeCode.tokens.scopes ?? null });
+	}
+
+	return [
+		...checkFilePermissions(files),
+		...checkJsonFiles(files),
+		...checkDuplicateLabels("codex", codexAccounts),
+		...checkDuplicateLabels("claude", claudeAccounts),
+		...checkTokenExpiry("codex", codexAccounts.map(account => ({ label: account.label, expires: account.expires, refresh: account.refresh }))),
+		...checkTokenExpiry("claude", claudeOauth),
+		...checkDivergence(),
+		...checkClaudeScopes(claudeOauth),
+		...checkCookieTools(),
+		...await checkOauthPort(),
+	];
+}
@@ -0,0 +1,88 @@
+/**
+ * Tabular and templated output (--format table|csv|tsv|markdown|template).
+ * Zero internal dependencies — callers supply rows and column definitions.
+ */
+
+export const OUTPUT_FORMATS = ["table", "csv", "tsv", "markdown", "template"];
+
+/**
+ * Read a dot-separated path from an object ("windows.5h.remaining").
+ * @param {object} context
+ * @param {string} path
+ * @returns {any} Value at the path, or undefined
+ */
+export function getPathValue(context, path) {
+	let value = context;
+	for (const key of path.split(".")) {
+		if (value === null || value === undefined || typeof value !== "object") return undefined;
+		value = value[key];
+	}
+	return value;
+}
+
+function toCell(value) {
+	if (value === null || value === undefined) return "";
+	if (typeof value === "object") return JSON.stringify(value);
+	return String(value);
+}
+
+/**
+ * Render a mustache-like template: {{path}} is replaced with the value at the
+ * dot-separated path (empty when missing). "\n" and "\t" escapes become newlines and tabs.
+ * @param {string} template - e.g. "{{label}} {{email}} {{windows.5h.remaining}}%"
+ * @param {object} context
+ * @returns {string}
+ */
+export function renderTemplate(template, context) {
+	return template
+		.replace(/\\n/g, "\n")
+		.replace(/\\t/g, "\t")
+		.replace(/\{\{\s*([^{}\s]+)\s*\}\}/g, (_, path) => toCell(getPathValue(context, path)));
+}
+
+function quoteCsv(cell) {
+	return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, "\"\"")}"` : cell;
+}
+
+/**
+ * Render rows in one of OUTPUT_FORMATS.
+ * @param {"table" | "csv" | "tsv" | "markdown" | "template"} format
+ * @param {Array<[string, string]>} columns - [header, path] pairs
+ * @param {Array<object>} rows - Row contexts (paths are resolved against each row)
+ * @param {{ template?: string }} [options] - Template string for the template format
+ * @returns {string} Rendered output without a trailing newline
+ */
+export function formatRows(format, columns, rows, options = {}) {
+	if (format === "template") {
+		return rows.map(row => renderTemplate(options.template ?? "", row)).join("\n");
+	}
+
+	const headers = columns.map(([header]) => header);
+	const cells = rows.map(row => columns.map(([, path]) => toCell(getPathValue(row, path))));
+
+	if (format === "csv") {
+		return [headers, ...cells].map(line => line.map(quoteCsv).join(",")).join("\n");
+	}
+	if (format === "tsv") {
+		return [headers, ...cells]
+			.map(line => line.map(cell => cell.replace(/[\t\r\n]+/g, " ")).join("\t"))
+			.join("\n");
+	}
+	if (format === "markdown") {
+		const escape = cell => cell.replace(/\|/g, "\\|").replace(/\r?\n/g, " ");
+		return [
+			`| ${headers.map(escape).join(" | ")} |`,
+			`| ${headers.map(() => "---").join(" | ")} |`,
+			...cells.map(line => `| ${line.map(escape).join(" | ")} |`),
+		].join("\n");
+	}
+
+	// Plain aligned table
+	const widths = headers.map((header, i) => Math.max(header.length, ...cells.map(line => line[i].length)));
+	const formatLine = line => line.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+	return [
+		formatLine(headers),
+		formatLine(widths.map(width => "-".repeat(width))),
+		...cells.map(formatLine),
+	].join("\n");
+}
@@ -5,15 +5,22 @@
 
 import {
 	existsSync,
-	writeFileSync,
 	mkdirSync,
-	chmodSync,
 	renameSync,
 	realpathSync,
 	lstatSync,
 	readlinkSync,
+	statSync,
+	openSync,
+	writeFileSync,
+	fsyncSync,
+	fchmodSync,
+	fchownSync,
+	closeSync,
+	unlinkSync,
 } from "node:fs";
-import { dirname, resolve, isAbsolute } from "node:path";
+import { dirname, basename, join, resolve, isAbsolute } from "node:path";
+import { randomBytes } from "node:crypto";
 
 /**
  * Resolve the correct write target for a path, preserving symlink files.
@@ -40,8 +47,28 @@ export function resolveWritePath(filePath) {
 	}
 }
 
+/**
+ * Flush a directory entry (a rename) to disk. Not every platform can open directories.
+ * @param {string} dir
+ */
+function fsyncDirectory(dir) {
+	let fd;
+	try {
+		fd = openSync(dir, "r");
+		fsyncSync(fd);
+	} catch {
+		// Best effort: Windows and some file systems refuse directory fsync
+	} finally {
+		if (fd !== undefined) closeSync(fd);
+	}
+}
+
 /**
  * Write a file atomically while preserving existing symlink files.
+ * Contents go to a uniquely named temp file in the same directory, which is fsynced
+ * and renamed over the target, so concurrent writers never share a temp file and a
+ * crash leaves either the old or the new contents. Without `mode`, an existing
+ * file keeps its mode and ownership.
  * @param {string} filePath - Intended path to write
  * @param {string} contents - File contents
  * @param {{ mode?: number }} [options]
@@ -53,11 +80,42 @@ export function writeFileAtomic(filePath, contents, options = {}) {
 	if (!existsSync(dir)) {
 		mkdirSync(dir, { recursive: true });
 	}
-	const tempPath = `${targetPath}.tmp`;
-	writeFileSync(tempPath, contents, "utf-8");
-	if (options.mode !== undefined) {
-		chmodSync(tempPath, options.mode);
+	let existing = null;
+	try {
+		existing = statSync(targetPath);
+	} catch {
+		// New file
+	}
+
+	const tempPath = join(dir, `.${basename(targetPath)}.${process.pid}.${randomBytes(6).toString("hex")}.tmp`);
+	const fd = openSync(tempPath, "wx", options.mode ?? (existing ? existing.mode & 0o7777 : 0o666));
+	try {
+		try {
+			writeFileSync(fd, contents, "utf-8");
+			// Set explicitly: the mode given to open is reduced by the umask
+			if (options.mode !== undefined) {
+				fchmodSync(fd, options.mode);
+			} else if (existing) {
+				try {
+					fchownSync(fd, existing.uid, existing.gid);
+				} catch {
+					// Only root can give files away; the writer owns the new file
+				}
+				fchmodSync(fd, existing.mode & 0o7777);
+			}
+			fsyncSync(fd);
+		} finally {
+			closeSync(fd);
+		}
+		renameSync(tempPath, targetPath);
+	} catch (err) {
+		try {
+			unlinkSync(tempPath);
+		} catch {
+			// Already renamed or never created
+		}
+		throw err;
 	}
-	renameSync(tempPath, targetPath);
+	fsyncDirectory(dir);
 	return targetPath;
 }
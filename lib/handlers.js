@@ -18,20 +18,33 @@ import {
 	drawBox,
 	buildAccountUsageLines,
 	buildClaudeUsageLines,
+	buildProviderUsageLines,
+	buildPickLines,
+	buildHistoryLines,
+	formatCacheAgeLine,
 	formatExpiryStatus,
 	printHelp,
 	printHelpCodex,
+	printHelpProvider,
 	printHelpClaude,
 	printHelpAdd,
 	printHelpCodexReauth,
 	printHelpSwitch,
+	printHelpCodexPick,
 	printHelpCodexSync,
 	printHelpList,
 	printHelpRemove,
 	printHelpQuota,
+	printHelpHistory,
+	printHelpAlert,
+	printHelpServe,
+	printHelpStatus,
+	printHelpConfig,
+	printHelpVault,
 	printHelpClaudeAdd,
 	printHelpClaudeReauth,
 	printHelpClaudeSwitch,
+	printHelpClaudePick,
 	printHelpClaudeSync,
 	printHelpClaudeList,
 	printHelpClaudeRemove,
@@ -74,35 +87,110 @@ import {
 	findClaudeSessionKey,
 } from "./claude-accounts.js";
 import {
-	updateOpencodeAuth,
-	updatePiAuth,
+	updateCodexHarnessTargets,
 	persistOpenAiOAuthTokens,
 	ensureFreshToken,
 } from "./codex-tokens.js";
 import {
 	updateClaudeCredentials,
-	updateOpencodeClaudeAuth,
-	updatePiClaudeAuth,
+	updateClaudeHarnessTargets,
 	persistClaudeOAuthTokens,
 	ensureFreshClaudeOAuthToken,
 } from "./claude-tokens.js";
-import { fetchUsage } from "./codex-usage.js";
 import {
 	loadClaudeOAuthFromClaudeCode,
 	loadClaudeOAuthFromOpenCode,
 	loadClaudeOAuthFromEnv,
 	loadAllClaudeOAuthAccounts,
 	fetchClaudeOAuthUsage,
-	fetchClaudeOAuthUsageForAccount,
 	fetchClaudeUsage,
 	deduplicateClaudeOAuthAccounts,
 	deduplicateClaudeResultsByUsage,
 } from "./claude-usage.js";
-import { readMultiAccountContainer, writeMultiAccountContainer, mapContainerAccounts } from "./container.js";
+import {
+	fetchCodexUsageResults,
+	fetchClaudeOAuthUsageResults,
+	fetchClaudeCredentialUsageResults,
+	fetchProviderUsageResults,
+	readCachedCodexUsageResults,
+	readCachedClaudeUsageResults,
+} from "./quota.js";
+import { invalidateUsageCache, setUsageCachePolicy } from "./cache.js";
+import { getCodexWindows, getClaudeWindows } from "./windows.js";
+import { PICK_STRATEGIES, DEFAULT_PICK_STRATEGY, rankCandidates } from "./pick.js";
+import {
+	DEFAULT_WATCH_INTERVAL_MS,
+	MIN_WATCH_INTERVAL_MS,
+	isRateLimitError,
+	ageCodexUsagePayload,
+	runWatchLoop,
+} from "./watch.js";
+import { parseDuration } from "./args.js";
+import { appendHistory, buildHistoryRecords, readHistoryRecords, renameHistoryLabel, summarizeHistory } from "./history.js";
+import { buildProjections } from "./projection.js";
+import {
+	ALERT_NOTIFIERS,
+	DEFAULT_ALERT_NOTIFIERS,
+	parseThreshold,
+	findAlerts,
+	buildAlertPayload,
+	formatAlertLine,
+	sendAlertNotifications,
+} from "./alerts.js";
+import {
+	DEFAULT_METRICS_PORT,
+	DEFAULT_METRICS_HOST,
+	DEFAULT_METRICS_TTL_MS,
+	MIN_METRICS_TTL_MS,
+	buildMetricsText,
+	createCachedCollector,
+	createMetricsServer,
+} from "./metrics.js";
+import { formatStatusline } from "./statusline.js";
+import { OUTPUT_FORMATS, formatRows } from "./format.js";
+import {
+	CONFIG_KEYS,
+	getConfigPath,
+	readConfigFile,
+	getConfigValue,
+	parseConfigValue,
+	writeConfigValue,
+	resolveConfigKey,
+	applyLabelPreferences,
+	getDisplayName,
+	renameConfigLabel,
+} from "./config.js";
+import {
+	setVaultPassphrase,
+	getVaultPassphrase,
+	getVaultKeyFilePath,
+	createVaultKey,
+	createVaultKeyFile,
+	readVaultState,
+	isVaultPayload,
+	encryptVaultPayload,
+	openVault,
+} from "./vault.js";
+import { CONFLICT_MODES, buildBundle, encryptBundle, decryptBundle, mergeBundleAccounts } from "./bundle.js";
+import { readMultiAccountContainer, writeMultiAccountContainer, updateMultiAccountContainer, mapContainerAccounts } from "./container.js";
 import { writeFileAtomic } from "./fs.js";
-import { getOpencodeAuthPath, getCodexCliAuthPath, getPiAuthPath } from "./paths.js";
+import { backupFile, listBackups, findBackups, selectSnapshot, restoreBackup, rewriteBackups } from "./backups.js";
+import { recordAuditEvent, readAuditLog, filterAuditEntries, AUDIT_EVENTS } from "./audit.js";
+import { runDoctorChecks } from "./doctor.js";
+import {
+	DEFAULT_AUTOSWITCH_FLOOR,
+	decideAutoswitch,
+	orderAutoswitchCandidates,
+	recordAutoswitchDecision,
+	isRepeatedAutoswitchDecision,
+	readLastAutoswitchDecisions,
+} from "./autoswitch.js";
+import { COMPLETION_SHELLS, buildCompletionScript } from "./completion.js";
+import { getProvider, getProviders, getProviderTitle } from "./providers.js";
+import { normalizeTags, pickAccountMeta, parseTagFilter, filterAccountsByTags, parseTagChanges, applyTagChanges } from "./account-meta.js";
+import { getOpencodeAuthPath, getCodexCliAuthPath, getPiAuthPath, getHistoryPath, getAuditLogPath } from "./paths.js";
 import { extractAccountId, extractProfile } from "./jwt.js";
-import { promptConfirm, promptInput } from "./prompts.js";
+import { promptConfirm, promptInput, promptSecret, promptSelect } from "./prompts.js";
 import {
 	detectCodexDivergence,
 	detectClaudeDivergence,
@@ -115,6 +203,7 @@ import {
 	findClaudeOAuthRecoveryStore,
 	findCodexAccountByLabelInFiles,
 	clearCodexQuotaLabelForRemovedAccount,
+	renameCodexQuotaLabel,
 	maybeImportClaudeOauthStores,
 	getActiveClaudeAccountFromStore,
 	handleCodexSync,
@@ -200,6 +289,7 @@ export async function handleAdd(args, flags) {
 		const container = readMultiAccountContainer(targetPath);
 		const accounts = [...container.accounts, newAccount];
 		writeMultiAccountContainer(targetPath, container, accounts, {}, { mode: 0o600 });
+		recordAuditEvent({ event: "add", provider: "codex", label, paths: [targetPath], token: tokens.refreshToken });
 		
 		// 16. Print success message (human-readable OR JSON, not both)
 		if (flags.json) {
@@ -249,6 +339,127 @@ export async function handleAdd(args, flags) {
 	}
 }
 
+/**
+ * Describe an expiry the way the list command does.
+ * @param {number | null | undefined} expires
+ * @returns {string}
+ */
+function formatChoiceExpiry(expires) {
+	const expiry = formatExpiryStatus(expires);
+	if (expiry.status === "expired") return "Expired";
+	if (expiry.status === "expiring") return expiry.display;
+	return `Expires: ${expiry.display}`;
+}
+
+/**
+ * Format an account's tags for picker rows and list output.
+ * @param {unknown} tags
+ * @returns {string} " [team, shared]", or "" without tags
+ */
+function formatTagSuffix(tags) {
+	const list = normalizeTags(tags);
+	return list.length ? ` [${list.join(", ")}]` : "";
+}
+
+/**
+ * Ask which account to act on when a command was run without a label.
+ * Rows show the active marker, label, email, plan, tags, and token expiry.
+ * @param {{ json: boolean, local?: boolean, tag?: string | null }} flags - Parsed flags
+ * @param {string} message - Question shown above the list
+ * @param {{ autoSelect?: boolean }} [options] - autoSelect takes the only account matching --tag without asking
+ * @returns {Promise<string | null>} Null without a TTY (or with --json) or accounts, so callers keep their usage error
+ */
+async function pickCodexLabel(flags, message, options = {}) {
+	const tags = parseTagFilter(flags.tag);
+	if (!canPromptInteractively(flags) && !(options.autoSelect && tags.length)) return null;
+	const activeLabel = detectCodexDivergence({ allowMigration: false }).activeLabel ?? null;
+	const accounts = applyLabelPreferences(loadAllAccounts(activeLabel, { local: flags.local }), account => account.label);
+	return pickTaggedLabel(flags, message, accounts, {
+		...options,
+		tags,
+		activeLabel,
+		toTitle: account => {
+			const profile = extractProfile(account.access);
+			const marker = account.label === activeLabel ? "*" : " ";
+			const email = profile.email ? ` <${profile.email}>` : "";
+			const plan = profile.planType ? ` (${profile.planType})` : "";
+			return `${marker} ${account.label}${email}${plan}${formatTagSuffix(account.tags)} | ${formatChoiceExpiry(account.expires)}`;
+		},
+	});
+}
+
+/**
+ * Ask which Claude account to act on when a command was run without a label.
+ * Claude tokens carry no profile, so rows show the credential type instead of email and plan.
+ * @param {{ json: boolean, tag?: string | null }} flags - Parsed flags
+ * @param {string} message - Question shown above the list
+ * @param {{ autoSelect?: boolean }} [options] - autoSelect takes the only account matching --tag without asking
+ * @returns {Promise<string | null>} Null without a TTY (or with --json) or accounts, so callers keep their usage error
+ */
+async function pickClaudeLabel(flags, message, options = {}) {
+	const tags = parseTagFilter(flags.tag);
+	if (!canPromptInteractively(flags) && !(options.autoSelect && tags.length)) return null;
+	const activeLabel = getClaudeActiveLabelInfo().activeLabel ?? null;
+	const accounts = applyLabelPreferences(loadClaudeAccounts(), account => account.label);
+	return pickTaggedLabel(flags, message, accounts, {
+		...options,
+		tags,
+		activeLabel,
+		toTitle: account => {
+			const marker = account.label === activeLabel ? "*" : " ";
+			const details = [
+				[(account.sessionKey ?? findClaudeSessionKey(account.cookies)) && "sessionKey", account.oauthToken && "oauthToken"].filter(Boolean).join("+"),
+				account.oauthToken ? formatChoiceExpiry(account.oauthExpiresAt) : null,
+			].filter(Boolean);
+			return `${marker} ${account.label}${formatTagSuffix(account.tags)} | ${details.join(" | ")}`;
+		},
+	});
+}
+
+/**
+ * Narrow the picker to accounts carrying the --tag tags, then ask.
+ * Exits when no account matches, or when several match and there is no TTY to ask on.
+ * @param {{ json: boolean }} flags - Parsed flags
+ * @param {string} message
+ * @param {Array<{ label: string, tags?: unknown }>} accounts - Accounts in display order
+ * @param {{ tags: string[], activeLabel: string | null, autoSelect?: boolean, toTitle: (account: object) => string }} options
+ * @returns {Promise<string | null>}
+ */
+async function pickTaggedLabel(flags, message, accounts, options) {
+	const matches = filterAccountsByTags(accounts, options.tags);
+	if (options.tags.length) {
+		const tagList = options.tags.join(", ");
+		if (!matches.length) {
+			exitWithError(flags, `No accounts tagged ${tagList}`);
+		}
+		if (options.autoSelect && matches.length === 1) {
+			return matches[0].label;
+		}
+		if (!canPromptInteractively(flags)) {
+			exitWithError(flags, `${matches.length} accounts are tagged ${tagList} (${matches.map(account => account.label).join(", ")}). Give a label to choose one.`);
+		}
+	}
+	if (!matches.length) return null;
+	const choices = matches.map(account => ({ value: account.label, title: options.toTitle(account) }));
+	return promptPickedLabel(message, choices, options.activeLabel);
+}
+
+/**
+ * Show the picker, starting on the active account; Esc and Ctrl-C exit.
+ * @param {string} message
+ * @param {Array<{ value: string, title: string }>} choices
+ * @param {string | null} activeLabel
+ * @returns {Promise<string>}
+ */
+async function promptPickedLabel(message, choices, activeLabel) {
+	const label = await promptSelect(message, choices, { initialValue: activeLabel });
+	if (label === null) {
+		console.error("Cancelled.");
+		process.exit(1);
+	}
+	return label;
+}
+
 /**
  * Handle reauth subcommand - re-authenticate an existing Codex account via OAuth browser flow
  * This updates the existing account's tokens without changing the label
@@ -256,7 +467,7 @@ export async function handleAdd(args, flags) {
  * @param {{ json: boolean, noBrowser: boolean }} flags - Parsed flags
  */
 export async function handleCodexReauth(args, flags) {
-	const label = args[0];
+	const label = args[0] ?? await pickCodexLabel(flags, "Re-authenticate which account?");
 	if (!label) {
 		if (flags.json) {
 			console.log(JSON.stringify({ success: false, error: "Missing required label argument" }, null, 2));
@@ -363,6 +574,7 @@ export async function handleCodexReauth(args, flags) {
 		});
 
 		writeMultiAccountContainer(source, container, updatedAccounts, {}, { mode: 0o600 });
+		const auditPaths = [source];
 
 		// 14. Update CLI auth files if this account is active
 		const activeInfo = getCodexActiveLabelInfo();
@@ -410,12 +622,17 @@ export async function handleCodexReauth(args, flags) {
 			if (!existsSync(codexDir)) {
 				mkdirSync(codexDir, { recursive: true });
 			}
+			backupFile(codexAuthPath);
 			writeFileAtomic(codexAuthPath, JSON.stringify(newAuth, null, 2) + "\n", { mode: 0o600 });
 
-			// Update OpenCode and pi auth files
-			updateOpencodeAuth(updatedAccount);
-			updatePiAuth(updatedAccount);
+			// Update OpenCode, pi, and custom harness targets
+			const harnessUpdates = updateCodexHarnessTargets(updatedAccount);
+			auditPaths.push(codexAuthPath, ...getUpdatedPaths(harnessUpdates));
 		}
+		recordAuditEvent({ event: "reauth", provider: "codex", label, paths: auditPaths, token: tokens.refreshToken });
+
+		// Cached usage belongs to the old tokens
+		invalidateUsageCache("codex", label);
 
 		// 15. Print success message
 		if (flags.json) {
@@ -453,6 +670,211 @@ export async function handleCodexReauth(args, flags) {
 	}
 }
 
+/**
+ * Write a Codex account's tokens to every harness auth file and record it as active.
+ * Shared by switch and pick so both update the same set of files.
+ * @param {object} account - Account with fresh tokens
+ * @param {string} label - Account label to record as active
+ * @returns {{ codexAuthPath: string, activeLabelPath: string | null, activeLabelError: string | null, opencodeUpdate: object, piUpdate: object, customUpdates: object[] }}
+ */
+function applyCodexSwitch(account, label) {
+	// Update activeLabel in the source-of-truth multi-account file
+	// Always set activeLabel regardless of account source - the label tracking
+	// should work even for accounts loaded from env or single-account files
+	let activeLabelPath = null;
+	let activeLabelError = null;
+	try {
+		const activeUpdate = setCodexActiveLabel(label);
+		activeLabelPath = activeUpdate.path;
+	} catch (err) {
+		activeLabelError = err?.message ?? String(err);
+	}
+	invalidateUsageCache("codex", label);
+	
+	// Read existing ~/.codex/auth.json to preserve OPENAI_API_KEY
+	let existingAuth = {};
+	const codexAuthPath = getCodexCliAuthPath();
+	if (existsSync(codexAuthPath)) {
+		try {
+			const raw = readFileSync(codexAuthPath, "utf-8");
+			existingAuth = JSON.parse(raw);
+		} catch {
+			// If corrupted, start fresh
+			existingAuth = {};
+		}
+	}
+	
+	// Build new auth.json structure (matching Codex CLI format)
+	const tokens = {
+		access_token: account.access,
+		refresh_token: account.refresh,
+		account_id: account.accountId,
+		expires_at: Math.floor(account.expires / 1000), // Convert ms to seconds
+	};
+	
+	// Only include id_token if it exists (Codex CLI rejects null)
+	if (account.idToken) {
+		tokens.id_token = account.idToken;
+	}
+	
+	const newAuth = {
+		// Preserve existing OPENAI_API_KEY if present
+		...(existingAuth.OPENAI_API_KEY !== undefined ? { OPENAI_API_KEY: existingAuth.OPENAI_API_KEY } : {}),
+		tokens,
+		last_refresh: new Date().toISOString(),
+		// Track which managed account we switched to (for detecting native login divergence)
+		codex_quota_label: label,
+	};
+	
+	// Create ~/.codex directory if needed
+	const codexDir = dirname(codexAuthPath);
+	if (!existsSync(codexDir)) {
+		mkdirSync(codexDir, { recursive: true });
+	}
+	
+	// Write auth.json atomically (temp file + rename) with 0600 permissions
+	backupFile(codexAuthPath);
+	writeFileAtomic(codexAuthPath, JSON.stringify(newAuth, null, 2) + "\n", { mode: 0o600 });
+	
+	// Update OpenCode, pi, and custom harness targets if present
+	const harnessUpdates = updateCodexHarnessTargets(account);
+	recordAuditEvent({
+		event: "switch",
+		provider: "codex",
+		label,
+		paths: [activeLabelPath, codexAuthPath, ...getUpdatedPaths(harnessUpdates)].filter(Boolean),
+		token: account.refresh,
+	});
+	return { codexAuthPath, activeLabelPath, activeLabelError, ...splitHarnessUpdates(harnessUpdates) };
+}
+
+/**
+ * Paths of the harness targets an update wrote.
+ * @param {Array<{ path: string, updated: boolean }>} updates - From update*HarnessTargets
+ * @returns {string[]}
+ */
+function getUpdatedPaths(updates) {
+	return updates.filter(update => update.updated).map(update => update.path);
+}
+
+/**
+ * Split harness target results into the built-in OpenCode/pi updates and custom targets.
+ * @param {Array<{ name: string, custom: boolean }>} updates - From update*HarnessTargets
+ * @returns {{ opencodeUpdate: object, piUpdate: object, customUpdates: object[] }}
+ */
+function splitHarnessUpdates(updates) {
+	const builtIn = name => updates.find(update => !update.custom && update.name === name);
+	return {
+		opencodeUpdate: builtIn("opencode"),
+		piUpdate: builtIn("pi"),
+		customUpdates: updates.filter(update => update.custom),
+	};
+}
+
+/**
+ * Add custom harness target results to switch JSON output.
+ * @param {object} output - Mutated in place
+ * @param {object[]} customUpdates
+ */
+function addCustomTargetJson(output, customUpdates) {
+	if (!customUpdates?.length) return;
+	output.harnessTargets = customUpdates.map(update => ({
+		name: update.name,
+		path: update.path,
+		updated: update.updated,
+		...(update.error ? { error: update.error } : {}),
+	}));
+}
+
+/**
+ * Add a line per updated custom harness target to switch confirmation lines.
+ * @param {string[]} lines - Mutated in place
+ * @param {object[]} customUpdates
+ */
+function addCustomTargetLines(lines, customUpdates) {
+	for (const update of customUpdates ?? []) {
+		if (update.updated) {
+			lines.push(`${update.title}: ${shortenPath(update.path)}`);
+		}
+	}
+}
+
+/**
+ * Print warnings for harness files that could not be updated during a switch.
+ * @param {{ opencodeUpdate: { error?: string }, piUpdate: { error?: string }, customUpdates?: Array<{ error?: string }> }} switchResult
+ */
+function printSwitchWarnings(switchResult) {
+	for (const update of [switchResult.opencodeUpdate, switchResult.piUpdate, ...(switchResult.customUpdates ?? [])]) {
+		if (update.error) {
+			console.error(colorize(`Warning: ${update.error}`, YELLOW));
+		}
+	}
+}
+
+/**
+ * Build the JSON fields describing a completed Codex switch.
+ * @param {object} account
+ * @param {string} label
+ * @param {ReturnType<typeof applyCodexSwitch>} switchResult
+ * @returns {object}
+ */
+function buildCodexSwitchJson(account, label, switchResult) {
+	const profile = extractProfile(account.access);
+	const output = {
+		label: label,
+		email: profile.email,
+		accountId: account.accountId,
+		authPath: switchResult.codexAuthPath,
+	};
+	if (switchResult.activeLabelPath) {
+		output.activeLabelPath = switchResult.activeLabelPath;
+	}
+	if (switchResult.activeLabelError) {
+		output.activeLabelError = switchResult.activeLabelError;
+	}
+	if (switchResult.opencodeUpdate.updated) {
+		output.opencodeAuthPath = switchResult.opencodeUpdate.path;
+	} else if (switchResult.opencodeUpdate.error) {
+		output.opencodeAuthError = switchResult.opencodeUpdate.error;
+	}
+	if (switchResult.piUpdate.updated) {
+		output.piAuthPath = switchResult.piUpdate.path;
+	} else if (switchResult.piUpdate.error) {
+		output.piAuthError = switchResult.piUpdate.error;
+	}
+	addCustomTargetJson(output, switchResult.customUpdates);
+	return output;
+}
+
+/**
+ * Build the confirmation box lines for a completed Codex switch.
+ * @param {object} account
+ * @param {string} label
+ * @param {ReturnType<typeof applyCodexSwitch>} switchResult
+ * @returns {string[]}
+ */
+function buildCodexSwitchLines(account, label, switchResult) {
+	const profile = extractProfile(account.access);
+	const emailDisplay = profile.email ? ` <${profile.email}>` : "";
+	const planDisplay = profile.planType ? ` (${profile.planType})` : "";
+	const lines = [
+		colorize(`Switched to ${label}${emailDisplay}${planDisplay}`, GREEN),
+		"",
+		`Codex CLI: ${shortenPath(switchResult.codexAuthPath)}`,
+	];
+	if (switchResult.activeLabelPath) {
+		lines.push(`Active label: ${shortenPath(switchResult.activeLabelPath)}`);
+	}
+	if (switchResult.opencodeUpdate.updated) {
+		lines.push(`OpenCode:  ${shortenPath(switchResult.opencodeUpdate.path)}`);
+	}
+	if (switchResult.piUpdate.updated) {
+		lines.push(`pi:        ${shortenPath(switchResult.piUpdate.path)}`);
+	}
+	addCustomTargetLines(lines, switchResult.customUpdates);
+	return lines;
+}
+
 /**
  * Handle switch subcommand - switch active account for Codex CLI/OpenCode/pi auth files
  * @param {string[]} args - Non-flag arguments (label is required)
@@ -460,7 +882,7 @@ export async function handleCodexReauth(args, flags) {
  */
 export async function handleSwitch(args, flags) {
 	// 1. Extract required label
-	const label = args[0];
+	const label = args[0] ?? await pickCodexLabel(flags, "Switch to which account?", { autoSelect: true });
 	if (!label) {
 		if (flags.json) {
 			console.log(JSON.stringify({ success: false, error: "Missing required label argument" }, null, 2));
@@ -508,124 +930,20 @@ export async function handleSwitch(args, flags) {
 			process.exit(1);
 		}
 
-		// 4. Update activeLabel in the source-of-truth multi-account file
-		// Always set activeLabel regardless of account source - the label tracking
-		// should work even for accounts loaded from env or single-account files
-		let activeLabelPath = null;
-		let activeLabelError = null;
-		try {
-			const activeUpdate = setCodexActiveLabel(label);
-			activeLabelPath = activeUpdate.path;
-		} catch (err) {
-			activeLabelError = err?.message ?? String(err);
-		}
-		
-		// 5. Read existing ~/.codex/auth.json to preserve OPENAI_API_KEY
-		let existingAuth = {};
-		const codexAuthPath = getCodexCliAuthPath();
-		if (existsSync(codexAuthPath)) {
-			try {
-				const raw = readFileSync(codexAuthPath, "utf-8");
-				existingAuth = JSON.parse(raw);
-			} catch {
-				// If corrupted, start fresh
-				existingAuth = {};
-			}
-		}
-		
-		// 6. Build new auth.json structure (matching Codex CLI format)
-		const tokens = {
-			access_token: account.access,
-			refresh_token: account.refresh,
-			account_id: account.accountId,
-			expires_at: Math.floor(account.expires / 1000), // Convert ms to seconds
-		};
-		
-		// Only include id_token if it exists (Codex CLI rejects null)
-		if (account.idToken) {
-			tokens.id_token = account.idToken;
-		}
-		
-		const newAuth = {
-			// Preserve existing OPENAI_API_KEY if present
-			...(existingAuth.OPENAI_API_KEY !== undefined ? { OPENAI_API_KEY: existingAuth.OPENAI_API_KEY } : {}),
-			tokens,
-			last_refresh: new Date().toISOString(),
-			// Track which managed account we switched to (for detecting native login divergence)
-			codex_quota_label: label,
-		};
-		
-		// 7. Create ~/.codex directory if needed
-		const codexDir = dirname(codexAuthPath);
-		if (!existsSync(codexDir)) {
-			mkdirSync(codexDir, { recursive: true });
-		}
-		
-		// 8. Write auth.json atomically (temp file + rename) with 0600 permissions
-		writeFileAtomic(codexAuthPath, JSON.stringify(newAuth, null, 2) + "\n", { mode: 0o600 });
-		
-		// 9. Update OpenCode auth.json if present
-		const opencodeUpdate = updateOpencodeAuth(account);
-		if (opencodeUpdate.error && !flags.json) {
-			console.error(colorize(`Warning: ${opencodeUpdate.error}`, YELLOW));
-		}
-		
-		// 10. Update pi auth.json if present
-		const piUpdate = updatePiAuth(account);
-		if (piUpdate.error && !flags.json) {
-			console.error(colorize(`Warning: ${piUpdate.error}`, YELLOW));
+		// 4. Write tokens to activeLabel store, Codex CLI, OpenCode, and pi
+		const switchResult = applyCodexSwitch(account, label);
+		if (!flags.json) {
+			printSwitchWarnings(switchResult);
 		}
 		
-		// 11. Get profile info for display
-		const profile = extractProfile(account.access);
-		
-		// 12. Print confirmation (JSON OR human-readable, not both)
+		// 5. Print confirmation (JSON OR human-readable, not both)
 		if (flags.json) {
-			const output = {
-				success: true,
-				label: label,
-				email: profile.email,
-				accountId: account.accountId,
-				authPath: codexAuthPath,
-			};
-			if (activeLabelPath) {
-				output.activeLabelPath = activeLabelPath;
-			}
-			if (activeLabelError) {
-				output.activeLabelError = activeLabelError;
-			}
-			if (opencodeUpdate.updated) {
-				output.opencodeAuthPath = opencodeUpdate.path;
-			} else if (opencodeUpdate.error) {
-				output.opencodeAuthError = opencodeUpdate.error;
-			}
-			if (piUpdate.updated) {
-				output.piAuthPath = piUpdate.path;
-			} else if (piUpdate.error) {
-				output.piAuthError = piUpdate.error;
-			}
-			console.log(JSON.stringify(output, null, 2));
+			console.log(JSON.stringify({ success: true, ...buildCodexSwitchJson(account, label, switchResult) }, null, 2));
 		} else {
-			if (activeLabelError) {
-				console.error(colorize(`Warning: Failed to update activeLabel: ${activeLabelError}`, YELLOW));
-			}
-			const emailDisplay = profile.email ? ` <${profile.email}>` : "";
-			const planDisplay = profile.planType ? ` (${profile.planType})` : "";
-			const lines = [
-				colorize(`Switched to ${label}${emailDisplay}${planDisplay}`, GREEN),
-				"",
-				`Codex CLI: ${shortenPath(codexAuthPath)}`,
-			];
-			if (activeLabelPath) {
-				lines.push(`Active label: ${shortenPath(activeLabelPath)}`);
+			if (switchResult.activeLabelError) {
+				console.error(colorize(`Warning: Failed to update activeLabel: ${switchResult.activeLabelError}`, YELLOW));
 			}
-			if (opencodeUpdate.updated) {
-				lines.push(`OpenCode:  ${shortenPath(opencodeUpdate.path)}`);
-			}
-			if (piUpdate.updated) {
-				lines.push(`pi:        ${shortenPath(piUpdate.path)}`);
-			}
-			const boxLines = drawBox(lines);
+			const boxLines = drawBox(buildCodexSwitchLines(account, label, switchResult));
 			console.log(boxLines.join("\n"));
 		}
 	} catch (error) {
@@ -642,6 +960,143 @@ export async function handleSwitch(args, flags) {
 	}
 }
 
+/**
+ * Resolve and validate the --strategy flag for pick commands.
+ * Exits with an error listing valid strategies when the value is unknown.
+ * @param {{ json: boolean, strategy?: string | null }} flags - Parsed flags
+ * @returns {string}
+ */
+function resolvePickStrategy(flags) {
+	const strategy = flags.strategy ?? DEFAULT_PICK_STRATEGY;
+	if (PICK_STRATEGIES.includes(strategy)) return strategy;
+	if (flags.json) {
+		console.log(JSON.stringify({
+			success: false,
+			error: `Unknown strategy "${strategy}"`,
+			availableStrategies: PICK_STRATEGIES,
+		}, null, 2));
+	} else {
+		console.error(colorize(`Unknown strategy "${strategy}".`, RED));
+		console.error(`Available: ${PICK_STRATEGIES.join(", ")}`);
+	}
+	process.exit(1);
+}
+
+/**
+ * Serialize ranked pick candidates for JSON output.
+ * @param {ReturnType<typeof rankCandidates>} ranked
+ * @returns {Array<object>}
+ */
+function serializePickCandidates(ranked) {
+	return ranked.map(candidate => ({
+		label: candidate.label,
+		eligible: candidate.eligible,
+		windows: Object.fromEntries(Object.entries(candidate.windows).map(([key, window]) => [key, {
+			remaining: window.remaining,
+			resetsAt: window.resetsAt ? new Date(window.resetsAt).toISOString() : null,
+		}])),
+		error: candidate.error ?? null,
+	}));
+}
+
+/**
+ * Report that no candidate has quota left and exit.
+ * @param {{ json: boolean }} flags
+ * @param {string} strategy
+ * @param {ReturnType<typeof rankCandidates>} ranked
+ */
+function exitNoPickCandidate(flags, strategy, ranked) {
+	if (flags.json) {
+		console.log(JSON.stringify({
+			success: false,
+			error: "No account has quota remaining",
+			strategy,
+			candidates: serializePickCandidates(ranked),
+		}, null, 2));
+	} else {
+		console.log(drawBox(buildPickLines(ranked, strategy, null)).join("\n"));
+		console.error(colorize("No account has quota remaining.", RED));
+	}
+	process.exit(1);
+}
+
+/**
+ * Handle pick subcommand - switch to the Codex account with the most quota left
+ * @param {string[]} args - Non-flag arguments (unused)
+ * @param {{ json: boolean, dryRun?: boolean, local?: boolean, strategy?: string | null }} flags - Parsed flags
+ */
+export async function handlePick(args, flags) {
+	const strategy = resolvePickStrategy(flags);
+	const localMode = Boolean(flags.local);
+	const codexDivergence = localMode ? null : detectCodexDivergence({ allowMigration: false });
+	const activeLabel = codexDivergence?.activeLabel ?? null;
+	const accounts = loadAllAccounts(activeLabel, { local: localMode });
+
+	if (!accounts.length) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: "No Codex accounts found" }, null, 2));
+		} else {
+			console.error(colorize("No Codex accounts found.", RED));
+			console.error(`Run '${PRIMARY_CMD} codex add' to add an account.`);
+		}
+		process.exit(1);
+	}
+
+	const results = await fetchCodexUsageResults(accounts, accounts);
+	const ranked = rankCandidates(results.map(({ account, usage }) => ({
+		label: account.label,
+		windows: getCodexWindows(usage),
+		error: usage?.error ?? null,
+	})), strategy);
+	const winner = ranked[0]?.eligible ? ranked[0] : null;
+	if (!winner) {
+		exitNoPickCandidate(flags, strategy, ranked);
+	}
+
+	const output = {
+		success: true,
+		strategy,
+		dryRun: Boolean(flags.dryRun),
+		selected: winner.label,
+		previousLabel: activeLabel,
+		candidates: serializePickCandidates(ranked),
+	};
+
+	if (flags.dryRun) {
+		if (flags.json) {
+			console.log(JSON.stringify(output, null, 2));
+		} else {
+			console.log(drawBox(buildPickLines(ranked, strategy, winner.label)).join("\n"));
+			console.log(`Would switch to ${winner.label} (dry run, no files written)`);
+		}
+		return;
+	}
+
+	try {
+		// Usage results carry tokens that were refreshed during the fetch
+		const { account } = results.find(result => result.account.label === winner.label);
+		const switchResult = applyCodexSwitch(account, winner.label);
+		if (flags.json) {
+			output.switch = buildCodexSwitchJson(account, winner.label, switchResult);
+			console.log(JSON.stringify(output, null, 2));
+			return;
+		}
+		console.log(drawBox(buildPickLines(ranked, strategy, winner.label)).join("\n"));
+		printSwitchWarnings(switchResult);
+		if (switchResult.activeLabelError) {
+			console.error(colorize(`Warning: Failed to update activeLabel: ${switchResult.activeLabelError}`, YELLOW));
+		}
+		console.log(drawBox(buildCodexSwitchLines(account, winner.label, switchResult)).join("\n"));
+	} catch (error) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: error.message }, null, 2));
+		} else {
+			console.error(colorize(`Error: ${error.message}`, RED));
+		}
+		process.exit(1);
+	}
+}
+
 /**
  * Handle sync subcommand - bi-directional sync for activeLabel account
  * 1. Pull: if a CLI store has the same refresh token but newer access/expires, pull it back
@@ -650,16 +1105,29 @@ export async function handleSwitch(args, flags) {
  * @param {{ json: boolean, dryRun?: boolean }} flags - Parsed flags
  */
 export async function handleList(flags) {
+	const format = resolveOutputFormat(flags);
 	const codexDivergence = flags.local ? null : detectCodexDivergence({ allowMigration: false });
 	const activeLabel = codexDivergence?.activeLabel ?? null;
-	const accounts = loadAllAccounts(activeLabel, { local: flags.local });
+	const tags = parseTagFilter(flags.tag);
+	const accounts = filterAccountsByTags(
+		applyLabelPreferences(loadAllAccounts(activeLabel, { local: flags.local }), account => account.label),
+		tags,
+	);
 	
 	// Handle zero accounts case
 	if (!accounts.length) {
+		if (format) {
+			printFormattedRows(format, CODEX_LIST_COLUMNS, [], flags);
+			return;
+		}
 		if (flags.json) {
 			console.log(JSON.stringify({ accounts: [] }, null, 2));
 			return;
 		}
+		if (tags.length) {
+			console.log(`No accounts tagged ${tags.join(", ")}.`);
+			return;
+		}
 		console.log("No accounts found.");
 		console.log("\nSearched:");
 		console.log("  - CODEX_ACCOUNTS env var");
@@ -698,11 +1166,12 @@ export async function handleList(flags) {
 			source: account.source,
 			isActive,
 			isNativeActive,
+			...toAccountMetaDetail(account),
 		};
 	});
 	
 	// JSON output
-	if (flags.json) {
+	if (flags.json && !format) {
 		const output = {
 			accounts: accountDetails,
 			activeInfo: {
@@ -712,6 +1181,7 @@ export async function handleList(flags) {
 				cliAccountId,
 				cliLabel,
 				divergence: divergenceDetected,
+				targets: codexDivergence?.targets ?? [],
 				migrated: codexDivergence?.migrated ?? false,
 				local: flags.local ?? false,
 			},
@@ -732,6 +1202,20 @@ export async function handleList(flags) {
 		console.error(`Run '${PRIMARY_CMD} codex sync' to push active account to CLI.`);
 		console.error("");
 	}
+	if (codexDivergence) {
+		for (const line of buildTargetDivergenceLines(codexDivergence)) {
+			console.error(line);
+		}
+	}
+
+	if (format) {
+		const rows = accountDetails.map(detail => ({
+			...detail,
+			expiresAt: detail.expires ? new Date(detail.expires).toISOString() : null,
+		}));
+		printFormattedRows(format, CODEX_LIST_COLUMNS, rows, flags);
+		return;
+	}
 	
 	// Human-readable output with box styling
 	const lines = [];
@@ -767,6 +1251,7 @@ export async function handleList(flags) {
 		                    detail.expiryStatus === "expiring" ? detail.expiryDisplay :
 		                    `Expires: ${detail.expiryDisplay}`;
 		lines.push(`  ${expiryColor} | ${shortenPath(detail.source)}`);
+		lines.push(...buildAccountMetaLines(detail));
 		
 		// Add spacing between accounts (but not after the last one)
 		if (i < accountDetails.length - 1) {
@@ -795,13 +1280,57 @@ export async function handleList(flags) {
 
 }
 
+/**
+ * Metadata fields for list output (always present, so JSON and template output keep one shape).
+ * @param {object} account
+ * @returns {{ tags: string[], note: string | null, displayName: string | null }}
+ */
+function toAccountMetaDetail(account) {
+	const meta = pickAccountMeta(account);
+	return { tags: meta.tags ?? [], note: meta.note ?? null, displayName: meta.displayName ?? null };
+}
+
+/**
+ * Detail lines for an account's display name, tags, and note (list box output).
+ * @param {{ displayName?: string | null, tags?: string[], note?: string | null }} detail
+ * @returns {string[]}
+ */
+function buildAccountMetaLines(detail) {
+	const parts = [];
+	if (detail.displayName) parts.push(`Name: ${detail.displayName}`);
+	if (detail.tags?.length) parts.push(`Tags: ${detail.tags.join(", ")}`);
+	const lines = parts.length ? [`  ${parts.join(" | ")}`] : [];
+	if (detail.note) lines.push(`  Note: ${detail.note}`);
+	return lines;
+}
+
+const CODEX_LIST_COLUMNS = [
+	["Label", "label"],
+	["Email", "email"],
+	["Plan", "planType"],
+	["Active", "isActive"],
+	["Expires", "expiresAt"],
+	["Expiry", "expiryStatus"],
+	["Source", "source"],
+];
+
+const CLAUDE_LIST_COLUMNS = [
+	["Label", "label"],
+	["Auth", "auth"],
+	["Active", "isActive"],
+	["Org", "orgId"],
+	["Source", "source"],
+];
+
 /**
  * Handle Claude list subcommand - list Claude credentials
  * @param {{ json: boolean, local?: boolean }} flags - Parsed flags
  */
 export async function handleClaudeList(flags) {
+	const format = resolveOutputFormat(flags);
 	if (!flags.local) {
-		const importResult = await maybeImportClaudeOauthStores({ json: flags.json });
+		// Formatted output is usually piped, so skip the interactive import prompt
+		const importResult = await maybeImportClaudeOauthStores({ json: flags.json || Boolean(format) });
 		if (importResult.warnings.length && !flags.json) {
 			for (const warning of importResult.warnings) {
 				console.error(colorize(`Warning: ${warning}`, YELLOW));
@@ -810,13 +1339,22 @@ export async function handleClaudeList(flags) {
 	}
 	const divergence = flags.local ? null : detectClaudeDivergence();
 	const activeLabel = divergence?.activeLabel ?? null;
-	const claudeAccounts = loadClaudeAccounts();
+	const tags = parseTagFilter(flags.tag);
+	const claudeAccounts = filterAccountsByTags(applyLabelPreferences(loadClaudeAccounts(), account => account.label), tags);
 
 	if (!claudeAccounts.length) {
+		if (format) {
+			printFormattedRows(format, CLAUDE_LIST_COLUMNS, [], flags);
+			return;
+		}
 		if (flags.json) {
 			console.log(JSON.stringify({ accounts: [] }, null, 2));
 			return;
 		}
+		if (tags.length) {
+			console.log(`No Claude accounts tagged ${tags.join(", ")}.`);
+			return;
+		}
 		console.log("No Claude accounts found.");
 		console.log("\nSearched:");
 		console.log("  - CLAUDE_ACCOUNTS env var");
@@ -827,6 +1365,25 @@ export async function handleClaudeList(flags) {
 		return;
 	}
 
+	if (format) {
+		const rows = claudeAccounts.map(account => {
+			const hasSessionKey = Boolean(account.sessionKey ?? findClaudeSessionKey(account.cookies));
+			const hasOauthToken = Boolean(account.oauthToken);
+			return {
+				label: account.label,
+				source: account.source,
+				auth: [hasSessionKey && "sessionKey", hasOauthToken && "oauthToken"].filter(Boolean).join("+") || "unknown",
+				hasSessionKey,
+				hasOauthToken,
+				orgId: account.orgId ?? null,
+				isActive: activeLabel !== null && account.label === activeLabel,
+				...toAccountMetaDetail(account),
+			};
+		});
+		printFormattedRows(format, CLAUDE_LIST_COLUMNS, rows, flags);
+		return;
+	}
+
 	if (flags.json) {
 		const output = {
 			accounts: claudeAccounts.map(account => ({
@@ -836,6 +1393,7 @@ export async function handleClaudeList(flags) {
 				hasOauthToken: Boolean(account.oauthToken),
 				orgId: account.orgId ?? null,
 				isActive: activeLabel !== null && account.label === activeLabel,
+				...toAccountMetaDetail(account),
 			})),
 			activeInfo: {
 				activeLabel,
@@ -883,6 +1441,7 @@ export async function handleClaudeList(flags) {
 		const authDisplay = authParts.length ? authParts.join("+") : "unknown";
 		claudeLines.push(`${marker} ${account.label}${statusText}`);
 		claudeLines.push(`  Auth: ${authDisplay} | ${shortenPath(account.source)}`);
+		claudeLines.push(...buildAccountMetaLines(toAccountMetaDetail(account)));
 		if (i < claudeAccounts.length - 1) {
 			claudeLines.push("");
 		}
@@ -901,7 +1460,7 @@ export async function handleClaudeList(flags) {
  * @returns {Promise<boolean>} True if user confirms (y/Y), false otherwise
  */
 export async function handleRemove(args, flags) {
-	const label = args[0];
+	const label = args[0] ?? await pickCodexLabel(flags, "Remove which account?");
 	if (!label) {
 		if (flags.json) {
 			console.log(JSON.stringify({ success: false, error: "Missing required label argument" }, null, 2));
@@ -965,6 +1524,7 @@ export async function handleRemove(args, flags) {
 		// Delete the auth.json file
 		try {
 			unlinkSync(codexAuthPath);
+			invalidateUsageCache("codex", label);
 			if (flags.json) {
 				console.log(JSON.stringify({ 
 					success: true, 
@@ -1043,7 +1603,8 @@ export async function handleRemove(args, flags) {
 	try {
 		const fileDeleted = updatedAccounts.length === 0;
 		if (fileDeleted) {
-			// No accounts left - delete the file
+			// No accounts left - keep a backup and delete the file
+			backupFile(source);
 			unlinkSync(source);
 		} else {
 			// Write updated accounts atomically
@@ -1059,12 +1620,16 @@ export async function handleRemove(args, flags) {
 			}
 		}
 
+		const auditPaths = [source];
 		try {
 			const cleared = clearCodexQuotaLabelForRemovedAccount(account);
 			codexQuotaLabelCleared = cleared.updated;
+			if (cleared.updated) auditPaths.push(cleared.path);
 		} catch (err) {
 			codexQuotaClearError = err?.message ?? String(err);
 		}
+		recordAuditEvent({ event: "remove", provider: "codex", label, paths: auditPaths, token: account.refresh });
+		invalidateUsageCache("codex", label);
 
 		if (flags.json) {
 			const output = {
@@ -1126,28 +1691,277 @@ export async function handleRemove(args, flags) {
 }
 
 /**
- * Handle Claude remove subcommand - remove a Claude account from storage
- * @param {string[]} args - Non-flag arguments (label is required)
+ * Check the arguments of a rename and exit with an error when they are unusable.
+ * @param {string[]} args - Non-flag arguments (old and new label)
  * @param {{ json: boolean }} flags - Parsed flags
+ * @param {{ namespace: string, existingLabels: string[] }} options
+ * @returns {{ oldLabel: string, newLabel: string }}
  */
-export async function handleClaudeRemove(args, flags) {
-	const label = args[0];
-	if (!label) {
-		if (flags.json) {
-			console.log(JSON.stringify({ success: false, error: "Missing required label argument" }, null, 2));
-		} else {
-			console.error(colorize(`Usage: ${PRIMARY_CMD} claude remove <label>`, RED));
-			console.error("Removes a Claude credential from the multi-account file.");
-		}
-		process.exit(1);
+function parseRenameArgs(args, flags, options) {
+	const [oldLabel, newLabel] = args;
+	if (!oldLabel || !newLabel) {
+		exitWithError(flags, `Usage: ${PRIMARY_CMD} ${options.namespace} rename <old-label> <new-label>`);
+	}
+	if (!/^[a-zA-Z0-9_-]+$/.test(newLabel)) {
+		exitWithError(flags, `Invalid label "${newLabel}". Use only letters, numbers, hyphens, and underscores.`);
 	}
+	if (newLabel !== oldLabel && options.existingLabels.includes(newLabel)) {
+		exitWithError(flags, `Label "${newLabel}" already exists. Choose a different label.`);
+	}
+	return { oldLabel, newLabel };
+}
 
-	const account = findClaudeAccountByLabel(label);
-	if (!account) {
-		const availableLabels = getClaudeLabels();
-		if (flags.json) {
-			console.log(JSON.stringify({
-				success: false,
+/**
+ * Rename an entry in a multi-account file, along with the file's activeLabel when it matches.
+ * @param {string} source - Container path
+ * @param {string} oldLabel
+ * @param {string} newLabel
+ * @returns {boolean} False when the entry is no longer in the file
+ */
+function renameStoredAccount(source, oldLabel, newLabel) {
+	const result = updateMultiAccountContainer(source, container => {
+		if (container.rootType === "invalid") {
+			throw new Error(`Failed to parse ${source}`);
+		}
+		const { updated, accounts } = mapContainerAccounts(container, entry => (
+			entry?.label === oldLabel ? { ...entry, label: newLabel } : entry
+		));
+		if (!updated) return null;
+		return {
+			accounts,
+			overrides: container.activeLabel === oldLabel ? { activeLabel: newLabel } : {},
+		};
+	}, { mode: 0o600 });
+	return result.updated;
+}
+
+/**
+ * Carry a renamed account's settings and history samples over to its new label.
+ * Config settings are keyed by bare label, so they stay put while the other
+ * provider still has an account with the old label.
+ * @param {"codex" | "claude"} provider
+ * @param {string} oldLabel
+ * @param {string} newLabel
+ * @param {string[]} otherLabels - Labels of the other provider's accounts
+ * @returns {{ paths: string[], configKeysUpdated: string[], historyRecordsUpdated: number, warnings: string[] }}
+ */
+function migrateRenamedLabel(provider, oldLabel, newLabel, otherLabels) {
+	const paths = [];
+	const warnings = [];
+	let configKeysUpdated = [];
+	const shared = otherLabels.includes(oldLabel);
+	const configUpdate = renameConfigLabel(oldLabel, newLabel, { dryRun: shared });
+	if (configUpdate.error) {
+		warnings.push(`Failed to update config: ${configUpdate.error}`);
+	} else if (shared && configUpdate.keys.length) {
+		warnings.push(`Config ${configUpdate.keys.join(", ")} still refer to "${oldLabel}", which another provider's account also uses. Update them with '${PRIMARY_CMD} config set'.`);
+	} else if (configUpdate.keys.length) {
+		configKeysUpdated = configUpdate.keys;
+		paths.push(configUpdate.path);
+	}
+	const historyUpdate = renameHistoryLabel(provider, oldLabel, newLabel);
+	if (historyUpdate.error) {
+		warnings.push(historyUpdate.error);
+	} else if (historyUpdate.updated) {
+		paths.push(historyUpdate.path);
+	}
+	return { paths, configKeysUpdated, historyRecordsUpdated: historyUpdate.updated, warnings };
+}
+
+/**
+ * Apply a tag command's edits to an account's tags, note, and display name.
+ * @param {string[]} args - Tag edits ("+team", "-personal")
+ * @param {{ json: boolean, note?: string | null, displayName?: string | null }} flags - Parsed flags (an empty value clears the field)
+ * @param {{ namespace: "codex" | "claude", label: string, account: object, envVar: string, multiAccountPaths: string[] }} options
+ */
+function tagStoredAccount(args, flags, options) {
+	const { label, account } = options;
+	const tagChanges = parseTagChanges(args);
+	if (tagChanges.error) {
+		exitWithError(flags, tagChanges.error);
+	}
+	const fieldChanges = { note: flags.note ?? null, displayName: flags.displayName ?? null };
+	const hasChanges = tagChanges.add.length > 0 || tagChanges.remove.length > 0
+		|| Object.values(fieldChanges).some(value => value !== null);
+
+	let meta = pickAccountMeta(account);
+	if (hasChanges) {
+		if (account.source === "env") {
+			exitWithError(flags, `Cannot tag account from ${options.envVar} env var. Add "tags", "note", or "displayName" to the env var directly.`);
+		}
+		if (!options.multiAccountPaths.includes(account.source)) {
+			exitWithError(flags, `Cannot tag the account in ${shortenPath(account.source)}. Add it with '${PRIMARY_CMD} ${options.namespace} add' to store metadata for it.`);
+		}
+		let updatedEntry = null;
+		try {
+			updateMultiAccountContainer(account.source, container => {
+				if (container.rootType === "invalid") {
+					throw new Error(`Failed to parse ${account.source}`);
+				}
+				const { updated, accounts } = mapContainerAccounts(container, entry => {
+					if (entry?.label !== label) return entry;
+					updatedEntry = { ...entry, tags: applyTagChanges(entry.tags, tagChanges) };
+					if (!updatedEntry.tags.length) delete updatedEntry.tags;
+					for (const [field, value] of Object.entries(fieldChanges)) {
+						if (value === null) continue;
+						if (value) {
+							updatedEntry[field] = value;
+						} else {
+							delete updatedEntry[field];
+						}
+					}
+					return updatedEntry;
+				});
+				return updated ? { accounts } : null;
+			}, { mode: 0o600 });
+		} catch (err) {
+			exitWithError(flags, `Error updating ${shortenPath(account.source)}: ${err?.message ?? String(err)}`);
+		}
+		if (!updatedEntry) {
+			exitWithError(flags, `Account "${label}" not found in ${shortenPath(account.source)}`);
+		}
+		meta = pickAccountMeta(updatedEntry);
+	}
+
+	const detail = toAccountMetaDetail(meta);
+	if (flags.json) {
+		console.log(JSON.stringify({
+			success: true,
+			label,
+			...detail,
+			updated: hasChanges,
+			source: shortenPath(account.source),
+		}, null, 2));
+		return;
+	}
+	const lines = [
+		hasChanges ? colorize(`Updated ${label}`, GREEN) : label,
+		"",
+		`Tags: ${detail.tags.length ? detail.tags.join(", ") : "(none)"}`,
+	];
+	if (detail.displayName) lines.push(`Name: ${detail.displayName}`);
+	if (detail.note) lines.push(`Note: ${detail.note}`);
+	if (hasChanges) lines.push("", `Updated: ${shortenPath(account.source)}`);
+	console.log(drawBox(lines).join("\n"));
+}
+
+/**
+ * Handle rename subcommand - change a Codex account's label
+ * @param {string[]} args - Non-flag arguments (old and new label)
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+export async function handleCodexRename(args, flags) {
+	const { oldLabel, newLabel } = parseRenameArgs(args, flags, { namespace: "codex", existingLabels: getAllLabels() });
+	const account = findAccountByLabel(oldLabel);
+	if (!account) {
+		exitWithError(flags, `Account "${oldLabel}" not found`);
+	}
+	if (account.source === "env") {
+		exitWithError(flags, "Cannot rename account from CODEX_ACCOUNTS env var. Modify the env var directly.");
+	}
+	if (!MULTI_ACCOUNT_PATHS.includes(account.source)) {
+		exitWithError(flags, `Cannot rename the account in ${shortenPath(account.source)}. Add it with '${PRIMARY_CMD} codex add' to give it a label.`);
+	}
+	if (newLabel === oldLabel) {
+		exitWithError(flags, `Account is already labeled "${newLabel}"`);
+	}
+
+	const source = account.source;
+	const paths = [source];
+	const activeLabelUpdated = getCodexActiveLabelInfo().activeLabel === oldLabel;
+	let codexQuotaLabelUpdated = false;
+	try {
+		if (!renameStoredAccount(source, oldLabel, newLabel)) {
+			exitWithError(flags, `Account "${oldLabel}" not found in ${shortenPath(source)}`);
+		}
+		// activeLabel lives in the first existing store, which may not be the one holding the account
+		const activeInfo = getCodexActiveLabelInfo();
+		if (activeInfo.activeLabel === oldLabel) {
+			setCodexActiveLabel(newLabel);
+			paths.push(activeInfo.path);
+		}
+		const marker = renameCodexQuotaLabel(oldLabel, newLabel);
+		codexQuotaLabelUpdated = marker.updated;
+		if (marker.updated) paths.push(marker.path);
+	} catch (err) {
+		exitWithError(flags, `Error renaming account: ${err?.message ?? String(err)}`);
+	}
+	const migration = migrateRenamedLabel("codex", oldLabel, newLabel, getClaudeLabels());
+	paths.push(...migration.paths);
+	recordAuditEvent({ event: "rename", provider: "codex", label: newLabel, previousLabel: oldLabel, paths, token: account.refresh });
+	invalidateUsageCache("codex", oldLabel);
+
+	if (flags.json) {
+		console.log(JSON.stringify({
+			success: true,
+			label: newLabel,
+			previousLabel: oldLabel,
+			source: shortenPath(source),
+			activeLabelUpdated,
+			codexQuotaLabelUpdated,
+			configKeysUpdated: migration.configKeysUpdated,
+			historyRecordsUpdated: migration.historyRecordsUpdated,
+			warnings: migration.warnings,
+		}, null, 2));
+		return;
+	}
+	const lines = [
+		colorize(`Renamed account ${oldLabel} to ${newLabel}`, GREEN),
+		"",
+		...[...new Set(paths)].map(path => `Updated: ${shortenPath(path)}`),
+	];
+	console.log(drawBox(lines).join("\n"));
+	for (const warning of migration.warnings) {
+		console.error(colorize(`Warning: ${warning}`, YELLOW));
+	}
+}
+
+/**
+ * Handle tag subcommand - show or change a Codex account's tags, note, and display name
+ * @param {string[]} args - Non-flag arguments (label, then "+tag" / "-tag" edits)
+ * @param {{ json: boolean, note?: string | null, displayName?: string | null }} flags - Parsed flags
+ */
+export async function handleCodexTag(args, flags) {
+	const label = args[0] ?? await pickCodexLabel(flags, "Tag which account?");
+	if (!label) {
+		exitWithError(flags, `Usage: ${PRIMARY_CMD} codex tag <label> [+tag] [-tag] [--note <text>] [--display-name <name>]`);
+	}
+	const account = findAccountByLabel(label);
+	if (!account) {
+		exitWithError(flags, `Account "${label}" not found`);
+	}
+	tagStoredAccount(args.slice(1), flags, {
+		namespace: "codex",
+		label,
+		account,
+		envVar: "CODEX_ACCOUNTS",
+		multiAccountPaths: MULTI_ACCOUNT_PATHS,
+	});
+}
+
+/**
+ * Handle Claude remove subcommand - remove a Claude account from storage
+ * @param {string[]} args - Non-flag arguments (label is required)
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+export async function handleClaudeRemove(args, flags) {
+	const label = args[0] ?? await pickClaudeLabel(flags, "Remove which Claude account?");
+	if (!label) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: "Missing required label argument" }, null, 2));
+		} else {
+			console.error(colorize(`Usage: ${PRIMARY_CMD} claude remove <label>`, RED));
+			console.error("Removes a Claude credential from the multi-account file.");
+		}
+		process.exit(1);
+	}
+
+	const account = findClaudeAccountByLabel(label);
+	if (!account) {
+		const availableLabels = getClaudeLabels();
+		if (flags.json) {
+			console.log(JSON.stringify({
+				success: false,
 				error: `Claude account "${label}" not found`,
 				availableLabels,
 			}, null, 2));
@@ -1227,6 +2041,7 @@ export async function handleClaudeRemove(args, flags) {
 	try {
 		const fileDeleted = updatedAccounts.length === 0;
 		if (fileDeleted) {
+			backupFile(source);
 			unlinkSync(source);
 		} else {
 			writeMultiAccountContainer(source, container, updatedAccounts, {}, { mode: 0o600 });
@@ -1240,6 +2055,14 @@ export async function handleClaudeRemove(args, flags) {
 				activeLabelClearError = err?.message ?? String(err);
 			}
 		}
+		recordAuditEvent({
+			event: "remove",
+			provider: "claude",
+			label,
+			paths: [source],
+			token: account.oauthRefreshToken ?? account.oauthToken ?? account.sessionKey,
+		});
+		invalidateUsageCache("claude", label);
 
 		if (flags.json) {
 			const output = {
@@ -1291,13 +2114,201 @@ export async function handleClaudeRemove(args, flags) {
 	}
 }
 
+/**
+ * Handle Claude rename subcommand - change a Claude account's label
+ * @param {string[]} args - Non-flag arguments (old and new label)
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+export async function handleClaudeRename(args, flags) {
+	const { oldLabel, newLabel } = parseRenameArgs(args, flags, { namespace: "claude", existingLabels: getClaudeLabels() });
+	const account = findClaudeAccountByLabel(oldLabel);
+	if (!account) {
+		exitWithError(flags, `Claude account "${oldLabel}" not found`);
+	}
+	if (account.source === "env") {
+		exitWithError(flags, "Cannot rename account from CLAUDE_ACCOUNTS env var. Modify the env var directly.");
+	}
+	if (!CLAUDE_MULTI_ACCOUNT_PATHS.includes(account.source)) {
+		exitWithError(flags, `Cannot rename Claude account in ${shortenPath(account.source)}. Rename it in the owning tool instead.`);
+	}
+	if (newLabel === oldLabel) {
+		exitWithError(flags, `Claude account is already labeled "${newLabel}"`);
+	}
+
+	const source = account.source;
+	const paths = [source];
+	const activeLabelUpdated = getClaudeActiveLabelInfo().activeLabel === oldLabel;
+	try {
+		if (!renameStoredAccount(source, oldLabel, newLabel)) {
+			exitWithError(flags, `Claude account "${oldLabel}" not found in ${shortenPath(source)}`);
+		}
+		// activeLabel lives in the first existing store, which may not be the one holding the account
+		const activeInfo = getClaudeActiveLabelInfo();
+		if (activeInfo.activeLabel === oldLabel) {
+			setClaudeActiveLabel(newLabel);
+			paths.push(activeInfo.path);
+		}
+	} catch (err) {
+		exitWithError(flags, `Error renaming Claude account: ${err?.message ?? String(err)}`);
+	}
+	const migration = migrateRenamedLabel("claude", oldLabel, newLabel, getAllLabels());
+	paths.push(...migration.paths);
+	recordAuditEvent({
+		event: "rename",
+		provider: "claude",
+		label: newLabel,
+		previousLabel: oldLabel,
+		paths,
+		token: account.oauthRefreshToken ?? account.oauthToken ?? account.sessionKey,
+	});
+	invalidateUsageCache("claude", oldLabel);
+
+	if (flags.json) {
+		console.log(JSON.stringify({
+			success: true,
+			label: newLabel,
+			previousLabel: oldLabel,
+			source: shortenPath(source),
+			activeLabelUpdated,
+			configKeysUpdated: migration.configKeysUpdated,
+			historyRecordsUpdated: migration.historyRecordsUpdated,
+			warnings: migration.warnings,
+		}, null, 2));
+		return;
+	}
+	const lines = [
+		colorize(`Renamed Claude account ${oldLabel} to ${newLabel}`, GREEN),
+		"",
+		...[...new Set(paths)].map(path => `Updated: ${shortenPath(path)}`),
+	];
+	console.log(drawBox(lines).join("\n"));
+	for (const warning of migration.warnings) {
+		console.error(colorize(`Warning: ${warning}`, YELLOW));
+	}
+}
+
+/**
+ * Handle Claude tag subcommand - show or change a Claude account's tags, note, and display name
+ * @param {string[]} args - Non-flag arguments (label, then "+tag" / "-tag" edits)
+ * @param {{ json: boolean, note?: string | null, displayName?: string | null }} flags - Parsed flags
+ */
+export async function handleClaudeTag(args, flags) {
+	const label = args[0] ?? await pickClaudeLabel(flags, "Tag which Claude account?");
+	if (!label) {
+		exitWithError(flags, `Usage: ${PRIMARY_CMD} claude tag <label> [+tag] [-tag] [--note <text>] [--display-name <name>]`);
+	}
+	const account = findClaudeAccountByLabel(label);
+	if (!account) {
+		exitWithError(flags, `Claude account "${label}" not found`);
+	}
+	tagStoredAccount(args.slice(1), flags, {
+		namespace: "claude",
+		label,
+		account,
+		envVar: "CLAUDE_ACCOUNTS",
+		multiAccountPaths: CLAUDE_MULTI_ACCOUNT_PATHS,
+	});
+}
+
+/**
+ * Write a Claude account's OAuth credentials to every harness and record it as active.
+ * Stops before touching OpenCode/pi when Claude Code credentials cannot be written.
+ * @param {object} account - Claude account with an oauthToken
+ * @param {string} label - Account label to record as active
+ * @returns {{ error?: string, activeLabelPath?: string | null, activeLabelError?: string | null, credentialsUpdate?: object, opencodeUpdate?: object, piUpdate?: object, customUpdates?: object[] }}
+ */
+function applyClaudeSwitch(account, label) {
+	let activeLabelPath = null;
+	let activeLabelError = null;
+	if (CLAUDE_MULTI_ACCOUNT_PATHS.includes(account.source)) {
+		try {
+			const activeUpdate = setClaudeActiveLabel(label);
+			activeLabelPath = activeUpdate.path;
+		} catch (err) {
+			activeLabelError = err?.message ?? String(err);
+		}
+	}
+
+	const credentialsUpdate = updateClaudeCredentials(account);
+	if (credentialsUpdate.error) {
+		return { error: credentialsUpdate.error };
+	}
+	invalidateUsageCache("claude", label);
+
+	const harnessUpdates = updateClaudeHarnessTargets(account);
+	recordAuditEvent({
+		event: "switch",
+		provider: "claude",
+		label,
+		paths: [activeLabelPath, credentialsUpdate.path, ...getUpdatedPaths(harnessUpdates)].filter(Boolean),
+		token: account.oauthRefreshToken ?? account.oauthToken,
+	});
+	return { activeLabelPath, activeLabelError, credentialsUpdate, ...splitHarnessUpdates(harnessUpdates) };
+}
+
+/**
+ * Build the JSON fields describing a completed Claude switch.
+ * @param {string} label
+ * @param {ReturnType<typeof applyClaudeSwitch>} switchResult
+ * @returns {object}
+ */
+function buildClaudeSwitchJson(label, switchResult) {
+	const output = {
+		label,
+		claudeCredentialsPath: switchResult.credentialsUpdate.path,
+	};
+	if (switchResult.activeLabelPath) {
+		output.activeLabelPath = switchResult.activeLabelPath;
+	}
+	if (switchResult.activeLabelError) {
+		output.activeLabelError = switchResult.activeLabelError;
+	}
+	if (switchResult.opencodeUpdate.updated) {
+		output.opencodeAuthPath = switchResult.opencodeUpdate.path;
+	} else if (switchResult.opencodeUpdate.error) {
+		output.opencodeAuthError = switchResult.opencodeUpdate.error;
+	}
+	if (switchResult.piUpdate.updated) {
+		output.piAuthPath = switchResult.piUpdate.path;
+	} else if (switchResult.piUpdate.error) {
+		output.piAuthError = switchResult.piUpdate.error;
+	}
+	addCustomTargetJson(output, switchResult.customUpdates);
+	return output;
+}
+
+/**
+ * Build the confirmation box lines for a completed Claude switch.
+ * @param {string} label
+ * @param {ReturnType<typeof applyClaudeSwitch>} switchResult
+ * @returns {string[]}
+ */
+function buildClaudeSwitchLines(label, switchResult) {
+	const lines = [
+		colorize(`Switched Claude credentials to ${label}`, GREEN),
+		"",
+		`Claude Code: ${shortenPath(switchResult.credentialsUpdate.path)}`,
+	];
+	if (switchResult.activeLabelPath) {
+		lines.push(`Active label: ${shortenPath(switchResult.activeLabelPath)}`);
+	}
+	if (switchResult.opencodeUpdate.updated) {
+		lines.push(`OpenCode: ${shortenPath(switchResult.opencodeUpdate.path)}`);
+	}
+	if (switchResult.piUpdate.updated) {
+		lines.push(`pi: ${shortenPath(switchResult.piUpdate.path)}`);
+	}
+	addCustomTargetLines(lines, switchResult.customUpdates);
+	return lines;
+}
+
 /**
  * Handle Claude switch subcommand - switch Claude Code/OpenCode/pi credentials
  * @param {string[]} args - Non-flag arguments (label is required)
  * @param {{ json: boolean }} flags - Parsed flags
  */
 export async function handleClaudeSwitch(args, flags) {
-	const label = args[0];
+	const label = args[0] ?? await pickClaudeLabel(flags, "Switch to which Claude account?", { autoSelect: true });
 	if (!label) {
 		if (flags.json) {
 			console.log(JSON.stringify({ success: false, error: "Missing required label argument" }, null, 2));
@@ -1338,80 +2349,111 @@ export async function handleClaudeSwitch(args, flags) {
 		process.exit(1);
 	}
 
-	let activeLabelPath = null;
-	let activeLabelError = null;
-	if (CLAUDE_MULTI_ACCOUNT_PATHS.includes(account.source)) {
-		try {
-			const activeUpdate = setClaudeActiveLabel(label);
-			activeLabelPath = activeUpdate.path;
-		} catch (err) {
-			activeLabelError = err?.message ?? String(err);
+	const switchResult = applyClaudeSwitch(account, label);
+	if (switchResult.error) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: switchResult.error }, null, 2));
+		} else {
+			console.error(colorize(`Error: ${switchResult.error}`, RED));
 		}
+		process.exit(1);
 	}
 
-	const credentialsUpdate = updateClaudeCredentials(account);
-	if (credentialsUpdate.error) {
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, ...buildClaudeSwitchJson(label, switchResult) }, null, 2));
+		return;
+	}
+
+	printSwitchWarnings(switchResult);
+	if (switchResult.activeLabelError) {
+		console.error(colorize(`Warning: Failed to update activeLabel: ${switchResult.activeLabelError}`, YELLOW));
+	}
+	console.log(drawBox(buildClaudeSwitchLines(label, switchResult)).join("\n"));
+}
+
+/**
+ * Handle Claude pick subcommand - switch to the Claude account with the most quota left
+ * Only stored OAuth accounts are candidates, since switch needs a stored credential.
+ * @param {string[]} args - Non-flag arguments (unused)
+ * @param {{ json: boolean, dryRun?: boolean, strategy?: string | null }} flags - Parsed flags
+ */
+export async function handleClaudePick(args, flags) {
+	const strategy = resolvePickStrategy(flags);
+	const switchable = new Set(
+		loadClaudeAccounts()
+			.filter(account => account.oauthToken)
+			.map(account => account.label)
+	);
+	const oauthAccounts = loadAllClaudeOAuthAccounts({ local: true })
+		.filter(account => switchable.has(account.label));
+
+	if (!oauthAccounts.length) {
+		const message = "No Claude OAuth accounts found";
 		if (flags.json) {
-			console.log(JSON.stringify({ success: false, error: credentialsUpdate.error }, null, 2));
+			console.log(JSON.stringify({ success: false, error: message }, null, 2));
 		} else {
-			console.error(colorize(`Error: ${credentialsUpdate.error}`, RED));
+			console.error(colorize(`${message}.`, RED));
+			console.error(`Run '${PRIMARY_CMD} claude add --oauth' to add an account.`);
 		}
 		process.exit(1);
 	}
 
-	const opencodeUpdate = updateOpencodeClaudeAuth(account);
-	if (opencodeUpdate.error && !flags.json) {
-		console.error(colorize(`Warning: ${opencodeUpdate.error}`, YELLOW));
-	}
-	const piUpdate = updatePiClaudeAuth(account);
-	if (piUpdate.error && !flags.json) {
-		console.error(colorize(`Warning: ${piUpdate.error}`, YELLOW));
+	const results = await fetchClaudeOAuthUsageResults(oauthAccounts);
+	const ranked = rankCandidates(results.map(result => ({
+		label: result.label,
+		windows: getClaudeWindows(result),
+		error: result.success ? null : result.error ?? "Usage unavailable",
+	})), strategy);
+	const winner = ranked[0]?.eligible ? ranked[0] : null;
+	if (!winner) {
+		exitNoPickCandidate(flags, strategy, ranked);
 	}
 
-	if (flags.json) {
-		const output = {
-			success: true,
-			label,
-			claudeCredentialsPath: credentialsUpdate.path,
-		};
-		if (activeLabelPath) {
-			output.activeLabelPath = activeLabelPath;
-		}
-		if (activeLabelError) {
-			output.activeLabelError = activeLabelError;
-		}
-		if (opencodeUpdate.updated) {
-			output.opencodeAuthPath = opencodeUpdate.path;
-		} else if (opencodeUpdate.error) {
-			output.opencodeAuthError = opencodeUpdate.error;
-		}
-		if (piUpdate.updated) {
-			output.piAuthPath = piUpdate.path;
-		} else if (piUpdate.error) {
-			output.piAuthError = piUpdate.error;
+	const output = {
+		success: true,
+		strategy,
+		dryRun: Boolean(flags.dryRun),
+		selected: winner.label,
+		previousLabel: getClaudeActiveLabelInfo().activeLabel,
+		candidates: serializePickCandidates(ranked),
+	};
+
+	if (flags.dryRun) {
+		if (flags.json) {
+			console.log(JSON.stringify(output, null, 2));
+		} else {
+			console.log(drawBox(buildPickLines(ranked, strategy, winner.label)).join("\n"));
+			console.log(`Would switch to ${winner.label} (dry run, no files written)`);
 		}
-		console.log(JSON.stringify(output, null, 2));
 		return;
 	}
 
-	if (activeLabelError) {
-		console.error(colorize(`Warning: Failed to update activeLabel: ${activeLabelError}`, YELLOW));
-	}
-	const lines = [
-		colorize(`Switched Claude credentials to ${label}`, GREEN),
-		"",
-		`Claude Code: ${shortenPath(credentialsUpdate.path)}`,
-	];
-	if (activeLabelPath) {
-		lines.push(`Active label: ${shortenPath(activeLabelPath)}`);
+	// Re-read after fetching so tokens refreshed during the usage fetch are used
+	const account = findClaudeAccountByLabel(winner.label);
+	const switchResult = account
+		? applyClaudeSwitch(account, winner.label)
+		: { error: `Claude account "${winner.label}" not found` };
+	if (switchResult.error) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: switchResult.error }, null, 2));
+		} else {
+			console.error(colorize(`Error: ${switchResult.error}`, RED));
+		}
+		process.exit(1);
 	}
-	if (opencodeUpdate.updated) {
-		lines.push(`OpenCode: ${shortenPath(opencodeUpdate.path)}`);
+
+	if (flags.json) {
+		output.switch = buildClaudeSwitchJson(winner.label, switchResult);
+		console.log(JSON.stringify(output, null, 2));
+		return;
 	}
-	if (piUpdate.updated) {
-		lines.push(`pi: ${shortenPath(piUpdate.path)}`);
+
+	console.log(drawBox(buildPickLines(ranked, strategy, winner.label)).join("\n"));
+	printSwitchWarnings(switchResult);
+	if (switchResult.activeLabelError) {
+		console.error(colorize(`Warning: Failed to update activeLabel: ${switchResult.activeLabelError}`, YELLOW));
 	}
-	console.log(drawBox(lines).join("\n"));
+	console.log(drawBox(buildClaudeSwitchLines(winner.label, switchResult)).join("\n"));
 }
 
 /**
@@ -1518,6 +2560,13 @@ export async function handleClaudeAdd(args, flags) {
 		const { path: targetPath, container } = readClaudeActiveStoreContainer();
 		const accounts = [...container.accounts, newAccount];
 		writeMultiAccountContainer(targetPath, container, accounts, {}, { mode: 0o600 });
+		recordAuditEvent({
+			event: "add",
+			provider: "claude",
+			label,
+			paths: [targetPath],
+			token: newAccount.oauthRefreshToken ?? newAccount.oauthToken ?? newAccount.sessionKey,
+		});
 
 		if (flags.json) {
 			console.log(JSON.stringify({
@@ -1558,7 +2607,7 @@ export async function handleClaudeAdd(args, flags) {
  * @param {{ json: boolean, noBrowser: boolean }} flags - Parsed flags
  */
 export async function handleClaudeReauth(args, flags) {
-	const label = args[0];
+	const label = args[0] ?? await pickClaudeLabel(flags, "Re-authenticate which Claude account?");
 	if (!label) {
 		if (flags.json) {
 			console.log(JSON.stringify({ success: false, error: "Missing required label argument" }, null, 2));
@@ -1644,6 +2693,7 @@ export async function handleClaudeReauth(args, flags) {
 		});
 
 		writeMultiAccountContainer(source, container, updatedAccounts, {}, { mode: 0o600 });
+		const auditPaths = [source];
 
 		// 5. Update CLI auth files if this account is active
 		const activeInfo = getClaudeActiveLabelInfo();
@@ -1656,10 +2706,14 @@ export async function handleClaudeReauth(args, flags) {
 				oauthScopes: tokens.scopes,
 			};
 
-			updateClaudeCredentials(updatedAccount);
-			updateOpencodeClaudeAuth(updatedAccount);
-			updatePiClaudeAuth(updatedAccount);
+			const credentialsUpdate = updateClaudeCredentials(updatedAccount);
+			if (credentialsUpdate.updated) auditPaths.push(credentialsUpdate.path);
+			auditPaths.push(...getUpdatedPaths(updateClaudeHarnessTargets(updatedAccount)));
 		}
+		recordAuditEvent({ event: "reauth", provider: "claude", label, paths: auditPaths, token: tokens.refreshToken ?? tokens.accessToken });
+
+		// Cached usage belongs to the old tokens
+		invalidateUsageCache("claude", label);
 
 		// 6. Print success message
 		if (flags.json) {
@@ -1721,6 +2775,9 @@ export async function handleCodex(args, flags) {
 		case "switch":
 			await handleSwitch(subArgs, flags);
 			break;
+		case "pick":
+			await handlePick(subArgs, flags);
+			break;
 		case "sync":
 			await handleCodexSync(subArgs, flags);
 			break;
@@ -1730,6 +2787,12 @@ export async function handleCodex(args, flags) {
 		case "remove":
 			await handleRemove(subArgs, flags);
 			break;
+		case "rename":
+			await handleCodexRename(subArgs, flags);
+			break;
+		case "tag":
+			await handleCodexTag(subArgs, flags);
+			break;
 		case "help":
 			printHelpCodex();
 			break;
@@ -1769,12 +2832,21 @@ export async function handleClaude(args, flags) {
 		case "switch":
 			await handleClaudeSwitch(subArgs, flags);
 			break;
+		case "pick":
+			await handleClaudePick(subArgs, flags);
+			break;
 		case "sync":
 			await handleClaudeSync(subArgs, flags);
 			break;
 		case "remove":
 			await handleClaudeRemove(subArgs, flags);
 			break;
+		case "rename":
+			await handleClaudeRename(subArgs, flags);
+			break;
+		case "tag":
+			await handleClaudeTag(subArgs, flags);
+			break;
 		case "help":
 			printHelpClaude();
 			break;
@@ -1784,16 +2856,127 @@ export async function handleClaude(args, flags) {
 	}
 }
 
+const PROVIDER_LIST_COLUMNS = [
+	["Label", "label"],
+	["Email", "email"],
+	["Plan", "plan"],
+	["Source", "source"],
+];
+
+function toProviderAccountRow(provider, account) {
+	return {
+		provider: provider.name,
+		label: account.label,
+		email: account.email ?? null,
+		plan: account.plan ?? null,
+		source: account.source ?? null,
+	};
+}
+
 /**
- * Handle quota subcommand (default behavior)
- * By default, shows both Codex and Claude accounts
- * @param {string[]} args - Non-flag arguments (e.g., label filter)
- * @param {{ json: boolean, local?: boolean }} flags - Parsed flags
- * @param {"all" | "codex" | "claude"} scope - Which accounts to show
+ * Handle a provider namespace that has no command handler of its own (quota and list).
+ * @param {import("./providers.js").Provider} provider
+ * @param {string[]} args - Namespace args (subcommand first)
+ * @param {{ json: boolean, local?: boolean, format?: string | null, template?: string | null }} flags - Parsed flags
  */
-export async function handleQuota(args, flags, scope = "all") {
-	const labelFilter = args[0];
-	const localMode = Boolean(flags.local);
+export async function handleProviderCommand(provider, args, flags) {
+	const subcommand = args[0];
+	if (!subcommand || subcommand === "help") {
+		printHelpProvider(provider);
+		return;
+	}
+	if (subcommand !== "quota" && subcommand !== "list") {
+		printHelpProvider(provider);
+		process.exit(1);
+	}
+
+	const format = flags.json ? null : resolveOutputFormat(flags) ?? "table";
+	const allAccounts = provider.loadAccounts({ local: Boolean(flags.local) });
+	const labelFilter = subcommand === "quota" ? args[1] : null;
+	const tags = parseTagFilter(flags.tag);
+	const accounts = labelFilter
+		? allAccounts.filter(account => account.label === labelFilter)
+		: filterAccountsByTags(applyLabelPreferences(allAccounts, account => account.label), tags);
+	if (!allAccounts.length) {
+		exitWithError(flags, `No ${provider.title} accounts found`);
+	}
+	if (labelFilter && !accounts.length) {
+		exitWithError(flags, `${provider.title} account "${labelFilter}" not found`);
+	}
+	if (tags.length && !accounts.length) {
+		exitWithError(flags, `No ${provider.title} accounts tagged ${tags.join(", ")}`);
+	}
+
+	if (subcommand === "list") {
+		const rows = accounts.map(account => toProviderAccountRow(provider, account));
+		if (flags.json) {
+			console.log(JSON.stringify({ success: true, accounts: rows }, null, 2));
+			return;
+		}
+		printFormattedRows(format, PROVIDER_LIST_COLUMNS, rows, flags);
+		return;
+	}
+
+	const results = await fetchProviderUsageResults(provider, accounts, allAccounts);
+	const rows = results.map(result => toProviderQuotaRow(provider, result));
+	if (flags.json) {
+		console.log(JSON.stringify({ success: rows.some(row => !row.error), accounts: rows }, null, 2));
+		return;
+	}
+	printFormattedRows(format, QUOTA_COLUMNS, rows, flags);
+}
+
+function toProviderQuotaRow(provider, { account, usage, error, cache }) {
+	return {
+		...toProviderAccountRow(provider, account),
+		windows: toQuotaRowWindows(error ? {} : provider.getWindows(usage)),
+		...describeQuotaRowStatus(error, cache),
+	};
+}
+
+// Weekly windows need about a week of samples to cover the current period
+const PROJECTION_HISTORY_MS = 8 * 24 * 60 * 60 * 1000;
+
+// Collected by collectQuota's own code paths (divergence checks, legacy Claude credentials)
+const DEDICATED_QUOTA_PROVIDERS = ["codex", "claude"];
+
+/**
+ * Fetch usage for every other registered provider through its interface
+ * (loadAccounts, refreshToken, fetchUsage), so it shows up in quota, alert, and serve.
+ * @param {{ local?: boolean }} flags - Parsed flags
+ * @param {{ labelFilter?: string | null, tags: string[] }} filters
+ * @returns {Promise<Array<{ provider: import("./providers.js").Provider, results: Awaited<ReturnType<typeof fetchProviderUsageResults>> }>>}
+ */
+async function collectProviderQuota(flags, filters) {
+	const collected = getProviders()
+		.filter(provider => !DEDICATED_QUOTA_PROVIDERS.includes(provider.name))
+		.map(provider => {
+			const allAccounts = provider.loadAccounts({ local: Boolean(flags.local) });
+			const accounts = filters.labelFilter
+				? allAccounts.filter(account => account.label === filters.labelFilter)
+				: filterAccountsByTags(applyLabelPreferences(allAccounts, account => account.label), filters.tags);
+			return { provider, accounts, allAccounts };
+		})
+		.filter(entry => entry.accounts.length);
+	return Promise.all(collected.map(async ({ provider, accounts, allAccounts }) => ({
+		provider,
+		results: await fetchProviderUsageResults(provider, accounts, allAccounts),
+	})));
+}
+
+/**
+ * Load accounts for the quota command and fetch their usage.
+ * Exits with an error when a requested label does not exist.
+ * @param {string[]} args - Non-flag arguments (e.g., label filter)
+ * @param {{ json: boolean, local?: boolean }} flags - Parsed flags
+ * @param {"all" | "codex" | "claude"} scope - Which accounts to fetch; "all" includes every registered provider
+ * @returns {Promise<{ scope: string, showCodex: boolean, showClaude: boolean, codexDivergence: object | null, claudeDivergence: object | null, results: Array<{ account: object, usage: object }>, claudeResults: Array<object> | null, providerResults: Awaited<ReturnType<typeof collectProviderQuota>>, projections: Record<string, Record<string, object>> }>}
+ */
+async function collectQuota(args, flags, scope) {
+	const labelFilter = args[0];
+	// A label wins over --tag
+	const tags = labelFilter ? [] : parseTagFilter(flags.tag);
+	const localMode = Boolean(flags.local);
 	
 	// Determine which account types to show:
 	// - scope "all": show both (default)
@@ -1837,7 +3020,7 @@ export async function handleQuota(args, flags, scope = "all") {
 	if (hasOpenAiAccounts && showCodex) {
 		accounts = labelFilter 
 			? allAccounts.filter(a => a.label === labelFilter)
-			: allAccounts;
+			: filterAccountsByTags(applyLabelPreferences(allAccounts, a => a.label), tags);
 	}
 
 	if (labelFilter && showCodex && !accounts.length && hasOpenAiAccounts) {
@@ -1853,20 +3036,12 @@ export async function handleQuota(args, flags, scope = "all") {
 		}
 		process.exit(1);
 	}
-
-	const results = [];
-
-	for (const account of accounts) {
-		const tokenOk = await ensureFreshToken(account, allAccounts);
-		if (!tokenOk) {
-			results.push({ account, usage: { error: "Token refresh failed - re-auth required" } });
-			continue;
-		}
-		const usage = await fetchUsage(account);
-		results.push({ account, usage });
+	if (tags.length && !showClaude && !accounts.length) {
+		exitWithError(flags, `No Codex accounts tagged ${tags.join(", ")}`);
 	}
 
-	let claudeResults = null;
+	// Claude accounts are resolved first so both providers can fetch together in the shared pool
+	let fetchClaudeResults = async () => null;
 	if (showClaude) {
 		if (!localMode) {
 			const importResult = await maybeImportClaudeOauthStores({ json: flags.json });
@@ -1880,24 +3055,22 @@ export async function handleQuota(args, flags, scope = "all") {
 		const oauthAccounts = loadAllClaudeOAuthAccounts({ local: localMode });
 		const filteredOauthAccounts = wantsClaudeLabel
 			? oauthAccounts.filter(account => account.label === labelFilter)
-			: oauthAccounts;
+			: filterAccountsByTags(applyLabelPreferences(oauthAccounts, account => account.label), tags);
 
 		if (filteredOauthAccounts.length) {
-			const rawResults = await Promise.all(
-				filteredOauthAccounts.map(account => fetchClaudeOAuthUsageForAccount(account))
+			fetchClaudeResults = async () => deduplicateClaudeResultsByUsage(
+				await fetchClaudeOAuthUsageResults(filteredOauthAccounts),
 			);
-			claudeResults = deduplicateClaudeResultsByUsage(rawResults);
 		} else {
 			const claudeAccounts = loadClaudeAccounts();
 			const filteredClaudeAccounts = wantsClaudeLabel
 				? claudeAccounts.filter(account => account.label === labelFilter)
-				: claudeAccounts;
+				: filterAccountsByTags(applyLabelPreferences(claudeAccounts, account => account.label), tags);
 
 			if (filteredClaudeAccounts.length) {
-				const rawResults = await Promise.all(
-					filteredClaudeAccounts.map(account => fetchClaudeUsageForCredentials(account))
+				fetchClaudeResults = async () => deduplicateClaudeResultsByUsage(
+					await fetchClaudeCredentialUsageResults(filteredClaudeAccounts),
 				);
-				claudeResults = deduplicateClaudeResultsByUsage(rawResults);
 			} else if (wantsClaudeLabel) {
 				const availableLabels = new Set([
 					...oauthAccounts.map(account => account.label),
@@ -1917,114 +3090,199 @@ export async function handleQuota(args, flags, scope = "all") {
 					}
 				}
 				process.exit(1);
-			} else {
-				const legacyResult = await fetchClaudeUsage();
-				if (legacyResult.success || legacyResult.usage) {
-					claudeResults = [legacyResult];
+			} else if (tags.length) {
+				// Untagged Claude Code credentials are not part of a tag filter
+				if (!accounts.length) {
+					exitWithError(flags, `No accounts tagged ${tags.join(", ")}`);
 				}
+			} else {
+				fetchClaudeResults = async () => {
+					const legacyResult = await fetchClaudeUsage();
+					return legacyResult.success || legacyResult.usage ? [legacyResult] : null;
+				};
 			}
 		}
 	}
 
-	// Check if we have anything to show
-	const hasCodexResults = results.length > 0;
-	const hasClaudeResults = claudeResults && claudeResults.length > 0;
-	
-	if (!hasCodexResults && !hasClaudeResults) {
-		if (flags.json) {
-			console.log(JSON.stringify({ 
-				success: false, 
-				error: "No accounts found",
-			}, null, 2));
-		} else {
-			console.error(colorize("No accounts found.", RED));
-			const codexMessage = `Run '${PRIMARY_CMD} codex add' to add a Codex account.`;
-			const claudeMessage = `Run '${PRIMARY_CMD} claude add' to add a Claude account.`;
-			if (scope === "codex") {
-				console.error(`\n${codexMessage}`);
-			} else if (scope === "claude") {
-				console.error(`\n${claudeMessage}`);
-			} else {
-				console.error(`\n${codexMessage}`);
-				console.error(claudeMessage);
-			}
-		}
-		process.exit(1);
+	const [results, claudeResults, providerResults] = await Promise.all([
+		fetchCodexUsageResults(accounts, allAccounts),
+		fetchClaudeResults(),
+		scope === "all" ? collectProviderQuota(flags, { labelFilter, tags }) : [],
+	]);
+
+	// Persist one sample per label/window for the history command
+	const historyUpdate = appendHistory(buildHistoryRecords({ results, claudeResults, providerResults }));
+	if (historyUpdate.error && !flags.json) {
+		console.error(colorize(`Warning: ${historyUpdate.error}`, YELLOW));
 	}
+	// Project exhaustion from consumption between this and earlier samples
+	const projectionCutoff = Date.now() - PROJECTION_HISTORY_MS;
+	const projections = buildProjections(
+		readHistoryRecords(historyUpdate.path).filter(record => Date.parse(record.ts) >= projectionCutoff)
+	);
+
+	return { scope, showCodex, showClaude, codexDivergence, claudeDivergence, results, claudeResults, providerResults, projections };
+}
+
+/**
+ * Check whether collected quota data has anything to show.
+ * @param {Awaited<ReturnType<typeof collectQuota>>} data
+ * @returns {boolean}
+ */
+function hasQuotaResults(data) {
+	return data.results.length > 0
+		|| Boolean(data.claudeResults && data.claudeResults.length > 0)
+		|| Boolean(data.providerResults?.length);
+}
 
+/**
+ * Report that no accounts were found for the quota command and exit.
+ * @param {{ json: boolean }} flags - Parsed flags
+ * @param {"all" | "codex" | "claude"} scope
+ */
+function exitNoQuotaResults(flags, scope) {
 	if (flags.json) {
-		const openaiOutput = results.map(({ account, usage }) => {
-			const profile = extractProfile(account.access);
-			return {
-				label: account.label,
-				email: profile.email,
-				accountId: account.accountId,
-				planType: profile.planType,
-				usage,
-				source: account.source,
-			};
-		});
-		const codexDivergenceInfo = codexDivergence
-			? {
-				activeLabel: codexDivergence.activeLabel ?? null,
-				activeAccountId: codexDivergence.activeAccount?.accountId ?? null,
-				activeStorePath: codexDivergence.activeStorePath,
-				cliAccountId: codexDivergence.cliAccountId ?? null,
-				cliLabel: codexDivergence.cliLabel ?? null,
-				diverged: codexDivergence.diverged,
-				migrated: codexDivergence.migrated,
-			}
-			: null;
-		const claudeDivergenceInfo = claudeDivergence
-			? {
-				activeLabel: claudeDivergence.activeLabel ?? null,
-				activeStorePath: claudeDivergence.activeStorePath,
-				diverged: claudeDivergence.diverged,
-				skipped: claudeDivergence.skipped,
-				skipReason: claudeDivergence.skipReason,
-				stores: claudeDivergence.stores,
-			}
-			: null;
-		const openaiOutputWithDivergence = codexDivergenceInfo
-			? openaiOutput.map(item => ({ ...item, divergence: codexDivergenceInfo }))
-			: openaiOutput;
-		const claudeOutputWithDivergence = claudeDivergenceInfo
-			? (claudeResults ?? []).map(item => (
-				item && typeof item === "object"
-					? { ...item, divergence: claudeDivergenceInfo }
-					: item
-			))
-			: claudeResults ?? [];
-		// Always output both fields when showing both, or just the relevant one
-		if (showCodex && showClaude) {
-			const payload = {
-				codex: openaiOutputWithDivergence,
-				claude: claudeOutputWithDivergence,
-			};
-			payload.divergence = {
-				codex: codexDivergenceInfo,
-				claude: claudeDivergenceInfo,
-			};
-			console.log(JSON.stringify(payload, null, 2));
-		} else if (showClaude) {
-			console.log(JSON.stringify(claudeOutputWithDivergence, null, 2));
+		console.log(JSON.stringify({ 
+			success: false, 
+			error: "No accounts found",
+		}, null, 2));
+	} else {
+		console.error(colorize("No accounts found.", RED));
+		const codexMessage = `Run '${PRIMARY_CMD} codex add' to add a Codex account.`;
+		const claudeMessage = `Run '${PRIMARY_CMD} claude add' to add a Claude account.`;
+		if (scope === "codex") {
+			console.error(`\n${codexMessage}`);
+		} else if (scope === "claude") {
+			console.error(`\n${claudeMessage}`);
 		} else {
-			console.log(JSON.stringify(openaiOutputWithDivergence, null, 2));
+			console.error(`\n${codexMessage}`);
+			console.error(claudeMessage);
 		}
-		return;
 	}
+	process.exit(1);
+}
+
+/**
+ * Build the JSON output for the quota command.
+ * @param {Awaited<ReturnType<typeof collectQuota>>} data
+ * @returns {object | Array<object>}
+ */
+function buildQuotaJson(data) {
+	const { showCodex, showClaude, codexDivergence, claudeDivergence, results, projections = {} } = data;
+	const openaiOutput = results.map(({ account, usage, cache }) => {
+		const profile = extractProfile(account.access);
+		return {
+			label: account.label,
+			email: profile.email,
+			accountId: account.accountId,
+			planType: profile.planType,
+			usage,
+			projections: projections[`codex:${account.label}`] ?? {},
+			...(cache ? { cache } : {}),
+			source: account.source,
+		};
+	});
+	const claudeResults = data.claudeResults?.map(item => (
+		item && typeof item === "object" && item.label
+			? { ...item, projections: projections[`claude:${item.label}`] ?? {} }
+			: item
+	)) ?? null;
+	const codexDivergenceInfo = codexDivergence
+		? {
+			activeLabel: codexDivergence.activeLabel ?? null,
+			activeAccountId: codexDivergence.activeAccount?.accountId ?? null,
+			activeStorePath: codexDivergence.activeStorePath,
+			cliAccountId: codexDivergence.cliAccountId ?? null,
+			cliLabel: codexDivergence.cliLabel ?? null,
+			diverged: codexDivergence.diverged,
+			targets: codexDivergence.targets,
+			migrated: codexDivergence.migrated,
+		}
+		: null;
+	const claudeDivergenceInfo = claudeDivergence
+		? {
+			activeLabel: claudeDivergence.activeLabel ?? null,
+			activeStorePath: claudeDivergence.activeStorePath,
+			diverged: claudeDivergence.diverged,
+			skipped: claudeDivergence.skipped,
+			skipReason: claudeDivergence.skipReason,
+			stores: claudeDivergence.stores,
+		}
+		: null;
+	const openaiOutputWithDivergence = codexDivergenceInfo
+		? openaiOutput.map(item => ({ ...item, divergence: codexDivergenceInfo }))
+		: openaiOutput;
+	const claudeOutputWithDivergence = claudeDivergenceInfo
+		? (claudeResults ?? []).map(item => (
+			item && typeof item === "object"
+				? { ...item, divergence: claudeDivergenceInfo }
+				: item
+		))
+		: claudeResults ?? [];
+	// Always output both fields when showing both, or just the relevant one
+	if (showCodex && showClaude) {
+		const payload = {
+			codex: openaiOutputWithDivergence,
+			claude: claudeOutputWithDivergence,
+		};
+		for (const { provider, results: providerResults } of data.providerResults ?? []) {
+			payload[provider.name] = providerResults.map(result => ({
+				...toProviderQuotaRow(provider, result),
+				projections: projections[`${provider.name}:${result.account.label}`] ?? {},
+				...(result.cache ? { cache: result.cache } : {}),
+			}));
+		}
+		payload.divergence = {
+			codex: codexDivergenceInfo,
+			claude: claudeDivergenceInfo,
+		};
+		return payload;
+	}
+	if (showClaude) {
+		return claudeOutputWithDivergence;
+	}
+	return openaiOutputWithDivergence;
+}
+
+/**
+ * Build warning lines for custom Codex harness targets holding another account.
+ * @param {ReturnType<typeof detectCodexDivergence>} divergence
+ * @returns {string[]}
+ */
+function buildTargetDivergenceLines(divergence) {
+	const diverged = divergence.targets.filter(target => target.diverged);
+	if (!diverged.length) return [];
+	return [
+		colorize(`Warning: Harness targets diverged from activeLabel (${divergence.activeLabel ?? "(none)"})`, YELLOW),
+		...diverged.map(target => `  ${target.name}: ${target.accountId} (${shortenPath(target.path)})`),
+		"",
+		`Run '${PRIMARY_CMD} codex sync' to push active account to them.`,
+		"",
+	];
+}
 
+/**
+ * Build divergence warning lines shown above the quota boxes.
+ * @param {Awaited<ReturnType<typeof collectQuota>>} data
+ * @returns {string[]}
+ */
+function buildQuotaWarningLines(data) {
+	const { showCodex, showClaude, codexDivergence, claudeDivergence } = data;
+	const lines = [];
 	if (showCodex && codexDivergence?.diverged) {
 		const activeLabelDisplay = codexDivergence.activeLabel ?? "(none)";
 		const activeIdDisplay = codexDivergence.activeAccount?.accountId ?? "(unknown)";
 		const cliLabelDisplay = codexDivergence.cliLabel ?? "(unknown)";
 		const cliIdDisplay = codexDivergence.cliAccountId ?? "(unknown)";
-		console.error(colorize("Warning: CLI auth diverged from activeLabel", YELLOW));
-		console.error(`  Active: ${activeLabelDisplay} (${activeIdDisplay})`);
-		console.error(`  CLI:    ${cliLabelDisplay} (${cliIdDisplay})`);
-		console.error("");
-		console.error(`Run '${PRIMARY_CMD} codex sync' to push active account to CLI.`);
-		console.error("");
+		lines.push(colorize("Warning: CLI auth diverged from activeLabel", YELLOW));
+		lines.push(`  Active: ${activeLabelDisplay} (${activeIdDisplay})`);
+		lines.push(`  CLI:    ${cliLabelDisplay} (${cliIdDisplay})`);
+		lines.push("");
+		lines.push(`Run '${PRIMARY_CMD} codex sync' to push active account to CLI.`);
+		lines.push("");
+	}
+	if (showCodex && codexDivergence) {
+		lines.push(...buildTargetDivergenceLines(codexDivergence));
 	}
 
 	if (showClaude && claudeDivergence?.diverged) {
@@ -2033,28 +3291,1809 @@ export async function handleQuota(args, flags, scope = "all") {
 			.filter(store => store.considered && store.matches === false)
 			.map(store => store.name);
 		const storeDisplay = divergedStores.length ? divergedStores.join(", ") : "one or more stores";
-		console.error(colorize(`Warning: Claude auth diverged from activeLabel (${activeLabelDisplay})`, YELLOW));
-		console.error(`  Diverged stores: ${storeDisplay}`);
-		console.error("");
-		console.error(`Run '${PRIMARY_CMD} claude sync' to push active account to CLI.`);
-		console.error("");
+		lines.push(colorize(`Warning: Claude auth diverged from activeLabel (${activeLabelDisplay})`, YELLOW));
+		lines.push(`  Diverged stores: ${storeDisplay}`);
+		lines.push("");
+		lines.push(`Run '${PRIMARY_CMD} claude sync' to push active account to CLI.`);
+		lines.push("");
 	} else if (showClaude && claudeDivergence?.skipped && claudeDivergence.skipReason === "active-account-not-oauth" && claudeDivergence.activeLabel) {
-		console.error("Note: Active Claude account has no OAuth tokens; skipping divergence check.");
-		console.error("");
+		lines.push("Note: Active Claude account has no OAuth tokens; skipping divergence check.");
+		lines.push("");
 	}
 
-	for (const { account, usage } of results) {
-		const lines = buildAccountUsageLines(account, usage);
-		const boxLines = drawBox(lines);
+	return lines;
+}
+
+/**
+ * Round remaining percents and format reset times for quota rows.
+ * @param {Record<string, { remaining: number, resetsAt: number | null }>} windows
+ * @returns {Record<string, { remaining: number, resetsAt: string | null }>}
+ */
+function toQuotaRowWindows(windows) {
+	return Object.fromEntries(Object.entries(windows).map(([key, value]) => [key, {
+		remaining: Math.round(value.remaining),
+		resetsAt: value.resetsAt ? new Date(value.resetsAt).toISOString().replace(/\.\d{3}Z$/, "Z") : null,
+	}]));
+}
+
+function describeQuotaRowStatus(error, cache) {
+	return {
+		status: error ?? (cache?.stale ? `stale (${cache.error})` : "ok"),
+		error: error ?? cache?.error ?? null,
+		stale: Boolean(cache?.stale),
+		cacheAgeSeconds: cache?.ageSeconds ?? null,
+	};
+}
+
+const QUOTA_COLUMNS = [
+	["Provider", "provider"],
+	["Label", "label"],
+	["Email", "email"],
+	["Plan", "plan"],
+	["5h %", "windows.5h.remaining"],
+	["5h resets", "windows.5h.resetsAt"],
+	["Weekly %", "windows.weekly.remaining"],
+	["Weekly resets", "windows.weekly.resetsAt"],
+	["Status", "status"],
+];
+
+/**
+ * Build one row per account for --format output (also the template context).
+ * @param {Awaited<ReturnType<typeof collectQuota>>} data
+ * @returns {Array<{ provider: string, label: string, email: string | null, plan: string | null, windows: Record<string, { remaining: number, resetsAt: string | null }>, status: string, error: string | null, stale: boolean, cacheAgeSeconds: number | null, source: string | null }>}
+ */
+function buildQuotaRows(data) {
+	const now = Date.now();
+	const toRowWindows = toQuotaRowWindows;
+	const describe = describeQuotaRowStatus;
+
+	const rows = data.results.map(({ account, usage, cache }) => {
+		const profile = extractProfile(account.access);
+		return {
+			provider: "codex",
+			label: account.label,
+			email: profile.email ?? null,
+			plan: profile.planType ?? null,
+			windows: toRowWindows(getCodexWindows(usage, now)),
+			...describe(usage?.error ?? null, cache),
+			source: account.source ?? null,
+		};
+	});
+	for (const result of data.claudeResults ?? []) {
+		rows.push({
+			provider: "claude",
+			label: result?.label ?? "claude",
+			email: result?.email ?? null,
+			plan: result?.subscriptionType ?? null,
+			windows: toRowWindows(getClaudeWindows(result)),
+			...describe(result?.success === false ? result.error ?? "Unknown error" : null, result?.cache),
+			source: result?.source ?? null,
+		});
+	}
+	for (const { provider, results } of data.providerResults ?? []) {
+		rows.push(...results.map(result => toProviderQuotaRow(provider, result)));
+	}
+	return rows;
+}
+
+/**
+ * Build one box per account (Codex, Claude, then other providers).
+ * @param {Awaited<ReturnType<typeof collectQuota>>} data
+ * @param {{ resetStyle?: "inline" | "countdown" }} [options] - Display options
+ * @returns {string[][]} Box lines for each account
+ */
+function buildQuotaBoxes(data, options = {}) {
+	const projections = data.projections ?? {};
+	const boxes = [];
+	const withCacheAge = (lines, cache) => {
+		const cacheLine = formatCacheAgeLine(cache);
+		return cacheLine ? [...lines, cacheLine] : lines;
+	};
+	for (const { account, usage, cache } of data.results) {
+		const accountProjections = projections[`codex:${account.label}`];
+		const lines = buildAccountUsageLines(account, usage, {
+			...options,
+			projections: accountProjections,
+			displayName: getDisplayName(account.label),
+		});
+		boxes.push(drawBox(withCacheAge(lines, cache)));
+	}
+	for (const result of data.claudeResults ?? []) {
+		const accountProjections = result?.label ? projections[`claude:${result.label}`] : undefined;
+		const lines = buildClaudeUsageLines(result, {
+			...options,
+			projections: accountProjections,
+			displayName: getDisplayName(result?.label),
+		});
+		boxes.push(drawBox(withCacheAge(lines, result?.cache)));
+	}
+	for (const { provider, results } of data.providerResults ?? []) {
+		for (const result of results) {
+			const lines = buildProviderUsageLines(provider, result, {
+				...options,
+				projections: projections[`${provider.name}:${result.account.label}`],
+				displayName: getDisplayName(result.account.label),
+			});
+			boxes.push(drawBox(withCacheAge(lines, result.cache)));
+		}
+	}
+	return boxes;
+}
+
+/**
+ * Handle quota subcommand (default behavior)
+ * By default, shows both Codex and Claude accounts
+ * @param {string[]} args - Non-flag arguments (e.g., label filter)
+ * @param {{ json: boolean, local?: boolean, watch?: boolean, interval?: string | null, format?: string | null }} flags - Parsed flags
+ * @param {"all" | "codex" | "claude"} scope - Which accounts to show
+ */
+export async function handleQuota(args, flags, scope = "all") {
+	const format = resolveOutputFormat(flags, ["statusline"]);
+	// The config format is already skipped for --watch, so this is an explicit --format or --template
+	if (flags.watch && format) {
+		exitWithError(flags, "--watch cannot be combined with --format or --template. Use --watch --json for one JSON line per refresh.");
+	}
+	if (format === "statusline") {
+		await handleStatus(args, flags, scope);
+		return;
+	}
+
+	if (flags.watch) {
+		await handleQuotaWatch(args, flags, scope);
+		return;
+	}
+
+	const data = await collectQuota(args, flags, scope);
+	if (!hasQuotaResults(data)) {
+		exitNoQuotaResults(flags, scope);
+	}
+
+	if (format) {
+		printFormattedRows(format, QUOTA_COLUMNS, buildQuotaRows(data), flags);
+		return;
+	}
+
+	if (flags.json) {
+		console.log(JSON.stringify(buildQuotaJson(data), null, 2));
+		return;
+	}
+
+	for (const line of buildQuotaWarningLines(data)) {
+		console.error(line);
+	}
+	for (const boxLines of buildQuotaBoxes(data)) {
 		console.log(boxLines.join("\n"));
 	}
+}
 
-	if (claudeResults) {
-		for (const result of claudeResults) {
-			const lines = buildClaudeUsageLines(result);
-			const boxLines = drawBox(lines);
-			console.log(boxLines.join("\n"));
+/**
+ * Keep a previous successful result in place of one that hit HTTP 429,
+ * so a rate-limited refresh does not blank out the account's box.
+ * @param {Array<object>} next - Freshly fetched results
+ * @param {Array<object> | null | undefined} previous - Results from the last refresh
+ * @param {(result: object) => string | null} getError - Error message for a result
+ * @param {(result: object) => string} getKey - Stable key for a result
+ * @returns {Array<object>}
+ */
+function keepResultsOnRateLimit(next, previous, getError, getKey) {
+	if (!previous?.length) return next;
+	return next.map(result => {
+		if (!isRateLimitError(getError(result))) return result;
+		const prior = previous.find(item => getKey(item) === getKey(result) && !getError(item));
+		return prior ?? result;
+	});
+}
+
+/**
+ * Resolve --format (and --template, which implies the template format).
+ * Without either flag, the config file's format applies unless --json or --watch was given
+ * and the command supports it.
+ * Exits with an error for unknown formats or a template format without --template.
+ * @param {{ json: boolean, watch?: boolean, format?: string | null, template?: string | null }} flags - Parsed flags
+ * @param {string[]} [extraFormats] - Command-specific formats (e.g. statusline for quota)
+ * @returns {string | null} Format name, or null for the default output
+ */
+function resolveOutputFormat(flags, extraFormats = []) {
+	const available = [...OUTPUT_FORMATS, ...extraFormats];
+	let format = flags.format ?? (flags.template ? "template" : null);
+	if (!format && !flags.json && !flags.watch) {
+		const configured = getConfigValue("format");
+		format = available.includes(configured) ? configured : null;
+	}
+	if (!format) return null;
+	let message = null;
+	if (!available.includes(format)) {
+		message = `Unknown --format "${format}". Available: ${available.join(", ")}`;
+	} else if (format === "template" && !getOutputTemplate(flags)) {
+		message = "The template format requires --template (e.g. --template '{{label}} {{windows.5h.remaining}}%').";
+	}
+	if (message) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: message }, null, 2));
+		} else {
+			console.error(colorize(message, RED));
+		}
+		process.exit(1);
+	}
+	return format;
+}
+
+/**
+ * Get the --template value, falling back to the config file.
+ * @param {{ template?: string | null }} flags - Parsed flags
+ * @returns {string | null}
+ */
+function getOutputTemplate(flags) {
+	return flags.template ?? getConfigValue("template") ?? null;
+}
+
+/**
+ * Print rows in a --format output format.
+ * @param {string} format - From resolveOutputFormat
+ * @param {Array<[string, string]>} columns - [header, path] pairs
+ * @param {Array<object>} rows
+ * @param {{ template?: string | null }} flags - Parsed flags
+ */
+function printFormattedRows(format, columns, rows, flags) {
+	const output = formatRows(format, columns, rows, { template: getOutputTemplate(flags) ?? "" });
+	if (output) {
+		console.log(output);
+	}
+}
+
+/**
+ * Make commands that refresh on their own schedule (watch, serve) fetch every time
+ * unless --max-age was given. Failed fetches still fall back to the cache.
+ * @param {{ maxAge?: string | null }} flags - Parsed flags
+ */
+function preferFreshUsage(flags) {
+	if (flags.maxAge === null || flags.maxAge === undefined) {
+		setUsageCachePolicy({ maxAgeMs: 0 });
+	}
+}
+
+/**
+ * Parse --interval for watch mode, exiting with an error when it is invalid.
+ * @param {{ json: boolean, interval?: string | null }} flags - Parsed flags
+ * @returns {number} Interval in milliseconds
+ */
+function resolveWatchInterval(flags) {
+	const intervalMs = flags.interval ? parseDuration(flags.interval) : DEFAULT_WATCH_INTERVAL_MS;
+	if (!intervalMs || intervalMs < MIN_WATCH_INTERVAL_MS) {
+		const message = `Invalid --interval "${flags.interval}". Use a duration of at least ${MIN_WATCH_INTERVAL_MS / 1000}s (e.g. 60s, 5m).`;
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: message }, null, 2));
+		} else {
+			console.error(colorize(message, RED));
 		}
+		process.exit(1);
 	}
+	return intervalMs;
+}
+
+/**
+ * Handle --watch for the quota command - refetch on an interval and redraw the boxes
+ * @param {string[]} args - Non-flag arguments (e.g., label filter)
+ * @param {{ json: boolean, local?: boolean, interval?: string | null }} flags - Parsed flags
+ * @param {"all" | "codex" | "claude"} scope - Which accounts to show
+ */
+async function handleQuotaWatch(args, flags, scope) {
+	const intervalMs = resolveWatchInterval(flags);
+	preferFreshUsage(flags);
+	let previous = null;
+	const refresh = async () => {
+		// Accounts are reloaded every cycle so tokens refreshed and persisted by
+		// ensureFreshToken/ensureFreshClaudeOAuthToken are picked up next time
+		const data = await collectQuota(args, flags, scope);
+		if (!hasQuotaResults(data)) {
+			exitNoQuotaResults(flags, scope);
+		}
+		const fetchedAt = Date.now();
+		// Rate-limited fetches may have been replaced by stale cache entries that keep the error
+		const rateLimited = data.results.some(({ usage, cache }) => isRateLimitError(usage?.error ?? cache?.error))
+			|| (data.claudeResults ?? []).some(result => isRateLimitError(result?.error ?? result?.cache?.error));
+		data.results = keepResultsOnRateLimit(
+			data.results.map(result => ({ ...result, fetchedAt })),
+			previous?.results,
+			result => result.usage?.error ?? null,
+			result => result.account.label,
+		);
+		if (data.claudeResults) {
+			data.claudeResults = keepResultsOnRateLimit(
+				data.claudeResults,
+				previous?.claudeResults,
+				result => (result?.success === false ? result.error ?? null : null),
+				result => result?.label ?? "",
+			);
+		}
+		data.rateLimited = rateLimited;
+		previous = data;
+		return data;
+	};
+
+	const render = (data, status) => {
+		if (flags.json) {
+			return [JSON.stringify({ fetchedAt: new Date(status.fetchedAt).toISOString(), quota: buildQuotaJson(data) })];
+		}
+		const now = Date.now();
+		const secondsToRefresh = Math.max(0, Math.ceil((status.nextFetchAt - now) / 1000));
+		const updated = new Date(status.fetchedAt).toLocaleTimeString("en-US", { hour12: false });
+		const lines = [`${PRIMARY_CMD} --watch · updated ${updated} · next refresh in ${secondsToRefresh}s (Ctrl+C to exit)`];
+		if (status.rateLimitStreak > 0) {
+			const backoffSeconds = Math.round((status.nextFetchAt - status.fetchedAt) / 1000);
+			lines.push(colorize(`Rate limited (HTTP 429) - backing off to ${backoffSeconds}s`, YELLOW));
+		}
+		lines.push("");
+		lines.push(...buildQuotaWarningLines(data));
+		// Codex reports resets relative to fetch time; age them so countdowns tick
+		const aged = {
+			...data,
+			results: data.results.map(result => ({
+				...result,
+				usage: ageCodexUsagePayload(result.usage, Math.floor((now - result.fetchedAt) / 1000)),
+			})),
+		};
+		for (const boxLines of buildQuotaBoxes(aged, { resetStyle: "countdown" })) {
+			lines.push(...boxLines);
+		}
+		return lines;
+	};
+
+	await runWatchLoop({
+		refresh,
+		render,
+		intervalMs,
+		live: !flags.json && Boolean(process.stdout.isTTY),
+	});
 }
 
+const DEFAULT_HISTORY_SINCE = "7d";
+const DEFAULT_LOG_SINCE = "30d";
+
+/**
+ * Handle history command - show how remaining quota evolved per window
+ * @param {string[]} args - Non-flag arguments (optional label filter)
+ * @param {{ json: boolean, since?: string | null }} flags - Parsed flags
+ */
+export async function handleHistory(args, flags) {
+	const labelFilter = args[0] ?? null;
+	const sinceValue = flags.since ?? DEFAULT_HISTORY_SINCE;
+	const sinceMs = parseDuration(sinceValue, "d");
+	if (!sinceMs) {
+		const message = `Invalid --since "${sinceValue}". Use a duration like 24h, 7d, or 4w.`;
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: message }, null, 2));
+		} else {
+			console.error(colorize(message, RED));
+		}
+		process.exit(1);
+	}
+
+	const historyPath = getHistoryPath();
+	const allRecords = readHistoryRecords(historyPath);
+	if (labelFilter && !allRecords.some(record => record.label === labelFilter)) {
+		const availableLabels = [...new Set(allRecords.map(record => record.label))];
+		if (flags.json) {
+			console.log(JSON.stringify({
+				success: false,
+				error: `No history recorded for "${labelFilter}"`,
+				availableLabels,
+			}, null, 2));
+		} else {
+			console.error(colorize(`No history recorded for "${labelFilter}".`, RED));
+			if (availableLabels.length) {
+				console.error(`Available: ${availableLabels.join(", ")}`);
+			}
+		}
+		process.exit(1);
+	}
+
+	const since = Date.now() - sinceMs;
+	const records = allRecords.filter(record => (
+		Date.parse(record.ts) >= since && (!labelFilter || record.label === labelFilter)
+	));
+	const summaries = summarizeHistory(records);
+
+	if (flags.json) {
+		console.log(JSON.stringify({
+			since: new Date(since).toISOString(),
+			historyPath,
+			series: summaries,
+		}, null, 2));
+		return;
+	}
+
+	if (!summaries.length) {
+		console.log(colorize(`No usage history in the last ${sinceValue}.`, YELLOW));
+		console.log(`Samples are recorded each time '${PRIMARY_CMD}' checks quota (${shortenPath(historyPath)}).`);
+		return;
+	}
+
+	for (const summary of summaries) {
+		console.log(drawBox(buildHistoryLines(summary)).join("\n"));
+	}
+}
+
+// Distinguishes "threshold crossed" from errors (exit code 1) for cron and scripts
+const ALERT_EXIT_CODE = 2;
+
+/**
+ * Parse and validate alert options, exiting with an error when they are invalid.
+ * @param {{ json: boolean, below?: string | null, window?: string | null, notify?: string | null, webhook?: string | null, command?: string | null }} flags - Parsed flags
+ * @returns {{ threshold: number, windows: string[] | null, notifiers: string[], webhookUrl: string | null, command: string | null }}
+ */
+function resolveAlertOptions(flags) {
+	const fail = (message) => {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: message }, null, 2));
+		} else {
+			console.error(colorize(message, RED));
+		}
+		process.exit(1);
+	};
+
+	if (!flags.below) {
+		fail(`Missing --below <percent>. Usage: ${PRIMARY_CMD} alert --below 20%`);
+	}
+	const threshold = parseThreshold(flags.below);
+	if (threshold === null) {
+		fail(`Invalid --below "${flags.below}". Use a percentage between 0 and 100 (e.g. 20%).`);
+	}
+
+	const splitList = value => value.split(",").map(item => item.trim()).filter(Boolean);
+	const windows = flags.window ? splitList(flags.window) : null;
+	const notifiers = flags.notify ? splitList(flags.notify) : [...DEFAULT_ALERT_NOTIFIERS];
+	const unknown = notifiers.filter(name => !ALERT_NOTIFIERS.includes(name));
+	if (unknown.length) {
+		fail(`Unknown notifier "${unknown[0]}". Available: ${ALERT_NOTIFIERS.join(", ")}`);
+	}
+	// --webhook and --command imply their notifiers
+	if (flags.webhook && !notifiers.includes("webhook")) notifiers.push("webhook");
+	if (flags.command && !notifiers.includes("command")) notifiers.push("command");
+	if (notifiers.includes("webhook") && !flags.webhook) {
+		fail("The webhook notifier requires --webhook <url>.");
+	}
+	if (notifiers.includes("command") && !flags.command) {
+		fail("The command notifier requires --command <cmd>.");
+	}
+
+	return {
+		threshold,
+		windows,
+		notifiers,
+		webhookUrl: flags.webhook ?? null,
+		command: flags.command ?? null,
+	};
+}
+
+/**
+ * List per-account fetch errors in collected quota data.
+ * @param {Awaited<ReturnType<typeof collectQuota>>} data
+ * @returns {Array<{ provider: "codex" | "claude", label: string, error: string }>}
+ */
+function collectQuotaErrors(data) {
+	const errors = [];
+	for (const { account, usage } of data.results) {
+		if (usage?.error) {
+			errors.push({ provider: "codex", label: account.label, error: usage.error });
+		}
+	}
+	for (const result of data.claudeResults ?? []) {
+		if (result?.success === false) {
+			errors.push({ provider: "claude", label: result.label ?? "claude", error: result.error ?? "Unknown error" });
+		}
+	}
+	for (const { provider, results } of data.providerResults ?? []) {
+		for (const { account, error } of results) {
+			if (error) {
+				errors.push({ provider: provider.name, label: account.label, error });
+			}
+		}
+	}
+	return errors;
+}
+
+/**
+ * Fetch quota and evaluate alert thresholds.
+ * Usage served from a stale cache entry (the fetch failed) is not evaluated; the account
+ * is reported as an error with `stale: true` instead.
+ * Exits with an error when the label filter matches no account.
+ * @param {string | null} labelFilter - Only check this label
+ * @param {{ json: boolean, local?: boolean }} flags - Parsed flags
+ * @param {ReturnType<typeof resolveAlertOptions>} options - Alert options
+ * @returns {Promise<{ alerts: ReturnType<typeof findAlerts>, errors: Array<{ provider: string, label: string, error: string, stale?: boolean }>, checked: number }>}
+ */
+async function evaluateAlerts(labelFilter, flags, options) {
+	const data = await collectQuota([], flags, "all");
+	const labels = [
+		...data.results.map(({ account }) => account.label),
+		...(data.claudeResults ?? []).map(result => result?.label ?? "claude"),
+		...data.providerResults.flatMap(({ results }) => results.map(({ account }) => account.label)),
+	];
+	if (labelFilter && !labels.includes(labelFilter)) {
+		if (flags.json) {
+			console.log(JSON.stringify({
+				success: false,
+				error: `Account "${labelFilter}" not found`,
+				availableLabels: labels,
+			}, null, 2));
+		} else {
+			console.error(colorize(`Account "${labelFilter}" not found.`, RED));
+			console.error("Available:", labels.join(", "));
+		}
+		process.exit(1);
+	}
+
+	const staleErrors = [];
+	// Keep in-scope results with current usage; stale ones become errors
+	const keep = (provider, label, cache) => {
+		if (labelFilter && label !== labelFilter) return false;
+		if (!cache?.stale) return true;
+		staleErrors.push({ provider, label, error: `Usage unavailable (${cache.error ?? "stale cache"})`, stale: true });
+		return false;
+	};
+	const filtered = {
+		results: data.results.filter(({ account, cache }) => keep("codex", account.label, cache)),
+		claudeResults: (data.claudeResults ?? []).filter(result => keep("claude", result?.label ?? "claude", result?.cache)),
+		providerResults: data.providerResults.map(({ provider, results }) => ({
+			provider,
+			results: results.filter(({ account, cache }) => keep(provider.name, account.label, cache)),
+		})),
+	};
+	// Count windows that were actually compared, so total fetch failure is an error, not "all clear"
+	const now = Date.now();
+	const countWindows = windows => Object.keys(windows)
+		.filter(window => !options.windows || options.windows.includes(window)).length;
+	let checked = 0;
+	for (const { usage } of filtered.results) {
+		checked += countWindows(getCodexWindows(usage, now));
+	}
+	for (const result of filtered.claudeResults) {
+		checked += countWindows(getClaudeWindows(result));
+	}
+	for (const { provider, results } of filtered.providerResults) {
+		for (const { usage, error } of results) {
+			if (!error) checked += countWindows(provider.getWindows(usage));
+		}
+	}
+
+	return {
+		alerts: findAlerts(filtered, options.threshold, { windows: options.windows, now }),
+		errors: [...collectQuotaErrors(filtered), ...staleErrors],
+		checked,
+	};
+}
+
+/**
+ * Print notifier failures as warnings (human output only).
+ * @param {Array<{ notifier: string, ok: boolean, error?: string }>} notified
+ */
+function printNotifierWarnings(notified) {
+	for (const result of notified) {
+		if (!result.ok) {
+			console.error(colorize(`Warning: ${result.notifier} notifier failed: ${result.error}`, YELLOW));
+		}
+	}
+}
+
+/**
+ * Handle alert command - notify when any window's remaining percent is below a threshold
+ * Exits 2 when an alert fired, 0 when all windows are at or above the threshold.
+ * @param {string[]} args - Non-flag arguments (optional label filter)
+ * @param {{ json: boolean, local?: boolean, below?: string | null, window?: string | null, notify?: string | null, webhook?: string | null, command?: string | null, watch?: boolean, interval?: string | null }} flags - Parsed flags
+ */
+export async function handleAlert(args, flags) {
+	const options = resolveAlertOptions(flags);
+	const labelFilter = args[0] ?? null;
+
+	if (flags.watch) {
+		await handleAlertWatch(labelFilter, flags, options);
+		return;
+	}
+
+	const { alerts, errors, checked } = await evaluateAlerts(labelFilter, flags, options);
+	if (!checked) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: "No quota windows could be checked", errors }, null, 2));
+		} else {
+			console.error(colorize("No quota windows could be checked.", RED));
+			for (const { provider, label, error } of errors) {
+				console.error(`  ${getProviderTitle(provider)} (${label}): ${error}`);
+			}
+		}
+		process.exit(1);
+	}
+
+	// In JSON mode stdout carries the result, so the stderr notifier is skipped
+	const notifiers = flags.json ? options.notifiers.filter(name => name !== "stderr") : options.notifiers;
+	const notified = alerts.length
+		? await sendAlertNotifications(buildAlertPayload(alerts, options.threshold), notifiers, options)
+		: [];
+
+	if (flags.json) {
+		console.log(JSON.stringify({
+			success: true,
+			threshold: options.threshold,
+			triggered: alerts.length > 0,
+			alerts,
+			errors,
+			notified,
+		}, null, 2));
+	} else {
+		for (const { provider, label, error } of errors) {
+			console.error(colorize(`Warning: ${getProviderTitle(provider)} (${label}) not checked: ${error}`, YELLOW));
+		}
+		printNotifierWarnings(notified);
+		if (!alerts.length) {
+			console.log(colorize(`All ${checked} quota windows are at or above ${options.threshold}%.`, GREEN));
+		}
+	}
+
+	if (alerts.length) {
+		process.exit(ALERT_EXIT_CODE);
+	}
+}
+
+/**
+ * Handle --watch for the alert command - notify only when a window newly drops below the threshold
+ * @param {string | null} labelFilter - Only check this label
+ * @param {{ json: boolean, local?: boolean, interval?: string | null }} flags - Parsed flags
+ * @param {ReturnType<typeof resolveAlertOptions>} options - Alert options
+ */
+async function handleAlertWatch(labelFilter, flags, options) {
+	const intervalMs = resolveWatchInterval(flags);
+	preferFreshUsage(flags);
+	const notifiers = flags.json ? options.notifiers.filter(name => name !== "stderr") : options.notifiers;
+	const alertKey = alert => `${alert.provider}:${alert.label}:${alert.window}`;
+	// Windows currently below the threshold; a window notifies again only after it recovers
+	let active = new Set();
+
+	const refresh = async () => {
+		const { alerts, errors } = await evaluateAlerts(labelFilter, flags, options);
+		const fresh = alerts.filter(alert => !active.has(alertKey(alert)));
+		// Accounts without current usage keep their alerts active, so they do not notify again
+		const unchecked = new Set(errors.filter(({ stale }) => stale).map(({ provider, label }) => `${provider}:${label}:`));
+		active = new Set([
+			...alerts.map(alertKey),
+			...[...active].filter(key => [...unchecked].some(prefix => key.startsWith(prefix))),
+		]);
+		const notified = fresh.length
+			? await sendAlertNotifications(buildAlertPayload(fresh, options.threshold), notifiers, options)
+			: [];
+		return {
+			alerts,
+			fresh,
+			errors,
+			notified,
+			rateLimited: errors.some(({ error }) => isRateLimitError(error)),
+		};
+	};
+
+	const render = (result, status) => {
+		const checkedAt = new Date(status.fetchedAt);
+		if (flags.json) {
+			return [JSON.stringify({
+				checkedAt: checkedAt.toISOString(),
+				threshold: options.threshold,
+				triggered: result.alerts.length > 0,
+				alerts: result.alerts,
+				newAlerts: result.fresh,
+				errors: result.errors,
+				notified: result.notified,
+			})];
+		}
+		printNotifierWarnings(result.notified);
+		const time = checkedAt.toLocaleTimeString("en-US", { hour12: false });
+		if (!result.alerts.length) {
+			return [colorize(`[${time}] All windows at or above ${options.threshold}%`, GREEN)];
+		}
+		return [
+			colorize(`[${time}] ${result.alerts.length} window(s) below ${options.threshold}%`, RED),
+			...result.alerts.map(alert => `  ${formatAlertLine(alert)}`),
+		];
+	};
+
+	await runWatchLoop({ refresh, render, intervalMs, live: false });
+}
+
+/**
+ * Usage error for an autoswitch check; stale cached values count as errors so a failed
+ * fetch never looks like quota that is still there.
+ * @param {string | null | undefined} error
+ * @param {{ stale?: boolean, error?: string } | null | undefined} cache
+ * @returns {string | null}
+ */
+function getAutoswitchUsageError(error, cache) {
+	if (error) return String(error);
+	return cache?.stale ? `Usage unavailable (${cache.error ?? "stale cache"})` : null;
+}
+
+/**
+ * Load what autoswitch needs for Codex: the active label, switchable labels, a usage
+ * check, and the same switch as 'codex switch'.
+ * @param {{ local?: boolean }} flags - Parsed flags
+ */
+function loadCodexAutoswitchState(flags) {
+	const activeLabel = getCodexActiveLabelInfo().activeLabel ?? null;
+	const accounts = applyLabelPreferences(loadAllAccounts(activeLabel, { local: flags.local }), account => account.label);
+	const checked = new Map();
+	return {
+		provider: "codex",
+		title: "Codex",
+		activeLabel,
+		labels: accounts.map(account => account.label),
+		async check(label) {
+			const [{ account, usage, cache }] = await fetchCodexUsageResults(accounts.filter(item => item.label === label), accounts);
+			checked.set(label, account);
+			return { windows: getCodexWindows(usage), error: getAutoswitchUsageError(usage?.error, cache) };
+		},
+		switchTo(label) {
+			// Usage results carry tokens that were refreshed during the fetch
+			const switchResult = applyCodexSwitch(checked.get(label), label);
+			return { warning: switchResult.activeLabelError ?? null };
+		},
+	};
+}
+
+/**
+ * Load what autoswitch needs for Claude; only stored OAuth accounts can be switched to.
+ * @param {{ local?: boolean }} flags - Parsed flags
+ */
+function loadClaudeAutoswitchState(flags) {
+	const activeLabel = getClaudeActiveLabelInfo().activeLabel ?? null;
+	const switchable = new Set(
+		loadClaudeAccounts()
+			.filter(account => account.oauthToken)
+			.map(account => account.label)
+	);
+	const accounts = applyLabelPreferences(
+		loadAllClaudeOAuthAccounts({ local: true }).filter(account => switchable.has(account.label)),
+		account => account.label,
+	);
+	return {
+		provider: "claude",
+		title: "Claude",
+		activeLabel,
+		labels: accounts.map(account => account.label),
+		async check(label) {
+			const [result] = await fetchClaudeOAuthUsageResults(accounts.filter(account => account.label === label));
+			const error = result.success === false ? result.error ?? "Usage unavailable" : null;
+			return { windows: getClaudeWindows(result), error: getAutoswitchUsageError(error, result.cache) };
+		},
+		switchTo(label) {
+			// Re-read after fetching so tokens refreshed during the usage fetch are used
+			const account = findClaudeAccountByLabel(label);
+			if (!account) return { error: `Claude account "${label}" not found` };
+			const switchResult = applyClaudeSwitch(account, label);
+			return { error: switchResult.error ?? null, warning: switchResult.activeLabelError ?? null };
+		},
+	};
+}
+
+const AUTOSWITCH_LOADERS = { codex: loadCodexAutoswitchState, claude: loadClaudeAutoswitchState };
+
+/**
+ * Check one provider's active account, switch when it is below the floor, and log the decision
+ * unless it repeats the last one logged.
+ * @param {ReturnType<typeof loadCodexAutoswitchState>} state
+ * @param {{ floor: number, order: string[], dryRun: boolean, lastLogged: Map<string, object> }} options
+ * @returns {Promise<object>} Decision as logged and printed
+ */
+async function runAutoswitch(state, options) {
+	const skip = reason => ({ action: "skip", label: state.activeLabel, target: null, reason, windows: {}, skipped: [] });
+	let decision;
+	if (!state.activeLabel) {
+		decision = skip(`No active ${state.title} account; run '${PRIMARY_CMD} ${state.provider} switch' first`);
+	} else if (!state.labels.includes(state.activeLabel)) {
+		decision = skip(`Active account "${state.activeLabel}" not found`);
+	} else {
+		try {
+			decision = await decideAutoswitch({
+				activeLabel: state.activeLabel,
+				candidates: orderAutoswitchCandidates(state.labels, state.activeLabel, options.order),
+				floor: options.floor,
+				check: state.check,
+			});
+		} catch (err) {
+			decision = { ...skip(err?.message ?? String(err)), action: "error" };
+		}
+	}
+
+	if (decision.action === "switch" && !options.dryRun) {
+		try {
+			const result = state.switchTo(decision.target);
+			if (result.error) {
+				decision = { ...decision, action: "error", reason: `Switch to ${decision.target} failed: ${result.error}` };
+			} else if (result.warning) {
+				decision.warning = `Failed to update activeLabel: ${result.warning}`;
+			}
+		} catch (err) {
+			decision = { ...decision, action: "error", reason: `Switch to ${decision.target} failed: ${err?.message ?? String(err)}` };
+		}
+	}
+
+	const { windows, ...fields } = decision;
+	const entry = {
+		provider: state.provider,
+		...fields,
+		remaining: Object.fromEntries(Object.entries(windows).map(([key, window]) => [key, window.remaining])),
+		floor: options.floor,
+		dryRun: options.dryRun,
+	};
+	// A dry run writes nothing, the decision log included
+	if (!options.dryRun && !isRepeatedAutoswitchDecision(entry, options.lastLogged.get(state.provider))) {
+		const logged = recordAutoswitchDecision(entry);
+		if (logged.error) {
+			entry.warning = logged.error;
+		} else {
+			options.lastLogged.set(state.provider, entry);
+		}
+	}
+	return entry;
+}
+
+/**
+ * Format an autoswitch decision as a log line.
+ * @param {object} entry - From runAutoswitch
+ * @param {Date} checkedAt
+ * @returns {string}
+ */
+function formatAutoswitchLine(entry, checkedAt) {
+	const time = checkedAt.toLocaleTimeString("en-US", { hour12: false });
+	const title = entry.provider === "claude" ? "Claude" : "Codex";
+	const account = entry.target ? `${entry.label} -> ${entry.target}` : entry.label ?? "(none)";
+	const action = entry.action === "switch" && entry.dryRun ? "would switch" : entry.action;
+	const color = { switch: GREEN, skip: YELLOW, stuck: RED, error: RED }[entry.action];
+	const line = `[${time}] ${title} ${account}: ${action} - ${entry.reason}`;
+	return color ? colorize(line, color) : line;
+}
+
+/**
+ * Handle autoswitch command - move off the active account when a window drops below a floor
+ * Runs until interrupted, or once with --once (exits 2 when stuck below the floor, 1 on errors).
+ * @param {string[]} args - Non-flag arguments (unused)
+ * @param {{ json: boolean, local?: boolean, once?: boolean, dryRun?: boolean, below?: string | null, order?: string | null, interval?: string | null, codex?: boolean, claude?: boolean }} flags - Parsed flags
+ */
+export async function handleAutoswitch(args, flags) {
+	const floor = flags.below !== null && flags.below !== undefined
+		? parseThreshold(flags.below)
+		: getConfigValue("autoswitch.below") ?? DEFAULT_AUTOSWITCH_FLOOR;
+	if (floor === null) {
+		exitWithError(flags, `Invalid --below "${flags.below}". Use a percentage between 0 and 100 (e.g. 10%).`);
+	}
+	const order = flags.order
+		? flags.order.split(",").map(label => label.trim()).filter(Boolean)
+		: getConfigValue("autoswitch.order") ?? [];
+	const requested = flags.codex || flags.claude;
+	// Without --codex/--claude, providers without switchable accounts are left out
+	const providers = requested
+		? ["codex", "claude"].filter(name => flags[name])
+		: Object.keys(AUTOSWITCH_LOADERS).filter(name => AUTOSWITCH_LOADERS[name](flags).labels.length);
+	if (!providers.length) {
+		exitWithError(flags, `No accounts to switch between. Run '${PRIMARY_CMD} codex add' to add one.`);
+	}
+	const dryRun = Boolean(flags.dryRun);
+	const options = { floor, order, dryRun, lastLogged: dryRun ? new Map() : readLastAutoswitchDecisions() };
+	const intervalMs = flags.once ? null : resolveWatchInterval(flags);
+	preferFreshUsage(flags);
+
+	const evaluate = async () => {
+		const decisions = [];
+		for (const name of providers) {
+			decisions.push(await runAutoswitch(AUTOSWITCH_LOADERS[name](flags), options));
+		}
+		return decisions;
+	};
+
+	if (flags.once) {
+		const decisions = await evaluate();
+		const failed = decisions.some(entry => entry.action === "error");
+		if (flags.json) {
+			console.log(JSON.stringify({ success: !failed, floor, dryRun: options.dryRun, decisions }, null, 2));
+		} else {
+			const checkedAt = new Date();
+			for (const entry of decisions) {
+				console.log(formatAutoswitchLine(entry, checkedAt));
+				if (entry.warning) console.error(colorize(`Warning: ${entry.warning}`, YELLOW));
+			}
+		}
+		if (failed) process.exit(1);
+		if (decisions.some(entry => entry.action === "stuck")) process.exit(2);
+		return;
+	}
+
+	const refresh = async () => {
+		const decisions = await evaluate();
+		return { decisions, rateLimited: decisions.some(entry => isRateLimitError(entry.reason)) };
+	};
+	const render = (data, status) => {
+		const checkedAt = new Date(status.fetchedAt);
+		if (flags.json) {
+			return [JSON.stringify({ checkedAt: checkedAt.toISOString(), floor, dryRun: options.dryRun, decisions: data.decisions })];
+		}
+		return data.decisions.flatMap(entry => [
+			formatAutoswitchLine(entry, checkedAt),
+			...(entry.warning ? [colorize(`  Warning: ${entry.warning}`, YELLOW)] : []),
+		]);
+	};
+	await runWatchLoop({ refresh, render, intervalMs, live: false });
+}
+
+/**
+ * Handle serve command - expose quota gauges for Prometheus at /metrics
+ * Runs until the process is interrupted.
+ * @param {string[]} args - Non-flag arguments (unused)
+ * @param {{ json: boolean, local?: boolean, metrics?: boolean, port?: string | null, host?: string | null, ttl?: string | null }} flags - Parsed flags
+ */
+export async function handleServe(args, flags) {
+	const fail = (message) => {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: false, error: message }, null, 2));
+		} else {
+			console.error(colorize(message, RED));
+		}
+		process.exit(1);
+	};
+
+	if (!flags.metrics) {
+		fail(`Specify what to serve. Usage: ${PRIMARY_CMD} serve --metrics [--port ${DEFAULT_METRICS_PORT}]`);
+	}
+	const port = flags.port ? Number(flags.port) : DEFAULT_METRICS_PORT;
+	if (!Number.isInteger(port) || port < 0 || port > 65535) {
+		fail(`Invalid --port "${flags.port}". Use a number between 0 and 65535.`);
+	}
+	const host = flags.host ?? DEFAULT_METRICS_HOST;
+	const ttlMs = flags.ttl ? parseDuration(flags.ttl) : DEFAULT_METRICS_TTL_MS;
+	if (!ttlMs || ttlMs < MIN_METRICS_TTL_MS) {
+		fail(`Invalid --ttl "${flags.ttl}". Use a duration of at least ${MIN_METRICS_TTL_MS / 1000}s (e.g. 60s, 5m).`);
+	}
+
+	// Scrapes only trigger a fetch once the cached result is older than the TTL.
+	// json: true keeps collectQuota from prompting or printing per-fetch warnings.
+	preferFreshUsage(flags);
+	const getMetrics = createCachedCollector(async () => {
+		const data = await collectQuota([], { json: true, local: flags.local }, "all");
+		return buildMetricsText(data);
+	}, ttlMs);
+	const server = createMetricsServer(getMetrics);
+
+	await new Promise((resolve) => {
+		server.once("error", (err) => {
+			const message = err.code === "EADDRINUSE"
+				? `Port ${port} is already in use. Choose another with --port.`
+				: `Failed to start metrics server: ${err.message}`;
+			fail(message);
+		});
+		server.listen(port, host, resolve);
+	});
+
+	const address = server.address();
+	const url = `http://${host.includes(":") ? `[${host}]` : host}:${address.port}/metrics`;
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, url, ttlSeconds: ttlMs / 1000 }, null, 2));
+	} else {
+		console.log(`Serving quota metrics at ${url} (cache TTL ${ttlMs / 1000}s, Ctrl+C to stop)`);
+	}
+}
+
+/**
+ * Handle status command (and --format statusline) - print one compact line for the active accounts
+ * Prompts and status bars redraw often, so by default usage is only read from the shared usage
+ * cache (entries older than --max-age are marked stale) and the vault passphrase is never asked for.
+ * --refresh (or --no-cache) fetches usage instead, unlocking the vault first.
+ * @param {string[]} args - Non-flag arguments (unused)
+ * @param {{ json: boolean, local?: boolean, refresh?: boolean, noCache?: boolean }} flags - Parsed flags
+ * @param {"all" | "codex" | "claude"} scope - Which providers to include
+ */
+export async function handleStatus(args, flags, scope = "all") {
+	const localMode = Boolean(flags.local);
+	const fetchUsage = Boolean(flags.refresh || flags.noCache);
+	if (fetchUsage) {
+		await ensureVaultUnlocked(flags);
+	}
+
+	// Only the active account per provider is fetched, which keeps this fast
+	let codexAccounts = [];
+	let codexAccount = null;
+	if (scope === "all" || scope === "codex") {
+		const { activeLabel } = getCodexActiveLabelInfo();
+		codexAccounts = loadAllAccounts(activeLabel, { local: localMode });
+		codexAccount = codexAccounts.find(account => account.label === activeLabel) ?? codexAccounts[0] ?? null;
+	}
+	let claudeAccount = null;
+	if (scope === "all" || scope === "claude") {
+		const { activeLabel } = getClaudeActiveLabelInfo();
+		const oauthAccounts = loadAllClaudeOAuthAccounts({ local: localMode });
+		claudeAccount = oauthAccounts.find(account => account.label === activeLabel) ?? oauthAccounts[0] ?? null;
+	}
+
+	const [codexResults, claudeResults] = fetchUsage
+		? await Promise.all([
+			codexAccount ? fetchCodexUsageResults([codexAccount], codexAccounts) : [],
+			claudeAccount ? fetchClaudeOAuthUsageResults([claudeAccount]) : [],
+		])
+		: [
+			codexAccount ? readCachedCodexUsageResults([codexAccount]) : [],
+			claudeAccount ? readCachedClaudeUsageResults([claudeAccount]) : [],
+		];
+	const now = Date.now();
+	const entries = [
+		...codexResults.map(({ account, usage, cache }) => ({
+			provider: "codex",
+			label: account.label,
+			windows: getCodexWindows(usage, now),
+			error: usage?.error ?? null,
+			cache: cache ?? null,
+		})),
+		...claudeResults.map(result => ({
+			provider: "claude",
+			label: result.label,
+			windows: getClaudeWindows(result),
+			error: result.success === false ? result.error ?? "Unknown error" : null,
+			cache: result.cache ?? null,
+		})),
+	];
+
+	const line = formatStatusline(entries);
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, line, entries }, null, 2));
+		return;
+	}
+	// Print nothing when there are no accounts so prompts stay clean
+	if (line) {
+		console.log(line);
+	}
+}
+
+/**
+ * Flatten the config into [key, value] pairs in CONFIG_KEYS order (maps become "<map>.<label>").
+ * @param {object} config - Parsed config file
+ * @returns {Array<[string, any]>}
+ */
+function listConfigEntries(config) {
+	const entries = [];
+	for (const [key, definition] of Object.entries(CONFIG_KEYS)) {
+		const value = getConfigValue(key, config);
+		if (value === undefined) continue;
+		if (definition.type === "map") {
+			for (const [name, mapValue] of Object.entries(value)) {
+				entries.push([`${key}.${name}`, mapValue]);
+			}
+		} else {
+			entries.push([key, value]);
+		}
+	}
+	return entries;
+}
+
+function formatConfigValue(value) {
+	if (Array.isArray(value) && value.every(item => typeof item === "string")) return value.join(",");
+	if (value !== null && typeof value === "object") return JSON.stringify(value);
+	return String(value);
+}
+
+function exitWithError(flags, message) {
+	if (flags.json) {
+		console.log(JSON.stringify({ success: false, error: message }, null, 2));
+	} else {
+		console.error(colorize(message, RED));
+	}
+	process.exit(1);
+}
+
+/**
+ * Handle config command - show and change settings in the config file
+ * Subcommands: list (default), get <key>, set <key> <value>, unset <key>, path
+ * @param {string[]} args - Non-flag arguments after "config"
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+export async function handleConfig(args, flags) {
+	const [subcommand = "list", key, ...rest] = args;
+	const configPath = getConfigPath();
+
+	if (subcommand === "path") {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: true, path: configPath }, null, 2));
+		} else {
+			console.log(configPath);
+		}
+		return;
+	}
+
+	if (subcommand === "list") {
+		const { config, error } = readConfigFile(configPath);
+		if (error) {
+			exitWithError(flags, error);
+		}
+		const entries = listConfigEntries(config);
+		// Environment variables take precedence over these keys
+		const overrides = Object.fromEntries(
+			entries
+				.map(([entryKey]) => [entryKey, CONFIG_KEYS[entryKey]?.env])
+				.filter(([, envName]) => envName && process.env[envName])
+		);
+		if (flags.json) {
+			console.log(JSON.stringify({ success: true, path: configPath, config, overrides }, null, 2));
+			return;
+		}
+		console.log(`Config: ${shortenPath(configPath)}`);
+		if (!entries.length) {
+			console.log("  (no settings)");
+			return;
+		}
+		for (const [entryKey, value] of entries) {
+			const override = overrides[entryKey] ? colorize(` (overridden by ${overrides[entryKey]})`, YELLOW) : "";
+			console.log(`  ${entryKey} = ${formatConfigValue(value)}${override}`);
+		}
+		return;
+	}
+
+	if (!["get", "set", "unset"].includes(subcommand)) {
+		exitWithError(flags, `Unknown config command "${subcommand}". Use list, get, set, unset, or path.`);
+	}
+	if (!key) {
+		exitWithError(flags, `Usage: ${PRIMARY_CMD} config ${subcommand} <key>${subcommand === "set" ? " <value>" : ""}`);
+	}
+	if (!resolveConfigKey(key)) {
+		exitWithError(flags, `Unknown config key "${key}". Available: ${Object.keys(CONFIG_KEYS).join(", ")}`);
+	}
+
+	if (subcommand === "get") {
+		const { config, error } = readConfigFile(configPath);
+		if (error) {
+			exitWithError(flags, error);
+		}
+		const value = getConfigValue(key, config);
+		if (flags.json) {
+			console.log(JSON.stringify({ success: true, key, value: value ?? null }, null, 2));
+			return;
+		}
+		if (value === undefined) {
+			exitWithError(flags, `"${key}" is not set`);
+		}
+		console.log(formatConfigValue(value));
+		return;
+	}
+
+	let value;
+	if (subcommand === "set") {
+		if (!rest.length) {
+			exitWithError(flags, `Usage: ${PRIMARY_CMD} config set <key> <value>`);
+		}
+		const parsed = parseConfigValue(key, rest.join(" "));
+		if (parsed.error) {
+			exitWithError(flags, parsed.error);
+		}
+		value = parsed.value;
+	}
+
+	const result = writeConfigValue(key, value, configPath);
+	if (!result.success) {
+		exitWithError(flags, `Failed to update ${shortenPath(configPath)}: ${result.error}`);
+	}
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, key, value: value ?? null, path: configPath }, null, 2));
+		return;
+	}
+	const message = subcommand === "set"
+		? `Set ${key} = ${formatConfigValue(value)}`
+		: `Unset ${key}`;
+	console.log(colorize(message, GREEN));
+	const envName = CONFIG_KEYS[key]?.env;
+	if (subcommand === "set" && envName && process.env[envName]) {
+		console.error(colorize(`Warning: ${envName} is set and takes precedence over ${key}`, YELLOW));
+	}
+}
+
+// codex-quota's own account stores; harness files (~/.codex/auth.json etc.) stay plaintext
+function getVaultStorePaths() {
+	return [MULTI_ACCOUNT_PATHS[0], CLAUDE_MULTI_ACCOUNT_PATHS[0]];
+}
+
+function canPromptInteractively(flags) {
+	return !flags.json && Boolean(process.stdin.isTTY) && Boolean(process.stderr.isTTY);
+}
+
+/**
+ * Prompt once for the passphrase when a store is passphrase-encrypted and none is set.
+ * Without a TTY (or with --json), locked stores are reported when they are read.
+ * @param {string[]} paths - Container paths about to be read
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+async function promptVaultPassphraseIfNeeded(paths, flags) {
+	if (getVaultPassphrase() || !canPromptInteractively(flags)) return;
+	if (!paths.some(path => readVaultState(path).kdf === "scrypt")) return;
+	setVaultPassphrase(await promptSecret("Vault passphrase: "));
+}
+
+/**
+ * Unlock encrypted account stores before running a command.
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+export async function ensureVaultUnlocked(flags) {
+	await promptVaultPassphraseIfNeeded(getVaultStorePaths(), flags);
+}
+
+/**
+ * Resolve the key for newly encrypted stores: --key-file (created when missing),
+ * then CODEX_QUOTA_KEY_FILE / vault.keyFile (encrypt only), then a passphrase.
+ * @param {{ json: boolean, keyFile?: string | null }} flags - Parsed flags
+ * @param {{ passphraseEnv: string, label: string, useConfiguredKeyFile: boolean }} options - Env var and prompt wording for the passphrase
+ * @returns {Promise<{ encryption?: { kdf: object, key: Buffer }, createdKeyFile?: string, error?: string }>}
+ */
+async function resolveNewVaultKey(flags, options) {
+	const keyFile = flags.keyFile ?? (options.useConfiguredKeyFile ? getVaultKeyFilePath() : null);
+	if (keyFile) {
+		let createdKeyFile;
+		if (!existsSync(keyFile)) {
+			if (!flags.keyFile) {
+				return { error: `Key file ${keyFile} does not exist` };
+			}
+			createVaultKeyFile(keyFile);
+			createdKeyFile = keyFile;
+		}
+		try {
+			return { encryption: createVaultKey({ keyFile }), createdKeyFile };
+		} catch (err) {
+			return { error: err?.message ?? String(err) };
+		}
+	}
+
+	let passphrase = process.env[options.passphraseEnv] || null;
+	if (!passphrase) {
+		if (!canPromptInteractively(flags)) {
+			return { error: `Set ${options.passphraseEnv} or use --key-file when not running interactively` };
+		}
+		passphrase = await promptSecret(`${options.label}: `);
+		const confirmation = await promptSecret(`Confirm ${options.label.toLowerCase()}: `);
+		if (passphrase !== confirmation) {
+			return { error: "Passphrases do not match" };
+		}
+	}
+	if (!passphrase) {
+		return { error: "Passphrase cannot be empty" };
+	}
+	return { encryption: createVaultKey({ passphrase }) };
+}
+
+/**
+ * Encrypt a backup of an account store with the store's new key.
+ * Encrypted backups are kept as they are unless `reopen` is set (rekey): then they are
+ * decrypted with the old key in effect and encrypted again, so no snapshot stays
+ * readable with the old key. Backups that cannot be read are dropped (null).
+ * @param {string} contents
+ * @param {{ kdf: object, key: Buffer }} encryption
+ * @param {{ reopen?: boolean }} [options]
+ * @returns {string | null}
+ */
+function encryptBackupContents(contents, encryption, options = {}) {
+	let parsed;
+	try {
+		parsed = JSON.parse(contents);
+	} catch {
+		return null;
+	}
+	if (isVaultPayload(parsed)) {
+		if (!options.reopen) return contents;
+		const vault = openVault(parsed);
+		if (vault.error) return null;
+		parsed = vault.payload;
+	}
+	return JSON.stringify(encryptVaultPayload(parsed, encryption), null, 2) + "\n";
+}
+
+function printVaultResult(flags, result) {
+	if (flags.json) {
+		console.log(JSON.stringify(result, null, 2));
+		return;
+	}
+	if (result.createdKeyFile) {
+		console.log(colorize(`Created key file ${shortenPath(result.createdKeyFile)} - back it up; it is required to decrypt`, YELLOW));
+	}
+	if (!result.files.length) {
+		console.log(result.message);
+		return;
+	}
+	for (const file of result.files) {
+		console.log(colorize(`${result.message} ${shortenPath(file)}`, GREEN));
+	}
+	const { rewritten = 0, removed = 0 } = result.backups ?? {};
+	if (rewritten || removed) {
+		const parts = [
+			rewritten ? `encrypted ${rewritten} backup${rewritten === 1 ? "" : "s"}` : null,
+			removed ? `removed ${removed} unreadable backup${removed === 1 ? "" : "s"}` : null,
+		].filter(Boolean);
+		console.log(`Backups: ${parts.join(", ")}`);
+	}
+}
+
+/**
+ * Handle vault command - encrypt, decrypt, or rekey the codex-quota account stores
+ * (~/.codex-accounts.json and ~/.claude-accounts.json)
+ * @param {string[]} args - Non-flag arguments after "vault"
+ * @param {{ json: boolean, keyFile?: string | null }} flags - Parsed flags
+ */
+export async function handleVault(args, flags) {
+	const subcommand = args[0] ?? "status";
+	const paths = getVaultStorePaths();
+
+	if (subcommand === "status") {
+		const stores = paths.map(path => readVaultState(path));
+		if (flags.json) {
+			console.log(JSON.stringify({ success: true, stores }, null, 2));
+			return;
+		}
+		for (const store of stores) {
+			const state = !store.exists
+				? "missing"
+				: store.error
+					? colorize(store.error, RED)
+					: store.encrypted
+						? colorize(`encrypted (${store.kdf === "keyfile" ? "key file" : "passphrase"})`, GREEN)
+						: "plaintext";
+			console.log(`${shortenPath(store.path)}: ${state}`);
+		}
+		return;
+	}
+
+	if (!["encrypt", "decrypt", "rekey"].includes(subcommand)) {
+		exitWithError(flags, `Unknown vault command "${subcommand}". Use status, encrypt, decrypt, or rekey.`);
+	}
+
+	const states = paths.map(path => readVaultState(path)).filter(state => state.exists && !state.error);
+	const targets = states
+		.filter(state => (subcommand === "encrypt" ? !state.encrypted : state.encrypted))
+		.map(state => state.path);
+	if (!targets.length) {
+		const message = subcommand === "encrypt" ? "No plaintext account stores to encrypt." : "No encrypted account stores found.";
+		printVaultResult(flags, { success: true, files: [], message });
+		return;
+	}
+
+	await promptVaultPassphraseIfNeeded(targets, flags);
+	const containers = targets.map(path => readMultiAccountContainer(path));
+	const failed = containers.find(container => container.rootType === "invalid");
+	if (failed) {
+		exitWithError(flags, failed.error ?? `Failed to parse ${failed.filePath}`);
+	}
+
+	let encryption = null;
+	let createdKeyFile;
+	if (subcommand !== "decrypt") {
+		const newKey = await resolveNewVaultKey(flags, subcommand === "rekey"
+			? { passphraseEnv: "CODEX_QUOTA_NEW_PASSPHRASE", label: "New passphrase", useConfiguredKeyFile: false }
+			: { passphraseEnv: "CODEX_QUOTA_PASSPHRASE", label: "Passphrase", useConfiguredKeyFile: true });
+		if (newKey.error) {
+			exitWithError(flags, newKey.error);
+		}
+		encryption = newKey.encryption;
+		createdKeyFile = newKey.createdKeyFile;
+	}
+
+	const message = { encrypt: "Encrypted", decrypt: "Decrypted", rekey: "Re-encrypted" }[subcommand];
+	const backups = { rewritten: 0, removed: 0 };
+	for (const container of containers) {
+		// Array roots become object roots here, as on any other container write.
+		// Encrypting must not leave a plaintext snapshot behind in the backups, and
+		// rekeying must not leave one readable with the old key.
+		writeMultiAccountContainer(container.filePath, { ...container, encryption }, container.accounts, {}, {
+			mode: 0o600,
+			backup: subcommand === "decrypt",
+		});
+		if (subcommand !== "decrypt") {
+			try {
+				const result = rewriteBackups(container.filePath, contents => (
+					encryptBackupContents(contents, encryption, { reopen: subcommand === "rekey" })
+				));
+				backups.rewritten += result.rewritten;
+				backups.removed += result.removed;
+			} catch (err) {
+				exitWithError(flags, `${message} ${container.filePath}, but failed to encrypt its backups: ${err?.message ?? String(err)}`);
+			}
+		}
+	}
+	printVaultResult(flags, {
+		success: true,
+		files: targets,
+		message,
+		kdf: encryption?.kdf.name ?? null,
+		createdKeyFile,
+		...(subcommand !== "decrypt" ? { backups } : {}),
+	});
+}
+
+const BUNDLE_PROVIDERS = [
+	{ name: "codex", title: "Codex", getPath: () => MULTI_ACCOUNT_PATHS[0] },
+	{ name: "claude", title: "Claude", getPath: () => CLAUDE_MULTI_ACCOUNT_PATHS[0] },
+];
+
+// --codex / --claude pick providers; neither means both
+function selectBundleProviders(flags) {
+	const selected = BUNDLE_PROVIDERS.filter(provider => flags[provider.name]);
+	return selected.length ? selected : BUNDLE_PROVIDERS;
+}
+
+async function resolveBundlePassphrase(flags, confirm) {
+	const fromEnv = process.env.CODEX_QUOTA_BUNDLE_PASSPHRASE;
+	if (fromEnv) return fromEnv;
+	if (!canPromptInteractively(flags)) {
+		exitWithError(flags, "Set CODEX_QUOTA_BUNDLE_PASSPHRASE when not running interactively");
+	}
+	const passphrase = await promptSecret("Bundle passphrase: ");
+	if (!passphrase) {
+		exitWithError(flags, "Passphrase cannot be empty");
+	}
+	if (confirm && passphrase !== await promptSecret("Confirm bundle passphrase: ")) {
+		exitWithError(flags, "Passphrases do not match");
+	}
+	return passphrase;
+}
+
+function readBundleContainer(flags, path) {
+	const container = readMultiAccountContainer(path);
+	if (container.rootType === "invalid") {
+		exitWithError(flags, container.error ?? `Failed to parse ${path}`);
+	}
+	return container;
+}
+
+/**
+ * Handle export command - write accounts to a passphrase-encrypted bundle
+ * @param {string[]} args - Non-flag arguments after "export" (unused)
+ * @param {{ json: boolean, codex?: boolean, claude?: boolean, labels?: string | null, out?: string | null }} flags - Parsed flags
+ */
+export async function handleExport(args, flags) {
+	if (!flags.out) {
+		exitWithError(flags, `Missing --out. Usage: ${PRIMARY_CMD} export [--codex|--claude] [--labels a,b] --out bundle.cqx`);
+	}
+	const labels = flags.labels
+		? flags.labels.split(",").map(label => label.trim()).filter(Boolean)
+		: null;
+
+	const accounts = {};
+	const exported = {};
+	for (const provider of selectBundleProviders(flags)) {
+		const container = readBundleContainer(flags, provider.getPath());
+		const entries = container.accounts.filter(entry => entry
+			&& typeof entry === "object"
+			&& typeof entry.label === "string"
+			&& (!labels || labels.includes(entry.label)));
+		accounts[provider.name] = entries;
+		exported[provider.name] = entries.map(entry => entry.label);
+	}
+
+	const exportedLabels = new Set(Object.values(exported).flat());
+	const missing = (labels ?? []).filter(label => !exportedLabels.has(label));
+	if (missing.length) {
+		exitWithError(flags, `Account${missing.length === 1 ? "" : "s"} not found: ${missing.join(", ")}`);
+	}
+	if (!exportedLabels.size) {
+		exitWithError(flags, "No accounts to export");
+	}
+
+	const passphrase = await resolveBundlePassphrase(flags, true);
+	const contents = encryptBundle(buildBundle(accounts), passphrase);
+	try {
+		writeFileAtomic(flags.out, JSON.stringify(contents, null, 2) + "\n", { mode: 0o600 });
+	} catch (err) {
+		exitWithError(flags, `Failed to write ${flags.out}: ${err?.message ?? String(err)}`);
+	}
+
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, path: flags.out, accounts: exported }, null, 2));
+		return;
+	}
+	for (const provider of selectBundleProviders(flags)) {
+		const labelsForProvider = exported[provider.name];
+		if (labelsForProvider.length) {
+			console.log(`${provider.title}: ${labelsForProvider.join(", ")}`);
+		}
+	}
+	const count = Object.values(exported).flat().length;
+	console.log(colorize(`Exported ${count} account${count === 1 ? "" : "s"} to ${shortenPath(flags.out)}`, GREEN));
+}
+
+/**
+ * Handle import command - merge accounts from an export bundle into the account stores
+ * @param {string[]} args - Non-flag arguments after "import" (bundle path)
+ * @param {{ json: boolean, dryRun?: boolean, codex?: boolean, claude?: boolean, onConflict?: string | null }} flags - Parsed flags
+ */
+export async function handleImport(args, flags) {
+	const bundlePath = args[0];
+	if (!bundlePath) {
+		exitWithError(flags, `Usage: ${PRIMARY_CMD} import <bundle.cqx> [--on-conflict skip|rename|overwrite]`);
+	}
+	const mode = flags.onConflict ?? "skip";
+	if (!CONFLICT_MODES.includes(mode)) {
+		exitWithError(flags, `Invalid --on-conflict "${mode}". Use ${CONFLICT_MODES.join(", ")}.`);
+	}
+	if (!existsSync(bundlePath)) {
+		exitWithError(flags, `Bundle not found: ${bundlePath}`);
+	}
+	let parsed;
+	try {
+		parsed = JSON.parse(readFileSync(bundlePath, "utf-8"));
+	} catch {
+		exitWithError(flags, `${bundlePath} is not a codex-quota export bundle`);
+	}
+
+	const passphrase = await resolveBundlePassphrase(flags, false);
+	const { bundle, error } = decryptBundle(parsed, passphrase);
+	if (error) {
+		exitWithError(flags, `Cannot import ${bundlePath}: ${error}`);
+	}
+
+	const results = [];
+	for (const provider of selectBundleProviders(flags)) {
+		const incoming = Array.isArray(bundle[provider.name]) ? bundle[provider.name] : [];
+		if (!incoming.length) continue;
+		const targetPath = provider.getPath();
+		const container = readBundleContainer(flags, targetPath);
+		const merged = mergeBundleAccounts(container.accounts, incoming, mode);
+		const changed = merged.results.filter(result => result.action !== "skipped");
+		if (changed.length && !flags.dryRun) {
+			// Keeps activeLabel and unknown root fields of the existing store
+			writeMultiAccountContainer(targetPath, container, merged.accounts, {}, { mode: 0o600 });
+			for (const result of changed.filter(result => result.action === "overwritten")) {
+				invalidateUsageCache(provider.name, result.importedAs);
+			}
+		}
+		results.push(...merged.results.map(result => ({ provider: provider.name, ...result, path: targetPath })));
+	}
+
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, dryRun: Boolean(flags.dryRun), mode, results }, null, 2));
+		return;
+	}
+	if (!results.length) {
+		console.log("Bundle contains no accounts for the selected providers.");
+		return;
+	}
+	for (const result of results) {
+		const target = result.importedAs && result.importedAs !== result.label ? ` as "${result.importedAs}"` : "";
+		const reason = result.reason ? ` (${result.reason})` : "";
+		const line = `${result.provider}: ${result.label} ${result.action}${target}${reason}`;
+		console.log(result.action === "skipped" ? colorize(line, YELLOW) : line);
+	}
+	const imported = results.filter(result => result.action !== "skipped").length;
+	const summary = flags.dryRun
+		? `Dry run: ${imported} of ${results.length} accounts would be imported`
+		: `Imported ${imported} of ${results.length} accounts`;
+	console.log(colorize(summary, imported ? GREEN : YELLOW));
+}
+
+function formatBackupTime(ms) {
+	return new Date(ms).toLocaleString();
+}
+
+/**
+ * Handle backups command - list credential file backups
+ * @param {string[]} args - Non-flag arguments after "backups" ("list" and an optional file)
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+export async function handleBackups(args, flags) {
+	const [subcommand = "list", file] = args;
+	if (subcommand !== "list") {
+		exitWithError(flags, `Unknown backups command "${subcommand}". Use list.`);
+	}
+
+	if (file) {
+		const backups = findBackups(file);
+		if (!backups) {
+			exitWithError(flags, `No backups found for ${file}`);
+		}
+		const snapshots = [...backups.snapshots].reverse();
+		if (flags.json) {
+			console.log(JSON.stringify({ success: true, name: backups.name, path: backups.path, snapshots }, null, 2));
+			return;
+		}
+		console.log(`${shortenPath(backups.path)} (${snapshots.length} backup${snapshots.length === 1 ? "" : "s"}, newest first)`);
+		for (const snapshot of snapshots) {
+			console.log(`  ${snapshot.id}  ${formatBackupTime(snapshot.at)}  ${snapshot.size} bytes`);
+		}
+		return;
+	}
+
+	const files = listBackups().map(({ name, path, snapshots }) => ({
+		name,
+		path,
+		count: snapshots.length,
+		latest: snapshots[snapshots.length - 1].id,
+	}));
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, files }, null, 2));
+		return;
+	}
+	if (!files.length) {
+		console.log("No backups yet. Credential files are backed up before each write.");
+		return;
+	}
+	for (const entry of files) {
+		console.log(`${shortenPath(entry.path)}: ${entry.count} backup${entry.count === 1 ? "" : "s"}, latest ${entry.latest}`);
+	}
+	console.log(`\nRun '${PRIMARY_CMD} backups list <file>' to see a file's backups.`);
+}
+
+/**
+ * Handle restore command - put a backed-up version of a credential file back
+ * @param {string[]} args - Non-flag arguments after "restore" (file path or backup name)
+ * @param {{ json: boolean, dryRun?: boolean, at?: string | null }} flags - Parsed flags
+ */
+export async function handleRestore(args, flags) {
+	const file = args[0];
+	if (!file) {
+		exitWithError(flags, `Usage: ${PRIMARY_CMD} restore <file> [--at <backup id or date>]`);
+	}
+	const backups = findBackups(file);
+	if (!backups) {
+		exitWithError(flags, `No backups found for ${file}. Run '${PRIMARY_CMD} backups list' to see backed-up files.`);
+	}
+	const { snapshot, error } = selectSnapshot(backups.snapshots, flags.at);
+	if (error) {
+		exitWithError(flags, error);
+	}
+
+	if (flags.dryRun) {
+		if (flags.json) {
+			console.log(JSON.stringify({ success: true, dryRun: true, path: backups.path, restoredFrom: snapshot.id }, null, 2));
+		} else {
+			console.log(`Would restore ${shortenPath(backups.path)} from backup ${snapshot.id} (${formatBackupTime(snapshot.at)})`);
+		}
+		return;
+	}
+
+	let result;
+	try {
+		result = restoreBackup(backups.path, snapshot);
+	} catch (err) {
+		exitWithError(flags, `Failed to restore ${backups.path}: ${err?.message ?? String(err)}`);
+	}
+	recordAuditEvent({ event: "restore", provider: null, label: null, paths: [result.path] });
+	if (flags.json) {
+		console.log(JSON.stringify({ success: true, path: result.path, restoredFrom: snapshot.id, backup: result.backup }, null, 2));
+		return;
+	}
+	console.log(colorize(`Restored ${shortenPath(backups.path)} from backup ${snapshot.id} (${formatBackupTime(snapshot.at)})`, GREEN));
+	if (result.backup) {
+		console.log(`The replaced contents were backed up to ${shortenPath(result.backup)}`);
+	}
+}
+
+/**
+ * Handle log command - show the audit log of credential changes
+ * @param {string[]} args - Non-flag arguments (optional label filter)
+ * @param {{ json: boolean, since?: string | null, event?: string | null, codex?: boolean, claude?: boolean }} flags - Parsed flags
+ */
+export async function handleLog(args, flags) {
+	const labelFilter = args[0] ?? null;
+	const sinceValue = flags.since ?? DEFAULT_LOG_SINCE;
+	const sinceMs = parseDuration(sinceValue, "d");
+	if (!sinceMs) {
+		exitWithError(flags, `Invalid --since "${sinceValue}". Use a duration like 24h, 7d, or 4w.`);
+	}
+	if (flags.event && !AUDIT_EVENTS.includes(flags.event)) {
+		exitWithError(flags, `Invalid --event "${flags.event}". Available: ${AUDIT_EVENTS.join(", ")}`);
+	}
+	// --codex / --claude pick a provider; neither or both means all
+	const provider = flags.codex === flags.claude ? null : flags.codex ? "codex" : "claude";
+
+	const since = Date.now() - sinceMs;
+	const auditPath = getAuditLogPath();
+	const entries = filterAuditEntries(readAuditLog(auditPath), {
+		label: labelFilter,
+		event: flags.event ?? null,
+		provider,
+		since,
+	});
+
+	if (flags.json) {
+		console.log(JSON.stringify({ since: new Date(since).toISOString(), auditPath, entries }, null, 2));
+		return;
+	}
+	if (!entries.length) {
+		console.log(colorize(`No credential changes recorded in the last ${sinceValue}.`, YELLOW));
+		console.log(`Adds, re-auths, switches, syncs, removals, token refreshes, and imports are logged to ${shortenPath(auditPath)}.`);
+		return;
+	}
+	for (const entry of entries) {
+		const fields = [
+			new Date(entry.ts).toLocaleString(),
+			entry.event.padEnd(7),
+			(entry.provider ?? "-").padEnd(6),
+			entry.label ?? "-",
+			entry.fingerprint ? `token ${entry.fingerprint}` : null,
+			`pid ${entry.pid}`,
+		].filter(Boolean);
+		console.log(fields.join("  "));
+		for (const path of entry.paths) {
+			console.log(`    ${shortenPath(path)}`);
+		}
+	}
+}
+
+const DOCTOR_STATUS_LABELS = {
+	pass: colorize("ok  ", GREEN),
+	warn: colorize("warn", YELLOW),
+	fail: colorize("fail", RED),
+};
+
+/**
+ * Handle doctor command - check credential files, tokens, and tools, with fix hints
+ * @param {string[]} args - Non-flag arguments (unused)
+ * @param {{ json: boolean }} flags - Parsed flags
+ */
+export async function handleDoctor(args, flags) {
+	const checks = await runDoctorChecks();
+	const summary = { pass: 0, warn: 0, fail: 0 };
+	for (const check of checks) {
+		summary[check.status]++;
+	}
+	const success = summary.fail === 0;
+
+	if (flags.json) {
+		console.log(JSON.stringify({ success, checks, summary }, null, 2));
+	} else {
+		for (const check of checks) {
+			console.log(`${DOCTOR_STATUS_LABELS[check.status]}  ${check.check.padEnd(11)} ${check.message}`);
+			if (check.hint) {
+				console.log(`                  fix: ${check.hint}`);
+			}
+		}
+		console.log("");
+		const line = `${summary.pass} passed, ${summary.warn} warning${summary.warn === 1 ? "" : "s"}, ${summary.fail} failed`;
+		console.log(colorize(line, summary.fail ? RED : summary.warn ? YELLOW : GREEN));
+	}
+	if (!success) {
+		process.exit(1);
+	}
+}
+
+/**
+ * Handle completion command - print a shell completion script
+ * @param {string[]} args - Non-flag arguments (shell name)
+ * @param {{ json: boolean }} flags - Parsed flags
+ * @param {{ flags: string[], valueFlags: string[] }} cliFlags - Flags main() accepts
+ */
+export function handleCompletion(args, flags, cliFlags) {
+	const shell = args[0];
+	if (!COMPLETION_SHELLS.includes(shell)) {
+		exitWithError(flags, `Usage: ${PRIMARY_CMD} completion <${COMPLETION_SHELLS.join("|")}>`);
+	}
+	const script = buildCompletionScript(shell, {
+		commandNames: [PRIMARY_CMD, "cq"],
+		namespaces: getProviders().map(provider => ({
+			name: provider.name,
+			subcommands: provider.subcommands ?? ["quota", "list"],
+		})),
+		flags: [...cliFlags.flags, "--help", "--version"],
+		valueFlags: cliFlags.valueFlags,
+	});
+	process.stdout.write(script);
+}
+
+/**
+ * Handle the hidden __complete command used by completion scripts.
+ * Prints one candidate per line and nothing on errors, since output goes straight to the shell.
+ * @param {string[]} args - "labels" and a namespace (or "all")
+ */
+export function handleComplete(args) {
+	const [kind, namespace = "all"] = args;
+	if (kind !== "labels") return;
+	const providers = namespace === "all" ? getProviders() : [getProvider(namespace)].filter(Boolean);
+	const labels = new Set();
+	for (const provider of providers) {
+		try {
+			const providerLabels = provider.getLabels
+				? provider.getLabels()
+				: provider.loadAccounts({ local: true }).map(account => account.label);
+			for (const label of providerLabels) {
+				if (label) labels.add(label);
+			}
+		} catch {
+			// A broken store should not break the shell
+		}
+	}
+	if (labels.size) {
+		process.stdout.write(`${[...labels].join("\n")}\n`);
+	}
+}
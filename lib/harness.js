@@ -0,0 +1,357 @@
+/**
+ * Harness target registry: auth files of tools (OpenCode, pi, custom) that share a provider's
+ * OAuth tokens. Each target declares its path resolver, the provider key it uses, and how to
+ * read and write tokens. switch, sync, token refresh, and divergence detection go through it.
+ * Codex CLI auth.json and Claude Code credentials are primary stores handled by their providers.
+ * Read-modify-write of a target holds the file's lock (lib/lock.js) and backs up the previous file.
+ * Depends on: lib/paths.js, lib/config.js, lib/fs.js, lib/token-match.js, lib/lock.js, lib/backups.js
+ */
+
+import { existsSync, readFileSync, mkdirSync } from "node:fs";
+import { homedir } from "node:os";
+import { dirname, join } from "node:path";
+import { getOpencodeAuthPath, getPiAuthPath } from "./paths.js";
+import { getConfigValue } from "./config.js";
+import { writeFileAtomic } from "./fs.js";
+import { withFileLock } from "./lock.js";
+import { backupFile } from "./backups.js";
+import { isOauthTokenMatch, normalizeEntryTokens, OPENAI_TOKEN_FIELDS, CLAUDE_TOKEN_FIELDS } from "./token-match.js";
+
+/**
+ * Provider keys used inside harness auth files, and the provider whose tokens they hold.
+ */
+export const HARNESS_PROVIDER_KEYS = {
+	openai: "codex",
+	"openai-codex": "codex",
+	anthropic: "claude",
+};
+
+// Canonical token fields per provider, in the order custom pointers are documented
+const TOKEN_FIELDS = {
+	codex: ["access", "refresh", "expires", "accountId", "idToken"],
+	claude: ["access", "refresh", "expires", "scopes"],
+};
+
+/**
+ * @typedef {{ access: string | null, refresh: string | null, expires: number | null, accountId?: string | null, idToken?: string | null, scopes?: string[] | null }} HarnessTokens
+ */
+
+/**
+ * @typedef {object} HarnessTarget
+ * @property {string} name - Short id ("opencode", "pi", or the custom target name)
+ * @property {string} title - Display name
+ * @property {string} fileLabel - File name used in messages ("OpenCode auth.json")
+ * @property {"codex" | "claude"} provider - Provider whose tokens the target holds
+ * @property {string | null} key - Provider key in the file ("openai", "openai-codex", "anthropic")
+ * @property {boolean} custom - Defined in the config file
+ * @property {() => string} getPath - Auth file path
+ * @property {(auth: object) => HarnessTokens | null} read - Tokens from the parsed file
+ * @property {(tokens: HarnessTokens, previous: { access?: string | null, refresh?: string | null, label?: string | null }) => boolean} match - Whether stored tokens are the ones being refreshed
+ * @property {(auth: object, tokens: HarnessTokens) => object} write - Parsed file with tokens replaced
+ */
+
+/**
+ * Resolve a JSON pointer (RFC 6901) against a value.
+ * @param {unknown} value
+ * @param {string} pointer - e.g. "/openai/access"
+ * @returns {unknown} The value, or undefined when the path does not exist
+ */
+export function getJsonPointer(value, pointer) {
+	let current = value;
+	for (const token of parseJsonPointer(pointer)) {
+		if (current === null || typeof current !== "object" || !Object.hasOwn(current, token)) return undefined;
+		current = current[token];
+	}
+	return current;
+}
+
+/**
+ * Set a value at a JSON pointer, creating intermediate objects.
+ * @param {object} target - Mutated in place
+ * @param {string} pointer
+ * @param {unknown} value
+ */
+export function setJsonPointer(target, pointer, value) {
+	const tokens = parseJsonPointer(pointer);
+	if (!tokens.length) {
+		throw new Error("Cannot set the root of a document");
+	}
+	let current = target;
+	for (const token of tokens.slice(0, -1)) {
+		if (current[token] === null || typeof current[token] !== "object" || Array.isArray(current[token])) {
+			current[token] = {};
+		}
+		current = current[token];
+	}
+	current[tokens[tokens.length - 1]] = value;
+}
+
+function parseJsonPointer(pointer) {
+	if (pointer === "") return [];
+	if (typeof pointer !== "string" || !pointer.startsWith("/")) {
+		throw new Error(`Invalid JSON pointer "${pointer}"`);
+	}
+	return pointer.slice(1).split("/").map(token => token.replace(/~1/g, "/").replace(/~0/g, "~"));
+}
+
+/**
+ * Create a target's match function. Stored tokens match when they are the previous tokens,
+ * or when the file has no tokens yet and the label is the target name.
+ * @param {string} name
+ */
+function createTokenMatcher(name) {
+	return (tokens, previous) => isOauthTokenMatch({
+		storedAccess: tokens?.access ?? null,
+		storedRefresh: tokens?.refresh ?? null,
+		previousAccess: previous.access ?? null,
+		previousRefresh: previous.refresh ?? null,
+		label: previous.label ?? null,
+		storedLabel: name,
+	});
+}
+
+function asObject(value) {
+	return value && typeof value === "object" && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * Create a target that keeps tokens in one top-level provider section (OpenCode, pi).
+ * @param {{ name: string, title: string, provider: "codex" | "claude", key: string, getPath: () => string }} definition
+ * @returns {HarnessTarget}
+ */
+function createKeyedTarget(definition) {
+	const fieldMap = definition.provider === "codex" ? OPENAI_TOKEN_FIELDS : CLAUDE_TOKEN_FIELDS;
+	return {
+		...definition,
+		custom: false,
+		match: createTokenMatcher(definition.name),
+		read(auth) {
+			return normalizeEntryTokens(asObject(auth?.[definition.key]), fieldMap);
+		},
+		write(auth, tokens) {
+			const entry = { ...asObject(auth[definition.key]), type: "oauth" };
+			entry.access = tokens.access;
+			if (definition.provider === "codex") {
+				entry.refresh = tokens.refresh;
+				entry.expires = tokens.expires ?? Date.now() - 1000;
+				entry.accountId = tokens.accountId;
+			} else {
+				entry.refresh = tokens.refresh ?? null;
+				entry.expires = tokens.expires ?? null;
+				entry.scopes = tokens.scopes ?? null;
+			}
+			return { ...auth, [definition.key]: entry };
+		},
+	};
+}
+
+const BUILTIN_TARGETS = [
+	createKeyedTarget({ name: "opencode", title: "OpenCode", fileLabel: "OpenCode auth.json", provider: "codex", key: "openai", getPath: getOpencodeAuthPath }),
+	createKeyedTarget({ name: "pi", title: "pi", fileLabel: "pi auth.json", provider: "codex", key: "openai-codex", getPath: getPiAuthPath }),
+	createKeyedTarget({ name: "opencode", title: "OpenCode", fileLabel: "OpenCode auth.json", provider: "claude", key: "anthropic", getPath: getOpencodeAuthPath }),
+	createKeyedTarget({ name: "pi", title: "pi", fileLabel: "pi auth.json", provider: "claude", key: "anthropic", getPath: getPiAuthPath }),
+];
+
+function expandHome(path) {
+	return path === "~" || path.startsWith("~/") ? join(homedir(), path.slice(1)) : path;
+}
+
+/**
+ * Build a target from a harnessTargets config entry.
+ * Entries name a path and either a provider key ("openai", "openai-codex", "anthropic") or
+ * JSON pointers per token field ({ "access": "/auth/token", ... }) plus a provider.
+ * @param {unknown} entry
+ * @returns {{ target: HarnessTarget | null, error: string | null }}
+ */
+export function parseCustomHarnessTarget(entry) {
+	const raw = asObject(entry);
+	const name = typeof raw.name === "string" && raw.name ? raw.name : null;
+	if (!name) {
+		return { target: null, error: "harnessTargets entries need a name" };
+	}
+	if (typeof raw.path !== "string" || !raw.path) {
+		return { target: null, error: `Harness target "${name}" needs a path` };
+	}
+	const key = typeof raw.key === "string" ? raw.key : null;
+	const provider = raw.provider ?? HARNESS_PROVIDER_KEYS[key] ?? null;
+	if (!TOKEN_FIELDS[provider]) {
+		return { target: null, error: `Harness target "${name}" needs a provider (codex or claude) or a known key` };
+	}
+	const pointers = {};
+	for (const field of TOKEN_FIELDS[provider]) {
+		const pointer = raw.pointers?.[field] ?? (key ? `/${key}/${field}` : undefined);
+		if (pointer !== undefined) pointers[field] = pointer;
+	}
+	if (!pointers.access || !pointers.refresh) {
+		return { target: null, error: `Harness target "${name}" needs access and refresh pointers` };
+	}
+	try {
+		Object.values(pointers).forEach(parseJsonPointer);
+	} catch (err) {
+		return { target: null, error: `Harness target "${name}": ${err.message}` };
+	}
+	// Token expiry is stored in milliseconds unless the target says seconds
+	const scale = raw.expiresUnit === "s" ? 1000 : 1;
+
+	return {
+		target: {
+			name,
+			title: typeof raw.title === "string" && raw.title ? raw.title : name,
+			fileLabel: raw.path,
+			provider,
+			key,
+			custom: true,
+			getPath: () => expandHome(raw.path),
+			match: createTokenMatcher(name),
+			read(auth) {
+				const tokens = {};
+				for (const [field, pointer] of Object.entries(pointers)) {
+					tokens[field] = getJsonPointer(auth, pointer) ?? null;
+				}
+				if (typeof tokens.expires === "number") tokens.expires *= scale;
+				return tokens;
+			},
+			write(auth, tokens) {
+				const updated = structuredClone(auth);
+				for (const [field, pointer] of Object.entries(pointers)) {
+					let value = tokens[field] ?? null;
+					// Only write idToken when present, like the account stores
+					if (field === "idToken" && !value) continue;
+					if (field === "expires" && typeof value === "number") value = Math.floor(value / scale);
+					setJsonPointer(updated, pointer, value);
+				}
+				return updated;
+			},
+		},
+		error: null,
+	};
+}
+
+// Invalid config entries already reported (warn once per run)
+const warnedTargets = new Set();
+
+/**
+ * Harness targets for a provider: built-ins first, then custom targets from the config file.
+ * @param {"codex" | "claude"} provider
+ * @returns {HarnessTarget[]}
+ */
+export function listHarnessTargets(provider) {
+	const targets = BUILTIN_TARGETS.filter(target => target.provider === provider);
+	const configured = getConfigValue("harnessTargets");
+	for (const entry of Array.isArray(configured) ? configured : []) {
+		const { target, error } = parseCustomHarnessTarget(entry);
+		if (error) {
+			if (!warnedTargets.has(error)) {
+				warnedTargets.add(error);
+				console.error(`Warning: ${error}`);
+			}
+			continue;
+		}
+		if (target.provider !== provider) continue;
+		if (targets.some(other => other.name === target.name)) {
+			const message = `Harness target name "${target.name}" is already in use`;
+			if (!warnedTargets.has(message)) {
+				warnedTargets.add(message);
+				console.error(`Warning: ${message}`);
+			}
+			continue;
+		}
+		targets.push(target);
+	}
+	return targets;
+}
+
+/**
+ * Look up a harness target by name.
+ * @param {"codex" | "claude"} provider
+ * @param {string} name
+ * @returns {HarnessTarget | null}
+ */
+export function findHarnessTarget(provider, name) {
+	return listHarnessTargets(provider).find(target => target.name === name) ?? null;
+}
+
+function readAuthFile(target, path) {
+	try {
+		const parsed = JSON.parse(readFileSync(path, "utf-8"));
+		if (!parsed || typeof parsed !== "object" || Array.isArray(parsed)) {
+			return { auth: null, error: `Invalid ${target.fileLabel} format` };
+		}
+		return { auth: parsed, error: null };
+	} catch (err) {
+		return { auth: null, error: `Failed to read ${target.fileLabel}: ${err?.message ?? String(err)}` };
+	}
+}
+
+/**
+ * Read a target's tokens.
+ * @param {HarnessTarget} target
+ * @returns {{ name: string, title: string, path: string, exists: boolean, tokens: HarnessTokens | null, error: string | null }}
+ */
+export function readHarnessTarget(target) {
+	const path = target.getPath();
+	const base = { name: target.name, title: target.title, path };
+	if (!existsSync(path)) {
+		return { ...base, exists: false, tokens: null, error: null };
+	}
+	const { auth, error } = readAuthFile(target, path);
+	return { ...base, exists: true, tokens: auth ? target.read(auth) : null, error };
+}
+
+/**
+ * Write tokens to a target, keeping the rest of the file.
+ * Missing files are skipped unless options.create is set.
+ * @param {HarnessTarget} target
+ * @param {HarnessTokens} tokens
+ * @param {{ create?: boolean }} [options]
+ * @returns {{ name: string, title: string, updated: boolean, path: string, error?: string, skipped?: boolean }}
+ */
+export function writeHarnessTarget(target, tokens, options = {}) {
+	return updateHarnessTarget(target, () => tokens, options);
+}
+
+/**
+ * Read a target's tokens, decide on new ones, and write them, all under the file's lock
+ * so a token written by another process in between is never overwritten unseen.
+ * @param {HarnessTarget} target
+ * @param {(current: HarnessTokens | null) => HarnessTokens | null} update - Null leaves the file unchanged
+ * @param {{ create?: boolean }} [options]
+ * @returns {{ name: string, title: string, updated: boolean, path: string, error?: string, skipped?: boolean }}
+ */
+export function updateHarnessTarget(target, update, options = {}) {
+	const path = target.getPath();
+	const base = { name: target.name, title: target.title, path };
+	if (!existsSync(path) && !options.create) {
+		return { ...base, updated: false, skipped: true };
+	}
+	try {
+		return withFileLock(path, () => {
+			let auth = null;
+			if (existsSync(path)) {
+				const read = readAuthFile(target, path);
+				if (read.error) {
+					return { ...base, updated: false, error: read.error };
+				}
+				auth = read.auth;
+			}
+			const tokens = update(auth ? target.read(auth) : null);
+			if (!tokens) {
+				return { ...base, updated: false };
+			}
+			try {
+				const dir = dirname(path);
+				if (!existsSync(dir)) {
+					mkdirSync(dir, { recursive: true, mode: 0o700 });
+				}
+				backupFile(path);
+				writeFileAtomic(path, JSON.stringify(target.write(auth ?? {}, tokens), null, 2) + "\n", { mode: 0o600 });
+			} catch (err) {
+				return { ...base, updated: false, error: `Failed to write ${target.fileLabel}: ${err?.message ?? String(err)}` };
+			}
+			return { ...base, updated: true };
+		});
+	} catch (err) {
+		// Lock timeouts
+		return { ...base, updated: false, error: `Failed to write ${target.fileLabel}: ${err?.message ?? String(err)}` };
+	}
+}
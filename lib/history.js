@@ -0,0 +1,252 @@
+/**
+ * Local usage history: append quota samples and summarize trends per window.
+ * Depends on: lib/paths.js, lib/windows.js, lib/fs.js
+ */
+
+import { existsSync, mkdirSync, appendFileSync, readFileSync, statSync, chmodSync } from "node:fs";
+import { dirname } from "node:path";
+import { getHistoryPath } from "./paths.js";
+import { getCodexWindows, getClaudeWindows } from "./windows.js";
+import { writeFileAtomic } from "./fs.js";
+
+// Rewrite the file without old samples once it grows past this size
+export const HISTORY_MAX_BYTES = 5 * 1024 * 1024;
+export const HISTORY_RETENTION_MS = 90 * 24 * 60 * 60 * 1000;
+
+// A reset is assumed when resetsAt moves by more than this between samples
+const RESET_TOLERANCE_MS = 5 * 60 * 1000;
+
+/**
+ * Build history records (one per label and window) from fetched usage.
+ * Results with errors or without windows produce no records, and neither do results
+ * served from the usage cache: their values were sampled when they were fetched.
+ * @param {{ results?: Array<{ account: object, usage: object, cache?: object | null }>, claudeResults?: Array<object> | null, providerResults?: Array<{ provider: { name: string, getWindows: Function }, results: Array<{ account: object, usage: object, error: string | null, cache?: object }> }> }} data
+ * @param {number} [now] - Sample time in milliseconds
+ * @returns {Array<{ ts: string, provider: string, label: string, window: string, remaining: number, resetsAt: string | null }>}
+ */
+export function buildHistoryRecords(data, now = Date.now()) {
+	const ts = new Date(now).toISOString();
+	const records = [];
+	const push = (provider, label, windows) => {
+		for (const [window, value] of Object.entries(windows)) {
+			records.push({
+				ts,
+				provider,
+				label,
+				window,
+				remaining: Math.round(value.remaining * 10) / 10,
+				resetsAt: value.resetsAt ? new Date(value.resetsAt).toISOString() : null,
+			});
+		}
+	};
+	for (const { account, usage, cache } of data.results ?? []) {
+		if (cache) continue;
+		push("codex", account.label, getCodexWindows(usage, now));
+	}
+	for (const result of data.claudeResults ?? []) {
+		if (result?.cache) continue;
+		push("claude", result?.label ?? "claude", getClaudeWindows(result));
+	}
+	for (const { provider, results } of data.providerResults ?? []) {
+		for (const { account, usage, error, cache } of results) {
+			if (error || cache) continue;
+			push(provider.name, account.label, provider.getWindows(usage));
+		}
+	}
+	return records;
+}
+
+/**
+ * Move an account's samples to its new label after a rename, so history and
+ * projections carry on from the old samples.
+ * @param {string} provider - "codex" or "claude"
+ * @param {string} oldLabel
+ * @param {string} newLabel
+ * @param {{ path?: string }} [options]
+ * @returns {{ path: string, updated: number, error?: string }} Number of samples moved
+ */
+export function renameHistoryLabel(provider, oldLabel, newLabel, options = {}) {
+	const historyPath = options.path ?? getHistoryPath();
+	if (!existsSync(historyPath)) {
+		return { path: historyPath, updated: 0 };
+	}
+	try {
+		let updated = 0;
+		const records = readHistoryRecords(historyPath).map(record => {
+			if (record.provider !== provider || record.label !== oldLabel) return record;
+			updated++;
+			return { ...record, label: newLabel };
+		});
+		if (updated) {
+			const contents = records.map(record => JSON.stringify(record)).join("\n");
+			writeFileAtomic(historyPath, contents ? contents + "\n" : "", { mode: 0o600 });
+		}
+		return { path: historyPath, updated };
+	} catch (err) {
+		return { path: historyPath, updated: 0, error: `Failed to update history: ${err?.message ?? String(err)}` };
+	}
+}
+
+/**
+ * Drop samples older than the retention window by rewriting the file.
+ * @param {string} historyPath
+ * @param {number} now
+ */
+function pruneHistory(historyPath, now) {
+	const cutoff = now - HISTORY_RETENTION_MS;
+	const kept = readHistoryRecords(historyPath).filter(record => Date.parse(record.ts) >= cutoff);
+	const contents = kept.map(record => JSON.stringify(record)).join("\n");
+	writeFileAtomic(historyPath, contents ? contents + "\n" : "", { mode: 0o600 });
+}
+
+/**
+ * Append records to the history file (created with 0600 permissions).
+ * @param {Array<object>} records
+ * @param {{ path?: string, now?: number }} [options]
+ * @returns {{ path: string, appended: number, error?: string }}
+ */
+export function appendHistory(records, options = {}) {
+	const historyPath = options.path ?? getHistoryPath();
+	if (!records.length) {
+		return { path: historyPath, appended: 0 };
+	}
+	try {
+		const dir = dirname(historyPath);
+		if (!existsSync(dir)) {
+			mkdirSync(dir, { recursive: true, mode: 0o700 });
+		}
+		const isNew = !existsSync(historyPath);
+		appendFileSync(historyPath, records.map(record => JSON.stringify(record)).join("\n") + "\n", "utf-8");
+		if (isNew) {
+			chmodSync(historyPath, 0o600);
+		}
+		if (statSync(historyPath).size > HISTORY_MAX_BYTES) {
+			pruneHistory(historyPath, options.now ?? Date.now());
+		}
+		return { path: historyPath, appended: records.length };
+	} catch (err) {
+		return { path: historyPath, appended: 0, error: `Failed to write usage history: ${err?.message ?? String(err)}` };
+	}
+}
+
+/**
+ * Read all valid records from a history file. Malformed lines are skipped.
+ * @param {string} [historyPath]
+ * @returns {Array<{ ts: string, provider: string, label: string, window: string, remaining: number, resetsAt: string | null }>}
+ */
+export function readHistoryRecords(historyPath = getHistoryPath()) {
+	if (!existsSync(historyPath)) return [];
+	const records = [];
+	for (const line of readFileSync(historyPath, "utf-8").split("\n")) {
+		if (!line.trim()) continue;
+		try {
+			const record = JSON.parse(line);
+			if (
+				record
+				&& typeof record.label === "string"
+				&& typeof record.window === "string"
+				&& typeof record.remaining === "number"
+				&& !Number.isNaN(Date.parse(record.ts))
+			) {
+				records.push(record);
+			}
+		} catch {
+			// Skip partial or corrupted lines
+		}
+	}
+	return records;
+}
+
+/**
+ * Decide whether a window reset happened between two consecutive samples.
+ * @param {{ remaining: number, resetsAt: string | null }} previous
+ * @param {{ remaining: number, resetsAt: string | null }} current
+ * @returns {boolean}
+ */
+export function isResetBetween(previous, current) {
+	const previousReset = previous.resetsAt ? Date.parse(previous.resetsAt) : null;
+	const currentReset = current.resetsAt ? Date.parse(current.resetsAt) : null;
+	if (previousReset && currentReset) {
+		return Math.abs(currentReset - previousReset) > RESET_TOLERANCE_MS;
+	}
+	// Without reset timestamps, a jump back up means quota was restored
+	return current.remaining > previous.remaining + 0.5;
+}
+
+/**
+ * Summarize history per provider, label, and window.
+ * Burn rate is the quota consumed per hour across sample pairs that fall
+ * within the same reset period (resets themselves are not counted as usage).
+ * @param {Array<object>} records - Records from readHistoryRecords
+ * @returns {Array<{
+ *   provider: string,
+ *   label: string,
+ *   window: string,
+ *   samples: Array<{ ts: string, remaining: number }>,
+ *   first: { ts: string, remaining: number },
+ *   last: { ts: string, remaining: number },
+ *   burnRatePerHour: number | null,
+ *   periods: Array<{ start: string, end: string, resetsAt: string | null, startRemaining: number, lowestRemaining: number, lowestAt: string }>,
+ * }>}
+ */
+export function summarizeHistory(records) {
+	const groups = new Map();
+	for (const record of records) {
+		const key = `${record.provider}\u0000${record.label}\u0000${record.window}`;
+		if (!groups.has(key)) groups.set(key, []);
+		groups.get(key).push(record);
+	}
+
+	const summaries = [];
+	for (const group of groups.values()) {
+		group.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+		const periods = [];
+		let consumed = 0;
+		let hours = 0;
+		let current = null;
+		for (let i = 0; i < group.length; i++) {
+			const record = group[i];
+			const previous = group[i - 1];
+			if (!current || isResetBetween(previous, record)) {
+				current = {
+					start: record.ts,
+					end: record.ts,
+					resetsAt: record.resetsAt ?? null,
+					startRemaining: record.remaining,
+					lowestRemaining: record.remaining,
+					lowestAt: record.ts,
+				};
+				periods.push(current);
+				continue;
+			}
+			consumed += Math.max(0, previous.remaining - record.remaining);
+			hours += (Date.parse(record.ts) - Date.parse(previous.ts)) / 3_600_000;
+			current.end = record.ts;
+			current.resetsAt = record.resetsAt ?? current.resetsAt;
+			if (record.remaining < current.lowestRemaining) {
+				current.lowestRemaining = record.remaining;
+				current.lowestAt = record.ts;
+			}
+		}
+		const first = group[0];
+		const last = group[group.length - 1];
+		summaries.push({
+			provider: first.provider,
+			label: first.label,
+			window: first.window,
+			samples: group.map(record => ({ ts: record.ts, remaining: record.remaining })),
+			first: { ts: first.ts, remaining: first.remaining },
+			last: { ts: last.ts, remaining: last.remaining },
+			burnRatePerHour: hours > 0 ? Math.round((consumed / hours) * 100) / 100 : null,
+			periods,
+		});
+	}
+
+	const providerOrder = { codex: 0, claude: 1 };
+	const windowOrder = { "5h": 0, weekly: 1, "opus-weekly": 2, "sonnet-weekly": 3 };
+	return summaries.sort((a, b) => (
+		(providerOrder[a.provider] ?? 9) - (providerOrder[b.provider] ?? 9)
+		|| a.label.localeCompare(b.label)
+		|| (windowOrder[a.window] ?? 9) - (windowOrder[b.window] ?? 9)
+	));
+}
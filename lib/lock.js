@@ -0,0 +1,178 @@
+/**
+ * Advisory lockfiles for read-modify-write of account stores, harness files, and the usage cache.
+ * A lock is "<file>.lock" holding the owner's PID; locks whose owner is gone, or that
+ * are held longer than LOCK_STALE_MS, are taken over. Locks are reentrant within a process.
+ * Depends on: lib/fs.js
+ */
+
+import { openSync, writeSync, closeSync, readFileSync, statSync, unlinkSync, mkdirSync, existsSync } from "node:fs";
+import { hostname } from "node:os";
+import { dirname } from "node:path";
+import { randomBytes } from "node:crypto";
+import { resolveWritePath } from "./fs.js";
+
+// A lock held longer than this is assumed abandoned (writes under a lock take milliseconds)
+export const LOCK_STALE_MS = 30 * 1000;
+// Give up waiting for a live lock after this long
+export const LOCK_TIMEOUT_MS = 10 * 1000;
+const LOCK_RETRY_MS = 25;
+
+// Locks held by this process: lock path → { token, depth }
+const heldLocks = new Map();
+const sleepCell = new Int32Array(new SharedArrayBuffer(4));
+
+function sleepSync(ms) {
+	Atomics.wait(sleepCell, 0, 0, ms);
+}
+
+/**
+ * Resolve the lockfile for a path (symlinked files share their target's lock).
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function getLockPath(filePath) {
+	return `${resolveWritePath(filePath).path}.lock`;
+}
+
+/**
+ * Read a lockfile's owner.
+ * @param {string} lockPath
+ * @returns {{ pid: number, hostname: string, acquiredAt: number, token: string } | null} Null when missing or unreadable
+ */
+export function readLockOwner(lockPath) {
+	try {
+		const owner = JSON.parse(readFileSync(lockPath, "utf-8"));
+		return Number.isInteger(owner?.pid) && typeof owner.acquiredAt === "number" ? owner : null;
+	} catch {
+		return null;
+	}
+}
+
+function isProcessAlive(pid) {
+	try {
+		process.kill(pid, 0);
+		return true;
+	} catch (err) {
+		// EPERM: the process exists but belongs to another user
+		return err?.code === "EPERM";
+	}
+}
+
+/**
+ * Check whether a lock can be taken over.
+ * @param {{ pid: number, hostname: string, acquiredAt: number } | null} owner - From readLockOwner
+ * @param {{ now?: number, modifiedAt?: number }} [options] - modifiedAt is the lockfile mtime, used when the owner is unreadable
+ * @returns {boolean}
+ */
+export function isLockStale(owner, options = {}) {
+	const now = options.now ?? Date.now();
+	if (!owner) {
+		// Unreadable locks may still be being written; give them the stale window
+		return now - (options.modifiedAt ?? now) > LOCK_STALE_MS;
+	}
+	if (owner.hostname === hostname() && !isProcessAlive(owner.pid)) {
+		return true;
+	}
+	return now - owner.acquiredAt > LOCK_STALE_MS;
+}
+
+function tryCreateLock(lockPath, token) {
+	let fd;
+	try {
+		fd = openSync(lockPath, "wx", 0o600);
+	} catch (err) {
+		if (err?.code === "EEXIST") return false;
+		throw err;
+	}
+	try {
+		writeSync(fd, JSON.stringify({ pid: process.pid, hostname: hostname(), acquiredAt: Date.now(), token }));
+	} finally {
+		closeSync(fd);
+	}
+	return true;
+}
+
+function removeStaleLock(lockPath) {
+	let modifiedAt;
+	try {
+		modifiedAt = statSync(lockPath).mtimeMs;
+	} catch {
+		// Released in the meantime
+		return;
+	}
+	const owner = readLockOwner(lockPath);
+	if (!isLockStale(owner, { modifiedAt })) return;
+	// Only remove the lock we judged stale, not one taken since
+	if (readLockOwner(lockPath)?.token !== owner?.token) return;
+	try {
+		unlinkSync(lockPath);
+	} catch {
+		// Another process removed it first
+	}
+}
+
+/**
+ * Acquire the lock for a file, waiting while another live process holds it.
+ * @param {string} filePath - File about to be read, modified, and written
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {() => void} Releases the lock
+ * @throws {Error} When the lock is still held after the timeout
+ */
+export function acquireFileLock(filePath, options = {}) {
+	const lockPath = getLockPath(filePath);
+	const held = heldLocks.get(lockPath);
+	if (held) {
+		held.depth++;
+		return () => releaseFileLock(lockPath);
+	}
+
+	const dir = dirname(lockPath);
+	if (!existsSync(dir)) {
+		mkdirSync(dir, { recursive: true, mode: 0o700 });
+	}
+	const token = randomBytes(8).toString("hex");
+	const deadline = Date.now() + (options.timeoutMs ?? LOCK_TIMEOUT_MS);
+	while (!tryCreateLock(lockPath, token)) {
+		removeStaleLock(lockPath);
+		if (Date.now() >= deadline) {
+			const owner = readLockOwner(lockPath);
+			const holder = owner ? ` (held by PID ${owner.pid})` : "";
+			throw new Error(`Timed out waiting for lock on ${filePath}${holder}`);
+		}
+		sleepSync(LOCK_RETRY_MS);
+	}
+	heldLocks.set(lockPath, { token, depth: 1 });
+	return () => releaseFileLock(lockPath);
+}
+
+function releaseFileLock(lockPath) {
+	const held = heldLocks.get(lockPath);
+	if (!held) return;
+	held.depth--;
+	if (held.depth > 0) return;
+	heldLocks.delete(lockPath);
+	// A lock taken over as stale belongs to someone else now
+	if (readLockOwner(lockPath)?.token !== held.token) return;
+	try {
+		unlinkSync(lockPath);
+	} catch {
+		// Already gone
+	}
+}
+
+/**
+ * Run a synchronous read-modify-write while holding a file's lock.
+ * @template T
+ * @param {string} filePath
+ * @param {() => T} fn
+ * @param {{ timeoutMs?: number }} [options]
+ * @returns {T}
+ */
+export function withFileLock(filePath, fn, options = {}) {
+	const release = acquireFileLock(filePath, options);
+	try {
+		return fn();
+	} finally {
+		release();
+	}
+}
@@ -0,0 +1,162 @@
+/**
+ * Prometheus exporter: quota gauges in the text exposition format and a /metrics server.
+ * Depends on: lib/windows.js
+ */
+
+import { createServer } from "node:http";
+import { getCodexWindows, getClaudeWindows } from "./windows.js";
+
+export const DEFAULT_METRICS_PORT = 9464;
+export const DEFAULT_METRICS_HOST = "127.0.0.1";
+export const DEFAULT_METRICS_TTL_MS = 60 * 1000;
+export const MIN_METRICS_TTL_MS = 10 * 1000;
+
+const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+const METRIC_FAMILIES = [
+	["codex_quota_up", "1 when the last usage fetch for the account succeeded, 0 otherwise"],
+	["codex_quota_remaining_percent", "Remaining quota in percent for the usage window"],
+	["codex_quota_reset_seconds", "Seconds until the usage window resets"],
+	["codex_quota_token_expires_seconds", "Seconds until the OAuth access token expires (negative when expired)"],
+	["codex_quota_last_fetch_timestamp_seconds", "Unix time of the last usage fetch"],
+];
+
+/**
+ * Escape a label value for the Prometheus text format.
+ * @param {string} value
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/"/g, "\\\"").replace(/\n/g, "\\n");
+}
+
+function formatSample(name, labels, value) {
+	const labelText = Object.entries(labels)
+		.map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`)
+		.join(",");
+	return `${name}{${labelText}} ${value}`;
+}
+
+/**
+ * Render collected quota data as Prometheus gauges.
+ * @param {{ results?: Array<{ account: object, usage: object }>, claudeResults?: Array<object> | null, providerResults?: Array<{ provider: { name: string, getWindows: Function }, results: Array<{ account: object, usage: object, error: string | null, cache?: object }> }> }} data - Collected quota data
+ * @param {number} [now] - Fetch time in milliseconds
+ * @returns {string} Metrics in the text exposition format (version 0.0.4)
+ */
+export function buildMetricsText(data, now = Date.now()) {
+	const samples = Object.fromEntries(METRIC_FAMILIES.map(([name]) => [name, []]));
+	const add = (provider, label, ok, windows, expiresAt) => {
+		const base = { provider, label };
+		samples.codex_quota_up.push(formatSample("codex_quota_up", base, ok ? 1 : 0));
+		for (const [window, value] of Object.entries(windows)) {
+			samples.codex_quota_remaining_percent.push(
+				formatSample("codex_quota_remaining_percent", { ...base, window }, value.remaining)
+			);
+			if (value.resetsAt) {
+				samples.codex_quota_reset_seconds.push(
+					formatSample("codex_quota_reset_seconds", { ...base, window }, Math.max(0, Math.round((value.resetsAt - now) / 1000)))
+				);
+			}
+		}
+		if (expiresAt) {
+			samples.codex_quota_token_expires_seconds.push(
+				formatSample("codex_quota_token_expires_seconds", base, Math.round((expiresAt - now) / 1000))
+			);
+		}
+	};
+
+	// Stale cache entries keep their gauges but report the failed fetch via codex_quota_up
+	for (const { account, usage, cache } of data.results ?? []) {
+		add("codex", account.label, !usage?.error && !cache?.stale, getCodexWindows(usage, now), account.expires);
+	}
+	for (const result of data.claudeResults ?? []) {
+		const ok = result?.success !== false && !result?.cache?.stale;
+		add("claude", result?.label ?? "claude", ok, getClaudeWindows(result), result?.expiresAt);
+	}
+	for (const { provider, results } of data.providerResults ?? []) {
+		for (const { account, usage, error, cache } of results) {
+			add(provider.name, account.label, !error && !cache?.stale, error ? {} : provider.getWindows(usage), account.expires);
+		}
+	}
+	samples.codex_quota_last_fetch_timestamp_seconds.push(
+		`codex_quota_last_fetch_timestamp_seconds ${Math.floor(now / 1000)}`
+	);
+
+	const lines = [];
+	for (const [name, help] of METRIC_FAMILIES) {
+		lines.push(`# HELP ${name} ${help}`);
+		lines.push(`# TYPE ${name} gauge`);
+		lines.push(...samples[name]);
+	}
+	return lines.join("\n") + "\n";
+}
+
+/**
+ * Wrap a metrics collector so results are reused for ttlMs.
+ * Concurrent callers share one in-flight collection; when a refresh fails
+ * the last successful result is returned until the next attempt.
+ * @param {() => Promise<string>} collect - Fetches usage and renders metrics
+ * @param {number} ttlMs - How long a result stays fresh
+ * @returns {() => Promise<string>}
+ */
+export function createCachedCollector(collect, ttlMs) {
+	let cached = null;
+	let fetchedAt = 0;
+	let inFlight = null;
+
+	return async function getMetrics() {
+		if (cached !== null && Date.now() - fetchedAt < ttlMs) {
+			return cached;
+		}
+		if (!inFlight) {
+			inFlight = collect()
+				.then(text => {
+					cached = text;
+					fetchedAt = Date.now();
+					return text;
+				})
+				.catch(err => {
+					if (cached !== null) return cached;
+					throw err;
+				})
+				.finally(() => {
+					inFlight = null;
+				});
+		}
+		return inFlight;
+	};
+}
+
+/**
+ * Create an HTTP server that serves metrics at /metrics.
+ * @param {() => Promise<string>} getMetrics - Returns the metrics text (usually from createCachedCollector)
+ * @returns {import("node:http").Server}
+ */
+export function createMetricsServer(getMetrics) {
+	return createServer(async (req, res) => {
+		const { pathname } = new URL(req.url ?? "/", "http://localhost");
+		if (req.method !== "GET" && req.method !== "HEAD") {
+			res.writeHead(405, { "Content-Type": "text/plain; charset=utf-8", Allow: "GET, HEAD" });
+			res.end("Method Not Allowed\n");
+			return;
+		}
+		if (pathname === "/") {
+			res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+			res.end("<html><body><h1>codex-quota exporter</h1><p><a href=\"/metrics\">Metrics</a></p></body></html>\n");
+			return;
+		}
+		if (pathname !== "/metrics") {
+			res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end("Not Found\n");
+			return;
+		}
+		try {
+			const text = await getMetrics();
+			res.writeHead(200, { "Content-Type": METRICS_CONTENT_TYPE });
+			res.end(req.method === "HEAD" ? undefined : text);
+		} catch (err) {
+			res.writeHead(500, { "Content-Type": "text/plain; charset=utf-8" });
+			res.end(`Failed to collect metrics: ${err?.message ?? String(err)}\n`);
+		}
+	});
+}
@@ -1,6 +1,6 @@
 /**
  * OpenAI OAuth PKCE flow (shared utilities).
- * Depends on: lib/constants.js, lib/color.js
+ * Depends on: lib/constants.js, lib/color.js, lib/config.js
  */
 
 import { createServer } from "node:net";
@@ -18,6 +18,7 @@ import {
 	PRIMARY_CMD,
 } from "./constants.js";
 import { decodeJWT, extractAccountId, extractProfile } from "./jwt.js";
+import { getTimeoutMs } from "./config.js";
 
 export function generatePKCE() {
 	// Generate 32 random bytes and encode as base64url
@@ -463,11 +464,15 @@ export function startCallbackServer(expectedState) {
 			}
 		});
 		
-		// Set timeout for authentication (default 2 minutes)
+		// Set timeout for authentication (default 2 minutes, see timeouts.oauth)
+		const timeoutMs = getTimeoutMs("timeouts.oauth", OAUTH_TIMEOUT_MS);
+		const timeoutDisplay = timeoutMs % 60000 === 0
+			? `${timeoutMs / 60000} minute${timeoutMs === 60000 ? "" : "s"}`
+			: `${Math.round(timeoutMs / 1000)} seconds`;
 		timeoutId = setTimeout(() => {
 			cleanup();
-			reject(new Error(`Authentication timed out after 2 minutes. Run '${PRIMARY_CMD} codex add' to try again.`));
-		}, OAUTH_TIMEOUT_MS);
+			reject(new Error(`Authentication timed out after ${timeoutDisplay}. Run '${PRIMARY_CMD} codex add' to try again.`));
+		}, timeoutMs);
 		
 		// Handle Ctrl+C gracefully
 		sigintHandler = () => {
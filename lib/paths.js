@@ -1,10 +1,18 @@
 /**
- * Auth file path resolution for OpenCode, Codex CLI, and pi.
- * Depends only on lib/constants.js.
+ * Path resolution for OpenCode, Codex CLI, Claude, and pi auth files plus local state.
+ * Overrides come from environment variables first, then the config file.
+ * Depends on: lib/constants.js, lib/config.js
  */
 
 import { join } from "node:path";
-import { DEFAULT_XDG_DATA_HOME, CODEX_CLI_AUTH_PATH, PI_AUTH_PATH } from "./constants.js";
+import {
+	DEFAULT_XDG_DATA_HOME,
+	CODEX_CLI_AUTH_PATH,
+	PI_AUTH_PATH,
+	CODEX_QUOTA_HOME,
+	CLAUDE_CREDENTIALS_PATH,
+} from "./constants.js";
+import { getConfiguredPath } from "./config.js";
 
 /**
  * Resolve OpenCode auth.json path using XDG_DATA_HOME
@@ -20,8 +28,7 @@ export function getOpencodeAuthPath() {
  * @returns {string}
  */
 export function getCodexCliAuthPath() {
-	const override = process.env.CODEX_AUTH_PATH;
-	return override ? override : CODEX_CLI_AUTH_PATH;
+	return getConfiguredPath("paths.codexAuth") ?? CODEX_CLI_AUTH_PATH;
 }
 
 /**
@@ -29,6 +36,61 @@ export function getCodexCliAuthPath() {
  * @returns {string}
  */
 export function getPiAuthPath() {
-	const override = process.env.PI_AUTH_PATH;
-	return override ? override : PI_AUTH_PATH;
+	return getConfiguredPath("paths.piAuth") ?? PI_AUTH_PATH;
+}
+
+/**
+ * Resolve Claude Code .credentials.json path with optional override.
+ * @returns {string}
+ */
+export function getClaudeCredentialsPath() {
+	return getConfiguredPath("paths.claudeCredentials") ?? CLAUDE_CREDENTIALS_PATH;
+}
+
+/**
+ * Resolve the browser cookie database override for Claude sessions.
+ * @returns {string | null} Null to search the default browser profiles
+ */
+export function getClaudeCookieDbPath() {
+	return getConfiguredPath("paths.claudeCookieDb");
+}
+
+/**
+ * Resolve the codex-quota state directory with optional override.
+ * @returns {string}
+ */
+export function getCodexQuotaHome() {
+	return getConfiguredPath("paths.home") ?? CODEX_QUOTA_HOME;
+}
+
+/**
+ * Resolve the usage history file path.
+ * @returns {string}
+ */
+export function getHistoryPath() {
+	return join(getCodexQuotaHome(), "history.jsonl");
+}
+
+/**
+ * Resolve the directory holding credential file backups.
+ * @returns {string}
+ */
+export function getBackupsDir() {
+	return join(getCodexQuotaHome(), "backups");
+}
+
+/**
+ * Resolve the audit log of credential changes.
+ * @returns {string}
+ */
+export function getAuditLogPath() {
+	return join(getCodexQuotaHome(), "audit.jsonl");
+}
+
+/**
+ * Resolve the log of autoswitch decisions.
+ * @returns {string}
+ */
+export function getAutoswitchLogPath() {
+	return join(getCodexQuotaHome(), "autoswitch.jsonl");
 }
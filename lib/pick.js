@@ -0,0 +1,97 @@
+/**
+ * Account ranking for automatic selection by remaining quota.
+ * Zero internal dependencies — pure logic module.
+ */
+
+export const PICK_STRATEGIES = ["balanced", "weekly", "5h", "reset"];
+export const DEFAULT_PICK_STRATEGY = "balanced";
+
+/**
+ * Describe each strategy for help text and validation errors.
+ */
+export const PICK_STRATEGY_DESCRIPTIONS = {
+	balanced: "Most quota left in the tighter of the 5h and weekly windows",
+	weekly: "Most weekly quota left",
+	"5h": "Most 5h quota left",
+	reset: "Weekly window that resets soonest (use quota before it renews)",
+};
+
+function remainingOf(windows, key) {
+	const value = windows?.[key]?.remaining;
+	return typeof value === "number" && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Determine whether a candidate has any usable quota left.
+ * Windows that were not reported are not treated as exhausted.
+ * @param {Record<string, { remaining: number }>} windows
+ * @returns {boolean}
+ */
+export function isExhausted(windows) {
+	const fiveHour = remainingOf(windows, "5h");
+	const weekly = remainingOf(windows, "weekly");
+	return (fiveHour !== null && fiveHour <= 0) || (weekly !== null && weekly <= 0);
+}
+
+/**
+ * Compute a sortable score for a candidate. Higher is better.
+ * @param {Record<string, { remaining: number, resetsAt: number | null }>} windows
+ * @param {string} strategy
+ * @param {number} now
+ * @returns {number[]} Score tuple compared left to right
+ */
+export function scoreWindows(windows, strategy, now = Date.now()) {
+	const fiveHour = remainingOf(windows, "5h") ?? 100;
+	const weekly = remainingOf(windows, "weekly") ?? 100;
+	switch (strategy) {
+		case "weekly":
+			return [weekly, fiveHour];
+		case "5h":
+			return [fiveHour, weekly];
+		case "reset": {
+			const resetsAt = windows?.weekly?.resetsAt ?? windows?.["5h"]?.resetsAt ?? null;
+			// Sooner reset ranks higher; unknown resets rank last
+			const untilReset = resetsAt ? Math.max(0, resetsAt - now) : Number.MAX_SAFE_INTEGER;
+			return [-untilReset, Math.min(fiveHour, weekly)];
+		}
+		case "balanced":
+		default:
+			return [Math.min(fiveHour, weekly), weekly, fiveHour];
+	}
+}
+
+function compareScores(a, b) {
+	for (let i = 0; i < Math.max(a.length, b.length); i++) {
+		const diff = (b[i] ?? 0) - (a[i] ?? 0);
+		if (diff !== 0) return diff;
+	}
+	return 0;
+}
+
+/**
+ * Rank candidates by strategy. Candidates with errors or exhausted windows
+ * are kept (for reporting) but sorted after eligible ones.
+ * Original order is preserved for ties so results stay deterministic.
+ * @param {Array<{ label: string, windows: Record<string, { remaining: number, resetsAt: number | null }>, error?: string | null }>} candidates
+ * @param {string} [strategy]
+ * @param {number} [now]
+ * @returns {Array<{ label: string, windows: object, error?: string | null, eligible: boolean, score: number[] }>}
+ */
+export function rankCandidates(candidates, strategy = DEFAULT_PICK_STRATEGY, now = Date.now()) {
+	const scored = candidates.map((candidate, index) => {
+		const hasWindows = Object.keys(candidate.windows ?? {}).length > 0;
+		const eligible = !candidate.error && hasWindows && !isExhausted(candidate.windows);
+		return {
+			...candidate,
+			eligible,
+			score: eligible ? scoreWindows(candidate.windows, strategy, now) : [],
+			index,
+		};
+	});
+	scored.sort((a, b) => {
+		if (a.eligible !== b.eligible) return a.eligible ? -1 : 1;
+		const diff = compareScores(a.score, b.score);
+		return diff !== 0 ? diff : a.index - b.index;
+	});
+	return scored.map(({ index, ...rest }) => rest);
+}
@@ -0,0 +1,112 @@
+/**
+ * Bounded-concurrency pool for fetching usage across many accounts and providers.
+ * Zero internal dependencies.
+ */
+
+// Accounts fetched at once unless --concurrency says otherwise
+export const DEFAULT_CONCURRENCY = 4;
+
+// Global limit set by main() from --concurrency
+let concurrencyLimit = DEFAULT_CONCURRENCY;
+
+/**
+ * Set the concurrency limit (from --concurrency, or for testing purposes).
+ * @param {number} limit - Positive integer
+ */
+export function setConcurrencyLimit(limit) {
+	concurrencyLimit = limit;
+}
+
+/**
+ * Get the current concurrency limit.
+ * @returns {number}
+ */
+export function getConcurrencyLimit() {
+	return concurrencyLimit;
+}
+
+/**
+ * Parse a --concurrency value.
+ * @param {string | null | undefined} value
+ * @returns {number | null} Positive integer, or null when invalid
+ */
+export function parseConcurrency(value) {
+	const text = String(value ?? "").trim();
+	if (!/^\d+$/.test(text)) return null;
+	const limit = Number(text);
+	return limit >= 1 ? limit : null;
+}
+
+// Tasks running in the shared pool, and tasks waiting for a slot
+let activeTasks = 0;
+const waitingTasks = [];
+
+function acquireSlot() {
+	if (activeTasks < concurrencyLimit) {
+		activeTasks++;
+		return Promise.resolve();
+	}
+	return new Promise(resolve => waitingTasks.push(resolve));
+}
+
+function releaseSlot() {
+	const next = waitingTasks.shift();
+	if (next) {
+		// Hand the slot straight to the next task
+		next();
+	} else {
+		activeTasks--;
+	}
+}
+
+/**
+ * Run a task in the shared pool, waiting for a slot when the limit is reached.
+ * Every provider's fetches share one pool, so the limit holds across providers.
+ * Tasks must not wait on other pooled tasks (that could use up every slot).
+ * @template R
+ * @param {() => Promise<R>} task
+ * @returns {Promise<R>}
+ */
+export async function runInPool(task) {
+	await acquireSlot();
+	try {
+		return await task();
+	} finally {
+		releaseSlot();
+	}
+}
+
+/**
+ * Map items through an async worker in the shared pool.
+ * Results keep the order of items regardless of completion order.
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T, index: number) => Promise<R>} worker
+ * @returns {Promise<R[]>}
+ */
+export function mapInPool(items, worker) {
+	return Promise.all(items.map((item, index) => runInPool(() => worker(item, index))));
+}
+
+/**
+ * Share async work by key: a caller with a key already seen gets the same promise,
+ * so the work runs once per key. Failed work (a falsy result or a rejection) is
+ * forgotten so a later call can retry it.
+ * @template R
+ * @returns {(key: string, work: () => Promise<R>) => Promise<R>}
+ */
+export function createSharedTasks() {
+	const tasks = new Map();
+	return (key, work) => {
+		if (tasks.has(key)) return tasks.get(key);
+		const task = Promise.resolve().then(work);
+		tasks.set(key, task);
+		task.then(
+			result => {
+				if (!result) tasks.delete(key);
+			},
+			() => tasks.delete(key),
+		);
+		return task;
+	};
+}
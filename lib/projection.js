@@ -0,0 +1,83 @@
+/**
+ * Quota exhaustion projections from persisted usage history.
+ * Depends on: lib/history.js
+ */
+
+import { isResetBetween } from "./history.js";
+
+// Ignore burn rates measured over less time than this (too noisy to project)
+export const MIN_PROJECTION_SPAN_MS = 5 * 60 * 1000;
+// Projections that run out within this time are flagged red instead of yellow
+export const PROJECTION_CRITICAL_MS = 60 * 60 * 1000;
+
+/**
+ * Project when a window runs out from samples in its current reset period.
+ * Uses consumption between successive samples since the last reset.
+ * @param {Array<{ ts: string, remaining: number, resetsAt: string | null }>} samples - One series, oldest first
+ * @param {number} [now] - Reference time in milliseconds
+ * @returns {{ burnRatePerHour: number, runsOutAt: string, resetsAt: string | null, beforeReset: boolean, severity: "ok" | "warning" | "critical" } | null}
+ */
+export function projectWindowExhaustion(samples, now = Date.now()) {
+	if (samples.length < 2) return null;
+	const current = samples[samples.length - 1];
+	if (current.remaining <= 0) return null;
+
+	// Walk back to the first sample after the most recent reset
+	let startIndex = samples.length - 1;
+	while (startIndex > 0 && !isResetBetween(samples[startIndex - 1], samples[startIndex])) {
+		startIndex--;
+	}
+
+	let consumed = 0;
+	let spanMs = 0;
+	for (let i = startIndex + 1; i < samples.length; i++) {
+		consumed += Math.max(0, samples[i - 1].remaining - samples[i].remaining);
+		spanMs += Date.parse(samples[i].ts) - Date.parse(samples[i - 1].ts);
+	}
+	if (consumed <= 0 || spanMs < MIN_PROJECTION_SPAN_MS) return null;
+
+	const burnRatePerHour = consumed / (spanMs / 3_600_000);
+	const runsOutAtMs = Date.parse(current.ts) + (current.remaining / burnRatePerHour) * 3_600_000;
+	const resetsAtMs = current.resetsAt ? Date.parse(current.resetsAt) : null;
+	const beforeReset = resetsAtMs !== null && runsOutAtMs < resetsAtMs;
+	let severity = "ok";
+	if (beforeReset) {
+		severity = runsOutAtMs - now <= PROJECTION_CRITICAL_MS ? "critical" : "warning";
+	}
+	return {
+		burnRatePerHour: Math.round(burnRatePerHour * 100) / 100,
+		runsOutAt: new Date(runsOutAtMs).toISOString(),
+		resetsAt: current.resetsAt ?? null,
+		beforeReset,
+		severity,
+	};
+}
+
+/**
+ * Build projections for every provider/label/window series in the history.
+ * @param {Array<{ ts: string, provider: string, label: string, window: string, remaining: number, resetsAt: string | null }>} records
+ * @param {number} [now] - Reference time in milliseconds
+ * @returns {Record<string, Record<string, ReturnType<typeof projectWindowExhaustion>>>} Keyed by "provider:label", then window
+ */
+export function buildProjections(records, now = Date.now()) {
+	const series = new Map();
+	for (const record of records) {
+		const key = `${record.provider}:${record.label}`;
+		if (!series.has(key)) series.set(key, new Map());
+		const windows = series.get(key);
+		if (!windows.has(record.window)) windows.set(record.window, []);
+		windows.get(record.window).push(record);
+	}
+
+	const projections = {};
+	for (const [key, windows] of series) {
+		for (const [window, samples] of windows) {
+			samples.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+			const projection = projectWindowExhaustion(samples, now);
+			if (!projection) continue;
+			projections[key] ??= {};
+			projections[key][window] = projection;
+		}
+	}
+	return projections;
+}
@@ -3,7 +3,8 @@
  * Zero internal dependencies — only uses Node.js built-ins.
  */
 
-import { createInterface } from "node:readline";
+import { createInterface, emitKeypressEvents } from "node:readline";
+import { Writable } from "node:stream";
 
 /**
  * Prompt for confirmation using readline
@@ -42,3 +43,132 @@ export async function promptInput(message, options = {}) {
 		});
 	});
 }
+
+/**
+ * Prompt for a secret (passphrase) without echoing it.
+ * The prompt is written to stderr so stdout stays clean for --json output.
+ * @param {string} message - Message to display
+ * @returns {Promise<string>} The entered text (not trimmed)
+ */
+export async function promptSecret(message) {
+	let muted = false;
+	const output = new Writable({
+		write(chunk, encoding, callback) {
+			if (!muted) process.stderr.write(chunk, encoding);
+			callback();
+		},
+	});
+	const rl = createInterface({
+		input: process.stdin,
+		output,
+		terminal: true,
+	});
+
+	return new Promise((resolve) => {
+		rl.question(message, (answer) => {
+			rl.close();
+			process.stderr.write("\n");
+			resolve(answer);
+		});
+		muted = true;
+	});
+}
+
+/**
+ * Keep the choices whose text contains every word of a filter (case-insensitive).
+ * @template T
+ * @param {Array<{ value: T, title: string }>} choices
+ * @param {string} query - Typed filter text
+ * @returns {Array<{ value: T, title: string }>}
+ */
+export function filterChoices(choices, query) {
+	const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+	return choices.filter(choice => {
+		const text = choice.title.toLowerCase();
+		return words.every(word => text.includes(word));
+	});
+}
+
+/**
+ * Pick one of several choices with the arrow keys; typing filters the list.
+ * Reads stdin in raw mode and draws on stderr so stdout stays clean. Callers must
+ * check for a TTY first.
+ * @template T
+ * @param {string} message - Question shown above the list
+ * @param {Array<{ value: T, title: string }>} choices - Rows to show (one line each)
+ * @param {{ initialValue?: T, pageSize?: number, input?: NodeJS.ReadStream, output?: NodeJS.WriteStream }} [options]
+ * @returns {Promise<T | null>} The chosen value, or null when cancelled (Esc or Ctrl-C)
+ */
+export async function promptSelect(message, choices, options = {}) {
+	const input = options.input ?? process.stdin;
+	const output = options.output ?? process.stderr;
+	const pageSize = options.pageSize ?? 10;
+	let query = "";
+	let filtered = choices;
+	let selected = Math.max(0, choices.findIndex(choice => choice.value === options.initialValue));
+	let renderedLines = 0;
+
+	// Rows wider than the terminal wrap and throw off the redraw
+	const fit = line => line.slice(0, Math.max(20, (output.columns || 80) - 1));
+
+	function render() {
+		const start = Math.min(Math.max(0, selected - pageSize + 1), Math.max(0, filtered.length - pageSize));
+		const lines = [fit(`${message} ${query || "(type to filter)"}`)];
+		for (let i = start; i < Math.min(filtered.length, start + pageSize); i++) {
+			lines.push(fit(`${i === selected ? ">" : " "} ${filtered[i].title}`));
+		}
+		if (!filtered.length) {
+			lines.push("  (no matches)");
+		}
+		const clear = renderedLines ? `\x1b[${renderedLines}A\r\x1b[J` : "";
+		output.write(`${clear}${lines.join("\n")}\n`);
+		renderedLines = lines.length;
+	}
+
+	return new Promise((resolve) => {
+		const wasRaw = Boolean(input.isRaw);
+		emitKeypressEvents(input);
+		input.setRawMode?.(true);
+		input.resume();
+		output.write("\x1b[?25l");
+
+		function finish(value) {
+			input.off("keypress", onKeypress);
+			input.setRawMode?.(wasRaw);
+			input.pause();
+			const picked = value === null ? "(cancelled)" : choices.find(choice => choice.value === value).title;
+			output.write(`\x1b[${renderedLines}A\r\x1b[J${fit(`${message} ${picked}`)}\n\x1b[?25h`);
+			resolve(value);
+		}
+
+		function onKeypress(str, key = {}) {
+			if ((key.ctrl && key.name === "c") || key.name === "escape") {
+				finish(null);
+				return;
+			}
+			if (key.name === "return" || key.name === "enter") {
+				if (filtered.length) finish(filtered[selected].value);
+				return;
+			}
+			if (key.name === "up" || (key.ctrl && key.name === "p")) {
+				selected = Math.max(0, selected - 1);
+			} else if (key.name === "down" || (key.ctrl && key.name === "n")) {
+				selected = Math.max(0, Math.min(filtered.length - 1, selected + 1));
+			} else if (key.name === "backspace") {
+				query = query.slice(0, -1);
+				filtered = filterChoices(choices, query);
+				selected = 0;
+			} else if (str && !key.ctrl && !key.meta && /^[^\x00-\x1f\x7f]+$/.test(str)) {
+				query += str;
+				filtered = filterChoices(choices, query);
+				selected = 0;
+			} else {
+				return;
+			}
+			render();
+		}
+
+		input.on("keypress", onKeypress);
+		render();
+	});
+}
@@ -0,0 +1,108 @@
+/**
+ * Provider registry. A provider owns one namespace (`codex-quota <name> ...`) and
+ * implements account loading, token refresh, usage fetching, window normalization,
+ * and the harness files it syncs to. The combined quota, alert, and serve views fetch every
+ * registered provider through this interface; Codex and Claude keep dedicated collectors
+ * for divergence checks and legacy Claude credentials. Built-in providers are registered
+ * by the entry point.
+ * Zero internal dependencies — providers are plain objects.
+ */
+
+/**
+ * @typedef {object} ProviderAccount
+ * @property {string} label - Unique within the provider
+ * @property {string | null} [email]
+ * @property {string | null} [plan]
+ * @property {string | null} [source] - Where the account was loaded from
+ */
+
+/**
+ * @typedef {object} HarnessTarget
+ * @property {string} name - Short id ("codex-cli", "opencode", "pi")
+ * @property {string} title - Display name
+ * @property {string} path - Auth file the harness reads
+ */
+
+/**
+ * @typedef {object} Provider
+ * @property {string} name - Namespace, e.g. "codex" (lowercase letters, digits, dashes)
+ * @property {string} title - Display name, e.g. "Codex"
+ * @property {string} description - One line for the namespace list in the main help
+ * @property {(options?: { local?: boolean }) => ProviderAccount[]} loadAccounts - Accounts from every source
+ * @property {(account: ProviderAccount, accounts: ProviderAccount[], options?: { deadline?: number }) => Promise<boolean>} refreshToken - Refresh and persist the token when it is expiring; false when re-auth is required. The refresh request should finish by `deadline` (epoch ms, from --timeout)
+ * @property {(account: ProviderAccount, options?: { deadline?: number }) => Promise<object>} fetchUsage - Raw usage payload (`error` set on failure), fetched by `deadline` when given
+ * @property {(usage: object) => Record<string, { remaining: number, resetsAt: number | null }>} getWindows - Remaining percent per window ("5h", "weekly", ...)
+ * @property {() => HarnessTarget[]} getHarnessTargets - Auth files of the harnesses using this provider (permission-checked by doctor)
+ * @property {(args: string[], flags: object) => Promise<void>} [handleCommand] - Namespace commands (defaults to quota and list)
+ * @property {(subcommand?: string) => void} [printHelp] - Namespace help (defaults to a generic help)
+ * @property {string[]} [subcommands] - Namespace commands offered by shell completion (defaults to quota and list)
+ * @property {() => string[]} [getLabels] - Account labels for shell completion (defaults to the labels of loadAccounts({ local: true }))
+ */
+
+const REQUIRED_FIELDS = ["title", "description"];
+const REQUIRED_METHODS = ["loadAccounts", "refreshToken", "fetchUsage", "getWindows", "getHarnessTargets"];
+
+// Top-level commands a provider namespace must not shadow
+const RESERVED_NAMES = ["help", "history", "alert", "serve", "status", "config", "vault", "export", "import", "backups", "restore", "log", "doctor", "completion", "autoswitch"];
+
+/** @type {Map<string, Provider>} */
+const providers = new Map();
+
+/**
+ * Register a provider and its namespace.
+ * @param {Provider} provider
+ * @returns {Provider}
+ * @throws {Error} When the provider is incomplete or its name is taken
+ */
+export function registerProvider(provider) {
+	const name = provider?.name;
+	if (typeof name !== "string" || !/^[a-z][a-z0-9-]*$/.test(name)) {
+		throw new Error(`Invalid provider name "${name}"`);
+	}
+	if (RESERVED_NAMES.includes(name) || providers.has(name)) {
+		throw new Error(`Provider name "${name}" is already in use`);
+	}
+	const missing = [
+		...REQUIRED_FIELDS.filter(field => typeof provider[field] !== "string"),
+		...REQUIRED_METHODS.filter(method => typeof provider[method] !== "function"),
+	];
+	if (missing.length) {
+		throw new Error(`Provider "${name}" is missing ${missing.join(", ")}`);
+	}
+	providers.set(name, provider);
+	return provider;
+}
+
+/**
+ * Remove a provider (for testing purposes).
+ * @param {string} name
+ */
+export function unregisterProvider(name) {
+	providers.delete(name);
+}
+
+/**
+ * Look up a provider by namespace.
+ * @param {string | null | undefined} name
+ * @returns {Provider | null}
+ */
+export function getProvider(name) {
+	return (name && providers.get(name)) || null;
+}
+
+/**
+ * Display name of a provider, falling back to its name when it is not registered.
+ * @param {string} name
+ * @returns {string}
+ */
+export function getProviderTitle(name) {
+	return getProvider(name)?.title ?? name;
+}
+
+/**
+ * List registered providers in registration order.
+ * @returns {Provider[]}
+ */
+export function getProviders() {
+	return [...providers.values()];
+}
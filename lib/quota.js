@@ -0,0 +1,149 @@
+/**
+ * Usage collection shared by quota-driven commands (quota, pick, alert, status, serve)
+ * and by provider namespaces without their own quota command.
+ * Fetches go through the usage cache (lib/cache.js) and run a few accounts at a time
+ * (lib/pool.js); results always keep the order of the accounts. Each account's token
+ * refresh and usage request share one deadline, --timeout from when its fetch starts.
+ * The readCached* variants only read the cache, for the statusline.
+ * Depends on: lib/constants.js, lib/config.js, lib/codex-tokens.js, lib/codex-usage.js, lib/claude-usage.js, lib/cache.js, lib/watch.js, lib/pool.js, lib/account-meta.js
+ */
+
+import { USAGE_TIMEOUT_MS, CLAUDE_TIMEOUT_MS } from "./constants.js";
+import { getTimeoutMs } from "./config.js";
+import { ensureFreshToken } from "./codex-tokens.js";
+import { fetchUsage } from "./codex-usage.js";
+import { fetchClaudeOAuthUsageForAccount, fetchClaudeUsageForCredentials } from "./claude-usage.js";
+import { fetchWithUsageCache, readCachedUsage, getUsageCacheKey } from "./cache.js";
+import { ageCodexUsagePayload } from "./watch.js";
+import { mapInPool } from "./pool.js";
+import { pickAccountMeta } from "./account-meta.js";
+
+// Deadline for one account's fetch (token refresh included), from --timeout or timeouts.usage
+function getFetchDeadline(fallbackMs = USAGE_TIMEOUT_MS) {
+	return Date.now() + getTimeoutMs("timeouts.usage", fallbackMs);
+}
+
+/**
+ * Refresh tokens as needed and fetch usage for each Codex account.
+ * Accounts whose token cannot be refreshed get an error payload instead of usage.
+ * Results served from the cache carry a `cache` descriptor (age, and whether it is stale).
+ * @param {Array<object>} accounts - Accounts to fetch usage for
+ * @param {Array<object>} allAccounts - Full account list (used when persisting refreshed tokens)
+ * @returns {Promise<Array<{ account: object, usage: object, cache?: object }>>} Results in the same order as accounts
+ */
+export async function fetchCodexUsageResults(accounts, allAccounts = accounts) {
+	return mapInPool(accounts, async account => {
+		const { value, cache } = await fetchWithUsageCache(
+			getUsageCacheKey("codex", account.label),
+			async () => {
+				const deadline = getFetchDeadline();
+				const tokenOk = await ensureFreshToken(account, allAccounts, { deadline });
+				if (!tokenOk) {
+					return { error: "Token refresh failed - re-auth required" };
+				}
+				return fetchUsage(account, { deadline });
+			},
+			usage => usage?.error ?? null,
+		);
+		if (!cache) {
+			return { account, usage: value };
+		}
+		// Reset timers are relative to the fetch, so shift them by the entry's age
+		return { account, usage: ageCodexUsagePayload(value, cache.ageSeconds), cache };
+	});
+}
+
+/**
+ * Read the last cached usage for each Codex account without fetching.
+ * Accounts with nothing cached are left out.
+ * @param {Array<object>} accounts
+ * @returns {Array<{ account: object, usage: object, cache: object }>}
+ */
+export function readCachedCodexUsageResults(accounts) {
+	return accounts.flatMap(account => {
+		const cached = readCachedUsage(getUsageCacheKey("codex", account.label));
+		if (!cached) return [];
+		return [{ account, usage: ageCodexUsagePayload(cached.value, cached.cache.ageSeconds), cache: cached.cache }];
+	});
+}
+
+/**
+ * Fetch usage for each Claude OAuth account (refreshing tokens as needed).
+ * @param {Array<object>} accounts - Accounts from loadAllClaudeOAuthAccounts
+ * @returns {Promise<Array<object>>} Results in the same order as accounts
+ */
+export async function fetchClaudeOAuthUsageResults(accounts) {
+	return mapInPool(accounts, account => fetchClaudeResultWithCache(
+		account,
+		() => fetchClaudeOAuthUsageForAccount(account, { deadline: getFetchDeadline(CLAUDE_TIMEOUT_MS) }),
+	));
+}
+
+/**
+ * Fetch usage for each legacy Claude credential (session key or cookies).
+ * @param {Array<object>} accounts - Accounts from loadClaudeAccounts
+ * @returns {Promise<Array<object>>} Results in the same order as accounts
+ */
+export async function fetchClaudeCredentialUsageResults(accounts) {
+	return mapInPool(accounts, account => fetchClaudeResultWithCache(
+		account,
+		() => fetchClaudeUsageForCredentials(account),
+	));
+}
+
+/**
+ * Read the last cached usage for each Claude OAuth account without fetching.
+ * Accounts with nothing cached are left out.
+ * @param {Array<object>} accounts - Accounts from loadAllClaudeOAuthAccounts
+ * @returns {Array<object>}
+ */
+export function readCachedClaudeUsageResults(accounts) {
+	return accounts.flatMap(account => {
+		const cached = account.label ? readCachedUsage(getUsageCacheKey("claude", account.label)) : null;
+		if (!cached) return [];
+		return [{ ...cached.value, ...pickAccountMeta(account), cache: cached.cache }];
+	});
+}
+
+// Metadata is added after the cache so tag and display name edits show up immediately
+async function fetchClaudeResultWithCache(account, fetcher) {
+	if (!account.label) return fetcher();
+	const { value, cache } = await fetchWithUsageCache(
+		getUsageCacheKey("claude", account.label),
+		fetcher,
+		result => (result?.success === false ? result.error ?? "Unknown error" : null),
+	);
+	const meta = pickAccountMeta(account);
+	return cache ? { ...value, ...meta, cache } : { ...value, ...meta };
+}
+
+function getProviderUsageError(usage) {
+	if (usage?.error) return String(usage.error);
+	return usage?.success === false ? "Unknown error" : null;
+}
+
+/**
+ * Refresh tokens as needed and fetch usage for each account of a provider.
+ * Used for namespaces without their own quota command.
+ * @param {import("./providers.js").Provider} provider
+ * @param {Array<object>} accounts - Accounts to fetch usage for
+ * @param {Array<object>} [allAccounts] - Full account list (used when persisting refreshed tokens)
+ * @returns {Promise<Array<{ account: object, usage: object, error: string | null, cache?: object }>>} Results in the same order as accounts
+ */
+export async function fetchProviderUsageResults(provider, accounts, allAccounts = accounts) {
+	return mapInPool(accounts, async account => {
+		const { value, cache } = await fetchWithUsageCache(
+			getUsageCacheKey(provider.name, account.label),
+			async () => {
+				const deadline = getFetchDeadline();
+				const tokenOk = await provider.refreshToken(account, allAccounts, { deadline });
+				if (!tokenOk) {
+					return { error: "Token refresh failed - re-auth required" };
+				}
+				return provider.fetchUsage(account, { deadline });
+			},
+			getProviderUsageError,
+		);
+		return { account, usage: value, error: getProviderUsageError(value), ...(cache ? { cache } : {}) };
+	});
+}
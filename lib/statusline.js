@@ -0,0 +1,25 @@
+/**
+ * Compact one-line quota summary for shell prompts and status bars.
+ * Zero internal dependencies — callers supply normalized windows.
+ */
+
+// Short window names keep the line narrow
+const WINDOW_ABBREVIATIONS = { "5h": "5h", weekly: "wk" };
+
+/**
+ * Format statusline entries as one line, e.g. "codex:work 5h 72% wk 40% | claude:personal 5h 91%".
+ * Entries that failed to fetch show "!"; last known values served after a failed fetch end in "(stale)".
+ * @param {Array<{ provider: string, label: string, windows?: Record<string, { remaining: number }>, error?: string | null, cache?: { stale: boolean } | null }>} entries
+ * @returns {string}
+ */
+export function formatStatusline(entries) {
+	return entries.map(entry => {
+		const name = `${entry.provider}:${entry.label}`;
+		if (entry.error) return `${name} !`;
+		const parts = Object.entries(WINDOW_ABBREVIATIONS)
+			.filter(([window]) => entry.windows?.[window])
+			.map(([window, short]) => `${short} ${Math.round(entry.windows[window].remaining)}%`);
+		if (entry.cache?.stale) parts.push("(stale)");
+		return parts.length ? `${name} ${parts.join(" ")}` : name;
+	}).join(" | ");
+}
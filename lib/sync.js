@@ -4,15 +4,13 @@
  * coupled with the divergence/sync logic.
  */
 
-import { existsSync, readFileSync, mkdirSync } from "node:fs";
-import { dirname } from "node:path";
+import { existsSync, readFileSync } from "node:fs";
 import {
 	MULTI_ACCOUNT_PATHS,
-	CLAUDE_CREDENTIALS_PATH,
 	CLAUDE_MULTI_ACCOUNT_PATHS,
 	PRIMARY_CMD,
 } from "./constants.js";
-import { getOpencodeAuthPath, getCodexCliAuthPath, getPiAuthPath } from "./paths.js";
+import { getCodexCliAuthPath, getClaudeCredentialsPath } from "./paths.js";
 import { extractAccountId, extractProfile } from "./jwt.js";
 import {
 	isValidAccount,
@@ -33,15 +31,13 @@ import {
 	loadClaudeAccountsFromFile,
 } from "./claude-accounts.js";
 import {
-	updateOpencodeAuth,
-	updatePiAuth,
+	updateCodexHarnessTargets,
 	persistOpenAiOAuthTokens,
 	ensureFreshToken,
 } from "./codex-tokens.js";
 import {
 	updateClaudeCredentials,
-	updateOpencodeClaudeAuth,
-	updatePiClaudeAuth,
+	updateClaudeHarnessTargets,
 	persistClaudeOAuthTokens,
 	ensureFreshClaudeOAuthToken,
 	refreshClaudeToken,
@@ -51,6 +47,10 @@ import {
 import { isOauthTokenMatch, normalizeEntryTokens, OPENAI_TOKEN_FIELDS } from "./token-match.js";
 import { readMultiAccountContainer, writeMultiAccountContainer, mapContainerAccounts } from "./container.js";
 import { writeFileAtomic } from "./fs.js";
+import { backupFile } from "./backups.js";
+import { recordAuditEvent } from "./audit.js";
+import { listHarnessTargets, findHarnessTarget, readHarnessTarget } from "./harness.js";
+import { getProvider } from "./providers.js";
 import { shortenPath, drawBox, formatExpiryStatus } from "./display.js";
 import { GREEN, YELLOW, RED, colorize } from "./color.js";
 import { promptConfirm, promptInput } from "./prompts.js";
@@ -60,6 +60,29 @@ function normalizeOpenAiOauthEntryTokens(entry) {
 	return normalizeEntryTokens(entry, OPENAI_TOKEN_FIELDS);
 }
 
+/**
+ * Preview the harness files a sync writes besides the provider's own CLI file:
+ * those that exist are updated, missing ones are skipped.
+ * @param {string} providerName - Registered provider ("codex" or "claude")
+ * @param {string} primaryPath - CLI auth file, which sync always writes
+ * @returns {Array<{ path: string, updated: boolean, skipped: boolean }>}
+ */
+function previewHarnessTargets(providerName, primaryPath) {
+	return getProvider(providerName).getHarnessTargets()
+		.filter(target => target.path !== primaryPath)
+		.map(({ path }) => ({ path, updated: existsSync(path), skipped: !existsSync(path) }));
+}
+
+function readHarnessStore(target) {
+	const { name, path, exists, tokens } = readHarnessTarget(target);
+	return { name, path, exists, tokens };
+}
+
+// OpenCode, pi, and custom harness targets for a provider
+function readHarnessStores(provider) {
+	return listHarnessTargets(provider).map(readHarnessStore);
+}
+
 export function readCodexCliAuth() {
 	const path = getCodexCliAuthPath();
 	if (!existsSync(path)) {
@@ -245,6 +268,27 @@ export function clearCodexQuotaLabelForRemovedAccount(account) {
 	}
 	const updatedPayload = { ...cliAuth.parsed };
 	delete updatedPayload.codex_quota_label;
+	backupFile(cliAuth.path);
+	writeFileAtomic(cliAuth.path, JSON.stringify(updatedPayload, null, 2) + "\n", { mode: 0o600 });
+	return { updated: true, path: cliAuth.path };
+}
+
+/**
+ * Point codex_quota_label at a renamed account's new label when it tracks the old one.
+ * @param {string} oldLabel
+ * @param {string} newLabel
+ * @returns {{ updated: boolean, path: string | null, skipped?: boolean, reason?: string }}
+ */
+export function renameCodexQuotaLabel(oldLabel, newLabel) {
+	const cliAuth = readCodexCliAuth();
+	if (!cliAuth.exists || !cliAuth.parsed) {
+		return { updated: false, path: null, skipped: true, reason: "auth-missing" };
+	}
+	if (cliAuth.trackedLabel !== oldLabel) {
+		return { updated: false, path: cliAuth.path, skipped: true, reason: "label-mismatch" };
+	}
+	const updatedPayload = { ...cliAuth.parsed, codex_quota_label: newLabel };
+	backupFile(cliAuth.path);
 	writeFileAtomic(cliAuth.path, JSON.stringify(updatedPayload, null, 2) + "\n", { mode: 0o600 });
 	return { updated: true, path: cliAuth.path };
 }
@@ -284,7 +328,7 @@ export function maybeMigrateCodexQuotaLabelToActiveLabel(activeStore, cliAuth) {
 }
 
 /**
- * Detect whether Codex CLI auth diverged from activeLabel.
+ * Detect whether Codex CLI auth (and custom harness targets) diverged from activeLabel.
  * @param {{ allowMigration?: boolean }} [options]
  * @returns {{
  * 	activeLabel: string | null,
@@ -293,6 +337,7 @@ export function maybeMigrateCodexQuotaLabelToActiveLabel(activeStore, cliAuth) {
  * 	cliAccountId: string | null,
  * 	cliLabel: string | null,
  * 	diverged: boolean,
+ * 	targets: Array<{ name: string, path: string, accountId: string | null, diverged: boolean }>,
  * 	migrated: boolean,
  * }}
  */
@@ -329,10 +374,28 @@ export function detectCodexDivergence(options = {}) {
 		cliAccountId,
 		cliLabel,
 		diverged,
+		targets: activeAccountId ? detectCodexTargetDivergence(activeAccountId) : [],
 		migrated: migration.migrated,
 	};
 }
 
+/**
+ * Compare custom Codex harness targets with the active account.
+ * OpenCode and pi are kept in step by switch and sync and are not reported here.
+ * @param {string} activeAccountId
+ * @returns {Array<{ name: string, path: string, accountId: string | null, diverged: boolean }>}
+ */
+function detectCodexTargetDivergence(activeAccountId) {
+	return listHarnessTargets("codex")
+		.filter(target => target.custom)
+		.map(readHarnessTarget)
+		.filter(store => store.tokens?.access)
+		.map(store => {
+			const accountId = store.tokens.accountId ?? extractAccountId(store.tokens.access) ?? null;
+			return { name: store.name, path: store.path, accountId, diverged: Boolean(accountId && accountId !== activeAccountId) };
+		});
+}
+
 /**
  * Find the active Claude account in the source-of-truth file.
  * @returns {{ activeLabel: string | null, account: ReturnType<typeof normalizeClaudeAccount> | null, path: string }}
@@ -362,7 +425,7 @@ export function getActiveClaudeAccountFromStore() {
  * @returns {{ name: string, path: string, exists: boolean, tokens: ReturnType<typeof normalizeClaudeOauthEntryTokens> | null }}
  */
 export function readClaudeCodeOauthStore() {
-	const path = process.env.CLAUDE_CREDENTIALS_PATH || CLAUDE_CREDENTIALS_PATH;
+	const path = getClaudeCredentialsPath();
 	if (!existsSync(path)) {
 		return { name: "claude-code", path, exists: false, tokens: null };
 	}
@@ -381,17 +444,7 @@ export function readClaudeCodeOauthStore() {
  * @returns {{ name: string, path: string, exists: boolean, tokens: ReturnType<typeof normalizeClaudeOauthEntryTokens> | null }}
  */
 export function readOpencodeClaudeOauthStore() {
-	const path = getOpencodeAuthPath();
-	if (!existsSync(path)) {
-		return { name: "opencode", path, exists: false, tokens: null };
-	}
-	try {
-		const raw = readFileSync(path, "utf-8");
-		const parsed = JSON.parse(raw);
-		return { name: "opencode", path, exists: true, tokens: normalizeClaudeOauthEntryTokens(parsed?.anthropic ?? {}) };
-	} catch {
-		return { name: "opencode", path, exists: true, tokens: null };
-	}
+	return readHarnessStore(findHarnessTarget("claude", "opencode"));
 }
 
 /**
@@ -399,17 +452,7 @@ export function readOpencodeClaudeOauthStore() {
  * @returns {{ name: string, path: string, exists: boolean, tokens: ReturnType<typeof normalizeClaudeOauthEntryTokens> | null }}
  */
 export function readPiClaudeOauthStore() {
-	const path = getPiAuthPath();
-	if (!existsSync(path)) {
-		return { name: "pi", path, exists: false, tokens: null };
-	}
-	try {
-		const raw = readFileSync(path, "utf-8");
-		const parsed = JSON.parse(raw);
-		return { name: "pi", path, exists: true, tokens: normalizeClaudeOauthEntryTokens(parsed?.anthropic ?? {}) };
-	} catch {
-		return { name: "pi", path, exists: true, tokens: null };
-	}
+	return readHarnessStore(findHarnessTarget("claude", "pi"));
 }
 
 /**
@@ -496,8 +539,7 @@ export function detectClaudeDivergence() {
 
 	const stores = [
 		readClaudeCodeOauthStore(),
-		readOpencodeClaudeOauthStore(),
-		readPiClaudeOauthStore(),
+		...readHarnessStores("claude"),
 	].map(store => {
 		const comparison = compareClaudeOauthTokens(activeAccount, store.tokens);
 		return {
@@ -545,10 +587,7 @@ export function isClaudeOauthTokenEquivalent(storeTokens, account) {
  */
 export function findUntrackedClaudeOauthStores(managedAccounts) {
 	const trackedAccounts = Array.isArray(managedAccounts) ? managedAccounts : [];
-	const stores = [
-		readOpencodeClaudeOauthStore(),
-		readPiClaudeOauthStore(),
-	];
+	const stores = readHarnessStores("claude");
 	const untracked = [];
 
 	for (const store of stores) {
@@ -573,6 +612,8 @@ export async function maybeImportClaudeOauthStores(options = {}) {
 		updated: false,
 		warnings: [],
 	};
+	// Labels added or merged into, with the imported refresh token
+	const imported = [];
 	if (json) return result;
 	if (!process.stdin.isTTY || !process.stdout.isTTY) return result;
 
@@ -628,6 +669,7 @@ export async function maybeImportClaudeOauthStores(options = {}) {
 			if (mapped.updated) {
 				container.accounts = mapped.accounts;
 				result.updated = true;
+				imported.push({ label: mergeLabel, token: store.tokens.refresh ?? store.tokens.access });
 				managedAccounts = container.accounts
 					.map(entry => normalizeClaudeAccount(entry, targetPath))
 					.filter(account => account && isValidClaudeAccount(account));
@@ -666,6 +708,7 @@ export async function maybeImportClaudeOauthStores(options = {}) {
 			managedAccounts.push(normalizeClaudeAccount(newAccount, targetPath));
 			existingLabels.add(label);
 			result.updated = true;
+			imported.push({ label, token: store.tokens.refresh ?? store.tokens.access });
 			console.error(colorize(`Added Claude account "${label}".`, GREEN));
 			continue;
 		}
@@ -675,24 +718,16 @@ export async function maybeImportClaudeOauthStores(options = {}) {
 
 	if (result.updated) {
 		writeMultiAccountContainer(targetPath, container, container.accounts, {}, { mode: 0o600 });
+		for (const entry of imported) {
+			recordAuditEvent({ event: "import", provider: "claude", label: entry.label, paths: [targetPath], token: entry.token });
+		}
 	}
 
 	return result;
 }
 
 export function readOpencodeOpenAiOauthStore() {
-	const path = getOpencodeAuthPath();
-	if (!existsSync(path)) {
-		return { name: "opencode", path, exists: false, tokens: null };
-	}
-	try {
-		const raw = readFileSync(path, "utf-8");
-		const parsed = JSON.parse(raw);
-		const openai = parsed?.openai ?? {};
-		return { name: "opencode", path, exists: true, tokens: normalizeOpenAiOauthEntryTokens(openai) };
-	} catch {
-		return { name: "opencode", path, exists: true, tokens: null };
-	}
+	return readHarnessStore(findHarnessTarget("codex", "opencode"));
 }
 
 /**
@@ -700,18 +735,7 @@ export function readOpencodeOpenAiOauthStore() {
  * @returns {{ name: string, path: string, exists: boolean, tokens: ReturnType<typeof normalizeOpenAiOauthEntryTokens> | null }}
  */
 export function readPiOpenAiOauthStore() {
-	const path = getPiAuthPath();
-	if (!existsSync(path)) {
-		return { name: "pi", path, exists: false, tokens: null };
-	}
-	try {
-		const raw = readFileSync(path, "utf-8");
-		const parsed = JSON.parse(raw);
-		const codex = parsed?.["openai-codex"] ?? {};
-		return { name: "pi", path, exists: true, tokens: normalizeOpenAiOauthEntryTokens(codex) };
-	} catch {
-		return { name: "pi", path, exists: true, tokens: null };
-	}
+	return readHarnessStore(findHarnessTarget("codex", "pi"));
 }
 
 /**
@@ -751,8 +775,7 @@ export function findFresherOpenAiOAuthStore(activeAccount) {
 	}
 
 	const stores = [
-		readOpencodeOpenAiOauthStore(),
-		readPiOpenAiOauthStore(),
+		...readHarnessStores("codex"),
 		readCodexCliOpenAiOauthStore(),
 	];
 
@@ -821,8 +844,7 @@ export function findFresherClaudeOAuthStore(activeAccount) {
 
 	const stores = [
 		readClaudeCodeOauthStore(),
-		readOpencodeClaudeOauthStore(),
-		readPiClaudeOauthStore(),
+		...readHarnessStores("claude"),
 	];
 
 	let fresherStore = null;
@@ -879,8 +901,7 @@ export function findFresherClaudeOAuthStore(activeAccount) {
 export function findClaudeOAuthRecoveryStore() {
 	const stores = [
 		readClaudeCodeOauthStore(),
-		readOpencodeClaudeOauthStore(),
-		readPiClaudeOauthStore(),
+		...readHarnessStores("claude"),
 	];
 	const candidates = stores.filter(store => store.exists && store.tokens && (store.tokens.access || store.tokens.refresh));
 	if (!candidates.length) {
@@ -1063,40 +1084,25 @@ export async function handleCodexSync(args, flags) {
 				last_refresh: new Date().toISOString(),
 				codex_quota_label: activeLabel,
 			};
+			backupFile(codexAuthPath);
 			writeFileAtomic(codexAuthPath, JSON.stringify(updatedAuth, null, 2) + "\n", { mode: 0o600 });
 			updatedPaths.push(codexAuthPath);
 		}
 
-		const opencodePath = getOpencodeAuthPath();
-		if (existsSync(opencodePath)) {
-			if (dryRun) {
-				updatedPaths.push(opencodePath);
-			} else {
-				const result = updateOpencodeAuth(account);
-				if (result.updated) {
-					updatedPaths.push(result.path);
-				} else if (result.error) {
-					warnings.push(result.error);
-				}
+		const harnessResults = dryRun
+			? previewHarnessTargets("codex", codexAuthPath)
+			: updateCodexHarnessTargets(account);
+		for (const result of harnessResults) {
+			if (result.updated) {
+				updatedPaths.push(result.path);
+			} else if (result.skipped) {
+				skippedPaths.push(result.path);
+			} else if (result.error) {
+				warnings.push(result.error);
 			}
-		} else {
-			skippedPaths.push(opencodePath);
 		}
-
-		const piPath = getPiAuthPath();
-		if (existsSync(piPath)) {
-			if (dryRun) {
-				updatedPaths.push(piPath);
-			} else {
-				const result = updatePiAuth(account);
-				if (result.updated) {
-					updatedPaths.push(result.path);
-				} else if (result.error) {
-					warnings.push(result.error);
-				}
-			}
-		} else {
-			skippedPaths.push(piPath);
+		if (!dryRun) {
+			recordAuditEvent({ event: "sync", provider: "codex", label: activeLabel, paths: [...pulledPaths, ...updatedPaths], token: account.refresh });
 		}
 
 		if (flags.json) {
@@ -1318,7 +1324,7 @@ export async function handleClaudeSync(args, flags) {
 		const updatedPaths = [];
 		const skippedPaths = [];
 
-		const credentialsPath = process.env.CLAUDE_CREDENTIALS_PATH || CLAUDE_CREDENTIALS_PATH;
+		const credentialsPath = getClaudeCredentialsPath();
 		if (dryRun) {
 			updatedPaths.push(credentialsPath);
 		} else {
@@ -1334,36 +1340,26 @@ export async function handleClaudeSync(args, flags) {
 			updatedPaths.push(credentialsUpdate.path);
 		}
 
-		const opencodePath = getOpencodeAuthPath();
-		if (existsSync(opencodePath)) {
-			if (dryRun) {
-				updatedPaths.push(opencodePath);
-			} else {
-				const result = updateOpencodeClaudeAuth(account);
-				if (result.updated) {
-					updatedPaths.push(result.path);
-				} else if (result.error) {
-					warnings.push(result.error);
-				}
+		const harnessResults = dryRun
+			? previewHarnessTargets("claude", credentialsPath)
+			: updateClaudeHarnessTargets(account);
+		for (const result of harnessResults) {
+			if (result.updated) {
+				updatedPaths.push(result.path);
+			} else if (result.skipped) {
+				skippedPaths.push(result.path);
+			} else if (result.error) {
+				warnings.push(result.error);
 			}
-		} else {
-			skippedPaths.push(opencodePath);
 		}
-
-		const piPath = getPiAuthPath();
-		if (existsSync(piPath)) {
-			if (dryRun) {
-				updatedPaths.push(piPath);
-			} else {
-				const result = updatePiClaudeAuth(account);
-				if (result.updated) {
-					updatedPaths.push(result.path);
-				} else if (result.error) {
-					warnings.push(result.error);
-				}
-			}
-		} else {
-			skippedPaths.push(piPath);
+		if (!dryRun) {
+			recordAuditEvent({
+				event: "sync",
+				provider: "claude",
+				label: activeLabel,
+				paths: [...pulledPaths, ...updatedPaths],
+				token: account.oauthRefreshToken ?? account.oauthToken,
+			});
 		}
 
 		if (flags.json) {
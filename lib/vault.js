@@ -0,0 +1,215 @@
+/**
+ * Encrypted-at-rest account containers (AES-256-GCM).
+ * Keys come from a passphrase (scrypt) or a key file; harness auth files are never encrypted.
+ * Depends on: lib/config.js, lib/fs.js
+ */
+
+import { existsSync, readFileSync, mkdirSync } from "node:fs";
+import { dirname } from "node:path";
+import { createCipheriv, createDecipheriv, createHash, randomBytes, scryptSync } from "node:crypto";
+import { getConfiguredPath } from "./config.js";
+import { writeFileAtomic } from "./fs.js";
+
+export const VAULT_FORMAT_VERSION = 1;
+const VAULT_CIPHER = "aes-256-gcm";
+const KEY_LENGTH = 32;
+const IV_LENGTH = 12;
+// scrypt cost parameters (N = 2^15 needs 32 MiB, so raise maxmem above it)
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const MIN_KEY_FILE_BYTES = 32;
+
+// Passphrase entered at a prompt; takes precedence over CODEX_QUOTA_PASSPHRASE
+let promptedPassphrase = null;
+// Derived keys by "salt:N:r:p:passphrase hash" so repeated reads skip scrypt
+const derivedKeys = new Map();
+
+/**
+ * Set the passphrase used to unlock vaults (from a prompt, or for testing purposes).
+ * @param {string | null} passphrase
+ */
+export function setVaultPassphrase(passphrase) {
+	promptedPassphrase = passphrase || null;
+}
+
+/**
+ * Get the passphrase from the prompt or CODEX_QUOTA_PASSPHRASE.
+ * @returns {string | null}
+ */
+export function getVaultPassphrase() {
+	return promptedPassphrase ?? (process.env.CODEX_QUOTA_PASSPHRASE || null);
+}
+
+/**
+ * Get the key file path from CODEX_QUOTA_KEY_FILE or the vault.keyFile config key.
+ * @returns {string | null}
+ */
+export function getVaultKeyFilePath() {
+	return getConfiguredPath("vault.keyFile");
+}
+
+/**
+ * Check whether parsed JSON is an encrypted container.
+ * @param {unknown} parsed
+ * @returns {boolean}
+ */
+export function isVaultPayload(parsed) {
+	return Boolean(parsed)
+		&& typeof parsed === "object"
+		&& !Array.isArray(parsed)
+		&& typeof parsed.codexQuotaVault === "number"
+		&& typeof parsed.ciphertext === "string";
+}
+
+function deriveScryptKey(passphrase, kdf) {
+	const cacheKey = [kdf.salt, kdf.N, kdf.r, kdf.p, createHash("sha256").update(passphrase).digest("hex")].join(":");
+	const cached = derivedKeys.get(cacheKey);
+	if (cached) return cached;
+	const key = scryptSync(passphrase, Buffer.from(kdf.salt, "base64"), KEY_LENGTH, {
+		N: kdf.N,
+		r: kdf.r,
+		p: kdf.p,
+		maxmem: SCRYPT_MAXMEM,
+	});
+	derivedKeys.set(cacheKey, key);
+	return key;
+}
+
+/**
+ * Read a key file and hash its contents into an AES-256 key.
+ * @param {string} keyFilePath
+ * @returns {Buffer}
+ * @throws {Error} When the file is missing or too short
+ */
+export function readVaultKeyFile(keyFilePath) {
+	const contents = readFileSync(keyFilePath);
+	if (contents.length < MIN_KEY_FILE_BYTES) {
+		throw new Error(`Key file ${keyFilePath} must contain at least ${MIN_KEY_FILE_BYTES} bytes`);
+	}
+	return createHash("sha256").update(contents).digest();
+}
+
+/**
+ * Create a key file with random contents (mode 0600).
+ * @param {string} keyFilePath
+ */
+export function createVaultKeyFile(keyFilePath) {
+	const dir = dirname(keyFilePath);
+	if (!existsSync(dir)) {
+		mkdirSync(dir, { recursive: true, mode: 0o700 });
+	}
+	writeFileAtomic(keyFilePath, randomBytes(KEY_LENGTH).toString("base64") + "\n", { mode: 0o600 });
+}
+
+/**
+ * Create encryption settings for a new vault.
+ * @param {{ passphrase?: string, keyFile?: string }} source - Exactly one of passphrase or keyFile
+ * @returns {{ kdf: object, key: Buffer }}
+ */
+export function createVaultKey(source) {
+	if (source.keyFile) {
+		return { kdf: { name: "keyfile" }, key: readVaultKeyFile(source.keyFile) };
+	}
+	if (!source.passphrase) {
+		throw new Error("A passphrase or key file is required");
+	}
+	const kdf = { name: "scrypt", salt: randomBytes(16).toString("base64"), ...SCRYPT_PARAMS };
+	return { kdf, key: deriveScryptKey(source.passphrase, kdf) };
+}
+
+/**
+ * Resolve the key for an encrypted container from the passphrase or key file in effect.
+ * @param {{ kdf?: { name?: string } }} vault - Encrypted container
+ * @param {{ passphrase?: string | null }} [options] - Explicit passphrase (e.g. for export bundles)
+ * @returns {{ key: Buffer | null, error: string | null }}
+ */
+export function resolveVaultKey(vault, options = {}) {
+	const kdf = vault?.kdf ?? {};
+	if (kdf.name === "keyfile") {
+		const keyFilePath = getVaultKeyFilePath();
+		if (!keyFilePath) {
+			return { key: null, error: "key file required; set CODEX_QUOTA_KEY_FILE or vault.keyFile" };
+		}
+		try {
+			return { key: readVaultKeyFile(keyFilePath), error: null };
+		} catch (err) {
+			return { key: null, error: err?.message ?? String(err) };
+		}
+	}
+	if (kdf.name === "scrypt") {
+		const passphrase = options.passphrase ?? getVaultPassphrase();
+		if (!passphrase) {
+			return { key: null, error: "passphrase required; set CODEX_QUOTA_PASSPHRASE or run interactively" };
+		}
+		return { key: deriveScryptKey(passphrase, kdf), error: null };
+	}
+	return { key: null, error: `unsupported key derivation "${kdf.name ?? "unknown"}"` };
+}
+
+/**
+ * Encrypt a JSON payload.
+ * @param {unknown} payload - Container contents
+ * @param {{ kdf: object, key: Buffer }} encryption - From createVaultKey or a decrypted container
+ * @returns {Record<string, unknown>} Encrypted container (JSON-serializable)
+ */
+export function encryptVaultPayload(payload, encryption) {
+	const iv = randomBytes(IV_LENGTH);
+	const cipher = createCipheriv(VAULT_CIPHER, encryption.key, iv);
+	const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), "utf-8"), cipher.final()]);
+	return {
+		codexQuotaVault: VAULT_FORMAT_VERSION,
+		cipher: VAULT_CIPHER,
+		kdf: encryption.kdf,
+		iv: iv.toString("base64"),
+		tag: cipher.getAuthTag().toString("base64"),
+		ciphertext: ciphertext.toString("base64"),
+	};
+}
+
+/**
+ * Decrypt an encrypted container with the passphrase or key file in effect.
+ * @param {Record<string, any>} vault - Parsed encrypted container
+ * @param {{ passphrase?: string | null }} [options] - Explicit passphrase (e.g. for export bundles)
+ * @returns {{ payload: unknown, encryption: { kdf: object, key: Buffer } | null, error: string | null }}
+ */
+export function openVault(vault, options = {}) {
+	if (vault.codexQuotaVault !== VAULT_FORMAT_VERSION || vault.cipher !== VAULT_CIPHER) {
+		return { payload: null, encryption: null, error: `unsupported vault format ${vault.codexQuotaVault} (${vault.cipher})` };
+	}
+	const { key, error } = resolveVaultKey(vault, options);
+	if (!key) {
+		return { payload: null, encryption: null, error };
+	}
+	try {
+		const decipher = createDecipheriv(VAULT_CIPHER, key, Buffer.from(vault.iv, "base64"));
+		decipher.setAuthTag(Buffer.from(vault.tag, "base64"));
+		const plaintext = Buffer.concat([
+			decipher.update(Buffer.from(vault.ciphertext, "base64")),
+			decipher.final(),
+		]).toString("utf-8");
+		return { payload: JSON.parse(plaintext), encryption: { kdf: vault.kdf, key }, error: null };
+	} catch {
+		const source = vault.kdf?.name === "keyfile" ? "key file" : "passphrase";
+		return { payload: null, encryption: null, error: `wrong ${source} (decryption failed)` };
+	}
+}
+
+/**
+ * Inspect a container file without decrypting it.
+ * @param {string} filePath
+ * @returns {{ path: string, exists: boolean, encrypted: boolean, kdf: string | null, error: string | null }}
+ */
+export function readVaultState(filePath) {
+	const state = { path: filePath, exists: existsSync(filePath), encrypted: false, kdf: null, error: null };
+	if (!state.exists) return state;
+	try {
+		const parsed = JSON.parse(readFileSync(filePath, "utf-8"));
+		if (isVaultPayload(parsed)) {
+			state.encrypted = true;
+			state.kdf = parsed.kdf?.name ?? null;
+		}
+	} catch (err) {
+		state.error = `Invalid JSON: ${err.message}`;
+	}
+	return state;
+}
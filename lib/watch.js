@@ -0,0 +1,113 @@
+/**
+ * Watch mode loop: periodic refresh with a live redraw between fetches.
+ * Zero internal dependencies — callers supply refresh and render callbacks.
+ */
+
+export const DEFAULT_WATCH_INTERVAL_MS = 60 * 1000;
+export const MIN_WATCH_INTERVAL_MS = 10 * 1000;
+export const MAX_WATCH_BACKOFF_MS = 15 * 60 * 1000;
+
+// Move cursor home and clear the screen
+const CLEAR_SCREEN = "\x1b[H\x1b[2J";
+
+/**
+ * Check whether a usage error message reports HTTP 429 (rate limited).
+ * Matches both Codex ("HTTP 429") and Claude ("HTTP 429: ...") error formats.
+ * @param {string | null | undefined} message
+ * @returns {boolean}
+ */
+export function isRateLimitError(message) {
+	return typeof message === "string" && /^HTTP 429\b/.test(message);
+}
+
+/**
+ * Compute the delay before the next fetch, doubling the interval for each
+ * consecutive rate-limited fetch up to MAX_WATCH_BACKOFF_MS.
+ * @param {number} intervalMs - Configured refresh interval
+ * @param {number} rateLimitStreak - Consecutive fetches that hit HTTP 429
+ * @returns {number}
+ */
+export function getWatchDelay(intervalMs, rateLimitStreak) {
+	if (rateLimitStreak <= 0) return intervalMs;
+	const backoff = intervalMs * 2 ** rateLimitStreak;
+	return Math.min(Math.max(intervalMs, MAX_WATCH_BACKOFF_MS), backoff);
+}
+
+/**
+ * Shift relative reset timers in a Codex usage payload by the time elapsed
+ * since it was fetched, so countdowns keep ticking between fetches.
+ * @param {object} payload - Usage payload from fetchUsage
+ * @param {number} elapsedSeconds - Seconds since the payload was fetched
+ * @returns {object} Aged copy of the payload (the original is not modified)
+ */
+export function ageCodexUsagePayload(payload, elapsedSeconds) {
+	const rateLimit = payload?.rate_limit;
+	if (!rateLimit || typeof rateLimit !== "object" || elapsedSeconds <= 0) return payload;
+	const ageWindow = (window) => {
+		if (!window || typeof window !== "object") return window;
+		const seconds = window.reset_after_seconds ?? window.resetAfterSeconds;
+		if (typeof seconds !== "number") return window;
+		// Keep at least one second so an elapsed timer still renders until the next fetch
+		const aged = Math.max(1, seconds - elapsedSeconds);
+		return "reset_after_seconds" in window
+			? { ...window, reset_after_seconds: aged }
+			: { ...window, resetAfterSeconds: aged };
+	};
+	return {
+		...payload,
+		rate_limit: {
+			...rateLimit,
+			primary_window: ageWindow(rateLimit.primary_window),
+			secondary_window: ageWindow(rateLimit.secondary_window),
+		},
+	};
+}
+
+function sleep(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run the watch loop until the process is interrupted.
+ * On a TTY the screen is redrawn every tick so countdowns update; otherwise
+ * each fetch is printed once, which keeps piped output readable.
+ * @param {{
+ *   refresh: () => Promise<{ rateLimited?: boolean }>,
+ *   render: (data: object, status: { fetchedAt: number, nextFetchAt: number, rateLimitStreak: number }) => string[],
+ *   intervalMs: number,
+ *   live?: boolean,
+ *   tickMs?: number,
+ *   write?: (text: string) => void,
+ * }} options
+ * @returns {Promise<never>}
+ */
+export async function runWatchLoop(options) {
+	const {
+		refresh,
+		render,
+		intervalMs,
+		live = Boolean(process.stdout.isTTY),
+		tickMs = 1000,
+		write = text => process.stdout.write(text),
+	} = options;
+	let rateLimitStreak = 0;
+
+	for (;;) {
+		const data = await refresh();
+		const fetchedAt = Date.now();
+		rateLimitStreak = data?.rateLimited ? rateLimitStreak + 1 : 0;
+		const nextFetchAt = fetchedAt + getWatchDelay(intervalMs, rateLimitStreak);
+		const status = { fetchedAt, nextFetchAt, rateLimitStreak };
+
+		if (!live) {
+			write(render(data, status).join("\n") + "\n");
+			await sleep(Math.max(0, nextFetchAt - Date.now()));
+			continue;
+		}
+
+		while (Date.now() < nextFetchAt) {
+			write(CLEAR_SCREEN + render(data, status).join("\n") + "\n");
+			await sleep(Math.min(tickMs, Math.max(0, nextFetchAt - Date.now())));
+		}
+	}
+}
@@ -0,0 +1,75 @@
+/**
+ * Normalized quota windows for Codex and Claude usage payloads.
+ * Depends on: lib/display.js
+ */
+
+import { parseWindow, parseClaudeUtilizationWindow } from "./display.js";
+
+/**
+ * Normalize a Codex usage payload into remaining-percent windows.
+ * @param {object} payload - Usage payload from fetchUsage
+ * @param {number} [now] - Reference time in milliseconds (defaults to Date.now())
+ * @returns {Record<string, { remaining: number, resetsAt: number | null }>}
+ */
+export function getCodexWindows(payload, now = Date.now()) {
+	const windows = {};
+	if (!payload || payload.error) return windows;
+	const usage = payload?.usage ?? payload;
+	const rateLimit = usage?.rate_limit;
+	const primaryWindow = rateLimit?.primary_window ?? usage?.primary ?? usage?.session ?? usage?.fiveHour;
+	const secondaryWindow = rateLimit?.secondary_window ?? usage?.secondary ?? usage?.weekly ?? usage?.week;
+
+	const addWindow = (key, raw) => {
+		const parsed = parseWindow(raw);
+		if (!parsed) return;
+		const remaining = parsed.remaining ?? (parsed.used !== undefined ? 100 - parsed.used : null);
+		if (remaining === null || !Number.isFinite(Number(remaining))) return;
+		let resetsAt = null;
+		if (parsed.resetAfterSeconds) {
+			resetsAt = now + parsed.resetAfterSeconds * 1000;
+		} else if (parsed.resets !== undefined && parsed.resets !== null) {
+			// resets_at is reported in epoch seconds by the usage API
+			const value = Number(parsed.resets);
+			if (Number.isFinite(value)) {
+				resetsAt = value < 1e12 ? value * 1000 : value;
+			} else {
+				const date = new Date(parsed.resets);
+				resetsAt = Number.isNaN(date.getTime()) ? null : date.getTime();
+			}
+		}
+		windows[key] = { remaining: Math.min(100, Math.max(0, Number(remaining))), resetsAt };
+	};
+
+	addWindow("5h", primaryWindow);
+	addWindow("weekly", secondaryWindow);
+	return windows;
+}
+
+/**
+ * Normalize a Claude usage result into remaining-percent windows.
+ * @param {object} result - Result from fetchClaudeOAuthUsageForAccount (or legacy fetchers)
+ * @returns {Record<string, { remaining: number, resetsAt: number | null }>}
+ */
+export function getClaudeWindows(result) {
+	const windows = {};
+	if (!result || result.success === false) return windows;
+	const usage = result.usage;
+	if (!usage || typeof usage !== "object") return windows;
+
+	const addWindow = (key, raw) => {
+		const parsed = parseClaudeUtilizationWindow(raw);
+		if (!parsed || parsed.remaining === null || !Number.isFinite(parsed.remaining)) return;
+		let resetsAt = null;
+		if (parsed.resetsAt) {
+			const date = new Date(parsed.resetsAt);
+			resetsAt = Number.isNaN(date.getTime()) ? null : date.getTime();
+		}
+		windows[key] = { remaining: parsed.remaining, resetsAt };
+	};
+
+	addWindow("5h", usage.five_hour ?? usage.fiveHour);
+	addWindow("weekly", usage.seven_day ?? usage.sevenDay);
+	addWindow("opus-weekly", usage.seven_day_opus ?? usage.sevenDayOpus);
+	addWindow("sonnet-weekly", usage.seven_day_sonnet ?? usage.sevenDaySonnet);
+	return windows;
+}